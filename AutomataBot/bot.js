@@ -11,10 +11,29 @@ console.log('🚀 Starting AutomataBot...');
 //
 // 🔧 CORE AUTOMATA OPERATIONS:
 //    • Design FA - Create and analyze finite automata with structured input format
-//    • Test Input - Simulate string processing on automata (accepts/rejects)
+//    • Test Input - Simulate string processing on automata with an animated step-by-step GIF,
+//      or test a list/CSV of strings against expected results in one table
 //    • Check FA Type - Automatically determine if automaton is DFA or NFA
-//    • NFA→DFA Conversion - Convert using subset construction algorithm
-//    • DFA Minimization - Optimize DFAs using partition refinement algorithm
+//    • NFA→DFA Conversion - Subset construction with an image-by-image walkthrough
+//    • DFA Minimization - Partition refinement rounds and table-filling pair table
+//    • Regex - Validate regexes, Thompson NFA, minimal DFA and state elimination
+//    • Equivalence - Shortest distinguishing string and DFA isomorphism check
+//    • Combine - Union, intersection, difference and XOR by product construction
+//    • Operations - Complement, reverse, concatenation, star/plus and homomorphism
+//    • JFLAP Files - Upload .jff files as input and download results as .jff
+//    • Diagrams - Classic, high-resolution PNG or SVG diagrams and Graphviz DOT export
+//    • PDA - Pushdown automata with nondeterministic simulation, acceptance by final
+//      state or empty stack, and instantaneous-description traces
+//    • Grammar - Context-free grammars: ε/unit/useless elimination, CNF and GNF step by
+//      step, and CYK membership with the filled table as an image
+//    • CFG ↔ PDA - Single-state PDA from a grammar and the triple construction back,
+//      with traced steps and diagrams
+//    • Turing Machine - Single-tape deterministic TMs with step-limited runs, loop
+//      detection and an animated tape
+//    • Mealy/Moore - Transducers with traced output strings and Mealy↔Moore conversion
+//      with diagrams labelled by their outputs
+//    • Pumping Game - The bot plays the pumping lemma adversary and ends each game with
+//      a verdict and a worked proof
 //
 // 🧠 AI-POWERED FEATURES:
 //    • Natural Language Questions - Ask questions in plain English
@@ -29,6 +48,11 @@ console.log('🚀 Starting AutomataBot...');
 //    • /design [requirement] - AI-assisted automaton design
 //    • /practice - Generate practice problems
 //    • /examples - Show all input format examples
+//    • /export - Download the current automaton as a JFLAP .jff file
+//    • /diagram [classic|png|svg] - Choose the diagram format
+//    • /dot - Download the current automaton as Graphviz DOT source
+//    • /canonical - Rename the current automaton's states in canonical order
+//    • /strings [n] - List accepted/rejected strings up to length n and classify the language
 //
 // 🎨 USER INTERFACE:
 //    • Menu-based button navigation
@@ -64,8 +88,9 @@ import { connectDB } from './src/config/database.js'; // MongoDB connection hand
 import { getUserSession, cleanupOldSessions, cleanupStuckSessions, getSessionStats } from './src/utils/sessionManager.js'; // User session state management
 
 // Automata algorithms and utilities
-import { parseDFAInput, checkFAType, simulateFA, nfaToDfa } from './src/utils/automataUtils.js';
-// - parseDFAInput: Parse user input into automaton structure
+import { checkFAType, simulateFA, nfaToDfa } from './src/utils/automataUtils.js';
+import { parseAutomaton, lineSection } from './src/utils/automatonParser.js';
+// - parseAutomaton: Parse user input into automaton structure with line-numbered diagnostics
 // - checkFAType: Determine if automaton is DFA or NFA
 // - simulateFA: Simulate string processing on automaton
 // - nfaToDfa: Convert NFA to DFA using subset construction
@@ -73,7 +98,7 @@ import { parseDFAInput, checkFAType, simulateFA, nfaToDfa } from './src/utils/au
 import { minimizeDFA } from './src/algorithms/dfaMinimization.js'; // DFA minimization algorithm
 import { explainAutomataStep } from './src/services/aiService.js'; // AI-powered explanations
 import { saveToDatabase } from './src/config/database.js'; // Database save operations
-import { sendFormattedResult } from './src/utils/messageFormatter.js'; // Result formatting
+import { sendFormattedResult, escapeMarkdownOutsideCode } from './src/utils/messageFormatter.js'; // Result formatting
 
 // ===============================================
 // COMMAND AND MENU HANDLERS IMPORTS
@@ -88,7 +113,12 @@ import {
   handlePracticeCommand,    // /practice - generate practice problems
   handleLearningTopic,      // Handle learning topic selection
   handleNaturalLanguageQuestion, // Process natural language AI questions
-  handleExamplesCommand     // /examples - show all format examples
+  handleExamplesCommand,    // /examples - show all format examples
+  handleExportCommand,      // /export - download current automaton as .jff
+  handleDiagramCommand,     // /diagram [format] - choose diagram format
+  handleDotCommand,         // /dot - download current automaton as DOT
+  handleCanonicalCommand,   // /canonical - rename states in canonical order
+  handleStringsCommand      // /strings [n] - enumerate the current automaton's language
 } from './src/handlers/commandHandlers.js';
 
 // Menu button handlers for inline keyboard buttons
@@ -102,11 +132,28 @@ import {
   handleLearnMode,         // 📚 Learn Mode - interactive tutorials
   handleMyHistory,         // 📊 My History - user operation history
   handleHelp,              // ❓ Help - format help and guidance
+  handleRegex,             // 📝 Regex - regular expression operations
+  handleRegexOption,       // Regex sub-menu options
+  handleEquivalence,       // ⚖️ Equivalence - compare two automata
+  handleCombine,           // 🔀 Combine - boolean operations menu
+  handleCombineOption,     // Combine sub-menu options
+  handleOperations,        // 🧩 Operations - closure operations menu
+  handleOperationsOption,  // Operations sub-menu options
+  handlePDA,               // 🥞 PDA - pushdown automata menu
+  handlePDAOption,         // PDA sub-menu options
+  handleGrammar,           // 📐 Grammar - context-free grammar menu
+  handleGrammarOption,     // Grammar sub-menu options
+  handleTuringMachine,     // 📼 Turing Machine - Turing machine menu
+  handleTMOption,          // Turing machine sub-menu options
+  handleTransducer,        // 📟 Mealy/Moore - transducer menu
+  handleTransducerOption,  // Transducer sub-menu options
+  handlePumpingGame,       // 🎮 Pumping Game - pumping lemma game menu
+  handlePumpingOption,     // Pumping game sub-menu options
   handleBackToMainMenu     // 🔙 Back to Main Menu - navigation
 } from './src/handlers/menuHandlers.js';
 
 // Session operation handlers for multi-step processes
-import { handleSessionOperation } from './src/handlers/operationHandlers.js';
+import { handleSessionOperation, handleDocumentUpload } from './src/handlers/operationHandlers.js';
 import { cleanupTempImages } from './src/services/imageService.js';
 
 // ===============================================
@@ -129,6 +176,11 @@ bot.command('example', handleExampleCommand);    // /example [type] - Request sp
 bot.command('examples', handleExamplesCommand);  // /examples - Show all format examples
 bot.command('design', handleDesignCommand);      // /design [requirement] - AI-assisted design
 bot.command('practice', handlePracticeCommand);
+bot.command('export', handleExportCommand);      // /export - Download the current automaton as .jff
+bot.command('diagram', handleDiagramCommand);    // /diagram [classic|png|svg] - Choose diagram format
+bot.command('dot', handleDotCommand);            // /dot - Download the current automaton as DOT
+bot.command('canonical', handleCanonicalCommand); // /canonical - Rename states in canonical order
+bot.command('strings', handleStringsCommand);    // /strings [n] - Enumerate accepted and rejected strings
 
 // Test command to directly test image sending
 bot.command('testimage', async (ctx) => {
@@ -163,6 +215,61 @@ bot.hears('🧪 Test Input', handleTestInput);     // Test input strings on auto
 bot.hears('🔍 Check FA Type', handleCheckFAType); // Determine if automaton is DFA or NFA
 bot.hears('🔄 NFA→DFA', handleNFAToDFA);         // Convert NFA to DFA using subset construction
 bot.hears('⚡ Minimize DFA', handleMinimizeDFA); // Minimize DFA using partition refinement
+bot.hears('📝 Regex', handleRegex);             // Regular expression operations menu
+bot.hears('⚖️ Equivalence', handleEquivalence);  // Check whether two automata are equivalent
+bot.hears('🔀 Combine', handleCombine);         // Boolean operations on two automata
+bot.hears('🧩 Operations', handleOperations);   // Closure operations on automata
+bot.hears('🥞 PDA', handlePDA);                 // Pushdown automata menu
+bot.hears('📐 Grammar', handleGrammar);         // Context-free grammar menu
+bot.hears('📼 Turing Machine', handleTuringMachine); // Turing machine menu
+bot.hears('📟 Mealy/Moore', handleTransducer);   // Mealy and Moore machine menu
+bot.hears('🎮 Pumping Game', handlePumpingGame); // Pumping lemma game menu
+
+// Regex sub-menu options
+bot.hears('✅ Validate Regex', (ctx) => handleRegexOption(ctx, 'regex_validate'));
+bot.hears('🔄 Regex→NFA', (ctx) => handleRegexOption(ctx, 'regex_to_nfa'));
+bot.hears('⚡ Regex→Min DFA', (ctx) => handleRegexOption(ctx, 'regex_to_dfa'));
+bot.hears('📝 Automaton→Regex', (ctx) => handleRegexOption(ctx, 'fa_to_regex'));
+
+// Combine sub-menu options
+bot.hears('∪ Union', (ctx) => handleCombineOption(ctx, 'union'));
+bot.hears('∩ Intersection', (ctx) => handleCombineOption(ctx, 'intersection'));
+bot.hears('− Difference', (ctx) => handleCombineOption(ctx, 'difference'));
+bot.hears('⊕ XOR', (ctx) => handleCombineOption(ctx, 'xor'));
+
+// Operations sub-menu options
+bot.hears('¬ Complement', (ctx) => handleOperationsOption(ctx, 'complement'));
+bot.hears('↩️ Reverse', (ctx) => handleOperationsOption(ctx, 'reverse'));
+bot.hears('🔗 Concatenate', (ctx) => handleOperationsOption(ctx, 'concatenation'));
+bot.hears('✳️ Star', (ctx) => handleOperationsOption(ctx, 'star'));
+bot.hears('➕ Plus', (ctx) => handleOperationsOption(ctx, 'plus'));
+bot.hears('🔤 Homomorphism', (ctx) => handleOperationsOption(ctx, 'homomorphism'));
+
+// PDA sub-menu options
+bot.hears('✏️ Define PDA', (ctx) => handlePDAOption(ctx, 'pda_definition'));
+bot.hears('🧪 Test PDA', (ctx) => handlePDAOption(ctx, 'pda_input'));
+bot.hears('📐 PDA→CFG', (ctx) => handlePDAOption(ctx, 'pda_to_cfg'));
+
+// Grammar sub-menu options
+bot.hears('✏️ Define Grammar', (ctx) => handleGrammarOption(ctx, 'grammar_definition'));
+bot.hears('🧹 Simplify', (ctx) => handleGrammarOption(ctx, 'grammar_simplify'));
+bot.hears('🔷 To CNF', (ctx) => handleGrammarOption(ctx, 'grammar_cnf'));
+bot.hears('🔶 To GNF', (ctx) => handleGrammarOption(ctx, 'grammar_gnf'));
+bot.hears('🧮 CYK Test', (ctx) => handleGrammarOption(ctx, 'cyk_input'));
+bot.hears('🥞 CFG→PDA', (ctx) => handleGrammarOption(ctx, 'cfg_to_pda'));
+
+// Turing machine sub-menu options
+bot.hears('✏️ Define TM', (ctx) => handleTMOption(ctx, 'tm_definition'));
+bot.hears('▶️ Run TM', (ctx) => handleTMOption(ctx, 'tm_input'));
+
+// Mealy/Moore sub-menu options
+bot.hears('✏️ Define Machine', (ctx) => handleTransducerOption(ctx, 'transducer_definition'));
+bot.hears('📤 Translate', (ctx) => handleTransducerOption(ctx, 'transducer_input'));
+bot.hears('🔄 Mealy↔Moore', (ctx) => handleTransducerOption(ctx, 'transducer_conversion'));
+
+// Pumping game sub-menu options
+bot.hears('🆕 New Game', (ctx) => handlePumpingOption(ctx, 'pumping_language'));
+bot.hears('🏳️ Give Up', (ctx) => handlePumpingOption(ctx, 'pumping_give_up'));
 
 // AI and learning features
 bot.hears('🧠 AI Help', handleAIHelp);           // Access AI assistant for questions
@@ -180,6 +287,18 @@ bot.hears('🔙 Back to Main Menu', handleBackToMainMenu); // Return to main men
 bot.hears(/^📖/, (ctx) => handleLearningTopic(ctx, ctx.message.text));
 
 
+// ===============================================
+// DOCUMENT UPLOAD HANDLER
+// ===============================================
+// JFLAP .jff uploads are used as input for the waiting operation
+// (or loaded as the current automaton when nothing is waiting)
+// .csv/.txt uploads during Test Input are tested as a batch of strings
+bot.on('document', async (ctx) => {
+  const session = getUserSession(ctx.from.id);
+  console.log(`📁 [BOT] Received document "${ctx.message.document.file_name}" from user ${ctx.from.id}, waitingFor=${session.waitingFor}`);
+  await handleDocumentUpload(ctx, session);
+});
+
 // ===============================================
 // MAIN TEXT MESSAGE HANDLER
 // ===============================================
@@ -257,11 +376,15 @@ bot.on('text', async (ctx) => {
   // If no specific operation is active, try to parse input as automaton definition
   // This allows direct automaton input for quick minimization
   try {
-    const fa = parseDFAInput(text); // Parse input as finite automaton
+    const parsed = parseAutomaton(text); // Parse input as finite automaton
+    const fa = parsed.automaton;
     
     // Validate automaton structure
-    if (!fa.states.length || !fa.alphabet.length || !fa.transitions.length || !fa.startState || !fa.finalStates.length) {
-      ctx.reply('🚫 **Invalid Format**\n\nPlease use the correct format or click "❓ Help" for guidance.\n\nOr ask me: "How do I format an automaton?"', { parse_mode: 'Markdown' });
+    if (!parsed.success || !fa.transitions.length || !fa.finalStates.length) {
+      // Point at the exact problems when the text looks like an automaton definition
+      const looksLikeAutomaton = text.split('\n').some(line => lineSection(line));
+      const details = looksLikeAutomaton && !parsed.success ? `\n\n${escapeMarkdownOutsideCode(parsed.error)}` : '';
+      ctx.reply(`🚫 **Invalid Format**${details}\n\nPlease use the correct format or click "❓ Help" for guidance.\n\nOr ask me: "How do I format an automaton?"`, { parse_mode: 'Markdown' });
       return;
     }
     
@@ -462,10 +585,24 @@ function logBotInfo() {
   console.log('');
   console.log('🎯 Available Features:');
   console.log('  • 🔧 Design FA - Create and analyze finite automata');
-  console.log('  • 🧪 Test Input - Simulate string processing');
+  console.log('  • 🧪 Test Input - Simulate string processing (single or batch)');
   console.log('  • 🔍 Check FA Type - Determine DFA/NFA classification');
-  console.log('  • 🔄 NFA→DFA - Convert using subset construction');
-  console.log('  • ⚡ Minimize DFA - Optimize using partition refinement');
+  console.log('  • 🔄 NFA→DFA - Convert using subset construction (visual walkthrough)');
+  console.log('  • ⚡ Minimize DFA - Partition refinement and table-filling tables');
+  console.log('  • 📝 Regex - Regex validation and regex/automaton conversions');
+  console.log('  • ⚖️ Equivalence - Compare the languages of two automata (and DFA structure)');
+  console.log('  • 🔀 Combine - Boolean operations by product construction');
+  console.log('  • 🧩 Operations - Closure operations on automata');
+  console.log('  • 📁 JFLAP Files - .jff upload and /export download');
+  console.log('  • 🖼️ Diagrams - /diagram format choice and /dot export');
+  console.log('  • 🔢 Canonical Names - /canonical state renaming');
+  console.log('  • 🔤 Strings - /strings language enumeration and finiteness');
+  console.log('  • 🥞 PDA - Pushdown automata definition and simulation');
+  console.log('  • 📐 Grammar - CFG simplification, CNF/GNF and CYK');
+  console.log('  • 🔁 CFG ↔ PDA - Single-state PDA and triple construction');
+  console.log('  • 📼 Turing Machine - TM runs with tape animation');
+  console.log('  • 📟 Mealy/Moore - Transducer runs and Mealy↔Moore conversion');
+  console.log('  • 🎮 Pumping Game - Pumping lemma adversary with worked proofs');
   console.log('  • 🧠 AI Help - Natural language explanations');
   console.log('  • 📚 Learn Mode - Interactive tutorials');
   console.log('  • 📊 History - Operation tracking and retrieval');
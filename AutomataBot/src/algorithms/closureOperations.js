@@ -0,0 +1,263 @@
+// ===============================================
+// CLOSURE OPERATIONS ON AUTOMATA
+// ===============================================
+// This file implements the standard regular-language closure operations:
+// - Completion of a DFA with a trap state and complement
+// - Reversal, concatenation, Kleene star and Kleene plus (ε-NFA constructions)
+// - Homomorphic images (each symbol replaced by a string)
+// Every function returns a fresh automaton in the shared model
+// { states, alphabet, transitions, startState, finalStates } so the result can
+// be tested, determinized, minimized and drawn like any parsed input.
+
+import { EPSILON, isEpsilonSymbol, nfaToDfa } from '../utils/automataUtils.js';
+
+/**
+ * Pick a state name that is not taken yet by appending primes
+ */
+function freshState(base, taken) {
+  let name = base;
+  while (taken.includes(name)) name += "'";
+  return name;
+}
+
+/**
+ * Input symbols of an automaton (epsilon is never an input symbol)
+ */
+function inputAlphabet(fa) {
+  return fa.alphabet.filter(symbol => !isEpsilonSymbol(symbol, fa.alphabet));
+}
+
+/**
+ * Check that no state has two moves on one symbol and that there are no ε-moves
+ * (a partial DFA counts as deterministic here)
+ */
+export function isDeterministic(fa) {
+  const seen = new Set();
+  for (const t of fa.transitions) {
+    if (isEpsilonSymbol(t.symbol, fa.alphabet)) return false;
+    const key = `${t.from}\u0000${t.symbol}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+  }
+  return true;
+}
+
+/**
+ * Copy an automaton so the caller's object is never modified
+ */
+function cloneFA(fa) {
+  return {
+    states: [...fa.states],
+    alphabet: inputAlphabet(fa),
+    transitions: fa.transitions.map(t => ({ ...t })),
+    startState: fa.startState,
+    finalStates: [...fa.finalStates]
+  };
+}
+
+/**
+ * Make a DFA total by sending every missing transition to a trap state
+ *
+ * The trap state loops on every symbol and is never final. It is only added
+ * when at least one transition is missing.
+ *
+ * @param {Object} dfa - Deterministic (possibly partial) automaton
+ * @param {string[]} alphabet - Alphabet to complete over (defaults to the DFA's own)
+ * @returns {Object} { dfa, trapState } where trapState is null if nothing was missing
+ */
+export function completeDFA(dfa, alphabet = inputAlphabet(dfa)) {
+  const result = cloneFA(dfa);
+  result.alphabet = [...new Set([...result.alphabet, ...alphabet])];
+
+  const trapState = freshState('trap', result.states);
+  const missing = [];
+  for (const state of result.states) {
+    for (const symbol of result.alphabet) {
+      if (!result.transitions.some(t => t.from === state && t.symbol === symbol)) {
+        missing.push({ from: state, symbol, to: trapState });
+      }
+    }
+  }
+
+  if (missing.length === 0) {
+    return { dfa: result, trapState: null };
+  }
+
+  result.states.push(trapState);
+  result.transitions.push(...missing);
+  for (const symbol of result.alphabet) {
+    result.transitions.push({ from: trapState, symbol, to: trapState });
+  }
+
+  return { dfa: result, trapState };
+}
+
+/**
+ * Complement: accept exactly the strings over the alphabet that fa rejects
+ *
+ * NFAs are determinized first (partial DFAs keep their states), the DFA is
+ * completed with a trap state and final and non-final states are swapped.
+ *
+ * @param {Object} fa - Finite automaton (DFA or NFA)
+ * @returns {Object} { dfa, determinized, trapState }
+ */
+export function complementFA(fa) {
+  const determinized = !isDeterministic(fa);
+  const dfa = determinized ? nfaToDfa(fa) : fa;
+  const { dfa: complete, trapState } = completeDFA(dfa, inputAlphabet(fa));
+
+  complete.finalStates = complete.states.filter(state => !complete.finalStates.includes(state));
+
+  return { dfa: complete, determinized, trapState };
+}
+
+/**
+ * Reverse: accept w exactly when fa accepts w reversed
+ *
+ * Every transition is flipped and the old start state becomes the only final
+ * state. With a single final state that state becomes the start; otherwise a
+ * new start state has ε-transitions to all old final states.
+ *
+ * @param {Object} fa - Finite automaton
+ * @returns {Object} Reversed ε-NFA
+ */
+export function reverseFA(fa) {
+  const result = cloneFA(fa);
+  result.transitions = result.transitions.map(t => ({ from: t.to, symbol: t.symbol, to: t.from }));
+  result.finalStates = [fa.startState];
+
+  if (fa.finalStates.length === 1) {
+    result.startState = fa.finalStates[0];
+  } else {
+    const start = freshState('qr', result.states);
+    result.states.unshift(start);
+    result.startState = start;
+    for (const finalState of fa.finalStates) {
+      result.transitions.push({ from: start, symbol: EPSILON, to: finalState });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Concatenation: accept uv where fa1 accepts u and fa2 accepts v
+ *
+ * States of fa2 that clash with fa1 are renamed with primes. Each final state
+ * of fa1 gets an ε-transition to the start state of fa2.
+ *
+ * @param {Object} fa1 - First automaton
+ * @param {Object} fa2 - Second automaton
+ * @returns {Object} { nfa, renamed } where renamed maps renamed fa2 states to their new names
+ */
+export function concatenateFA(fa1, fa2) {
+  const first = cloneFA(fa1);
+  const taken = [...first.states];
+  const renamed = {};
+  const rename = {};
+
+  for (const state of fa2.states) {
+    const name = freshState(state, taken);
+    taken.push(name);
+    rename[state] = name;
+    if (name !== state) renamed[state] = name;
+  }
+
+  const nfa = {
+    states: taken,
+    alphabet: [...new Set([...first.alphabet, ...inputAlphabet(fa2)])],
+    transitions: [
+      ...first.transitions,
+      ...first.finalStates.map(state => ({ from: state, symbol: EPSILON, to: rename[fa2.startState] })),
+      ...fa2.transitions.map(t => ({ from: rename[t.from], symbol: t.symbol, to: rename[t.to] }))
+    ],
+    startState: first.startState,
+    finalStates: fa2.finalStates.map(state => rename[state])
+  };
+
+  return { nfa, renamed };
+}
+
+/**
+ * Kleene star: accept any concatenation of zero or more strings of fa
+ *
+ * A new final start state has an ε-transition to the old start state and every
+ * old final state loops back to the old start state with ε. The new start
+ * state keeps ε from leaking into the middle of the automaton.
+ *
+ * @param {Object} fa - Finite automaton
+ * @returns {Object} ε-NFA for L(fa)*
+ */
+export function starFA(fa) {
+  const result = plusFA(fa);
+  const start = freshState('qs', result.states);
+
+  result.states.unshift(start);
+  result.transitions.unshift({ from: start, symbol: EPSILON, to: fa.startState });
+  result.startState = start;
+  result.finalStates.unshift(start);
+
+  return result;
+}
+
+/**
+ * Kleene plus: accept any concatenation of one or more strings of fa
+ *
+ * Every final state gets an ε-transition back to the start state.
+ *
+ * @param {Object} fa - Finite automaton
+ * @returns {Object} ε-NFA for L(fa)+
+ */
+export function plusFA(fa) {
+  const result = cloneFA(fa);
+  for (const finalState of result.finalStates) {
+    result.transitions.push({ from: finalState, symbol: EPSILON, to: result.startState });
+  }
+  return result;
+}
+
+/**
+ * Homomorphic image: replace each symbol a by the string h(a)
+ *
+ * A transition p --a--> q becomes a chain of new states spelling h(a);
+ * h(a) = ε becomes a single ε-transition.
+ *
+ * @param {Object} fa - Finite automaton
+ * @param {Object} mapping - Symbol → array of output symbols (empty array for ε)
+ * @returns {Object} ε-NFA for h(L(fa))
+ */
+export function homomorphismFA(fa, mapping) {
+  const result = cloneFA(fa);
+  const transitions = [];
+  const alphabet = new Set();
+  let counter = 0;
+
+  for (const t of result.transitions) {
+    if (isEpsilonSymbol(t.symbol, fa.alphabet)) {
+      transitions.push(t);
+      continue;
+    }
+
+    const image = mapping[t.symbol];
+    if (image.length === 0) {
+      transitions.push({ from: t.from, symbol: EPSILON, to: t.to });
+      continue;
+    }
+
+    let current = t.from;
+    image.forEach((symbol, index) => {
+      alphabet.add(symbol);
+      let next = t.to;
+      if (index < image.length - 1) {
+        next = freshState(`h${counter++}`, result.states);
+        result.states.push(next);
+      }
+      transitions.push({ from: current, symbol, to: next });
+      current = next;
+    });
+  }
+
+  result.transitions = transitions;
+  result.alphabet = [...alphabet].sort();
+  return result;
+}
@@ -0,0 +1,106 @@
+// ===============================================
+// CYK MEMBERSHIP TEST
+// ===============================================
+// This file decides whether a grammar in Chomsky normal form generates a
+// string with the Cocke-Younger-Kasami algorithm:
+// - table[length - 1][start] holds the variables that derive the substring of
+//   that length beginning at start
+// - Cells of length 1 come from the rules A -> a; longer cells combine two
+//   shorter cells through the rules A -> BC, trying every split point
+// - A back-pointer per (cell, variable) rebuilds a leftmost derivation when
+//   the start symbol derives the whole string
+// The empty string is generated exactly when the grammar has S -> ε.
+
+import { EPSILON } from '../utils/automataUtils.js';
+
+/** Longest string tested; the table has n(n+1)/2 cells */
+export const MAX_CYK_LENGTH = 30;
+
+/**
+ * Run CYK on a string
+ * @param {Object} cnf - Grammar in Chomsky normal form (see grammarNormalForms.js)
+ * @param {string} input - String to test (one character per terminal)
+ * @returns {Object} { accepted, symbols, table, derivation }
+ *   table[length - 1][start]: variables deriving symbols[start … start + length - 1], in grammar order
+ *   derivation: sentential forms of a leftmost derivation, or null when rejected
+ */
+export function runCYK(cnf, input) {
+  const symbols = [...input];
+  const n = symbols.length;
+  const { startSymbol } = cnf;
+
+  if (n === 0) {
+    const accepted = cnf.productions.some(p => p.head === startSymbol && p.body.length === 0);
+    return {
+      accepted,
+      symbols,
+      table: [],
+      derivation: accepted ? [startSymbol, EPSILON] : null
+    };
+  }
+
+  const terminalRules = cnf.productions.filter(p => p.body.length === 1);
+  const binaryRules = cnf.productions.filter(p => p.body.length === 2);
+  const rank = new Map(cnf.variables.map((v, i) => [v, i]));
+  const byRank = (a, b) => rank.get(a) - rank.get(b);
+
+  // cells[length - 1][start]: Map variable → back-pointer
+  const cells = [];
+  cells.push(symbols.map(symbol => new Map(
+    terminalRules.filter(p => p.body[0] === symbol).map(p => [p.head, { terminal: symbol }])
+  )));
+
+  for (let length = 2; length <= n; length++) {
+    const row = [];
+    for (let start = 0; start + length <= n; start++) {
+      const cell = new Map();
+      for (let split = 1; split < length; split++) {
+        const left = cells[split - 1][start];
+        const right = cells[length - split - 1][start + split];
+        for (const { head, body: [b, c] } of binaryRules) {
+          if (!cell.has(head) && left.has(b) && right.has(c)) {
+            cell.set(head, { split, left: b, right: c });
+          }
+        }
+      }
+      row.push(cell);
+    }
+    cells.push(row);
+  }
+
+  const accepted = cells[n - 1][0].has(startSymbol);
+
+  // Leftmost derivation from the back-pointers
+  let derivation = null;
+  if (accepted) {
+    derivation = [];
+    // Sentential form: terminals as strings, variables as { variable, length, start }
+    let form = [{ variable: startSymbol, length: n, start: 0 }];
+    // Space the symbols throughout when any name is longer than one character
+    const separator = [...cnf.variables, ...cnf.terminals].every(symbol => symbol.length === 1) ? '' : ' ';
+    const render = () => form.map(item => (typeof item === 'string' ? item : item.variable)).join(separator);
+    derivation.push(render());
+
+    let index = form.findIndex(item => typeof item !== 'string');
+    while (index >= 0) {
+      const { variable, length, start } = form[index];
+      const pointer = cells[length - 1][start].get(variable);
+      const replacement = pointer.terminal !== undefined
+        ? [pointer.terminal]
+        : [
+            { variable: pointer.left, length: pointer.split, start },
+            { variable: pointer.right, length: length - pointer.split, start: start + pointer.split }
+          ];
+      form = [...form.slice(0, index), ...replacement, ...form.slice(index + 1)];
+      derivation.push(render());
+      index = form.findIndex(item => typeof item !== 'string');
+    }
+  }
+
+  return {
+    accepted,
+    symbols,
+    table: cells.map(row => row.map(cell => [...cell.keys()].sort(byRank))),
+    derivation
+  };
+}
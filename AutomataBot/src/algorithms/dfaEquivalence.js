@@ -0,0 +1,70 @@
+// ===============================================
+// DFA EQUIVALENCE ALGORITHM
+// ===============================================
+// This file implements the language equivalence check between two DFAs:
+// - Explores the product automaton breadth-first from the pair of start states
+// - Treats missing transitions as moves into an implicit trap state
+// - Aligns differing alphabets (a symbol unknown to one DFA leads to its trap)
+// - Returns the shortest (shortlex-first) string accepted by exactly one DFA
+
+import { combinedAlphabet, stepSide, sideAccepts, pairKey } from './productConstruction.js';
+
+/**
+ * Find the shortest string that distinguishes two DFAs
+ * 
+ * Algorithm:
+ * 1. Start from the pair (startA, startB)
+ * 2. A pair where exactly one side is accepting proves the languages differ;
+ *    the path leading to it is the distinguishing string
+ * 3. Otherwise follow every symbol of the combined alphabet to the next pair
+ * 4. If all reachable pairs agree, the DFAs accept the same language
+ * 
+ * Breadth-first search over a sorted alphabet makes the counterexample the
+ * shortest one and, among those, the first in lexicographic order.
+ * 
+ * @param {Object} dfaA - First deterministic finite automaton
+ * @param {Object} dfaB - Second deterministic finite automaton
+ * @returns {Object} { equivalent, distinguishingString, acceptedBy, pairsExplored }
+ */
+export function findDistinguishingString(dfaA, dfaB) {
+  const alphabet = combinedAlphabet(dfaA, dfaB);
+  
+  const queue = [{ a: dfaA.startState, b: dfaB.startState, path: '' }];
+  const visited = new Set([pairKey(dfaA.startState, dfaB.startState)]);
+  
+  while (queue.length > 0) {
+    const { a, b, path } = queue.shift();
+    const acceptA = sideAccepts(dfaA, a);
+    const acceptB = sideAccepts(dfaB, b);
+    
+    if (acceptA !== acceptB) {
+      return {
+        equivalent: false,
+        distinguishingString: path,
+        acceptedBy: acceptA ? 'A' : 'B',
+        pairsExplored: visited.size
+      };
+    }
+    
+    for (const symbol of alphabet) {
+      const nextA = stepSide(dfaA, a, symbol);
+      const nextB = stepSide(dfaB, b, symbol);
+      
+      // Both sides trapped: nothing can be accepted from here on
+      if (nextA === null && nextB === null) continue;
+      
+      const key = pairKey(nextA, nextB);
+      if (!visited.has(key)) {
+        visited.add(key);
+        queue.push({ a: nextA, b: nextB, path: path + symbol });
+      }
+    }
+  }
+  
+  return {
+    equivalent: true,
+    distinguishingString: null,
+    acceptedBy: null,
+    pairsExplored: visited.size
+  };
+}
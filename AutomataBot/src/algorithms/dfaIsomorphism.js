@@ -0,0 +1,173 @@
+// ===============================================
+// CANONICAL NUMBERING AND DFA ISOMORPHISM
+// ===============================================
+// State names produced by nfaToDfa (Q0, Q1, ...) and minimizeDFA (q0, q1, ...)
+// depend on the order in which states happen to be found. This file gives
+// automata names that only depend on their structure:
+// - Canonical numbering: states are numbered in breadth-first order from the
+//   start state, following symbols in sorted order
+// - Isomorphism: two DFAs are the same machine up to state names when walking
+//   both from their start states matches every state one-to-one; otherwise
+//   the first place where they differ is reported with the string leading there
+
+/**
+ * Sorted input alphabet of one or two automata
+ */
+function sortedAlphabet(...automata) {
+  return [...new Set(automata.flatMap(fa => fa.alphabet))].sort();
+}
+
+/**
+ * Rename the states of an automaton in canonical order
+ *
+ * The start state becomes q0; the other states are numbered in the order a
+ * breadth-first search reaches them, taking symbols in sorted order (and, for
+ * an NFA, several targets of one symbol in name order). Unreachable states
+ * are numbered last. Two isomorphic DFAs get identical canonical forms.
+ *
+ * @param {Object} fa - Finite automaton
+ * @param {string} prefix - Prefix for the new state names
+ * @returns {Object} { dfa, mapping } where mapping maps old names to new names
+ */
+export function canonicalizeDFA(fa, prefix = 'q') {
+  const alphabet = sortedAlphabet(fa);
+  const order = [];
+  const seen = new Set();
+  const visit = state => {
+    if (!seen.has(state)) {
+      seen.add(state);
+      order.push(state);
+    }
+  };
+
+  visit(fa.startState);
+  for (let i = 0; i < order.length; i++) {
+    for (const symbol of alphabet) {
+      fa.transitions
+        .filter(t => t.from === order[i] && t.symbol === symbol)
+        .map(t => t.to)
+        .sort()
+        .forEach(visit);
+    }
+  }
+  fa.states.forEach(visit);
+
+  const mapping = Object.fromEntries(order.map((state, index) => [state, `${prefix}${index}`]));
+  const position = state => order.indexOf(state);
+
+  return {
+    dfa: {
+      states: order.map(state => mapping[state]),
+      alphabet: [...fa.alphabet],
+      transitions: [...fa.transitions]
+        .sort((a, b) => position(a.from) - position(b.from)
+          || alphabet.indexOf(a.symbol) - alphabet.indexOf(b.symbol)
+          || position(a.to) - position(b.to))
+        .map(t => ({ from: mapping[t.from], symbol: t.symbol, to: mapping[t.to] })),
+      startState: mapping[fa.startState],
+      finalStates: order.filter(state => fa.finalStates.includes(state)).map(state => mapping[state])
+    },
+    mapping
+  };
+}
+
+/**
+ * Check whether two DFAs are identical up to the names of their states
+ *
+ * Both DFAs are walked breadth-first from their start states in step. A pair
+ * of states (p, q) reached by the same string must agree on being final and
+ * on which symbols have a transition, and p may only ever be matched with q.
+ * States that cannot be reached from the start state are not matched; if
+ * either DFA has any, the DFAs are reported as different.
+ *
+ * @param {Object} dfaA - First deterministic (possibly partial) automaton
+ * @param {Object} dfaB - Second deterministic (possibly partial) automaton
+ * @returns {Object} { isomorphic, mapping, difference }
+ *   mapping: { stateOfA: stateOfB } for every matched pair
+ *   difference: null, or { type, path, stateA, stateB, symbol, description } for the first mismatch
+ */
+export function checkIsomorphism(dfaA, dfaB) {
+  const mapping = {};
+  const reverse = {};
+  const result = difference => ({ isomorphic: difference === null, mapping, difference });
+  const shown = path => (path === '' ? 'ε' : `"${path}"`);
+
+  const alphabetA = sortedAlphabet(dfaA);
+  const alphabetB = sortedAlphabet(dfaB);
+  if (alphabetA.join('\u0000') !== alphabetB.join('\u0000')) {
+    return result({
+      type: 'ALPHABET',
+      path: null,
+      stateA: null,
+      stateB: null,
+      symbol: null,
+      description: `The alphabets differ: {${alphabetA.join(', ')}} vs {${alphabetB.join(', ')}}`
+    });
+  }
+
+  const target = (dfa, state, symbol) => dfa.transitions.find(t => t.from === state && t.symbol === symbol)?.to ?? null;
+
+  const queue = [{ a: dfaA.startState, b: dfaB.startState, path: '' }];
+  mapping[dfaA.startState] = dfaB.startState;
+  reverse[dfaB.startState] = dfaA.startState;
+
+  while (queue.length > 0) {
+    const { a, b, path } = queue.shift();
+
+    const finalA = dfaA.finalStates.includes(a);
+    const finalB = dfaB.finalStates.includes(b);
+    if (finalA !== finalB) {
+      return result({
+        type: 'FINAL',
+        path, stateA: a, stateB: b, symbol: null,
+        description: `After reading ${shown(path)}, A is in ${a} (${finalA ? 'final' : 'non-final'}) but B is in ${b} (${finalB ? 'final' : 'non-final'})`
+      });
+    }
+
+    for (const symbol of alphabetA) {
+      const nextA = target(dfaA, a, symbol);
+      const nextB = target(dfaB, b, symbol);
+
+      if ((nextA === null) !== (nextB === null)) {
+        return result({
+          type: 'MISSING_TRANSITION',
+          path, stateA: a, stateB: b, symbol,
+          description: `After reading ${shown(path)}, ${nextA === null ? `A (state ${a})` : `B (state ${b})`} has no transition on ${symbol} but ${nextA === null ? `B (state ${b})` : `A (state ${a})`} does`
+        });
+      }
+      if (nextA === null) continue;
+
+      const matchedB = mapping[nextA];
+      const matchedA = reverse[nextB];
+      if (matchedB === undefined && matchedA === undefined) {
+        mapping[nextA] = nextB;
+        reverse[nextB] = nextA;
+        queue.push({ a: nextA, b: nextB, path: path + symbol });
+      } else if (matchedB !== nextB || matchedA !== nextA) {
+        const clash = matchedB !== undefined
+          ? `A's state ${nextA} was already matched with B's ${matchedB}`
+          : `B's state ${nextB} was already matched with A's ${matchedA}`;
+        return result({
+          type: 'STRUCTURE',
+          path: path + symbol, stateA: nextA, stateB: nextB, symbol,
+          description: `Reading ${shown(path + symbol)} leads A to ${nextA} and B to ${nextB}, but ${clash}`
+        });
+      }
+    }
+  }
+
+  const unmatchedA = dfaA.states.filter(state => !(state in mapping));
+  const unmatchedB = dfaB.states.filter(state => !(state in reverse));
+  if (unmatchedA.length > 0 || unmatchedB.length > 0) {
+    const parts = [];
+    if (unmatchedA.length > 0) parts.push(`A: ${unmatchedA.join(', ')}`);
+    if (unmatchedB.length > 0) parts.push(`B: ${unmatchedB.join(', ')}`);
+    return result({
+      type: 'UNREACHABLE',
+      path: null, stateA: unmatchedA[0] ?? null, stateB: unmatchedB[0] ?? null, symbol: null,
+      description: `The reachable parts match, but there are unreachable states (${parts.join('; ')})`
+    });
+  }
+
+  return result(null);
+}
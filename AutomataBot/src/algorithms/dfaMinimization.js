@@ -3,11 +3,18 @@
 // ===============================================
 // This file implements the partition refinement algorithm that powers the "Minimize DFA" feature:
 // - Minimizes DFAs by identifying and merging equivalent states
+// - Prunes unreachable states and completes the DFA with a trap state first
 // - Uses Hopcroft's algorithm for efficient partition refinement
+// - Records every refinement round (block split, symbol and splitter)
+// - Offers the table-filling (Myhill–Nerode pair marking) method as well
+// - Numbers the resulting states canonically (breadth-first from the start state)
 // - Shows which states can be merged and explains the reasoning
 // - Identifies already minimal DFAs and provides analysis
 // - Optimizes automata while preserving language recognition
 
+import { preprocessDFA, findDeadStates } from './dfaPreprocessing.js';
+import { canonicalizeDFA } from './dfaIsomorphism.js';
+
 // ===============================================
 // FEATURE 5 IMPLEMENTATION: DFA MINIMIZATION
 // ===============================================
@@ -17,6 +24,7 @@
  * This function implements the state minimization that powers the "Minimize DFA" feature:
  * 
  * Algorithm Overview:
+ * 0. **Preprocessing**: Remove unreachable states and complete the DFA with a trap state
  * 1. **Initial Partitioning**: Separate final states from non-final states
  * 2. **Partition Refinement**: Iteratively split partitions based on transition behavior
  * 3. **Equivalence Detection**: Find states that behave identically for all inputs
@@ -30,10 +38,61 @@
  * - The state count is minimal (optimal)
  * 
  * @param {Object} dfa - Deterministic finite automaton structure
+ * @param {Object} options - { trimDead: drop the dead (trap) state from the result, default false }
  * @returns {Object} Minimized DFA with merged equivalent states
  */
-export function minimizeDFA(dfa) {
-  const { states, alphabet, transitions, startState, finalStates } = dfa;
+export function minimizeDFA(dfa, options = {}) {
+  return minimizeDFAWithTrace(dfa, options).minimizedDFA;
+}
+
+/**
+ * Minimize a DFA and record how the partition was refined
+ *
+ * The result is the complete minimal DFA. With trimDead, used when the result
+ * is only drawn, the block of dead states - the trap state and every state
+ * equivalent to it - is left out, so the minimized DFA is partial like most
+ * hand-written DFAs.
+ *
+ * @param {Object} dfa - Deterministic finite automaton structure
+ * @param {Object} options - { trimDead }
+ * @returns {Object} { minimizedDFA, preprocessing, initialPartition, rounds, classes }
+ *   preprocessing: { dfa, unreachableStates, trapState, missingTransitions, trimmedStates }
+ *   rounds: [{ round, splitter, symbol, splits: [{ block, inside, outside }], partition }]
+ *   classes: [{ state, members }] - the states merged into each new state
+ */
+export function minimizeDFAWithTrace(dfa, options = {}) {
+  const { trimDead = false } = options;
+  const preprocessing = preprocessDFA(dfa);
+  const { initialPartition, rounds, partition } = refinePartition(preprocessing.dfa);
+  
+  // Dead states are all equivalent, so they end up in one block
+  let kept = partition;
+  let trimmedStates = [];
+  if (trimDead) {
+    const deadStates = findDeadStates(preprocessing.dfa);
+    const deadBlock = partition.find(block => deadStates.some(state => block.has(state)));
+    if (deadBlock && !deadBlock.has(preprocessing.dfa.startState)) {
+      kept = partition.filter(block => block !== deadBlock);
+      trimmedStates = [...deadBlock];
+    }
+  }
+  
+  const { minimizedDFA, classes } = buildMinimizedDFA(preprocessing.dfa, kept);
+  return {
+    minimizedDFA,
+    preprocessing: { ...preprocessing, trimmedStates },
+    initialPartition,
+    rounds,
+    classes
+  };
+}
+
+/**
+ * Hopcroft partition refinement with a record of every split
+ * The DFA must be complete (see preprocessDFA).
+ */
+function refinePartition(dfa) {
+  const { states, alphabet, transitions, finalStates } = dfa;
   
   // ===============================================
   // STEP 1: INITIAL PARTITIONING
@@ -41,9 +100,13 @@ export function minimizeDFA(dfa) {
   // Create initial partition: separate final and non-final states
   // This is the coarsest valid partition - states in different sets
   // are definitely not equivalent (one accepts, one rejects empty string)
+  // Empty blocks (no final or no non-final states) are left out
   
-  let P = [new Set(finalStates), new Set(states.filter(s => !finalStates.includes(s)))];
+  let P = [new Set(finalStates), new Set(states.filter(s => !finalStates.includes(s)))]
+    .filter(set => set.size > 0);
   let W = [new Set(finalStates)]; // Worklist for partition refinement
+  const initialPartition = P.map(set => [...set]);
+  const rounds = [];
   
   // Helper function to check if two sets are equal
   const setsEqual = (a, b) => a.size === b.size && [...a].every(value => b.has(value));
@@ -71,6 +134,7 @@ export function minimizeDFA(dfa) {
       // STEP 2B: REFINE PARTITIONS
       // ===============================================
       // For each existing partition, check if it should be split
+      const splits = [];
       for (let Y of P.slice()) {
         const intersection = new Set([...Y].filter(x => X.has(x)));
         const difference = new Set([...Y].filter(x => !X.has(x)));
@@ -82,10 +146,11 @@ export function minimizeDFA(dfa) {
           
           // Add the two new partitions
           P.push(intersection, difference);
+          splits.push({ block: [...Y], inside: [...intersection], outside: [...difference] });
           
           // ===============================================
           // STEP 2C: UPDATE WORKLIST
-          // ==========================================.0000000li=====
+          // ===============================================
           // Update worklist to ensure all necessary refinements are processed
           if (W.some(set => setsEqual(set, Y))) {
             // If Y was in worklist, replace it with both new sets
@@ -101,9 +166,29 @@ export function minimizeDFA(dfa) {
           }
         }
       }
+      
+      // Record the round: which splitter and symbol split which blocks
+      if (splits.length > 0) {
+        rounds.push({
+          round: rounds.length + 1,
+          splitter: [...A],
+          symbol,
+          splits,
+          partition: P.map(set => [...set])
+        });
+      }
     }
   }
   
+  return { initialPartition, rounds, partition: P };
+}
+
+/**
+ * Build the minimized DFA from the final partition
+ */
+function buildMinimizedDFA(dfa, P) {
+  const { alphabet, transitions, startState, finalStates } = dfa;
+  
   // ===============================================
   // STEP 3: BUILD MINIMIZED DFA
   // ===============================================
@@ -183,13 +268,106 @@ export function minimizeDFA(dfa) {
   // ===============================================
   // STEP 4: RETURN MINIMIZED DFA
   // ===============================================
-  // Return the constructed minimized DFA
+  // Return the minimized DFA with the states merged into each new state
   
-  return {
+  // Rename the states canonically (breadth-first over the sorted alphabet),
+  // so the same language always gives the same minimized DFA
+  const { dfa: minimizedDFA, mapping } = canonicalizeDFA({
     states: remappedStates,
     alphabet,
     transitions: newTransitions,
     startState: newStartState,
     finalStates: newFinalStates
-  };
+  });
+  
+  // Original states merged into each new state, in new state order
+  const classes = remappedStates
+    .map((state, i) => ({ state: mapping[state], members: [...P[i]] }))
+    .sort((a, b) => Number(a.state.slice(1)) - Number(b.state.slice(1)));
+  
+  return { minimizedDFA, classes };
+}
+
+// ===============================================
+// TABLE-FILLING (MYHILL–NERODE) METHOD
+// ===============================================
+
+/**
+ * Mark distinguishable state pairs with the table-filling algorithm
+ *
+ * Round 0 marks every pair of one final and one non-final state. Round k marks
+ * a pair (p, q) when some symbol leads to a pair marked in an earlier round.
+ * Pairs never marked are equivalent. The table is filled for the same
+ * preprocessed DFA as partition refinement uses: unreachable states are left
+ * out and a trap state is added when transitions are missing.
+ *
+ * @param {Object} dfa - Deterministic finite automaton structure
+ * @returns {Object} { states, marks, rounds, equivalentPairs, classes }
+ *   states: the states of the table (preprocessed DFA)
+ *   marks: [{ pair: [p, q], round, symbol, targets }] for every distinguishable pair (p before q in states)
+ *   rounds: pairs marked in each round
+ *   classes: groups of equivalent states in state order
+ */
+export function fillDistinguishabilityTable(dfa) {
+  const { states, alphabet, transitions, finalStates } = preprocessDFA(dfa).dfa;
+  
+  const next = new Map(transitions.map(t => [`${t.from}\u0000${t.symbol}`, t.to]));
+  const delta = (state, symbol) => next.get(`${state}\u0000${symbol}`);
+  const isFinal = state => finalStates.includes(state);
+  
+  const index = new Map(states.map((state, i) => [state, i]));
+  const pairKey = (p, q) => [index.get(p), index.get(q)].sort((a, b) => a - b).join(',');
+  const pairs = [];
+  for (let i = 0; i < states.length; i++) {
+    for (let j = i + 1; j < states.length; j++) {
+      pairs.push([states[i], states[j]]);
+    }
+  }
+  
+  // Round 0: final vs non-final
+  const marked = new Map();
+  for (const [p, q] of pairs) {
+    if (isFinal(p) !== isFinal(q)) {
+      marked.set(pairKey(p, q), { pair: [p, q], round: 0, symbol: null, targets: null });
+    }
+  }
+  
+  // Later rounds only look at marks from earlier rounds
+  for (let round = 1; ; round++) {
+    const newMarks = [];
+    for (const [p, q] of pairs) {
+      if (marked.has(pairKey(p, q))) continue;
+      for (const symbol of alphabet) {
+        const targets = [delta(p, symbol), delta(q, symbol)];
+        if (targets[0] !== targets[1] && marked.has(pairKey(...targets))) {
+          newMarks.push([pairKey(p, q), { pair: [p, q], round, symbol, targets }]);
+          break;
+        }
+      }
+    }
+    if (newMarks.length === 0) break;
+    newMarks.forEach(([key, mark]) => marked.set(key, mark));
+  }
+  
+  const marks = [...marked.values()];
+  const rounds = [];
+  for (const { pair, round } of marks) {
+    (rounds[round] ||= []).push(pair);
+  }
+  
+  const equivalentPairs = pairs.filter(([p, q]) => !marked.has(pairKey(p, q)));
+  
+  // Unmarked pairs are an equivalence relation; collect its classes
+  const classes = [];
+  for (const state of states) {
+    const group = classes.find(members => equivalentPairs.some(([p, q]) =>
+      (p === members[0] && q === state) || (q === members[0] && p === state)));
+    if (group) {
+      group.push(state);
+    } else {
+      classes.push([state]);
+    }
+  }
+  
+  return { states, marks, rounds, equivalentPairs, classes };
 }
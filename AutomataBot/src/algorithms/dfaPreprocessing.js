@@ -0,0 +1,118 @@
+// ===============================================
+// DFA PREPROCESSING FOR MINIMIZATION
+// ===============================================
+// Partition refinement and table filling are only correct on a complete DFA
+// whose states are all reachable. This file prepares a DFA for them:
+// - Reachability pruning: drop states the start state can never reach
+// - Completion: send missing transitions to an explicit trap state
+// - Dead-state trimming: drop states that can never reach a final state,
+//   so a minimized DFA can be shown without its trap state
+// The reachability and dead-state searches are shared with the connectivity
+// analysis of the Design FA feature.
+
+import { completeDFA } from './closureOperations.js';
+
+/**
+ * Find the states reachable from the start state
+ * @param {Object} fa - Finite automaton (DFA or NFA; every transition counts as an edge)
+ * @returns {Array<string>} Reachable states in breadth-first order
+ */
+export function findReachableStates(fa) {
+  const reachable = new Set([fa.startState]);
+  const queue = [fa.startState];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+
+    for (const transition of fa.transitions) {
+      if (transition.from === current && !reachable.has(transition.to)) {
+        reachable.add(transition.to);
+        queue.push(transition.to);
+      }
+    }
+  }
+
+  return Array.from(reachable);
+}
+
+/**
+ * Find dead states (states with no path to a final state)
+ * Searches backwards from the final states once instead of forwards from every state.
+ * @param {Object} fa - Finite automaton
+ * @returns {Array<string>} Dead states in state order
+ */
+export function findDeadStates(fa) {
+  const live = new Set(fa.finalStates.filter(state => fa.states.includes(state)));
+  const queue = [...live];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+
+    for (const transition of fa.transitions) {
+      if (transition.to === current && !live.has(transition.from)) {
+        live.add(transition.from);
+        queue.push(transition.from);
+      }
+    }
+  }
+
+  return fa.states.filter(state => !live.has(state));
+}
+
+/**
+ * Keep only the given states and the transitions between them
+ */
+function restrictToStates(fa, keep) {
+  const kept = new Set(keep);
+  return {
+    states: fa.states.filter(state => kept.has(state)),
+    alphabet: [...fa.alphabet],
+    transitions: fa.transitions.filter(t => kept.has(t.from) && kept.has(t.to)).map(t => ({ ...t })),
+    startState: fa.startState,
+    finalStates: fa.finalStates.filter(state => kept.has(state))
+  };
+}
+
+/**
+ * Remove the states that cannot be reached from the start state
+ * @param {Object} fa - Finite automaton
+ * @returns {Object} { dfa, removed }
+ */
+export function removeUnreachableStates(fa) {
+  const reachable = new Set(findReachableStates(fa));
+  return {
+    dfa: restrictToStates(fa, fa.states.filter(state => reachable.has(state))),
+    removed: fa.states.filter(state => !reachable.has(state))
+  };
+}
+
+/**
+ * Remove the states that cannot reach a final state, with the transitions into them
+ * The start state is always kept (an automaton for the empty language keeps
+ * just its start state). The result is usually a partial DFA.
+ * @param {Object} fa - Finite automaton
+ * @returns {Object} { dfa, removed }
+ */
+export function trimDeadStates(fa) {
+  const removed = findDeadStates(fa).filter(state => state !== fa.startState);
+  return {
+    dfa: restrictToStates(fa, fa.states.filter(state => !removed.includes(state))),
+    removed
+  };
+}
+
+/**
+ * Prepare a DFA for minimization: prune unreachable states, then complete it
+ * @param {Object} dfa - Deterministic (possibly partial) automaton
+ * @returns {Object} { dfa, unreachableStates, trapState, missingTransitions }
+ *   trapState is null when the reachable part was already complete
+ */
+export function preprocessDFA(dfa) {
+  const { dfa: reachable, removed: unreachableStates } = removeUnreachableStates(dfa);
+  const { dfa: complete, trapState } = completeDFA(reachable);
+  const missingTransitions = trapState
+    ? complete.transitions.filter(t => t.to === trapState && t.from !== trapState).length
+    : 0;
+
+  return { dfa: complete, unreachableStates, trapState, missingTransitions };
+}
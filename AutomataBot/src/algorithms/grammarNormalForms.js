@@ -0,0 +1,552 @@
+// ===============================================
+// CONTEXT-FREE GRAMMAR NORMAL FORMS
+// ===============================================
+// This file simplifies context-free grammars and converts them to normal forms:
+// - Nullable, generating and reachable variables
+// - Elimination of ε-productions, unit productions and useless symbols
+// - Chomsky normal form (A -> BC | a, and S -> ε when ε is in the language)
+// - Greibach normal form (A -> aB₁…Bₖ) by ordering the variables, removing
+//   left recursion and substituting back
+// Every conversion records its steps with the grammar after each one. All
+// transformations keep the language, including ε: when the start symbol is
+// nullable the result keeps a start rule S -> ε (with a new start symbol
+// when the old one appears in a body).
+// A grammar is { variables, terminals, productions: [{ head, body }],
+// startSymbol } (see utils/grammarParser.js).
+
+import { isVariable, formatProduction } from '../utils/grammarParser.js';
+
+/** Largest grammar a conversion may build; GNF in particular can grow quickly */
+export const MAX_GRAMMAR_PRODUCTIONS = 3000;
+
+/** Subscripts for the variables T_x -> x that stand for punctuation terminals in CNF */
+const TERMINAL_NAMES = {
+  '(': 'lp', ')': 'rp', '[': 'lb', ']': 'rb', '{': 'lc', '}': 'rc',
+  '+': 'plus', '-': 'minus', '*': 'times', '/': 'div', '=': 'eq',
+  ',': 'comma', '.': 'dot', ';': 'semi', '#': 'hash', '$': 'dollar'
+};
+
+// ===============================================
+// HELPERS
+// ===============================================
+
+/**
+ * Build a grammar from productions, dropping duplicates and listing only used symbols
+ * The start symbol stays first; other variables keep their order in variableOrder.
+ */
+function buildGrammar(productions, startSymbol, variableOrder) {
+  if (productions.length > MAX_GRAMMAR_PRODUCTIONS) {
+    throw new RangeError(`The grammar grew past ${MAX_GRAMMAR_PRODUCTIONS} productions; try a smaller grammar.`);
+  }
+
+  const seen = new Set();
+  const unique = productions.filter(({ head, body }) => {
+    const key = `${head}\u0000${body.join('\u0001')}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  const used = new Set([startSymbol]);
+  const terminals = [];
+  for (const { head, body } of unique) {
+    used.add(head);
+    for (const symbol of body) {
+      if (isVariable(symbol)) used.add(symbol);
+      else if (!terminals.includes(symbol)) terminals.push(symbol);
+    }
+  }
+  const order = [startSymbol, ...variableOrder.filter(v => v !== startSymbol), ...used];
+  const variables = [...new Set(order)].filter(v => used.has(v));
+
+  // Group productions by variable so the grammar reads rule by rule
+  const byHead = variables.flatMap(variable => unique.filter(p => p.head === variable));
+  return { variables, terminals, productions: byHead, startSymbol };
+}
+
+/**
+ * Add a prime to a variable name: A → A', T_a → T'_a, <Expr> → <Expr'>
+ */
+function addPrime(variable) {
+  return variable.startsWith('<') ? variable.replace(/>$/, "'>") : variable.replace(/^([A-Z]'*)/, "$1'");
+}
+
+/**
+ * Pick a variable name that the grammar does not use yet
+ * Tries base, then base with one prime, two primes, ...
+ */
+export function freshVariable(base, taken) {
+  let name = base;
+  while (taken.has(name)) name = addPrime(name);
+  taken.add(name);
+  return name;
+}
+
+/**
+ * Find the nullable variables (those that derive ε)
+ * @param {Object} grammar - Context-free grammar
+ * @returns {Array<string>} Nullable variables in grammar order
+ */
+export function findNullable(grammar) {
+  const nullable = new Set();
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const { head, body } of grammar.productions) {
+      if (!nullable.has(head) && body.every(symbol => nullable.has(symbol))) {
+        nullable.add(head);
+        changed = true;
+      }
+    }
+  }
+  return grammar.variables.filter(v => nullable.has(v));
+}
+
+/**
+ * Find the generating variables (those that derive some terminal string)
+ * @param {Object} grammar - Context-free grammar
+ * @returns {Array<string>} Generating variables in grammar order
+ */
+export function findGenerating(grammar) {
+  const generating = new Set();
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const { head, body } of grammar.productions) {
+      if (!generating.has(head) && body.every(symbol => !isVariable(symbol) || generating.has(symbol))) {
+        generating.add(head);
+        changed = true;
+      }
+    }
+  }
+  return grammar.variables.filter(v => generating.has(v));
+}
+
+/**
+ * Find the variables reachable from the start symbol
+ * @param {Object} grammar - Context-free grammar
+ * @returns {Array<string>} Reachable variables in grammar order
+ */
+export function findReachable(grammar) {
+  const reachable = new Set([grammar.startSymbol]);
+  const queue = [grammar.startSymbol];
+  while (queue.length > 0) {
+    const variable = queue.shift();
+    for (const { head, body } of grammar.productions) {
+      if (head !== variable) continue;
+      for (const symbol of body) {
+        if (isVariable(symbol) && !reachable.has(symbol)) {
+          reachable.add(symbol);
+          queue.push(symbol);
+        }
+      }
+    }
+  }
+  return grammar.variables.filter(v => reachable.has(v));
+}
+
+// ===============================================
+// SIMPLIFICATION
+// ===============================================
+
+/**
+ * Eliminate ε-productions
+ *
+ * Every production is replaced by all its variants with some nullable
+ * occurrences left out (dropping the variant with an empty body). If ε is in
+ * the language, the start symbol keeps S -> ε; when S appears in a body a new
+ * start symbol S_0 -> S | ε is added first, so ε stays out of every body.
+ *
+ * @param {Object} grammar - Context-free grammar
+ * @returns {Object} { grammar, nullable, newStart: the added start symbol or null, generatesEmpty }
+ */
+export function removeEpsilonProductions(grammar) {
+  const nullable = new Set(findNullable(grammar));
+  const productions = [];
+
+  for (const { head, body } of grammar.productions) {
+    let variants = [[]];
+    for (const symbol of body) {
+      variants = variants.flatMap(variant => nullable.has(symbol) ? [[...variant, symbol], variant] : [[...variant, symbol]]);
+      if (variants.length > MAX_GRAMMAR_PRODUCTIONS) {
+        throw new RangeError(`The grammar grew past ${MAX_GRAMMAR_PRODUCTIONS} productions; try a smaller grammar.`);
+      }
+    }
+    variants.filter(variant => variant.length > 0).forEach(variant => productions.push({ head, body: variant }));
+  }
+
+  const generatesEmpty = nullable.has(grammar.startSymbol);
+  let startSymbol = grammar.startSymbol;
+  let newStart = null;
+  if (generatesEmpty) {
+    const startInBody = grammar.productions.some(p => p.body.includes(grammar.startSymbol));
+    if (startInBody) {
+      const base = isVariable(`${grammar.startSymbol}_0`) ? `${grammar.startSymbol}_0` : addPrime(grammar.startSymbol);
+      newStart = freshVariable(base, new Set(grammar.variables));
+      startSymbol = newStart;
+      productions.unshift({ head: newStart, body: [grammar.startSymbol] });
+    }
+    productions.push({ head: startSymbol, body: [] });
+  }
+
+  return {
+    grammar: buildGrammar(productions, startSymbol, grammar.variables),
+    nullable: [...nullable],
+    newStart,
+    generatesEmpty
+  };
+}
+
+/**
+ * Eliminate unit productions (A -> B)
+ * For every unit pair (A, B) - A derives B using unit productions only - A
+ * gets every non-unit body of B.
+ *
+ * @param {Object} grammar - Context-free grammar
+ * @returns {Object} { grammar, unitPairs: [[A, B]] with A ≠ B }
+ */
+export function removeUnitProductions(grammar) {
+  const isUnit = ({ body }) => body.length === 1 && isVariable(body[0]);
+  const unitPairs = [];
+  const productions = [];
+
+  for (const variable of grammar.variables) {
+    // Variables reachable from this one through unit productions
+    const reached = [variable];
+    for (let i = 0; i < reached.length; i++) {
+      for (const p of grammar.productions) {
+        if (p.head === reached[i] && isUnit(p) && !reached.includes(p.body[0])) {
+          reached.push(p.body[0]);
+        }
+      }
+    }
+
+    for (const target of reached) {
+      if (target !== variable) unitPairs.push([variable, target]);
+      grammar.productions
+        .filter(p => p.head === target && !isUnit(p))
+        .forEach(p => productions.push({ head: variable, body: p.body }));
+    }
+  }
+
+  return { grammar: buildGrammar(productions, grammar.startSymbol, grammar.variables), unitPairs };
+}
+
+/**
+ * Eliminate useless symbols
+ * Non-generating variables go first (with every production that uses them),
+ * then symbols that are unreachable from the start symbol. The order matters:
+ * removing non-generating variables can make others unreachable.
+ *
+ * @param {Object} grammar - Context-free grammar
+ * @returns {Object} { grammar, nonGenerating, unreachable, empty: true when the language is empty }
+ */
+export function removeUselessSymbols(grammar) {
+  const generating = new Set(findGenerating(grammar));
+  const nonGenerating = grammar.variables.filter(v => !generating.has(v));
+  const productive = grammar.productions.filter(p =>
+    generating.has(p.head) && p.body.every(symbol => !isVariable(symbol) || generating.has(symbol))
+  );
+
+  const trimmed = { ...grammar, productions: productive };
+  const reachable = new Set(findReachable(trimmed));
+  const unreachable = grammar.variables.filter(v => generating.has(v) && !reachable.has(v));
+  const productions = productive.filter(p => reachable.has(p.head));
+
+  return {
+    grammar: buildGrammar(productions, grammar.startSymbol, grammar.variables),
+    nonGenerating,
+    unreachable,
+    empty: !generating.has(grammar.startSymbol)
+  };
+}
+
+/**
+ * Simplify a grammar: eliminate ε-productions, then unit productions, then useless symbols
+ * @param {Object} grammar - Context-free grammar
+ * @returns {Object} { grammar, steps: [{ name, description, grammar }], generatesEmpty, empty }
+ */
+export function simplifyGrammar(grammar) {
+  const steps = [];
+
+  const epsilon = removeEpsilonProductions(grammar);
+  let description = epsilon.nullable.length > 0
+    ? `Nullable variables: {${epsilon.nullable.join(', ')}}. Each production also appears with nullable occurrences left out.`
+    : 'No variable is nullable, so there is nothing to remove.';
+  if (epsilon.newStart) {
+    description += ` ε is in the language and ${grammar.startSymbol} appears in a body, so the new start symbol ${epsilon.newStart} -> ${grammar.startSymbol} | ε keeps it.`;
+  } else if (epsilon.generatesEmpty) {
+    description += ` ε is in the language, so ${grammar.startSymbol} -> ε is kept.`;
+  }
+  steps.push({ name: 'Remove ε-productions', description, grammar: epsilon.grammar });
+
+  const unit = removeUnitProductions(epsilon.grammar);
+  steps.push({
+    name: 'Remove unit productions',
+    description: unit.unitPairs.length > 0
+      ? `Unit pairs: ${unit.unitPairs.map(([a, b]) => `(${a}, ${b})`).join(', ')}. Each variable takes the non-unit bodies of the variables it reaches.`
+      : 'There are no unit productions.',
+    grammar: unit.grammar
+  });
+
+  const useless = removeUselessSymbols(unit.grammar);
+  const removed = [];
+  if (useless.nonGenerating.length > 0) removed.push(`non-generating {${useless.nonGenerating.join(', ')}}`);
+  if (useless.unreachable.length > 0) removed.push(`unreachable {${useless.unreachable.join(', ')}}`);
+  steps.push({
+    name: 'Remove useless symbols',
+    description: (removed.length > 0 ? `Removed ${removed.join(' and ')}.` : 'Every symbol is generating and reachable.')
+      + (useless.empty ? ` ${grammar.startSymbol} generates no string: the language is empty.` : ''),
+    grammar: useless.grammar
+  });
+
+  return { grammar: useless.grammar, steps, generatesEmpty: epsilon.generatesEmpty, empty: useless.empty };
+}
+
+// ===============================================
+// CHOMSKY NORMAL FORM
+// ===============================================
+
+/**
+ * Check whether a grammar is in Chomsky normal form
+ */
+export function isCNF(grammar) {
+  const startInBody = grammar.productions.some(p => p.body.includes(grammar.startSymbol));
+  return grammar.productions.every(({ head, body }) =>
+    (body.length === 2 && body.every(isVariable)) ||
+    (body.length === 1 && !isVariable(body[0])) ||
+    (body.length === 0 && head === grammar.startSymbol && !startInBody)
+  );
+}
+
+/**
+ * Convert a grammar to Chomsky normal form
+ *
+ * After simplification every body is a terminal or has length ≥ 2. Terminals
+ * in long bodies are replaced by variables T_a -> a, then bodies longer than
+ * two are split with new variables X_1, X_2, ... (A -> BCD becomes
+ * A -> B X_1, X_1 -> CD).
+ *
+ * @param {Object} grammar - Context-free grammar
+ * @returns {Object} { grammar, steps: [{ name, description, grammar }], generatesEmpty, empty }
+ */
+export function convertToCNF(grammar) {
+  const simplified = simplifyGrammar(grammar);
+  const steps = [...simplified.steps];
+  let current = simplified.grammar;
+  const taken = new Set(current.variables);
+
+  // Terminals in bodies of length ≥ 2
+  const terminalVariables = new Map();
+  const termProductions = [];
+  for (const { head, body } of current.productions) {
+    if (body.length < 2) {
+      termProductions.push({ head, body });
+      continue;
+    }
+    termProductions.push({
+      head,
+      body: body.map(symbol => {
+        if (isVariable(symbol)) return symbol;
+        if (!terminalVariables.has(symbol)) {
+          const base = /^[a-z0-9]$/.test(symbol) ? `T_${symbol}` : `T_${TERMINAL_NAMES[symbol] || `t${terminalVariables.size + 1}`}`;
+          terminalVariables.set(symbol, freshVariable(base, taken));
+        }
+        return terminalVariables.get(symbol);
+      })
+    });
+  }
+  for (const [terminal, variable] of terminalVariables) {
+    termProductions.push({ head: variable, body: [terminal] });
+  }
+  current = buildGrammar(termProductions, current.startSymbol, current.variables);
+  steps.push({
+    name: 'Replace terminals in long bodies',
+    description: terminalVariables.size > 0
+      ? `New variables: ${[...terminalVariables].map(([terminal, variable]) => `${variable} -> ${terminal}`).join(', ')}.`
+      : 'No body of length 2 or more contains a terminal.',
+    grammar: current
+  });
+
+  // Bodies longer than two
+  let counter = 0;
+  const binaryProductions = [];
+  const splits = [];
+  for (const { head, body } of current.productions) {
+    if (body.length <= 2) {
+      binaryProductions.push({ head, body });
+      continue;
+    }
+    let left = head;
+    for (let i = 0; i < body.length - 2; i++) {
+      let name;
+      do {
+        name = `X_${++counter}`;
+      } while (taken.has(name));
+      taken.add(name);
+      binaryProductions.push({ head: left, body: [body[i], name] });
+      left = name;
+    }
+    binaryProductions.push({ head: left, body: body.slice(-2) });
+    splits.push(formatProduction({ head, body }));
+  }
+  current = buildGrammar(binaryProductions, current.startSymbol, current.variables);
+  steps.push({
+    name: 'Split long bodies',
+    description: splits.length > 0
+      ? `Split ${splits.join(', ')} into chains of two-symbol bodies.`
+      : 'Every body already has at most two symbols.',
+    grammar: current
+  });
+
+  return { grammar: current, steps, generatesEmpty: simplified.generatesEmpty, empty: simplified.empty };
+}
+
+// ===============================================
+// GREIBACH NORMAL FORM
+// ===============================================
+
+/**
+ * Check whether a grammar is in Greibach normal form
+ */
+export function isGNF(grammar) {
+  const startInBody = grammar.productions.some(p => p.body.includes(grammar.startSymbol));
+  return grammar.productions.every(({ head, body }) =>
+    (body.length > 0 && !isVariable(body[0]) && body.slice(1).every(isVariable)) ||
+    (body.length === 0 && head === grammar.startSymbol && !startInBody)
+  );
+}
+
+/**
+ * Convert a grammar to Greibach normal form
+ *
+ * Starting from Chomsky normal form, the variables are ordered A₁ … Aₙ.
+ * Going up, every Aᵢ -> Aⱼγ with j < i is expanded by the bodies of Aⱼ and
+ * immediate left recursion Aᵢ -> Aᵢα is replaced by a new variable Aᵢ'
+ * (Aᵢ -> β | βAᵢ', Aᵢ' -> α | αAᵢ'). Then every body starts with a terminal
+ * or a later variable, so substituting from Aₙ down - and into the new
+ * variables last - makes every body start with a terminal.
+ *
+ * @param {Object} grammar - Context-free grammar
+ * @returns {Object} { grammar, steps: [{ name, description, grammar }], generatesEmpty, empty, order }
+ */
+export function convertToGNF(grammar) {
+  const cnf = convertToCNF(grammar);
+  const steps = [...cnf.steps];
+  const { startSymbol } = cnf.grammar;
+
+  // S -> ε is set aside and added back at the end (S never appears in a body then)
+  const order = [...cnf.grammar.variables];
+  const taken = new Set(order);
+  const rules = new Map(order.map(v => [v, []]));
+  for (const { head, body } of cnf.grammar.productions) {
+    if (body.length > 0) rules.get(head).push(body);
+  }
+  const rank = new Map(order.map((v, i) => [v, i]));
+  const primed = [];
+  const primedOf = new Map();
+  const size = () => [...rules.values()].reduce((total, bodies) => total + bodies.length, 0);
+  const checkSize = () => {
+    if (size() > MAX_GRAMMAR_PRODUCTIONS) {
+      throw new RangeError(`The grammar grew past ${MAX_GRAMMAR_PRODUCTIONS} productions; try a smaller grammar.`);
+    }
+  };
+  const snapshot = () => buildGrammar(
+    [...rules].flatMap(([head, bodies]) => bodies.map(body => ({ head, body }))),
+    startSymbol,
+    [...order, ...primed]
+  );
+
+  steps.push({
+    name: 'Order the variables',
+    description: `A₁ … Aₙ = ${order.join(', ')}${cnf.generatesEmpty ? `; ${startSymbol} -> ε is set aside until the end` : ''}.`,
+    grammar: snapshot()
+  });
+
+  // Upward pass: Aᵢ -> Aⱼγ only with j > i, no left recursion
+  const removedRecursion = [];
+  for (const variable of order) {
+    const i = rank.get(variable);
+    let bodies = rules.get(variable);
+
+    // Expand bodies that start with an earlier variable until none does
+    let expanded = true;
+    while (expanded) {
+      expanded = false;
+      const next = [];
+      for (const body of bodies) {
+        const first = body[0];
+        if (isVariable(first) && rank.has(first) && rank.get(first) < i) {
+          rules.get(first).forEach(replacement => next.push([...replacement, ...body.slice(1)]));
+          expanded = true;
+        } else {
+          next.push(body);
+        }
+      }
+      bodies = dedupeBodies(next);
+      rules.set(variable, bodies);
+      checkSize();
+    }
+
+    // Immediate left recursion
+    const recursive = bodies.filter(body => body[0] === variable);
+    if (recursive.length > 0) {
+      const prime = freshVariable(addPrime(variable), taken);
+      primed.push(prime);
+      primedOf.set(prime, variable);
+      const alphas = recursive.map(body => body.slice(1));
+      const betas = bodies.filter(body => body[0] !== variable);
+      rules.set(variable, dedupeBodies([...betas, ...betas.map(beta => [...beta, prime])]));
+      rules.set(prime, dedupeBodies([...alphas, ...alphas.map(alpha => [...alpha, prime])]));
+      removedRecursion.push(`${variable} (new ${prime})`);
+      checkSize();
+    }
+  }
+  steps.push({
+    name: 'Remove left recursion',
+    description: `Bodies starting with an earlier variable were expanded, so every body starts with a terminal or a later variable. `
+      + (removedRecursion.length > 0 ? `Left recursion removed for ${removedRecursion.join(', ')}.` : 'No variable was left recursive.'),
+    grammar: snapshot()
+  });
+
+  // Downward pass: substitute so that every body starts with a terminal
+  const substitute = variable => {
+    const next = [];
+    for (const body of rules.get(variable)) {
+      if (isVariable(body[0])) {
+        rules.get(body[0]).forEach(replacement => next.push([...replacement, ...body.slice(1)]));
+      } else {
+        next.push(body);
+      }
+    }
+    rules.set(variable, dedupeBodies(next));
+    checkSize();
+  };
+  [...order].reverse().forEach(substitute);
+  primed.forEach(substitute);
+
+  const productions = [...rules].flatMap(([head, bodies]) => bodies.map(body => ({ head, body })));
+  if (cnf.generatesEmpty) productions.push({ head: startSymbol, body: [] });
+  const substituted = buildGrammar(productions, startSymbol, [...order, ...primed]);
+  const result = removeUselessSymbols(substituted).grammar;
+  steps.push({
+    name: 'Substitute back',
+    description: `Working down from ${order[order.length - 1]} to ${order[0]}, then through the new variables, a body starting with a variable is expanded by that variable's bodies, which already start with terminals. Unused variables are dropped.`,
+    grammar: result
+  });
+
+  return { grammar: result, steps, generatesEmpty: cnf.generatesEmpty, empty: cnf.empty, order };
+}
+
+/**
+ * Remove duplicate bodies, keeping the first occurrence
+ */
+function dedupeBodies(bodies) {
+  const seen = new Set();
+  return bodies.filter(body => {
+    const key = body.join('\u0001');
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
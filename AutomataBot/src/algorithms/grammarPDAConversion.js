@@ -0,0 +1,257 @@
+// ===============================================
+// CFG ↔ PDA CONVERSIONS
+// ===============================================
+// This file implements the two textbook constructions between context-free
+// grammars and pushdown automata:
+// - CFG → PDA: one state q accepting by empty stack. The stack starts with
+//   the start symbol; ε-moves replace a variable on top by the body of one of
+//   its rules, and each terminal on top is popped by reading it. The moves
+//   follow a leftmost derivation.
+// - PDA → CFG: the triple construction. Variable <p,X,q> derives the strings
+//   that take the PDA from state p to state q while popping X for good. The
+//   PDA is first made to accept by empty stack and to pop on every move.
+// PDAs follow utils/pdaParser.js, grammars utils/grammarParser.js.
+
+import { EPSILON, isEpsilonSymbol } from '../utils/automataUtils.js';
+import { formatProduction } from '../utils/grammarParser.js';
+import { removeUselessSymbols, MAX_GRAMMAR_PRODUCTIONS } from './grammarNormalForms.js';
+
+/**
+ * Build the single-state PDA of a grammar
+ * @param {Object} grammar - Context-free grammar
+ * @returns {Object} { pda, steps: [{ name, description, transitions }] }
+ */
+export function cfgToPDA(grammar) {
+  const state = 'q';
+  const expand = grammar.productions.map(({ head, body }) => ({
+    from: state, symbol: EPSILON, pop: head, to: state, push: [...body]
+  }));
+  const match = grammar.terminals.map(terminal => ({
+    from: state, symbol: terminal, pop: terminal, to: state, push: []
+  }));
+
+  const pda = {
+    states: [state],
+    alphabet: [...grammar.terminals],
+    stackAlphabet: [...grammar.variables, ...grammar.terminals],
+    transitions: [...expand, ...match],
+    startState: state,
+    startStack: grammar.startSymbol,
+    finalStates: [],
+    acceptBy: 'empty'
+  };
+
+  const steps = [
+    {
+      name: 'Start with the start symbol on the stack',
+      description: `One state ${state}; the stack holds ${grammar.startSymbol} and the PDA accepts when the stack is empty and the input is read.`,
+      transitions: []
+    },
+    {
+      name: 'Expand variables',
+      description: 'For every rule A -> α, an ε-move replaces A on top of the stack by α (its first symbol on top).',
+      transitions: expand,
+      rules: grammar.productions.map(formatProduction)
+    },
+    {
+      name: 'Match terminals',
+      description: 'For every terminal a, reading a pops a from the top of the stack.',
+      transitions: match
+    }
+  ];
+
+  return { pda, steps };
+}
+
+/**
+ * Put a new bottom marker under the stack and accept by empty stack
+ * A new start state pushes the old initial stack on top of the marker. For
+ * acceptance by final state, every final state can move to a new state that
+ * empties the stack. For acceptance by empty stack, any state can pop the
+ * marker once the old stack is empty, so moves that pop nothing still see a
+ * symbol to pop when the old stack is empty.
+ * @returns {Object} { pda, added: Array<transition> }
+ */
+function addBottomMarker(pda) {
+  const takenStates = new Set(pda.states);
+  const takenSymbols = new Set(pda.stackAlphabet);
+  const start = freshName('p_start', takenStates);
+  const drain = freshName('p_empty', takenStates);
+  const bottom = freshName('X0', takenSymbols);
+  const stackAlphabet = [...pda.stackAlphabet, bottom];
+
+  const initial = { from: start, symbol: EPSILON, pop: bottom, to: pda.startState, push: pda.startStack ? [pda.startStack, bottom] : [bottom] };
+  const emptying = pda.acceptBy === 'empty'
+    ? pda.states.map(state => ({ from: state, symbol: EPSILON, pop: bottom, to: drain, push: [] }))
+    : [
+        ...pda.finalStates.flatMap(final => stackAlphabet.map(symbol => ({ from: final, symbol: EPSILON, pop: symbol, to: drain, push: [] }))),
+        ...stackAlphabet.map(symbol => ({ from: drain, symbol: EPSILON, pop: symbol, to: drain, push: [] }))
+      ];
+  const added = [initial, ...emptying];
+
+  return {
+    pda: {
+      ...pda,
+      states: [start, ...pda.states, drain],
+      stackAlphabet,
+      transitions: [...pda.transitions, ...added],
+      startState: start,
+      startStack: bottom,
+      finalStates: [],
+      acceptBy: 'empty'
+    },
+    added
+  };
+}
+
+/**
+ * Pick a state or stack symbol name that is not used yet
+ */
+function freshName(base, taken) {
+  let name = base;
+  for (let i = 1; taken.has(name); i++) name = `${base}${i}`;
+  taken.add(name);
+  return name;
+}
+
+/**
+ * Make every move pop exactly one symbol
+ * A move that pops nothing is replaced by one move per stack symbol X that
+ * pops X and pushes it back under the pushed string.
+ * @returns {Object} { pda, replaced: Array<transition> }
+ */
+function popOnEveryMove(pda) {
+  const popsNothing = t => isEpsilonSymbol(t.pop, pda.stackAlphabet);
+  const replaced = pda.transitions.filter(popsNothing);
+  const transitions = pda.transitions.flatMap(t => !popsNothing(t)
+    ? [t]
+    : pda.stackAlphabet.map(symbol => ({ ...t, pop: symbol, push: [...t.push, symbol] })));
+
+  return { pda: { ...pda, transitions }, replaced };
+}
+
+/**
+ * Name the stack symbols for use inside triple variables <p,X,q>
+ * Brackets are dropped, so a grammar variable <Expr> on the stack (as left by
+ * cfgToPDA) gives <p,Expr,q> instead of a nested name that is not a variable.
+ * @param {Array<string>} stackAlphabet - Stack symbols of the PDA
+ * @returns {Map<string, string>} Stack symbol → label, one distinct label each
+ */
+function tripleLabels(stackAlphabet) {
+  const labels = new Map();
+  const taken = new Set();
+  stackAlphabet.forEach((symbol, index) => {
+    let label = symbol.replace(/[<>]/g, '') || `X${index}`;
+    while (taken.has(label)) label = `${label}'`;
+    taken.add(label);
+    labels.set(symbol, label);
+  });
+  return labels;
+}
+
+/**
+ * Build a grammar for the language of a PDA with the triple construction
+ *
+ * S -> <q₀,Z₀,p> for every state p. A move from p reading a, popping X and
+ * going to r while pushing Y₁…Yₖ gives, for all states r₁ … rₖ,
+ * <p,X,rₖ> -> a <r,Y₁,r₁><r₁,Y₂,r₂>…<rₖ₋₁,Yₖ,rₖ> (and <p,X,r> -> a when k = 0).
+ * Most of these variables are useless and are removed at the end.
+ *
+ * @param {Object} pda - Pushdown automaton
+ * @returns {Object} { grammar, steps: [{ name, description, pda?, grammar?, transitions? }], rawProductionCount }
+ */
+export function pdaToCFG(pda) {
+  const steps = [];
+  let current = pda;
+
+  const popsNothing = pda.transitions.some(t => isEpsilonSymbol(t.pop, pda.stackAlphabet));
+  if (current.acceptBy !== 'empty' || !current.startStack || popsNothing) {
+    const marked = addBottomMarker(current);
+    const drain = marked.pda.states[marked.pda.states.length - 1];
+    current = marked.pda;
+    steps.push({
+      name: pda.acceptBy === 'empty' ? 'Add a bottom marker' : 'Accept by empty stack',
+      description: `New start state ${current.startState} puts the bottom marker ${current.startStack} under the old initial stack; `
+        + (pda.acceptBy === 'empty'
+          ? `once the old stack is empty, any state can pop ${current.startStack} and stop in ${drain}.`
+          : `every final state can move to ${drain}, which empties the stack.`),
+      transitions: marked.added,
+      pda: current
+    });
+  }
+
+  const popping = popOnEveryMove(current);
+  if (popping.replaced.length > 0) {
+    current = popping.pda;
+    steps.push({
+      name: 'Pop on every move',
+      description: `${popping.replaced.length} move(s) that popped nothing now pop each stack symbol and push it back.`,
+      transitions: popping.replaced,
+      pda: current
+    });
+  }
+
+  const { states } = current;
+  const labels = tripleLabels(current.stackAlphabet);
+  const triple = (p, X, q) => `<${p},${labels.get(X) ?? X},${q}>`;
+  const productions = [];
+  const addProduction = (head, body) => {
+    productions.push({ head, body });
+    if (productions.length > MAX_GRAMMAR_PRODUCTIONS) {
+      throw new RangeError(`The triple construction grew past ${MAX_GRAMMAR_PRODUCTIONS} productions; try a PDA with fewer states or shorter pushes.`);
+    }
+  };
+
+  const startSymbol = 'S';
+  states.forEach(p => addProduction(startSymbol, [triple(current.startState, current.startStack, p)]));
+
+  for (const t of current.transitions) {
+    const read = isEpsilonSymbol(t.symbol, current.alphabet) ? [] : [t.symbol];
+    if (t.push.length === 0) {
+      addProduction(triple(t.from, t.pop, t.to), read);
+      continue;
+    }
+
+    // Every sequence of intermediate states r₁ … rₖ
+    let sequences = [[]];
+    for (let i = 0; i < t.push.length; i++) {
+      sequences = sequences.flatMap(sequence => states.map(state => [...sequence, state]));
+      if (sequences.length > MAX_GRAMMAR_PRODUCTIONS) {
+        throw new RangeError(`The triple construction grew past ${MAX_GRAMMAR_PRODUCTIONS} productions; try a PDA with fewer states or shorter pushes.`);
+      }
+    }
+    for (const sequence of sequences) {
+      const body = [...read];
+      let from = t.to;
+      t.push.forEach((symbol, i) => {
+        body.push(triple(from, symbol, sequence[i]));
+        from = sequence[i];
+      });
+      addProduction(triple(t.from, t.pop, sequence[sequence.length - 1]), body);
+    }
+  }
+
+  const variables = [startSymbol];
+  for (const { head, body } of productions) {
+    for (const symbol of [head, ...body]) {
+      if (symbol.startsWith('<') && !variables.includes(symbol)) variables.push(symbol);
+    }
+  }
+  const raw = { variables, terminals: [...current.alphabet], productions, startSymbol };
+  steps.push({
+    name: 'Build the triple productions',
+    description: `Variables <p,X,q> for states p, q and stack symbol X; ${productions.length} productions from ${states.length} start rule(s) and ${current.transitions.length} move(s).`,
+    grammar: raw
+  });
+
+  const { grammar, nonGenerating, unreachable, empty } = removeUselessSymbols(raw);
+  steps.push({
+    name: 'Remove useless variables',
+    description: `${nonGenerating.length} non-generating and ${unreachable.length} unreachable variable(s) removed, leaving ${grammar.productions.length} production(s).`
+      + (empty ? ' The start symbol generates nothing: the PDA accepts no string.' : ''),
+    grammar
+  });
+
+  return { grammar, steps, rawProductionCount: productions.length, convertedPDA: current };
+}
+
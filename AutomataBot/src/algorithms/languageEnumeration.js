@@ -0,0 +1,222 @@
+// ===============================================
+// LANGUAGE ENUMERATION
+// ===============================================
+// This file lists and counts the strings an automaton accepts:
+// - Shortlex enumeration: shorter strings first, equal lengths in
+//   lexicographic order of the sorted alphabet
+// - Accepted and rejected strings up to a length bound (rejected strings are
+//   the accepted strings of the complement)
+// - Number of accepted strings of every length, by counting paths
+// - Emptiness and finiteness: the language is infinite exactly when a cycle
+//   lies on some path from the start state to a final state
+// NFAs are determinized first, so every string is counted once.
+
+import { nfaToDfa, isEpsilonSymbol } from '../utils/automataUtils.js';
+import { complementFA, isDeterministic } from './closureOperations.js';
+import { findReachableStates, findDeadStates } from './dfaPreprocessing.js';
+
+// Longest strings that may be enumerated or counted
+export const MAX_ENUMERATION_LENGTH = 20;
+
+// Most prefixes kept for one length while listing strings
+const MAX_FRONTIER = 5000;
+
+/**
+ * Transition lookup for a deterministic automaton
+ */
+function transitionFunction(dfa) {
+  const table = new Map(dfa.transitions.map(t => [`${t.from}\u0000${t.symbol}`, t.to]));
+  return (state, symbol) => table.get(`${state}\u0000${symbol}`);
+}
+
+/**
+ * List accepted strings of a DFA in shortlex order
+ * Prefixes that end in a dead state are dropped, so only prefixes of accepted
+ * strings are extended. Listing stops after limit strings, or when one length
+ * has more than MAX_FRONTIER live prefixes.
+ *
+ * @param {Object} dfa - Deterministic (possibly partial) automaton
+ * @param {number} maxLength - Longest string to list
+ * @param {number} limit - Most strings to list
+ * @returns {Array<string>} Accepted strings
+ */
+export function listAcceptedStrings(dfa, maxLength, limit) {
+  const alphabet = [...dfa.alphabet].sort();
+  const next = transitionFunction(dfa);
+  const dead = new Set(findDeadStates(dfa));
+  const strings = [];
+
+  let level = dead.has(dfa.startState) ? [] : [{ string: '', state: dfa.startState }];
+  for (let length = 0; length <= maxLength && level.length > 0; length++) {
+    for (const { string, state } of level) {
+      if (dfa.finalStates.includes(state)) {
+        strings.push(string);
+        if (strings.length >= limit) return strings;
+      }
+    }
+
+    const nextLevel = [];
+    for (const { string, state } of level) {
+      for (const symbol of alphabet) {
+        const target = next(state, symbol);
+        if (target !== undefined && !dead.has(target)) {
+          nextLevel.push({ string: string + symbol, state: target });
+        }
+      }
+    }
+    if (nextLevel.length > MAX_FRONTIER) break;
+    level = nextLevel;
+  }
+
+  return strings;
+}
+
+/**
+ * Count the accepted strings of every length from 0 to maxLength
+ * In a DFA every accepted string is one path from the start state to a final
+ * state, so the counts follow from counting paths one step at a time.
+ *
+ * @param {Object} dfa - Deterministic (possibly partial) automaton
+ * @param {number} maxLength - Longest length to count
+ * @returns {Array<number>} counts[n] = number of accepted strings of length n
+ */
+export function countAcceptedByLength(dfa, maxLength) {
+  const counts = [];
+  let paths = new Map([[dfa.startState, 1]]);
+
+  for (let length = 0; length <= maxLength; length++) {
+    let accepted = 0;
+    for (const [state, count] of paths) {
+      if (dfa.finalStates.includes(state)) accepted += count;
+    }
+    counts.push(accepted);
+
+    const nextPaths = new Map();
+    for (const t of dfa.transitions) {
+      const count = paths.get(t.from);
+      if (count) nextPaths.set(t.to, (nextPaths.get(t.to) || 0) + count);
+    }
+    paths = nextPaths;
+  }
+
+  return counts;
+}
+
+/**
+ * Decide whether the language of a DFA is empty, finite or infinite
+ *
+ * Only useful states matter - reachable from the start state and able to
+ * reach a final state. The language is empty when the start state is not
+ * useful, and infinite when the useful states contain a cycle. A finite
+ * language is measured by counting the paths of the acyclic useful part.
+ *
+ * @param {Object} dfa - Deterministic (possibly partial) automaton
+ * @returns {Object} { type, size, longestLength, cycleStates }
+ *   type: 'EMPTY' | 'FINITE' | 'INFINITE'
+ *   size, longestLength: number of accepted strings and the longest one (null if infinite)
+ *   cycleStates: useful states on the cycles found (empty unless infinite)
+ */
+export function classifyLanguage(dfa) {
+  const dead = new Set(findDeadStates(dfa));
+  const useful = new Set(findReachableStates(dfa).filter(state => !dead.has(state)));
+
+  if (!useful.has(dfa.startState)) {
+    return { type: 'EMPTY', size: 0, longestLength: null, cycleStates: [] };
+  }
+
+  const successors = new Map([...useful].map(state => [state, []]));
+  for (const t of dfa.transitions) {
+    if (useful.has(t.from) && useful.has(t.to)) successors.get(t.from).push(t.to);
+  }
+
+  // Depth-first search for a cycle: a back edge to a state still on the path.
+  // The search keeps its own stack, so long chains of states cannot overflow
+  // the call stack; states are recorded in the order they are finished.
+  const onPath = new Set([dfa.startState]);
+  const done = new Set();
+  const cycleStates = new Set();
+  const finished = [];
+  const path = [{ state: dfa.startState, next: 0 }];
+  while (path.length > 0) {
+    const frame = path[path.length - 1];
+    const targets = successors.get(frame.state);
+    if (frame.next === targets.length) {
+      path.pop();
+      onPath.delete(frame.state);
+      done.add(frame.state);
+      finished.push(frame.state);
+      continue;
+    }
+    const target = targets[frame.next++];
+    if (onPath.has(target)) {
+      path.slice(path.findIndex(f => f.state === target)).forEach(f => cycleStates.add(f.state));
+    } else if (!done.has(target)) {
+      onPath.add(target);
+      path.push({ state: target, next: 0 });
+    }
+  }
+
+  if (cycleStates.size > 0) {
+    return {
+      type: 'INFINITE',
+      size: null,
+      longestLength: null,
+      cycleStates: dfa.states.filter(state => cycleStates.has(state))
+    };
+  }
+
+  // Acyclic: every path from a state to a final state is one accepted suffix.
+  // A state finishes after all its successors, so they are measured first.
+  const measured = new Map();
+  for (const state of finished) {
+    const isFinal = dfa.finalStates.includes(state);
+    let size = isFinal ? 1 : 0;
+    let longest = isFinal ? 0 : -Infinity;
+    for (const target of successors.get(state)) {
+      const below = measured.get(target);
+      size += below.size;
+      longest = Math.max(longest, below.longest + 1);
+    }
+    measured.set(state, { size, longest });
+  }
+  const { size, longest } = measured.get(dfa.startState);
+
+  return { type: 'FINITE', size, longestLength: longest, cycleStates: [] };
+}
+
+/**
+ * Enumerate the language of an automaton up to a length bound
+ *
+ * @param {Object} fa - Finite automaton (DFA or NFA)
+ * @param {Object} options - { maxLength, limit: most strings listed per side }
+ * @returns {Object} { dfa, alphabet, accepted, rejected, acceptedCounts, totalCounts,
+ *   acceptedComplete, rejectedComplete, language }
+ *   acceptedComplete / rejectedComplete tell whether the lists hold every
+ *   string up to maxLength
+ */
+export function enumerateLanguage(fa, options = {}) {
+  const { maxLength = 6, limit = 20 } = options;
+  const determinized = isDeterministic(fa) ? fa : nfaToDfa(fa);
+  const alphabet = determinized.alphabet.filter(symbol => !isEpsilonSymbol(symbol, determinized.alphabet)).sort();
+  const dfa = { ...determinized, alphabet };
+
+  const accepted = listAcceptedStrings(dfa, maxLength, limit);
+  const rejected = listAcceptedStrings(complementFA(dfa).dfa, maxLength, limit);
+
+  const acceptedCounts = countAcceptedByLength(dfa, maxLength);
+  const totalCounts = acceptedCounts.map((_, length) => alphabet.length ** length);
+  const sum = counts => counts.reduce((total, count) => total + count, 0);
+  const acceptedTotal = sum(acceptedCounts);
+
+  return {
+    dfa,
+    alphabet,
+    accepted,
+    rejected,
+    acceptedCounts,
+    totalCounts,
+    acceptedComplete: accepted.length === acceptedTotal,
+    rejectedComplete: rejected.length === sum(totalCounts) - acceptedTotal,
+    language: classifyLanguage(dfa)
+  };
+}
@@ -0,0 +1,127 @@
+// ===============================================
+// PRODUCT CONSTRUCTION ALGORITHM
+// ===============================================
+// This file implements boolean operations over two DFAs:
+// - Runs both DFAs in parallel on the pairs of their states
+// - Aligns differing alphabets (a symbol unknown to one DFA leads to its trap)
+// - Decides acceptance of each pair from the chosen boolean operation
+// - Builds only the pairs reachable from the pair of start states
+
+// ===============================================
+// PAIR STATE HELPERS
+// ===============================================
+// Shared with the equivalence check, which walks the same product automaton.
+// null stands for the implicit trap state of a partial DFA.
+
+/**
+ * Sorted union of the alphabets of two DFAs
+ */
+export function combinedAlphabet(dfaA, dfaB) {
+  return [...new Set([...dfaA.alphabet, ...dfaB.alphabet])].sort();
+}
+
+/**
+ * Move one side of a pair on a symbol; a missing transition leads to the trap (null)
+ */
+export function stepSide(dfa, state, symbol) {
+  if (state === null) return null;
+  const transition = dfa.transitions.find(t => t.from === state && t.symbol === symbol);
+  return transition ? transition.to : null;
+}
+
+/**
+ * Whether one side of a pair is accepting (the trap never is)
+ */
+export function sideAccepts(dfa, state) {
+  return state !== null && dfa.finalStates.includes(state);
+}
+
+/**
+ * Key of a pair of states for visited sets and name maps
+ */
+export function pairKey(a, b) {
+  return `${a}\u0000${b}`;
+}
+
+/**
+ * Acceptance rule of each boolean operation, given whether A and B accept
+ */
+export const PRODUCT_OPERATIONS = {
+  union: (acceptA, acceptB) => acceptA || acceptB,
+  intersection: (acceptA, acceptB) => acceptA && acceptB,
+  difference: (acceptA, acceptB) => acceptA && !acceptB,
+  xor: (acceptA, acceptB) => acceptA !== acceptB
+};
+
+/**
+ * Build the product DFA of two DFAs for a boolean operation
+ *
+ * Algorithm:
+ * 1. Start from the pair (startA, startB)
+ * 2. For every symbol of the combined alphabet move both sides at once;
+ *    a missing transition sends that side to its implicit trap state
+ * 3. Each new pair becomes a product state named P0, P1, ... in discovery order
+ * 4. A pair is final when the operation holds for the acceptance of its sides
+ *
+ * A pair where both sides are trapped can never accept under any of the
+ * operations, so it is left out and the result stays a partial DFA.
+ *
+ * @param {Object} dfaA - First deterministic finite automaton
+ * @param {Object} dfaB - Second deterministic finite automaton
+ * @param {string} operation - 'union', 'intersection', 'difference' (A minus B) or 'xor'
+ * @returns {Object} { dfa, stateMapping } where stateMapping maps each product state to [stateA, stateB]
+ */
+export function productDFA(dfaA, dfaB, operation) {
+  const accepts = PRODUCT_OPERATIONS[operation];
+  if (!accepts) {
+    throw new Error(`Unknown product operation: ${operation}`);
+  }
+
+  const alphabet = combinedAlphabet(dfaA, dfaB);
+
+  const states = [];
+  const transitions = [];
+  const finalStates = [];
+  const stateMapping = {};
+  const names = new Map();
+  const queue = [];
+
+  const addPair = (a, b) => {
+    const name = `P${states.length}`;
+    names.set(pairKey(a, b), name);
+    states.push(name);
+    stateMapping[name] = [a, b];
+    if (accepts(sideAccepts(dfaA, a), sideAccepts(dfaB, b))) finalStates.push(name);
+    queue.push([a, b]);
+    return name;
+  };
+
+  addPair(dfaA.startState, dfaB.startState);
+
+  while (queue.length > 0) {
+    const [a, b] = queue.shift();
+    const from = names.get(pairKey(a, b));
+
+    for (const symbol of alphabet) {
+      const nextA = stepSide(dfaA, a, symbol);
+      const nextB = stepSide(dfaB, b, symbol);
+
+      // Both sides trapped: nothing can be accepted from here on
+      if (nextA === null && nextB === null) continue;
+
+      const to = names.get(pairKey(nextA, nextB)) || addPair(nextA, nextB);
+      transitions.push({ from, symbol, to });
+    }
+  }
+
+  return {
+    dfa: {
+      states,
+      alphabet,
+      transitions,
+      startState: 'P0',
+      finalStates
+    },
+    stateMapping
+  };
+}
@@ -0,0 +1,132 @@
+// ===============================================
+// PUMPING LEMMA FOR REGULAR LANGUAGES
+// ===============================================
+// This file holds the moves of the pumping lemma game:
+// - A split of s is s = xyz with |xy| ≤ p and |y| ≥ 1
+// - Pumping a split i times gives xyⁱz (i = 0 removes y)
+// - A split survives when every pumped string stays in the language;
+//   if no split of some s ∈ L with |s| ≥ p survives, the language does
+//   not satisfy the pumping lemma and so is not regular
+// Languages are given by a membership predicate, so the same moves work for
+// languages described by a formula or by an automaton. Exponents are tried
+// up to a limit, so "survives" means no exponent up to that limit breaks it.
+
+/** How far the adversary pumps before giving up on a split */
+export const PUMPING_LIMITS = {
+  maxExponent: 30,
+  maxPumpedLength: 400
+};
+
+/**
+ * List every split s = xyz allowed by the pumping lemma for length p
+ * @param {string} s - String to split
+ * @param {number} p - Pumping length
+ * @returns {Array<Object>} [{ x, y, z }] ordered by |x|, then |y|
+ */
+export function enumerateSplits(s, p) {
+  const symbols = [...s];
+  const splits = [];
+  for (let xLength = 0; xLength < Math.min(p, symbols.length); xLength++) {
+    for (let yLength = 1; xLength + yLength <= Math.min(p, symbols.length); yLength++) {
+      splits.push({
+        x: symbols.slice(0, xLength).join(''),
+        y: symbols.slice(xLength, xLength + yLength).join(''),
+        z: symbols.slice(xLength + yLength).join('')
+      });
+    }
+  }
+  return splits;
+}
+
+/**
+ * Pump a split: xyⁱz
+ */
+export function pumpString({ x, y, z }, i) {
+  return x + y.repeat(i) + z;
+}
+
+/**
+ * Find an exponent i that pumps a split out of the language
+ * i = 0 is tried first, then 2, 3, ... up to the limits.
+ * @param {Function} isMember - Membership predicate for the language
+ * @param {Object} split - { x, y, z }
+ * @param {Object} limits - { maxExponent, maxPumpedLength }
+ * @returns {Object} { i, pumped } with i null when no exponent up to
+ *   checkedUpTo leaves the language
+ */
+export function findPumpingExponent(isMember, split, limits = PUMPING_LIMITS) {
+  const { maxExponent = PUMPING_LIMITS.maxExponent, maxPumpedLength = PUMPING_LIMITS.maxPumpedLength } = limits;
+  const base = [...split.x].length + [...split.z].length;
+  const step = [...split.y].length;
+
+  let checkedUpTo = 0;
+  for (let i = 0; i <= maxExponent; i++) {
+    if (i === 1) continue;
+    if (base + i * step > maxPumpedLength) break;
+    checkedUpTo = i;
+    const pumped = pumpString(split, i);
+    if (!isMember(pumped)) return { i, pumped, checkedUpTo };
+  }
+  return { i: null, pumped: null, checkedUpTo };
+}
+
+/**
+ * Try every split of a string and find an exponent that breaks each one
+ * @param {Function} isMember - Membership predicate for the language
+ * @param {string} s - String in the language with |s| ≥ p
+ * @param {number} p - Pumping length
+ * @returns {Object} { splits, survivors } where splits are { x, y, z, i,
+ *   pumped, checkedUpTo } and survivors are the splits no exponent broke
+ */
+export function analyzeWitness(isMember, s, p) {
+  const splits = enumerateSplits(s, p).map(split => ({ ...split, ...findPumpingExponent(isMember, split) }));
+  return { splits, survivors: splits.filter(split => split.i === null) };
+}
+
+/**
+ * Read a split of s written as x|y|z, or as the lengths |x| and |y|
+ * @param {string} text - "ab|b|bb", "2 1" or "2,1"
+ * @param {string} s - The string being split
+ * @returns {Object} { split } or { error }
+ */
+export function parseSplit(text, s) {
+  const trimmed = text.trim();
+
+  const lengths = trimmed.match(/^(\d+)\s*[,;\s]\s*(\d+)$/);
+  if (lengths) {
+    const symbols = [...s];
+    const xLength = Number(lengths[1]);
+    const yLength = Number(lengths[2]);
+    if (xLength + yLength > symbols.length) {
+      return { error: `|x| + |y| = ${xLength + yLength} is longer than s (${symbols.length} symbols).` };
+    }
+    return {
+      split: {
+        x: symbols.slice(0, xLength).join(''),
+        y: symbols.slice(xLength, xLength + yLength).join(''),
+        z: symbols.slice(xLength + yLength).join('')
+      }
+    };
+  }
+
+  const parts = trimmed.split('|').map(part => part.trim().replace(/^ε$/, ''));
+  if (parts.length !== 3) {
+    return { error: 'Send the split as x|y|z (e.g. a|a|abb) or as the lengths |x| |y| (e.g. 1 1).' };
+  }
+  const [x, y, z] = parts;
+  if (x + y + z !== s) {
+    return { error: `x, y and z must spell s = ${s}, but they spell ${x + y + z || 'ε'}.` };
+  }
+  return { split: { x, y, z } };
+}
+
+/**
+ * Check the pumping lemma's conditions on a split
+ * @returns {string|null} Error message, or null when the split is allowed
+ */
+export function checkSplit({ x, y }, p) {
+  if (y.length === 0) return 'y must not be empty (|y| ≥ 1).';
+  const prefix = [...x].length + [...y].length;
+  if (prefix > p) return `|xy| = ${prefix} is longer than p = ${p}; y must lie within the first ${p} symbols.`;
+  return null;
+}
@@ -0,0 +1,165 @@
+// ===============================================
+// PUSHDOWN AUTOMATA
+// ===============================================
+// This file implements the pushdown automaton model used by the PDA feature:
+// - Nondeterministic simulation by breadth-first search over instantaneous
+//   descriptions (state, remaining input, stack)
+// - Acceptance by final state or by empty stack
+// - The sequence of instantaneous descriptions leading to acceptance (or, for
+//   a rejected string, along the branch that read the most input)
+// - Determinism check (DPDA conditions)
+// A PDA is { states, alphabet, stackAlphabet, transitions, startState,
+// startStack, finalStates, acceptBy } with transitions
+// { from, symbol, pop, to, push } where push lists stack symbols top first
+// and symbol/pop may be EPSILON (see utils/pdaParser.js).
+
+import { isEpsilonSymbol } from '../utils/automataUtils.js';
+import { formatStack } from '../utils/pdaParser.js';
+
+/** Search limits: a PDA may have infinitely many configurations (ε-moves that push) */
+export const DEFAULT_PDA_LIMITS = {
+  maxConfigurations: 20000,
+  maxStackHeight: 100
+};
+
+/**
+ * Format an instantaneous description (q, w, γ)
+ * @param {Object} id - { state, remaining, stack }
+ * @returns {string} e.g. "(q0, abb, AZ)"
+ */
+export function formatInstantaneousDescription({ state, remaining, stack }) {
+  return `(${state}, ${remaining === '' ? 'ε' : remaining}, ${formatStack(stack)})`;
+}
+
+/**
+ * Check whether a configuration is accepting
+ */
+function isAccepting(pda, config, inputLength, acceptBy) {
+  if (config.position !== inputLength) return false;
+  return acceptBy === 'empty' ? config.stack.length === 0 : pda.finalStates.includes(config.state);
+}
+
+/**
+ * Simulate a PDA on an input string
+ *
+ * Every configuration (state, input position, stack) is explored at most once,
+ * breadth first, so the accepting computation found uses the fewest moves.
+ * The search gives up after maxConfigurations configurations, and moves that
+ * would grow the stack beyond maxStackHeight are not followed; in both cases
+ * limitReached says why a rejection may not be final.
+ *
+ * @param {Object} pda - Pushdown automaton
+ * @param {string} input - Input string (one character per symbol)
+ * @param {Object} options - { acceptBy: 'final' | 'empty' (defaults to pda.acceptBy), maxConfigurations, maxStackHeight }
+ * @returns {Object} { accepted, acceptBy, trace, configurationsExplored, limitReached }
+ *   trace: [{ state, remaining, stack, transition }] from the start configuration;
+ *   transition is the move that led to the configuration (null for the first)
+ */
+export function simulatePDA(pda, input, options = {}) {
+  const {
+    acceptBy = pda.acceptBy || 'final',
+    maxConfigurations = DEFAULT_PDA_LIMITS.maxConfigurations,
+    maxStackHeight = DEFAULT_PDA_LIMITS.maxStackHeight
+  } = options;
+  const symbols = [...input];
+
+  const start = {
+    state: pda.startState,
+    position: 0,
+    stack: pda.startStack ? [pda.startStack] : [],
+    parent: null,
+    transition: null
+  };
+  const keyOf = config => `${config.state}\u0000${config.position}\u0000${config.stack.join('\u0001')}`;
+  const visited = new Set([keyOf(start)]);
+  const queue = [start];
+  let furthest = start;
+  let accepting = null;
+  let limitReached = null;
+
+  while (queue.length > 0 && !accepting) {
+    const config = queue.shift();
+    if (isAccepting(pda, config, symbols.length, acceptBy)) {
+      accepting = config;
+      break;
+    }
+    if (config.position > furthest.position) furthest = config;
+
+    for (const t of pda.transitions) {
+      if (t.from !== config.state) continue;
+
+      const readsNothing = isEpsilonSymbol(t.symbol, pda.alphabet);
+      if (!readsNothing && symbols[config.position] !== t.symbol) continue;
+      const popsNothing = isEpsilonSymbol(t.pop, pda.stackAlphabet);
+      if (!popsNothing && config.stack[0] !== t.pop) continue;
+
+      const stack = [...t.push, ...(popsNothing ? config.stack : config.stack.slice(1))];
+      if (stack.length > maxStackHeight) {
+        limitReached = 'stack';
+        continue;
+      }
+
+      const next = {
+        state: t.to,
+        position: config.position + (readsNothing ? 0 : 1),
+        stack,
+        parent: config,
+        transition: t
+      };
+      const key = keyOf(next);
+      if (visited.has(key)) continue;
+      if (visited.size >= maxConfigurations) {
+        limitReached = 'configurations';
+        queue.length = 0;
+        break;
+      }
+      visited.add(key);
+      queue.push(next);
+    }
+  }
+
+  // Walk back from the accepting (or furthest) configuration to the start
+  const trace = [];
+  for (let config = accepting || furthest; config; config = config.parent) {
+    trace.unshift({
+      state: config.state,
+      remaining: symbols.slice(config.position).join(''),
+      stack: config.stack,
+      transition: config.transition
+    });
+  }
+
+  return {
+    accepted: accepting !== null,
+    acceptBy,
+    trace,
+    configurationsExplored: visited.size,
+    limitReached: accepting ? null : limitReached
+  };
+}
+
+/**
+ * Check the DPDA conditions
+ * Two moves from the same state conflict when they can apply to the same
+ * configuration: their input symbols are equal or one of them is ε, and their
+ * popped symbols are equal or one of them is ε.
+ *
+ * @param {Object} pda - Pushdown automaton
+ * @returns {Object} { deterministic, conflicts: [[transitionA, transitionB]] }
+ */
+export function checkPDADeterminism(pda) {
+  const conflicts = [];
+  const overlaps = (a, b, alphabet) => a === b || isEpsilonSymbol(a, alphabet) || isEpsilonSymbol(b, alphabet);
+
+  pda.transitions.forEach((a, i) => {
+    pda.transitions.slice(i + 1).forEach(b => {
+      if (a.from === b.from &&
+          overlaps(a.symbol, b.symbol, pda.alphabet) &&
+          overlaps(a.pop, b.pop, pda.stackAlphabet)) {
+        conflicts.push([a, b]);
+      }
+    });
+  });
+
+  return { deterministic: conflicts.length === 0, conflicts };
+}
@@ -0,0 +1,299 @@
+// ===============================================
+// LAYERED LAYOUT FOR STATE DIAGRAMS
+// ===============================================
+// This file computes where states and transitions are drawn:
+// - Layers (columns) by BFS distance from the start state
+// - Crossing minimization inside the layers (barycenter heuristic)
+// - One edge per pair of states with a merged label such as "0,1"
+// - Curved arcs for opposing edges, back edges and edges skipping layers
+// - A bounding box that tells the renderer how large the drawing is
+// The layout is renderer independent: the canvas images (imageService) and
+// the SVG renderer draw the same geometry.
+
+import { groupTransitions } from '../utils/dotExporter.js';
+
+const DEFAULT_OPTIONS = {
+  stateRadius: 25,
+  layerGap: 150,
+  rowGap: 100,
+  padding: 30,
+  charWidth: 7 // Approximate label character width in pixels
+};
+
+/**
+ * Assign every state to a layer by BFS distance from the start state
+ * Unreachable states are put in one extra layer at the end.
+ * @returns {Array<Array<string>>} States per layer in discovery order
+ */
+function assignLayers(fa) {
+  const depth = new Map();
+  const queue = [];
+  if (fa.states.includes(fa.startState)) {
+    depth.set(fa.startState, 0);
+    queue.push(fa.startState);
+  }
+
+  while (queue.length > 0) {
+    const state = queue.shift();
+    for (const t of fa.transitions) {
+      if (t.from === state && !depth.has(t.to)) {
+        depth.set(t.to, depth.get(state) + 1);
+        queue.push(t.to);
+      }
+    }
+  }
+
+  const layers = [];
+  for (const [state, d] of depth) {
+    (layers[d] ||= []).push(state);
+  }
+  const unreachable = fa.states.filter(state => !depth.has(state));
+  if (unreachable.length > 0) layers.push(unreachable);
+  return layers;
+}
+
+/**
+ * Count edge crossings between two adjacent layers
+ */
+function countCrossings(upper, lower, neighbors) {
+  const upperIndex = new Map(upper.map((state, index) => [state, index]));
+  const lowerIndex = new Map(lower.map((state, index) => [state, index]));
+  const segments = [];
+  for (const state of upper) {
+    for (const other of neighbors.get(state)) {
+      if (lowerIndex.has(other)) segments.push([upperIndex.get(state), lowerIndex.get(other)]);
+    }
+  }
+
+  let crossings = 0;
+  for (let i = 0; i < segments.length; i++) {
+    for (let j = i + 1; j < segments.length; j++) {
+      const [a1, b1] = segments[i];
+      const [a2, b2] = segments[j];
+      if ((a1 - a2) * (b1 - b2) < 0) crossings++;
+    }
+  }
+  return crossings;
+}
+
+/**
+ * Reorder the states inside each layer to reduce edge crossings
+ *
+ * Alternating downward and upward sweeps sort each layer by the average
+ * position (barycenter) of its neighbours in the previous layer. The ordering
+ * with the fewest crossings seen is kept.
+ *
+ * @param {Array<Array<string>>} layers - States per layer
+ * @param {Array<Object>} edges - Grouped transition edges
+ * @returns {Object} { layers, crossings }
+ */
+export function minimizeCrossings(layers, edges, sweeps = 8) {
+  // Undirected adjacency; only edges between different states matter
+  const neighbors = new Map(layers.flat().map(state => [state, []]));
+  for (const { from, to } of edges) {
+    if (from === to || !neighbors.has(from) || !neighbors.has(to)) continue;
+    neighbors.get(from).push(to);
+    neighbors.get(to).push(from);
+  }
+
+  const totalCrossings = order => order.slice(1)
+    .reduce((sum, layer, index) => sum + countCrossings(order[index], layer, neighbors), 0);
+
+  let current = layers.map(layer => [...layer]);
+  let best = current.map(layer => [...layer]);
+  let bestCrossings = totalCrossings(best);
+
+  for (let sweep = 0; sweep < sweeps && bestCrossings > 0; sweep++) {
+    const downward = sweep % 2 === 0;
+    const indices = [...current.keys()];
+    if (!downward) indices.reverse();
+
+    for (const layerIndex of indices.slice(1)) {
+      const reference = current[layerIndex + (downward ? -1 : 1)];
+      const referenceIndex = new Map(reference.map((state, index) => [state, index]));
+
+      const barycenters = new Map(current[layerIndex].map((state, index) => {
+        const positions = neighbors.get(state).filter(n => referenceIndex.has(n)).map(n => referenceIndex.get(n));
+        const value = positions.length > 0
+          ? positions.reduce((sum, p) => sum + p, 0) / positions.length
+          : index; // States without neighbours there keep their place
+        return [state, value];
+      }));
+
+      current[layerIndex] = [...current[layerIndex]].sort((a, b) => barycenters.get(a) - barycenters.get(b));
+    }
+
+    const crossings = totalCrossings(current);
+    if (crossings < bestCrossings) {
+      bestCrossings = crossings;
+      best = current.map(layer => [...layer]);
+    }
+  }
+
+  return { layers: best, crossings: bestCrossings };
+}
+
+/**
+ * Point on the circle of a state in the direction of a target point
+ */
+function pointOnCircle(center, toward, radius) {
+  const dx = toward.x - center.x;
+  const dy = toward.y - center.y;
+  const length = Math.hypot(dx, dy) || 1;
+  return { x: center.x + (dx / length) * radius, y: center.y + (dy / length) * radius };
+}
+
+/**
+ * Compute the geometry of one grouped edge
+ *
+ * Self-loops are cubic curves above the state. Other edges are quadratic
+ * curves: straight (control point on the line) for forward edges to the next
+ * layer, bent to the left of the direction of travel for edges that have a
+ * partner in the opposite direction, back edges and edges skipping layers.
+ */
+function routeEdge(edge, positions, hasOpposite, options) {
+  const { stateRadius, layerGap } = options;
+  const from = positions[edge.from];
+  const to = positions[edge.to];
+  const label = edge.symbols.join(',');
+
+  if (edge.from === edge.to) {
+    const top = from.y - stateRadius;
+    return {
+      ...edge,
+      label,
+      loop: true,
+      start: { x: from.x - 10, y: top + 2 },
+      control1: { x: from.x - 30, y: top - 45 },
+      control2: { x: from.x + 30, y: top - 45 },
+      end: { x: from.x + 10, y: top + 2 },
+      labelPosition: { x: from.x, y: top - 42 },
+      arrowAngle: Math.atan2((top + 2) - (top - 45), (from.x + 10) - (from.x + 30))
+    };
+  }
+
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const distance = Math.hypot(dx, dy);
+  const toNextLayer = dx > 0 && dx <= layerGap;
+  const bend = hasOpposite ? 30 : toNextLayer ? 0 : Math.min(100, Math.max(30, distance * 0.25));
+
+  const control = {
+    x: (from.x + to.x) / 2 + (dy / distance) * bend,
+    y: (from.y + to.y) / 2 - (dx / distance) * bend
+  };
+  const start = pointOnCircle(from, bend ? control : to, stateRadius);
+  const end = pointOnCircle(to, bend ? control : from, stateRadius + 2);
+
+  // Midpoint of the quadratic curve; straight labels sit just above the line
+  const labelPosition = {
+    x: (start.x + 2 * control.x + end.x) / 4,
+    y: (start.y + 2 * control.y + end.y) / 4 - (bend ? 0 : 8)
+  };
+
+  return {
+    ...edge,
+    label,
+    loop: false,
+    start,
+    control,
+    end,
+    labelPosition,
+    arrowAngle: Math.atan2(end.y - control.y, end.x - control.x)
+  };
+}
+
+/**
+ * Move every coordinate of a layout by (dx, dy)
+ */
+function shiftLayout(positions, edges, dx, dy) {
+  const shift = point => {
+    point.x += dx;
+    point.y += dy;
+  };
+  Object.values(positions).forEach(shift);
+  for (const edge of edges) {
+    for (const key of ['start', 'control', 'control1', 'control2', 'end', 'labelPosition']) {
+      if (edge[key]) shift(edge[key]);
+    }
+  }
+}
+
+/**
+ * Lay out an automaton for drawing
+ *
+ * Coordinates start at (0, 0); width and height cover every state, curve and
+ * label plus padding, so renderers size their canvas from them and translate
+ * the drawing to where they want it.
+ *
+ * @param {Object} fa - Finite automaton
+ * @param {Object} options - stateRadius, layerGap, rowGap, padding, charWidth
+ * @returns {Object} { positions, edges, layers, crossings, width, height }
+ */
+export function layoutAutomaton(fa, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const { stateRadius, rowGap, padding, charWidth } = settings;
+  const grouped = groupTransitions(fa);
+
+  // Leave room between layers for the longest edge label
+  const longestLabel = Math.max(0, ...grouped.map(edge => edge.symbols.join(',').length));
+  settings.layerGap = Math.max(settings.layerGap, 2 * stateRadius + longestLabel * charWidth + 40);
+
+  const { layers, crossings } = minimizeCrossings(assignLayers(fa), grouped);
+  const rows = Math.max(1, ...layers.map(layer => layer.length));
+
+  const positions = {};
+  layers.forEach((layer, column) => {
+    // Center each layer vertically
+    const top = ((rows - layer.length) * rowGap) / 2;
+    layer.forEach((state, row) => {
+      positions[state] = { x: column * settings.layerGap, y: top + row * rowGap };
+    });
+  });
+
+  const edgeKeys = new Set(grouped.map(edge => `${edge.from}\u0000${edge.to}`));
+  const edges = grouped
+    .filter(edge => positions[edge.from] && positions[edge.to])
+    .map(edge => {
+      const hasOpposite = edge.from !== edge.to && edgeKeys.has(`${edge.to}\u0000${edge.from}`);
+      return routeEdge(edge, positions, hasOpposite, settings);
+    });
+
+  // Bounding box of states (with their start arrows), curves and labels
+  const xs = [];
+  const ys = [];
+  for (const [state, pos] of Object.entries(positions)) {
+    xs.push(pos.x - stateRadius - (state === fa.startState ? 40 : 0), pos.x + stateRadius);
+    ys.push(pos.y - stateRadius, pos.y + stateRadius);
+  }
+  for (const edge of edges) {
+    const halfLabel = (edge.label.length * charWidth) / 2;
+    // A quadratic curve never leaves the triangle of its points; halfway to the control point is its extreme
+    const curvePoints = edge.loop
+      ? [edge.control1, edge.control2]
+      : [{ x: (edge.start.x + edge.end.x) / 4 + edge.control.x / 2, y: (edge.start.y + edge.end.y) / 4 + edge.control.y / 2 }];
+    for (const point of curvePoints) {
+      xs.push(point.x);
+      ys.push(point.y);
+    }
+    xs.push(edge.labelPosition.x - halfLabel, edge.labelPosition.x + halfLabel);
+    ys.push(edge.labelPosition.y - 10, edge.labelPosition.y + 10);
+  }
+
+  if (xs.length === 0) {
+    return { positions, edges, layers, crossings, width: 2 * padding, height: 2 * padding };
+  }
+
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  shiftLayout(positions, edges, padding - minX, padding - minY);
+
+  return {
+    positions,
+    edges,
+    layers,
+    crossings,
+    width: Math.ceil(Math.max(...xs) - minX + 2 * padding),
+    height: Math.ceil(Math.max(...ys) - minY + 2 * padding)
+  };
+}
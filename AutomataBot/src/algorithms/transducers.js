@@ -0,0 +1,236 @@
+// ===============================================
+// MEALY AND MOORE MACHINES
+// ===============================================
+// This file runs finite-state transducers and converts between the two kinds:
+// - A Mealy machine outputs one symbol on every transition it takes
+// - A Moore machine outputs the symbol of every state it enters, starting
+//   with the start state, so it writes one more symbol than it reads
+// - Mealy → Moore splits each state by the output of the transitions that
+//   enter it; Moore → Mealy moves each state's output onto the transitions
+//   that enter it
+// The Moore machine's first output does not depend on the input, so the two
+// machines are equivalent when the Moore output minus its first symbol equals
+// the Mealy output for every input.
+// Machines follow utils/transducerParser.js: { type, states, alphabet,
+// outputAlphabet, transitions, startState, outputs } with Mealy transitions
+// { from, symbol, to, output } and Moore state outputs in outputs[state].
+
+/**
+ * Join output symbols into a string, separated by spaces when some output
+ * is longer than one character
+ * @param {Array<string>} symbols - Output symbols in order
+ * @returns {string} Output string
+ */
+export function joinOutputs(symbols) {
+  return symbols.join(symbols.some(symbol => [...symbol].length !== 1) ? ' ' : '');
+}
+
+/**
+ * Run a Mealy or Moore machine on an input string
+ * @param {Object} machine - Mealy or Moore machine
+ * @param {string} input - Input string, read one character at a time
+ * @returns {Object} { outputs, output, steps, completed, stoppedAt }
+ *   outputs: the output symbols in order; output: them joined (see joinOutputs)
+ *   steps: { step, state, symbol, next, output } per symbol read, after a
+ *   Moore machine's step 0 with the start state's output
+ *   completed: false when a state had no move for the next symbol, whose
+ *   position is then stoppedAt
+ */
+export function simulateTransducer(machine, input) {
+  const moves = new Map(machine.transitions.map(t => [`${t.from}\u0000${t.symbol}`, t]));
+  const isMoore = machine.type === 'moore';
+
+  const steps = [];
+  const outputs = [];
+  let state = machine.startState;
+  if (isMoore) {
+    outputs.push(machine.outputs[state]);
+    steps.push({ step: 0, state: null, symbol: null, next: state, output: machine.outputs[state] });
+  }
+
+  const symbols = [...input];
+  let stoppedAt = null;
+  for (let position = 0; position < symbols.length; position++) {
+    const transition = moves.get(`${state}\u0000${symbols[position]}`);
+    if (!transition) {
+      stoppedAt = position;
+      break;
+    }
+    const output = isMoore ? machine.outputs[transition.to] : transition.output;
+    outputs.push(output);
+    steps.push({ step: position + 1, state, symbol: symbols[position], next: transition.to, output });
+    state = transition.to;
+  }
+
+  return {
+    outputs,
+    output: joinOutputs(outputs),
+    steps,
+    completed: stoppedAt === null,
+    stoppedAt
+  };
+}
+
+/**
+ * Pick a name that is not taken yet, adding primes as needed
+ */
+function freshName(base, taken) {
+  let name = base;
+  while (taken.has(name)) name += "'";
+  taken.add(name);
+  return name;
+}
+
+/**
+ * Convert a Mealy machine to an equivalent Moore machine
+ * Every state q becomes one Moore state per output b written by a
+ * transition into q, with output b. The start state keeps the output of
+ * one of those copies (or the first output symbol when nothing enters it, and
+ * the empty output when there are no output symbols), which only affects the
+ * Moore machine's first output.
+ *
+ * @param {Object} mealy - Mealy machine
+ * @returns {Object} { machine, steps, stateMap } where stateMap lists the
+ *   Moore states made from each Mealy state
+ */
+export function mealyToMoore(mealy) {
+  // Step 1: the outputs written on the way into each state
+  const entering = new Map(mealy.states.map(state => [state, []]));
+  for (const t of mealy.transitions) {
+    const list = entering.get(t.to);
+    if (!list.includes(t.output)) list.push(t.output);
+  }
+  const startOutputs = entering.get(mealy.startState);
+  const addedStartCopy = startOutputs.length === 0;
+  if (addedStartCopy) startOutputs.push(mealy.outputAlphabet[0] ?? '');
+
+  // Step 2: one Moore state per (state, output) pair, keeping the plain name
+  // when a state has a single output
+  const taken = new Set(mealy.states);
+  const names = new Map();
+  const states = [];
+  const outputs = {};
+  for (const state of mealy.states) {
+    const list = entering.get(state);
+    list.forEach(output => {
+      let name = state;
+      if (list.length > 1) name = freshName(`${state}_${output}`, taken);
+      names.set(`${state}\u0000${output}`, name);
+      states.push(name);
+      outputs[name] = output;
+    });
+  }
+
+  // Step 3: a copy of p reading a goes to the copy of the target for the output written
+  const transitions = [];
+  for (const state of mealy.states) {
+    for (const output of entering.get(state)) {
+      const from = names.get(`${state}\u0000${output}`);
+      for (const t of mealy.transitions.filter(move => move.from === state)) {
+        transitions.push({ from, symbol: t.symbol, to: names.get(`${t.to}\u0000${t.output}`) });
+      }
+    }
+  }
+
+  const startState = names.get(`${mealy.startState}\u0000${startOutputs[0]}`);
+  const stateMap = mealy.states.map(state => ({
+    state,
+    copies: entering.get(state).map(output => names.get(`${state}\u0000${output}`))
+  }));
+
+  const steps = [
+    {
+      title: 'Collect the outputs entering each state',
+      description: 'A Moore state has a single output, so each Mealy state needs one copy per output written on its incoming transitions',
+      rows: stateMap.map(({ state, copies }) => ({ state, outputs: entering.get(state), copies }))
+    },
+    {
+      title: 'Redirect the transitions',
+      description: 'A copy of p reading a moves to the copy of the target whose output is the one the Mealy transition writes',
+      transitionCount: transitions.length
+    },
+    {
+      title: 'Choose the start state',
+      description: addedStartCopy
+        ? startOutputs[0] === ''
+          ? `No transition enters ${mealy.startState} and there are no output symbols, so it gets the empty output`
+          : `No transition enters ${mealy.startState}, so it gets output ${startOutputs[0]}; the Moore machine writes it before reading any input`
+        : `${startState} starts; its output is written before any input is read`
+    }
+  ];
+
+  return {
+    machine: {
+      type: 'moore',
+      states,
+      alphabet: [...mealy.alphabet],
+      outputAlphabet: [...mealy.outputAlphabet],
+      transitions,
+      startState,
+      outputs
+    },
+    steps,
+    stateMap
+  };
+}
+
+/**
+ * Convert a Moore machine to an equivalent Mealy machine
+ * The states stay the same and every transition writes the output of the
+ * state it enters.
+ *
+ * @param {Object} moore - Moore machine
+ * @returns {Object} { machine, steps }
+ */
+export function mooreToMealy(moore) {
+  const transitions = moore.transitions.map(t => ({ ...t, output: moore.outputs[t.to] }));
+
+  const steps = [
+    {
+      title: 'Move the outputs onto the transitions',
+      description: 'Each transition p,a,q writes the output of q, the state it enters',
+      transitionCount: transitions.length
+    },
+    {
+      title: 'Drop the first output',
+      description: `The Moore machine writes ${moore.outputs[moore.startState]} for ${moore.startState} before reading anything; the Mealy machine has no such output`
+    }
+  ];
+
+  return {
+    machine: {
+      type: 'mealy',
+      states: [...moore.states],
+      alphabet: [...moore.alphabet],
+      outputAlphabet: [...moore.outputAlphabet],
+      transitions,
+      startState: moore.startState
+    },
+    steps
+  };
+}
+
+/**
+ * Check a conversion on every input up to a length, comparing the Mealy
+ * output with the Moore output minus its first symbol
+ * @param {Object} mealy - Mealy machine
+ * @param {Object} moore - Moore machine
+ * @param {number} maxLength - Longest input to try
+ * @returns {Object} { checked, counterexample } with counterexample null when all agree
+ */
+export function compareTransducers(mealy, moore, maxLength) {
+  let checked = 0;
+  let level = [''];
+  for (let length = 0; length <= maxLength; length++) {
+    for (const input of level) {
+      checked++;
+      const mealyRun = simulateTransducer(mealy, input);
+      const mooreRun = simulateTransducer(moore, input);
+      if (mealyRun.completed !== mooreRun.completed || joinOutputs(mooreRun.outputs.slice(1)) !== mealyRun.output) {
+        return { checked, counterexample: input };
+      }
+    }
+    level = level.flatMap(prefix => mealy.alphabet.map(symbol => prefix + symbol));
+  }
+  return { checked, counterexample: null };
+}
@@ -0,0 +1,139 @@
+// ===============================================
+// TURING MACHINE SIMULATION
+// ===============================================
+// This file runs single-tape deterministic Turing machines:
+// - The tape is infinite in both directions and blank outside the input
+// - Each step reads the symbol under the head, writes, moves the head L, R
+//   or S (stay) and changes state
+// - The run stops when the machine enters an accept or reject state, when no
+//   move applies (halting, which rejects), when a configuration repeats (the
+//   machine loops forever) or when the step limit is reached
+// Machines follow utils/tmParser.js: { states, alphabet, tapeAlphabet, blank,
+// transitions, startState, acceptStates, rejectStates } with transitions
+// { from, read, to, write, move }.
+
+/** Step limit: a Turing machine may run forever */
+export const DEFAULT_TM_LIMITS = {
+  maxSteps: 1000
+};
+
+/** How a run ended */
+export const TM_OUTCOMES = {
+  accept: 'Accepted - entered an accept state',
+  reject: 'Rejected - entered a reject state',
+  halt: 'Rejected - halted with no move to make',
+  loop: 'Loops forever - a configuration repeated',
+  limit: 'Undecided - step limit reached'
+};
+
+/**
+ * Take a snapshot of the tape cells from the leftmost to the rightmost
+ * non-blank cell, widened to include the head
+ * @returns {Object} { start, tape } with tape a string of cells from position start
+ */
+function snapshotTape(cells, head, blank) {
+  const written = [...cells.keys()].filter(position => cells.get(position) !== blank);
+  const start = Math.min(head, ...written);
+  const end = Math.max(head, ...written);
+  let tape = '';
+  for (let position = start; position <= end; position++) tape += cells.get(position) ?? blank;
+  return { start, tape };
+}
+
+/**
+ * Run a Turing machine on an input string
+ * @param {Object} tm - Turing machine
+ * @param {string} input - Input string, written from position 0 with the head on it
+ * @param {Object} options - { maxSteps }
+ * @returns {Object} { outcome, accepted, steps, stepCount, finalTape }
+ *   outcome: 'accept' | 'reject' | 'halt' | 'loop' | 'limit'
+ *   accepted: true, false, or null when the run was cut off by the step limit
+ *   steps: configurations { step, state, head, start, tape, transition } where
+ *   transition is the move that led to it (null for the start)
+ */
+export function simulateTM(tm, input, options = {}) {
+  const { maxSteps = DEFAULT_TM_LIMITS.maxSteps } = options;
+
+  const cells = new Map([...input].map((symbol, position) => [position, symbol]));
+  const moves = new Map(tm.transitions.map(t => [`${t.from}\u0000${t.read}`, t]));
+  let state = tm.startState;
+  let head = 0;
+
+  const steps = [];
+  const seen = new Set();
+  const record = transition => {
+    const { start, tape } = snapshotTape(cells, head, tm.blank);
+    steps.push({ step: steps.length, state, head, start, tape, transition });
+
+    // The tape is the same from every starting position, so configurations
+    // that differ only by a shift behave identically
+    const content = trimBlanks(tape, tm.blank);
+    const contentStart = content === '' ? head : start + tape.indexOf(content);
+    return `${state}\u0000${head - contentStart}\u0000${content}`;
+  };
+  seen.add(record(null));
+
+  let outcome = null;
+  while (outcome === null) {
+    if (tm.acceptStates.includes(state)) {
+      outcome = 'accept';
+      break;
+    }
+    if (tm.rejectStates.includes(state)) {
+      outcome = 'reject';
+      break;
+    }
+
+    const transition = moves.get(`${state}\u0000${cells.get(head) ?? tm.blank}`);
+    if (!transition) {
+      outcome = 'halt';
+      break;
+    }
+    if (steps.length - 1 >= maxSteps) {
+      outcome = 'limit';
+      break;
+    }
+
+    cells.set(head, transition.write);
+    if (transition.move === 'L') head--;
+    if (transition.move === 'R') head++;
+    state = transition.to;
+
+    const key = record(transition);
+    if (seen.has(key)) {
+      outcome = 'loop';
+    }
+    seen.add(key);
+  }
+
+  const last = steps[steps.length - 1];
+  return {
+    outcome,
+    accepted: outcome === 'limit' ? null : outcome === 'accept',
+    steps,
+    stepCount: steps.length - 1,
+    finalTape: trimBlanks(last.tape, tm.blank)
+  };
+}
+
+/**
+ * Remove the blanks at both ends of a tape snapshot
+ */
+function trimBlanks(tape, blank) {
+  let start = 0;
+  let end = tape.length;
+  while (start < end && tape[start] === blank) start++;
+  while (end > start && tape[end - 1] === blank) end--;
+  return tape.slice(start, end);
+}
+
+/**
+ * Format a configuration as uqv: the tape left of the head, the state in
+ * brackets, then the tape from the head on
+ * @param {Object} configuration - { state, head, start, tape }
+ * @returns {string} e.g. "XX[q1]01"
+ */
+export function formatTMConfiguration({ state, head, start, tape }) {
+  const offset = head - start;
+  return `${tape.slice(0, offset)}[${state}]${tape.slice(offset)}`;
+}
@@ -1,6 +1,13 @@
 // Command handlers for bot commands
 import { handleAIQuestion, generateLearningContent, handleAIQuestionWithVisuals, generateAutomatonExample } from '../services/aiService.js';
-import { formatAIResponse, formatLearningMessage } from '../utils/messageFormatter.js';
+import { formatAIResponse, formatLearningMessage, formatErrorMessage, formatLanguageEnumeration } from '../utils/messageFormatter.js';
+import { getUserSession, updateUserSession } from '../utils/sessionManager.js';
+import { sendAutomatonAsJFLAP } from './operationHandlers.js';
+import { DIAGRAM_FORMATS } from '../services/imageService.js';
+import { automatonToDot } from '../utils/dotExporter.js';
+import { formatAutomatonDefinition } from '../utils/automatonParser.js';
+import { canonicalizeDFA } from '../algorithms/dfaIsomorphism.js';
+import { calculateLanguageEnumeration } from '../services/calculators/languageEnumerationCalculator.js';
 
 /**
  * Handle /start command
@@ -14,8 +21,22 @@ I'm your AI-powered assistant for automata theory. I can help you with:
 • Design and analyze finite automata
 • Convert NFA to DFA
 • Minimize DFAs
-• Test input strings
+• Test input strings, one at a time or as a batch
 • Check automaton types
+• Convert between regular expressions and automata
+• Check whether two automata are equivalent
+• Combine automata with union, intersection, difference and XOR
+• Apply complement, reverse, concatenation, star and homomorphism
+• Import and export JFLAP (.jff) files
+• Choose high-resolution PNG or SVG diagrams and download Graphviz DOT
+• Rename states canonically with /canonical
+• List accepted and rejected strings with /strings
+• Define and simulate pushdown automata (PDAs)
+• Simplify context-free grammars, convert them to CNF/GNF and test strings with CYK
+• Convert between context-free grammars and PDAs
+• Run Turing machines and watch the tape step by step
+• Translate strings with Mealy and Moore machines and convert between them
+• Play the pumping lemma game against the bot and get a worked proof
 
 🧠 **AI Features:**
 • Step-by-step explanations
@@ -37,7 +58,11 @@ Choose an option below or ask me anything about automata theory!`;
         [{ text: '🔍 Check FA Type' }, { text: '🔄 NFA→DFA' }],
         [{ text: '⚡ Minimize DFA' }, { text: '🧠 AI Help' }],
         [{ text: '📚 Learn Mode' }, { text: '📊 My History' }],
-        [{ text: '❓ Help' }]
+        [{ text: '📝 Regex' }, { text: '⚖️ Equivalence' }],
+        [{ text: '🔀 Combine' }, { text: '🧩 Operations' }],
+        [{ text: '🥞 PDA' }, { text: '📐 Grammar' }],
+        [{ text: '📼 Turing Machine' }, { text: '📟 Mealy/Moore' }],
+        [{ text: '🎮 Pumping Game' }, { text: '❓ Help' }]
       ],
       resize_keyboard: true,
       one_time_keyboard: false
@@ -154,6 +179,113 @@ export async function handleNaturalLanguageQuestion(ctx, question) {
   }
 }
 
+/**
+ * Handle /export command - send the current automaton as a JFLAP .jff file
+ */
+export async function handleExportCommand(ctx) {
+  const session = getUserSession(ctx.from.id);
+
+  if (!session.currentFA) {
+    ctx.reply('📁 **Nothing to Export**\n\nDesign, convert or minimize an automaton first (or upload a .jff file), then use /export.', { parse_mode: 'Markdown' });
+    return;
+  }
+
+  await sendAutomatonAsJFLAP(ctx, session.currentFA, 'automaton.jff', '📁 Current automaton as a JFLAP file');
+}
+
+/**
+ * Handle /diagram command - show or choose the diagram format
+ */
+export function handleDiagramCommand(ctx) {
+  const session = getUserSession(ctx.from.id);
+  const format = ctx.message.text.replace(/^\/diagram(@\w+)?/, '').trim().toLowerCase();
+
+  if (!format) {
+    ctx.reply(`🖼️ **Diagram Format:** \`${session.diagramFormat}\`
+
+• \`/diagram classic\` - Standard PNG image
+• \`/diagram png\` - Layered layout, high-resolution PNG
+• \`/diagram svg\` - Layered layout as a scalable SVG file
+
+Use /dot to download the Graphviz source of the current automaton.`, { parse_mode: 'Markdown' });
+    return;
+  }
+
+  if (!DIAGRAM_FORMATS.includes(format)) {
+    ctx.reply(`❓ Unknown format "${format}". Choose one of: ${DIAGRAM_FORMATS.join(', ')}`);
+    return;
+  }
+
+  updateUserSession(ctx.from.id, { diagramFormat: format });
+  ctx.reply(`✅ Diagrams will now be sent as **${format}**.`, { parse_mode: 'Markdown' });
+}
+
+/**
+ * Handle /dot command - send the current automaton as Graphviz DOT source
+ */
+export async function handleDotCommand(ctx) {
+  const session = getUserSession(ctx.from.id);
+
+  if (!session.currentFA) {
+    ctx.reply('🖼️ **Nothing to Export**\n\nDesign, convert or minimize an automaton first, then use /dot.', { parse_mode: 'Markdown' });
+    return;
+  }
+
+  const dot = automatonToDot(session.currentFA);
+  await ctx.replyWithDocument(
+    { source: Buffer.from(dot, 'utf8'), filename: 'automaton.dot' },
+    { caption: '🖼️ Graphviz source - render with: dot -Tpng automaton.dot -o automaton.png' }
+  );
+}
+
+/**
+ * Handle /canonical command - rename the current automaton's states in canonical order
+ */
+export function handleCanonicalCommand(ctx) {
+  const session = getUserSession(ctx.from.id);
+
+  if (!session.currentFA) {
+    ctx.reply('🔢 **Nothing to Rename**\n\nDesign, convert or minimize an automaton first, then use /canonical.', { parse_mode: 'Markdown' });
+    return;
+  }
+
+  const { dfa, mapping } = canonicalizeDFA(session.currentFA);
+  const renamed = Object.entries(mapping).filter(([oldName, newName]) => oldName !== newName);
+
+  let message = `🔢 **Canonical State Names**\n\nStates are numbered breadth-first from the start state, following symbols in sorted order. Isomorphic DFAs get identical definitions.\n\n`;
+  message += renamed.length > 0
+    ? `**Renamed:**\n${renamed.map(([oldName, newName]) => `• ${oldName} → ${newName}`).join('\n')}\n\n`
+    : `The states already have their canonical names.\n\n`;
+  message += `\`\`\`\n${formatAutomatonDefinition(dfa)}\n\`\`\``;
+
+  updateUserSession(ctx.from.id, { currentFA: dfa });
+  ctx.reply(message, { parse_mode: 'Markdown' });
+}
+
+/**
+ * Handle /strings command - enumerate the language of the current automaton
+ * An optional argument sets the length bound: /strings 8
+ */
+export function handleStringsCommand(ctx) {
+  const session = getUserSession(ctx.from.id);
+
+  if (!session.currentFA) {
+    ctx.reply('🔤 **Nothing to Enumerate**\n\nDesign, convert or minimize an automaton first, then use /strings [max length].', { parse_mode: 'Markdown' });
+    return;
+  }
+
+  const argument = ctx.message.text.replace(/^\/strings(@\w+)?/, '').trim();
+  const maxLength = argument ? Number(argument) : 6;
+  const result = calculateLanguageEnumeration(session.currentFA, { maxLength });
+
+  if (!result.success) {
+    ctx.reply(formatErrorMessage('Enumeration Error', result.error), { parse_mode: 'Markdown' });
+    return;
+  }
+
+  ctx.reply(formatLanguageEnumeration(result), { parse_mode: 'Markdown' });
+}
+
 /**
  * Handle /examples command - show input format examples
  */
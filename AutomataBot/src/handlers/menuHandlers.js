@@ -8,9 +8,20 @@
 // 4. 🔄 NFA→DFA - Convert NFA to DFA using subset construction
 // 5. ⚡ Minimize DFA - Minimize DFA using partition refinement
 // 6. 🧠 AI Help - AI-powered explanations and assistance
+// 7. 📝 Regex - Regular expression validation and conversions
+// 8. ⚖️ Equivalence - Check whether two automata accept the same language
+// 9. 🔀 Combine - Union, intersection, difference and XOR of two automata
+// 10. 🧩 Operations - Complement, reverse, concatenation, star/plus, homomorphism
+// 12. 🥞 PDA - Pushdown automata with nondeterministic simulation
+// 13. 📐 Grammar - Context-free grammars, normal forms and CYK
+// 14. 📼 Turing Machine - Single-tape deterministic TMs with an animated tape
+// 15. 📟 Mealy/Moore - Transducers with output strings and Mealy↔Moore conversion
+// 16. 🎮 Pumping Game - Play the pumping lemma against the bot as adversary
 
 import { getUserSession, updateUserSession, getUserHistory, getConversationSummary } from '../utils/sessionManager.js';
 import { checkFAType } from '../utils/automataUtils.js';
+import { handleGrammarTransformation, handleCFGToPDA, handlePDAToCFG, handleTransducerConversion, handlePumpingGiveUp } from './operationHandlers.js';
+import { PUMPING_LANGUAGES } from '../utils/pumpingLanguages.js';
 
 // ===============================================
 // FEATURE 1: 🔧 DESIGN FA 
@@ -166,6 +177,15 @@ Send me a string to test against your current automaton.
 • \`1100\` - Longer string
 • \`ε\` - Empty string (just send empty message)
 
+**📋 Batch Testing:**
+Send several strings at once - one per line or comma-separated - optionally with the expected result:
+\`\`\`
+0101, accept
+110, reject
+ε, reject
+\`\`\`
+A \`.csv\` or \`.txt\` file works too. You get one pass/fail table with the mismatches, without images or AI explanations.
+
 **Current Automaton:**
 • **Type:** ${checkFAType(session.currentFA)}
 • **States:** ${session.currentFA.states.join(', ')}
@@ -267,7 +287,7 @@ Try both examples to see the analysis!`;
  * Handle NFA to DFA conversion button - MAIN FEATURE 4
  * This function implements the "NFA→DFA" feature that allows users to:
  * - Convert NFAs to equivalent DFAs using subset construction algorithm
- * - Show the conversion process step-by-step
+ * - Show the conversion process step-by-step (an album of walkthrough images)
  * - Handle epsilon transitions and multiple transitions
  * - Provide AI-powered explanations of each conversion step
  */
@@ -291,6 +311,8 @@ Send me an NFA definition and I'll convert it to an equivalent DFA using subset
 • **Transition Mapping**: Map multiple NFA transitions to single DFA transitions
 • **State Naming**: Generate clear names for the new DFA states
 
+**🧩 Visual walkthrough:** you also get an album showing the DFA growing one subset at a time next to the subset table, with every DFA state labelled by its NFA states.
+
 **📚 NFA Example - Strings ending with "01":**
 \`\`\`
 States: q0,q1,q2
@@ -320,6 +342,19 @@ Start: q0
 Final: q3
 \`\`\`
 
+**📚 ε-NFA Example - Epsilon moves written as \`ε\`, \`eps\`, \`e\` or an empty symbol:**
+\`\`\`
+States: q0,q1,q2
+Alphabet: a,b
+Transitions:
+q0,ε,q1
+q1,a,q1
+q1,ε,q2
+q2,b,q2
+Start: q0
+Final: q2
+\`\`\`
+
 **💡 What I'll show you:**
 • ✨ Equivalent DFA with clear state names
 • 📊 Step-by-step conversion explanation
@@ -364,7 +399,9 @@ Send me a DFA and I'll minimize it using partition refinement algorithm.
 • **Partition Refinement**: Iteratively split partitions based on transitions
 • **Equivalence Detection**: Find states that behave identically
 • **State Merging**: Combine equivalent states into single states
-• **Optimization**: Remove unreachable and unnecessary states
+• **Optimization**: Remove unreachable states first; missing transitions go to a trap state, which is left out of the result
+
+**📊 Tables you get:** every partition refinement round (block split, symbol and splitter) and the table-filling (Myhill–Nerode) pair table, as text and images.
 
 **📚 DFA Example - Can be minimized (has redundant states):**
 \`\`\`
@@ -460,6 +497,891 @@ Just type naturally like: "How do I create a DFA that accepts strings with an od
   ctx.reply(helpMessage, { parse_mode: 'Markdown' });
 }
 
+// ===============================================
+// FEATURE 7: 📝 REGULAR EXPRESSIONS
+// ===============================================
+// Validates regular expressions and converts between regexes and automata
+
+/**
+ * Handle Regex button - MAIN FEATURE 7
+ * Shows the regex sub-menu with the available operations:
+ * - Validate a regular expression
+ * - Regex → ε-NFA using Thompson's construction
+ * - Regex → minimal DFA (Thompson, subset construction, minimization)
+ * - Automaton → regex using state elimination
+ */
+export function handleRegex(ctx) {
+  const regexMenu = `📝 **Regular Expressions**
+
+Choose an operation:
+
+• **✅ Validate Regex** - Check syntax and structure
+• **🔄 Regex→NFA** - Thompson's construction
+• **⚡ Regex→Min DFA** - Regex to minimal DFA
+• **📝 Automaton→Regex** - State elimination
+
+**Syntax:** \`|\` or \`+\` union, \`*\` star, \`+\` one or more, \`?\` optional, \`( )\` grouping, \`ε\` empty string, \`∅\` empty language`;
+
+  ctx.reply(regexMenu, {
+    parse_mode: 'Markdown',
+    reply_markup: {
+      keyboard: [
+        [{ text: '✅ Validate Regex' }, { text: '🔄 Regex→NFA' }],
+        [{ text: '⚡ Regex→Min DFA' }, { text: '📝 Automaton→Regex' }],
+        [{ text: '🔙 Back to Main Menu' }]
+      ],
+      resize_keyboard: true,
+      one_time_keyboard: false
+    }
+  });
+}
+
+/**
+ * Handle a regex sub-menu option
+ * Puts the session into the matching waiting state and explains the expected input
+ * @param {Object} ctx - Telegram context
+ * @param {string} option - 'regex_validate', 'regex_to_nfa', 'regex_to_dfa' or 'fa_to_regex'
+ */
+export async function handleRegexOption(ctx, option) {
+  // Show typing indicator
+  await ctx.telegram.sendChatAction(ctx.chat.id, 'typing');
+
+  updateUserSession(ctx.from.id, {
+    waitingFor: option,
+    lastOperation: `${option}_menu`
+  });
+
+  const helpTexts = {
+    regex_validate: `✅ **Validate Regular Expression**
+
+Send me a regular expression, for example:
+• \`(0|1)*01\`
+• \`a(b+c)*\`
+• \`(ab)+|ε\``,
+
+    regex_to_nfa: `🔄 **Regex → NFA (Thompson's Construction)**
+
+Send me a regular expression and I'll build an ε-NFA fragment by fragment.
+
+**Example:** \`(0|1)*01\``,
+
+    regex_to_dfa: `⚡ **Regex → Minimal DFA**
+
+Send me a regular expression. I'll build the Thompson NFA, convert it with subset construction and minimize the result.
+
+**Example:** \`(0|1)*01\``,
+
+    fa_to_regex: `📝 **Automaton → Regex (State Elimination)**
+
+Send me an automaton definition. Add an optional \`Order:\` line to choose the elimination order.
+
+\`\`\`
+States: q0,q1,q2
+Alphabet: 0,1
+Transitions:
+q0,0,q1
+q0,1,q0
+q1,0,q1
+q1,1,q2
+q2,0,q1
+q2,1,q0
+Start: q0
+Final: q2
+Order: q1,q0,q2
+\`\`\``
+  };
+
+  ctx.reply(helpTexts[option], { parse_mode: 'Markdown' });
+}
+
+// ===============================================
+// FEATURE 8: ⚖️ EQUIVALENCE CHECK
+// ===============================================
+// Decides whether two automata accept the same language
+
+/**
+ * Handle Equivalence button - MAIN FEATURE 8
+ * This function implements the "Equivalence" feature that allows users to:
+ * - Compare two automata (DFA or NFA) in one message
+ * - Confirm that both accept the same language
+ * - Get the shortest distinguishing string with traces on both machines
+ */
+export async function handleEquivalence(ctx) {
+  // Show typing indicator
+  await ctx.telegram.sendChatAction(ctx.chat.id, 'typing');
+
+  updateUserSession(ctx.from.id, {
+    waitingFor: 'equivalence_check',
+    lastOperation: 'equivalence_menu'
+  });
+
+  const helpText = `⚖️ **Check Language Equivalence**
+
+Send me two automata in one message, separated by a line with \`---\`.
+
+**📚 Example - Two DFAs for "even number of 1s":**
+\`\`\`
+States: q0,q1
+Alphabet: 0,1
+Transitions:
+q0,0,q0
+q0,1,q1
+q1,0,q1
+q1,1,q0
+Start: q0
+Final: q0
+---
+States: p0,p1,p2
+Alphabet: 0,1
+Transitions:
+p0,0,p0
+p0,1,p1
+p1,0,p1
+p1,1,p2
+p2,0,p2
+p2,1,p1
+Start: p0
+Final: p0,p2
+\`\`\`
+
+**💡 What I'll show you:**
+• ✅ Whether both accept the same language
+• 🔍 The shortest string accepted by only one of them
+• 🧪 Step-by-step traces of that string on both machines
+• ⚡ The minimized DFA of each automaton`;
+
+  ctx.reply(helpText, { parse_mode: 'Markdown' });
+}
+
+// ===============================================
+// FEATURE 9: 🔀 COMBINE (BOOLEAN OPERATIONS)
+// ===============================================
+// Builds union, intersection, difference and symmetric difference of two automata
+
+/**
+ * Handle Combine button - MAIN FEATURE 9
+ * Shows the boolean operations sub-menu
+ */
+export function handleCombine(ctx) {
+  const combineMenu = `🔀 **Combine Two Automata**
+
+Choose an operation (product construction):
+
+• **∪ Union** - strings accepted by A or B
+• **∩ Intersection** - strings accepted by A and B
+• **− Difference** - strings accepted by A but not B
+• **⊕ XOR** - strings accepted by exactly one of them
+
+Differing alphabets are aligned automatically.`;
+
+  ctx.reply(combineMenu, {
+    parse_mode: 'Markdown',
+    reply_markup: {
+      keyboard: [
+        [{ text: '∪ Union' }, { text: '∩ Intersection' }],
+        [{ text: '− Difference' }, { text: '⊕ XOR' }],
+        [{ text: '🔙 Back to Main Menu' }]
+      ],
+      resize_keyboard: true,
+      one_time_keyboard: false
+    }
+  });
+}
+
+/**
+ * Handle a boolean operation sub-menu option
+ * Puts the session into the matching waiting state and explains the expected input
+ * @param {Object} ctx - Telegram context
+ * @param {string} operation - 'union', 'intersection', 'difference' or 'xor'
+ */
+export async function handleCombineOption(ctx, operation) {
+  // Show typing indicator
+  await ctx.telegram.sendChatAction(ctx.chat.id, 'typing');
+
+  updateUserSession(ctx.from.id, {
+    waitingFor: `boolean_${operation}`,
+    lastOperation: `boolean_${operation}_menu`
+  });
+
+  const titles = {
+    union: '∪ **Union** - L(A) ∪ L(B)',
+    intersection: '∩ **Intersection** - L(A) ∩ L(B)',
+    difference: '− **Difference** - L(A) − L(B)',
+    xor: '⊕ **Symmetric Difference** - L(A) ⊕ L(B)'
+  };
+
+  const helpText = `${titles[operation]}
+
+Send me two automata in one message, separated by a line with \`---\`.
+
+**📚 Example - "even number of 1s" and "ends with 0":**
+\`\`\`
+States: q0,q1
+Alphabet: 0,1
+Transitions:
+q0,0,q0
+q0,1,q1
+q1,0,q1
+q1,1,q0
+Start: q0
+Final: q0
+---
+States: p0,p1
+Alphabet: 0,1
+Transitions:
+p0,0,p1
+p0,1,p0
+p1,0,p1
+p1,1,p0
+Start: p0
+Final: p1
+\`\`\``;
+
+  ctx.reply(helpText, { parse_mode: 'Markdown' });
+}
+
+// ===============================================
+// FEATURE 10: 🧩 OPERATIONS (CLOSURE PROPERTIES)
+// ===============================================
+// Complement, reverse, concatenation, Kleene star/plus and homomorphism
+
+/**
+ * Handle Operations button - MAIN FEATURE 10
+ * Shows the closure operations sub-menu
+ */
+export function handleOperations(ctx) {
+  const operationsMenu = `🧩 **Closure Operations**
+
+Choose an operation:
+
+• **¬ Complement** - strings the automaton rejects
+• **↩️ Reverse** - every accepted string backwards
+• **🔗 Concatenate** - a string of A followed by a string of B
+• **✳️ Star** - zero or more repetitions
+• **➕ Plus** - one or more repetitions
+• **🔤 Homomorphism** - replace each symbol by a string
+
+Every result is a regular automaton you can test, minimize or convert next.`;
+
+  ctx.reply(operationsMenu, {
+    parse_mode: 'Markdown',
+    reply_markup: {
+      keyboard: [
+        [{ text: '¬ Complement' }, { text: '↩️ Reverse' }],
+        [{ text: '🔗 Concatenate' }, { text: '🔤 Homomorphism' }],
+        [{ text: '✳️ Star' }, { text: '➕ Plus' }],
+        [{ text: '🔙 Back to Main Menu' }]
+      ],
+      resize_keyboard: true,
+      one_time_keyboard: false
+    }
+  });
+}
+
+/**
+ * Handle a closure operation sub-menu option
+ * Puts the session into the matching waiting state and explains the expected input
+ * @param {Object} ctx - Telegram context
+ * @param {string} operation - 'complement', 'reverse', 'concatenation', 'star', 'plus' or 'homomorphism'
+ */
+export async function handleOperationsOption(ctx, operation) {
+  // Show typing indicator
+  await ctx.telegram.sendChatAction(ctx.chat.id, 'typing');
+
+  updateUserSession(ctx.from.id, {
+    waitingFor: `closure_${operation}`,
+    lastOperation: `closure_${operation}_menu`
+  });
+
+  const example = `States: q0,q1
+Alphabet: a,b
+Transitions:
+q0,a,q1
+q1,b,q0
+Start: q0
+Final: q1`;
+
+  const helpTexts = {
+    complement: `¬ **Complement**
+
+Send me an automaton. Missing transitions go to a trap state, then final and non-final states are swapped.
+
+**Example:**
+\`\`\`
+${example}
+\`\`\``,
+
+    reverse: `↩️ **Reverse**
+
+Send me an automaton and I'll build one for the reversed language.
+
+**Example:**
+\`\`\`
+${example}
+\`\`\``,
+
+    concatenation: `🔗 **Concatenate**
+
+Send me two automata separated by a line with \`---\`.
+
+**Example:**
+\`\`\`
+${example}
+---
+States: p0,p1
+Alphabet: b
+Transitions:
+p0,b,p1
+Start: p0
+Final: p1
+\`\`\``,
+
+    star: `✳️ **Kleene Star**
+
+Send me an automaton and I'll build one for zero or more repetitions of its language.
+
+**Example:**
+\`\`\`
+${example}
+\`\`\``,
+
+    plus: `➕ **Kleene Plus**
+
+Send me an automaton and I'll build one for one or more repetitions of its language.
+
+**Example:**
+\`\`\`
+${example}
+\`\`\``,
+
+    homomorphism: `🔤 **Homomorphism**
+
+Send me an automaton followed by a \`Map:\` line giving the image of every symbol (use \`ε\` to erase a symbol).
+
+**Example:**
+\`\`\`
+${example}
+Map: a->01, b->ε
+\`\`\``
+  };
+
+  ctx.reply(helpTexts[operation], { parse_mode: 'Markdown' });
+}
+
+// ===============================================
+// FEATURE 12: 🥞 PUSHDOWN AUTOMATA
+// ===============================================
+// Define a PDA, check the DPDA conditions and simulate strings nondeterministically
+
+/**
+ * Handle PDA button - MAIN FEATURE 12
+ * Shows the pushdown automata sub-menu
+ */
+export function handlePDA(ctx) {
+  const session = getUserSession(ctx.from.id);
+  const current = session.currentPDA
+    ? `\n\n**Current PDA:** ${session.currentPDA.states.length} states, ${session.currentPDA.transitions.length} moves, accepting by ${session.currentPDA.acceptBy === 'empty' ? 'empty stack' : 'final state'}`
+    : '';
+
+  const pdaMenu = `🥞 **Pushdown Automata**
+
+Choose an operation:
+
+• **✏️ Define PDA** - send a PDA, get its diagram and a DPDA check
+• **🧪 Test PDA** - run strings on the current PDA and see the instantaneous descriptions
+• **📐 PDA→CFG** - build an equivalent grammar with the triple construction
+
+Simulation explores every nondeterministic branch and accepts by final state or by empty stack.${current}`;
+
+  ctx.reply(pdaMenu, {
+    parse_mode: 'Markdown',
+    reply_markup: {
+      keyboard: [
+        [{ text: '✏️ Define PDA' }, { text: '🧪 Test PDA' }],
+        [{ text: '📐 PDA→CFG' }, { text: '🔙 Back to Main Menu' }]
+      ],
+      resize_keyboard: true,
+      one_time_keyboard: false
+    }
+  });
+}
+
+/**
+ * Handle a PDA sub-menu option
+ * Puts the session into the matching waiting state and explains the expected input.
+ * PDA→CFG runs right away on the current PDA; without one, the session
+ * waits for a PDA to convert.
+ * @param {Object} ctx - Telegram context
+ * @param {string} option - 'pda_definition', 'pda_input' or 'pda_to_cfg'
+ */
+export async function handlePDAOption(ctx, option) {
+  // Show typing indicator
+  await ctx.telegram.sendChatAction(ctx.chat.id, 'typing');
+
+  const session = getUserSession(ctx.from.id);
+  if (option === 'pda_to_cfg' && session.currentPDA) {
+    updateUserSession(ctx.from.id, { waitingFor: null });
+    await handlePDAToCFG(ctx, session, null);
+    return;
+  }
+  if (option === 'pda_input' && !session.currentPDA) {
+    option = 'pda_definition';
+    await ctx.reply('ℹ️ There is no PDA to test yet - define one first.');
+  }
+
+  updateUserSession(ctx.from.id, {
+    waitingFor: option,
+    lastOperation: `${option}_menu`
+  });
+
+  const helpTexts = {
+    pda_definition: `✏️ **Define a Pushdown Automaton**
+
+Send me a PDA. A move \`q0,a,Z -> q0,AZ\` reads \`a\` with \`Z\` on top of the stack, goes to \`q0\` and replaces \`Z\` by \`AZ\` (top first). Use \`ε\` to read nothing, pop nothing or push nothing.
+
+**Example - aⁿbⁿ:**
+\`\`\`
+States: q0,q1,q2
+Alphabet: a,b
+Stack alphabet: A,Z
+Transitions:
+q0,a,Z -> q0,AZ
+q0,a,A -> q0,AA
+q0,b,A -> q1,ε
+q1,b,A -> q1,ε
+q1,ε,Z -> q2,Z
+Start: q0
+Initial stack: Z
+Final: q2
+Accept by: final state
+\`\`\`
+
+The textbook form \`δ(q0,a,Z) = {(q0,AZ)}\` works too. Use \`Accept by: empty stack\` for acceptance by empty stack.`,
+
+    pda_input: `🧪 **Test the PDA**
+
+Send one string to see its computation as instantaneous descriptions, or several strings (one per line, optionally followed by \`accept\` or \`reject\`) for a pass/fail table.
+
+Send \`ε\` for the empty string. Start with \`Accept by: empty stack\` or \`Accept by: final state\` to override the acceptance mode.`,
+
+    pda_to_cfg: `📐 **Convert a PDA to a Grammar**
+
+Send me a PDA in the same format as ✏️ Define PDA. I make it accept by empty stack and pop on every move, build the triple productions <p,X,q> and remove the useless ones.
+
+The grammar becomes the current grammar, so 📐 Grammar can simplify it or test strings with CYK next.`
+  };
+
+  ctx.reply(helpTexts[option], { parse_mode: 'Markdown' });
+}
+
+// ===============================================
+// FEATURE 13: 📐 CONTEXT-FREE GRAMMARS
+// ===============================================
+// Define a grammar, simplify it, convert it to CNF or GNF and test strings with CYK
+
+/**
+ * Handle Grammar button - MAIN FEATURE 13
+ * Shows the context-free grammar sub-menu
+ */
+export function handleGrammar(ctx) {
+  const session = getUserSession(ctx.from.id);
+  const current = session.currentGrammar
+    ? `\n\n**Current grammar:** ${session.currentGrammar.productions.length} productions, start symbol \`${session.currentGrammar.startSymbol}\``
+    : '';
+
+  const grammarMenu = `📐 **Context-Free Grammars**
+
+Choose an operation:
+
+• **✏️ Define Grammar** - send a grammar like \`S -> aSb | ε\`
+• **🧹 Simplify** - remove ε-productions, unit productions and useless symbols
+• **🔷 To CNF** - Chomsky normal form, step by step
+• **🔶 To GNF** - Greibach normal form, step by step
+• **🧮 CYK Test** - test strings with the CYK algorithm and see the filled table
+• **🥞 CFG→PDA** - build the equivalent single-state PDA
+
+Simplify, CNF, GNF and CFG→PDA work on the current grammar.${current}`;
+
+  ctx.reply(grammarMenu, {
+    parse_mode: 'Markdown',
+    reply_markup: {
+      keyboard: [
+        [{ text: '✏️ Define Grammar' }, { text: '🧹 Simplify' }],
+        [{ text: '🔷 To CNF' }, { text: '🔶 To GNF' }],
+        [{ text: '🧮 CYK Test' }, { text: '🥞 CFG→PDA' }],
+        [{ text: '🔙 Back to Main Menu' }]
+      ],
+      resize_keyboard: true,
+      one_time_keyboard: false
+    }
+  });
+}
+
+/**
+ * Handle a grammar sub-menu option
+ * Transformations run right away on the current grammar; without one, the
+ * session waits for a grammar to transform. CYK needs a current grammar.
+ * @param {Object} ctx - Telegram context
+ * @param {string} option - 'grammar_definition', 'grammar_simplify', 'grammar_cnf', 'grammar_gnf', 'cyk_input' or 'cfg_to_pda'
+ */
+export async function handleGrammarOption(ctx, option) {
+  // Show typing indicator
+  await ctx.telegram.sendChatAction(ctx.chat.id, 'typing');
+
+  const session = getUserSession(ctx.from.id);
+  const isTransformation = option.startsWith('grammar_') && option !== 'grammar_definition';
+  if (isTransformation && session.currentGrammar) {
+    updateUserSession(ctx.from.id, { waitingFor: null });
+    await handleGrammarTransformation(ctx, session, null, option.replace(/^grammar_/, ''));
+    return;
+  }
+  if (option === 'cfg_to_pda' && session.currentGrammar) {
+    updateUserSession(ctx.from.id, { waitingFor: null });
+    await handleCFGToPDA(ctx, session, null);
+    return;
+  }
+  if (option === 'cyk_input' && !session.currentGrammar) {
+    option = 'grammar_definition';
+    await ctx.reply('ℹ️ There is no grammar to test yet - define one first.');
+  }
+
+  updateUserSession(ctx.from.id, {
+    waitingFor: option,
+    lastOperation: `${option}_menu`
+  });
+
+  const example = `S -> aSb | A
+A -> aA | ε`;
+  const transformationHelp = title => `${title}
+
+Send me a grammar, one rule per line:
+\`\`\`
+${example}
+\`\`\`
+It becomes the current grammar, so the other buttons work on it next.`;
+
+  const helpTexts = {
+    grammar_definition: `✏️ **Define a Context-Free Grammar**
+
+Send one rule per line; \`|\` separates alternatives and \`ε\` is the empty string.
+
+**Example - aⁿbⁿ:**
+\`\`\`
+S -> aSb | ε
+\`\`\`
+
+**Example - arithmetic expressions:**
+\`\`\`
+E -> E+T | T
+T -> T*F | F
+F -> (E) | a
+\`\`\`
+
+Upper-case letters (with primes or a \`_\` subscript, like \`A'\` or \`T_a\`) and \`<Names>\` are variables; every other character is a terminal. The first rule's variable is the start symbol unless a \`Start:\` line says otherwise.`,
+
+    grammar_simplify: transformationHelp('🧹 **Simplify a Grammar**'),
+    grammar_cnf: transformationHelp('🔷 **Convert to Chomsky Normal Form**'),
+    grammar_gnf: transformationHelp('🔶 **Convert to Greibach Normal Form**'),
+    cfg_to_pda: transformationHelp('🥞 **Convert a Grammar to a PDA**'),
+
+    cyk_input: `🧮 **CYK Membership Test**
+
+Send one string to see the filled CYK table and a derivation, or several strings (one per line, optionally followed by \`accept\` or \`reject\`) for a pass/fail table.
+
+Send \`ε\` for the empty string. The grammar is converted to Chomsky normal form first.`
+  };
+
+  ctx.reply(helpTexts[option], { parse_mode: 'Markdown' });
+}
+
+// ===============================================
+// FEATURE 14: 📼 TURING MACHINES
+// ===============================================
+// Define a single-tape deterministic Turing machine and run strings on it with a step limit
+
+/**
+ * Handle Turing Machine button - MAIN FEATURE 14
+ * Shows the Turing machine sub-menu
+ */
+export function handleTuringMachine(ctx) {
+  const session = getUserSession(ctx.from.id);
+  const current = session.currentTM
+    ? `\n\n**Current TM:** ${session.currentTM.states.length} states, ${session.currentTM.transitions.length} moves`
+    : '';
+
+  const tmMenu = `📼 **Turing Machines**
+
+Choose an operation:
+
+• **✏️ Define TM** - send a single-tape deterministic TM, get its diagram
+• **▶️ Run TM** - run strings and watch the tape and head step by step
+
+A run stops when the machine accepts, rejects, halts with no move, repeats a configuration (it loops forever) or reaches the step limit.${current}`;
+
+  ctx.reply(tmMenu, {
+    parse_mode: 'Markdown',
+    reply_markup: {
+      keyboard: [
+        [{ text: '✏️ Define TM' }, { text: '▶️ Run TM' }],
+        [{ text: '🔙 Back to Main Menu' }]
+      ],
+      resize_keyboard: true,
+      one_time_keyboard: false
+    }
+  });
+}
+
+/**
+ * Handle a Turing machine sub-menu option
+ * Puts the session into the matching waiting state and explains the expected input
+ * @param {Object} ctx - Telegram context
+ * @param {string} option - 'tm_definition' or 'tm_input'
+ */
+export async function handleTMOption(ctx, option) {
+  // Show typing indicator
+  await ctx.telegram.sendChatAction(ctx.chat.id, 'typing');
+
+  const session = getUserSession(ctx.from.id);
+  if (option === 'tm_input' && !session.currentTM) {
+    option = 'tm_definition';
+    await ctx.reply('ℹ️ There is no Turing machine to run yet - define one first.');
+  }
+
+  updateUserSession(ctx.from.id, {
+    waitingFor: option,
+    lastOperation: `${option}_menu`
+  });
+
+  const helpTexts = {
+    tm_definition: `✏️ **Define a Turing Machine**
+
+Send me a TM. A move \`q0,0 -> q1,X,R\` reads \`0\` in \`q0\`, writes \`X\`, moves the head right and goes to \`q1\`. Head moves are \`L\`, \`R\` and \`S\` (stay); \`_\` is the blank.
+
+**Example - 0ⁿ1ⁿ:**
+\`\`\`
+States: q0,q1,q2,q3,qa
+Alphabet: 0,1
+Tape alphabet: 0,1,X,Y,_
+Transitions:
+q0,0 -> q1,X,R
+q0,Y -> q3,Y,R
+q0,_ -> qa,_,R
+q1,0 -> q1,0,R
+q1,Y -> q1,Y,R
+q1,1 -> q2,Y,L
+q2,0 -> q2,0,L
+q2,Y -> q2,Y,L
+q2,X -> q0,X,R
+q3,Y -> q3,Y,R
+q3,_ -> qa,_,R
+Start: q0
+Accept: qa
+\`\`\`
+
+The textbook form \`δ(q0,0) = (q1,X,R)\` works too. Add \`Reject: qr\` for a reject state; without a move, the machine halts and rejects.`,
+
+    tm_input: `▶️ **Run the Turing Machine**
+
+Send one string to get an animation of the tape and every configuration, or several strings (one per line, optionally followed by \`accept\` or \`reject\`) for a pass/fail table.
+
+Send \`ε\` for the empty string. Runs stop after 1000 steps; start with \`Steps: 5000\` to change the limit.`
+  };
+
+  ctx.reply(helpTexts[option], { parse_mode: 'Markdown' });
+}
+
+// ===============================================
+// FEATURE 15: 📟 MEALY AND MOORE MACHINES
+// ===============================================
+// Define finite-state transducers, translate strings and convert between the two kinds
+
+/**
+ * Handle Mealy/Moore button - MAIN FEATURE 15
+ * Shows the transducer sub-menu
+ */
+export function handleTransducer(ctx) {
+  const session = getUserSession(ctx.from.id);
+  const machine = session.currentTransducer;
+  const current = machine
+    ? `\n\n**Current machine:** ${machine.type === 'mealy' ? 'Mealy' : 'Moore'}, ${machine.states.length} states, ${machine.transitions.length} transitions`
+    : '';
+
+  const transducerMenu = `📟 **Mealy and Moore Machines**
+
+Choose an operation:
+
+• **✏️ Define Machine** - send a Mealy or Moore machine, get its diagram with outputs
+• **📤 Translate** - turn input strings into output strings, step by step
+• **🔄 Mealy↔Moore** - convert the machine into the other kind
+
+A Mealy machine writes an output on every transition; a Moore machine writes the output of every state it enters.${current}`;
+
+  ctx.reply(transducerMenu, {
+    parse_mode: 'Markdown',
+    reply_markup: {
+      keyboard: [
+        [{ text: '✏️ Define Machine' }, { text: '📤 Translate' }],
+        [{ text: '🔄 Mealy↔Moore' }, { text: '🔙 Back to Main Menu' }]
+      ],
+      resize_keyboard: true,
+      one_time_keyboard: false
+    }
+  });
+}
+
+/**
+ * Handle a Mealy/Moore sub-menu option
+ * The conversion runs right away on the current machine; without one, the
+ * session waits for a machine to convert. Translating needs a current machine.
+ * @param {Object} ctx - Telegram context
+ * @param {string} option - 'transducer_definition', 'transducer_input' or 'transducer_conversion'
+ */
+export async function handleTransducerOption(ctx, option) {
+  // Show typing indicator
+  await ctx.telegram.sendChatAction(ctx.chat.id, 'typing');
+
+  const session = getUserSession(ctx.from.id);
+  if (option === 'transducer_conversion' && session.currentTransducer) {
+    updateUserSession(ctx.from.id, { waitingFor: null });
+    await handleTransducerConversion(ctx, session, null);
+    return;
+  }
+  if (option === 'transducer_input' && !session.currentTransducer) {
+    option = 'transducer_definition';
+    await ctx.reply('ℹ️ There is no Mealy or Moore machine to run yet - define one first.');
+  }
+
+  updateUserSession(ctx.from.id, {
+    waitingFor: option,
+    lastOperation: `${option}_menu`
+  });
+
+  const definitionHelp = `**Mealy example - output 1 when the last two bits are equal:**
+\`\`\`
+Type: Mealy
+States: q0,q1,q2
+Alphabet: 0,1
+Transitions:
+q0,0,q1/0
+q0,1,q2/0
+q1,0,q1/1
+q1,1,q2/0
+q2,0,q1/0
+q2,1,q2/1
+Start: q0
+\`\`\`
+
+**Moore example - parity of the 1s read so far:**
+\`\`\`
+Type: Moore
+States: even,odd
+Alphabet: 0,1
+Transitions:
+even,0,even
+even,1,odd
+odd,0,odd
+odd,1,even
+Start: even
+Outputs: even/E, odd/O
+\`\`\`
+
+A Mealy transition \`q0,0,q1/0\` reads \`0\`, writes \`0\` and goes to \`q1\`; \`q0 -0/0-> q1\` and \`δ(q0,0) = q1/0\` work too. A Moore machine lists each state's output in \`Outputs:\`.`;
+
+  const helpTexts = {
+    transducer_definition: `✏️ **Define a Mealy or Moore Machine**
+
+${definitionHelp}`,
+
+    transducer_input: `📤 **Translate Strings**
+
+Send one string to see every step and the output it writes, or several strings (one per line) for an input/output table.
+
+Send \`ε\` for the empty string. A Moore machine also writes its start state's output before reading anything.`,
+
+    transducer_conversion: `🔄 **Convert Between Mealy and Moore**
+
+Send me a machine to convert; it becomes the current machine, so pressing 🔄 Mealy↔Moore again converts it back.
+
+${definitionHelp}`
+  };
+
+  ctx.reply(helpTexts[option], { parse_mode: 'Markdown' });
+}
+
+// ===============================================
+// FEATURE 16: 🎮 PUMPING LEMMA GAME
+// ===============================================
+// The bot plays the pumping lemma adversary on a built-in language or an automaton
+
+/**
+ * Handle Pumping Game button - MAIN FEATURE 16
+ * Shows the game sub-menu and the state of the current game
+ */
+export function handlePumpingGame(ctx) {
+  const session = getUserSession(ctx.from.id);
+  const game = session.pumpingGame;
+  const waitingFor = { string: 'your string', split: 'your split' };
+  const current = game && game.phase !== 'over'
+    ? `\n\n**Game in progress:** p = ${game.p}, waiting for ${waitingFor[game.phase]}.`
+    : '';
+
+  const gameMenu = `🎮 **Pumping Lemma Game**
+
+You defend a language against me:
+1. I pick the pumping length p
+2. You pick a string s ∈ L with |s| ≥ p
+3. You split it as s = xyz with |xy| ≤ p and |y| ≥ 1
+4. I pick i and try to make xyⁱz ∉ L
+
+You win with a split I cannot pump out of L. I win once every split of your string breaks - then the language fails the pumping lemma and is not regular. Every game ends with a worked proof.
+
+• **🆕 New Game** - choose a language and start
+• **🏳️ Give Up** - end the game and see the proof${current}`;
+
+  ctx.reply(gameMenu, {
+    parse_mode: 'Markdown',
+    reply_markup: {
+      keyboard: [
+        [{ text: '🆕 New Game' }, { text: '🏳️ Give Up' }],
+        [{ text: '🔙 Back to Main Menu' }]
+      ],
+      resize_keyboard: true,
+      one_time_keyboard: false
+    }
+  });
+}
+
+/**
+ * Handle a pumping game sub-menu option
+ * @param {Object} ctx - Telegram context
+ * @param {string} option - 'pumping_language' (new game) or 'pumping_give_up'
+ */
+export async function handlePumpingOption(ctx, option) {
+  // Show typing indicator
+  await ctx.telegram.sendChatAction(ctx.chat.id, 'typing');
+
+  const session = getUserSession(ctx.from.id);
+  if (option === 'pumping_give_up') {
+    await handlePumpingGiveUp(ctx, session);
+    return;
+  }
+
+  updateUserSession(ctx.from.id, {
+    waitingFor: option,
+    lastOperation: `${option}_menu`
+  });
+
+  const languages = PUMPING_LANGUAGES
+    .map((language, index) => `${index + 1}. ${language.description.replace(/\*/g, '\\*')}`)
+    .join('\n');
+
+  ctx.reply(`🆕 **Choose a Language**
+
+${languages}
+
+Send a number, \`current\` to play on your current automaton${session.currentFA ? '' : ' (design one first)'}, or an automaton definition. Some of these languages are regular and some are not - can you tell which?`, { parse_mode: 'Markdown' });
+}
+
 // ===============================================
 // ADDITIONAL SUPPORT FEATURES
 // ===============================================
@@ -586,6 +1508,72 @@ Start: q0
 Final: q1
 \`\`\`
 
+**✍️ Also accepted:**
+• Keywords in any case with \`:\` or \`=\` (\`Q =\`, \`Σ:\`, \`δ:\`, \`F =\`)
+• Sets in braces: \`States: {q0, q1}\`
+• Transitions as \`q0 0 q1\`, \`q0 -0-> q1\` or \`δ(q0,0)=q1\`
+• \`#\` comment lines
+• A transition table (→ start, * final, \`{q1,q2}\` or \`-\` cells):
+\`\`\`
+     | 0  | 1
+→ q0 | q1 | q0
+* q1 | q1 | -
+\`\`\`
+Mistakes are reported with their line number.
+
+**🧪 Batch testing:**
+• In 🧪 Test Input, send one string per line (or comma-separated), optionally followed by \`accept\` or \`reject\`
+• A \`.csv\` or \`.txt\` file of strings works too
+
+**📁 JFLAP files:**
+• Upload a \`.jff\` file instead of typing the automaton
+• NFA→DFA, Minimize DFA and Operations send the result back as \`.jff\`
+• /export downloads the current automaton as \`.jff\`
+
+**🖼️ Diagrams:**
+• /diagram \`png\` or \`svg\` switches to the layered high-resolution renderer
+• /dot downloads the Graphviz source of the current automaton
+
+**🔢 State names:**
+• /canonical renames the current automaton's states q0, q1, ... in breadth-first order
+• Minimized DFAs always use these canonical names
+• Equivalence reports the state mapping when two DFAs are identical up to renaming
+
+**🔤 Strings:**
+• /strings lists accepted and rejected strings of the current automaton (shortest first)
+• /strings \`8\` raises the length bound (up to 20)
+• Also counts accepted strings per length and tells whether the language is empty, finite or infinite
+
+**🥞 Pushdown automata:**
+• 🥞 PDA → ✏️ Define PDA, with moves like \`q0,a,Z -> q0,AZ\` (pushed string written top first)
+• 🧪 Test PDA shows the instantaneous descriptions \`(q, w, γ)\` of an accepting computation
+• Acceptance by final state or by empty stack (\`Accept by: empty stack\`)
+
+**📐 Context-free grammars:**
+• 📐 Grammar → ✏️ Define Grammar, one rule per line: \`S -> aSb | ε\`
+• 🧹 Simplify, 🔷 To CNF and 🔶 To GNF show every step of the conversion
+• 🧮 CYK Test sends the filled CYK table as an image, with a derivation
+
+**🔁 CFG ↔ PDA:**
+• 📐 Grammar → 🥞 CFG→PDA builds the single-state PDA that follows leftmost derivations
+• 🥞 PDA → 📐 PDA→CFG builds a grammar with the triple construction \`<p,X,q>\`
+• Both show each step and a diagram, and the result becomes the current PDA or grammar
+
+**📼 Turing machines:**
+• 📼 Turing Machine → ✏️ Define TM, with moves like \`q0,0 -> q1,X,R\` (write, then move L, R or S)
+• ▶️ Run TM animates the tape and head and lists the configurations \`uqv\`
+• Runs end in accept, reject, halt, a detected loop or the step limit (\`Steps: 5000\`)
+
+**📟 Mealy and Moore machines:**
+• 📟 Mealy/Moore → ✏️ Define Machine, with Mealy outputs on transitions (\`q0,a,q1/x\`) or Moore outputs on states (\`Outputs: q0/x\`)
+• 📤 Translate shows each step and the output string
+• 🔄 Mealy↔Moore converts to the other kind and checks the result on every short input
+
+**🎮 Pumping lemma game:**
+• 🎮 Pumping Game → 🆕 New Game, then pick a built-in language or your own automaton
+• I pick p and i; you pick the string s and its split x|y|z (or the lengths |x| |y|)
+• Every game ends with a verdict and a worked proof of (non-)regularity
+
 **🎯 Quick Start Examples:**
 
 **Even number of 1s (DFA):**
@@ -637,7 +1625,11 @@ export function handleBackToMainMenu(ctx) {
         [{ text: '🔍 Check FA Type' }, { text: '🔄 NFA→DFA' }],
         [{ text: '⚡ Minimize DFA' }, { text: '🧠 AI Help' }],
         [{ text: '📚 Learn Mode' }, { text: '📊 My History' }],
-        [{ text: '❓ Help' }]
+        [{ text: '📝 Regex' }, { text: '⚖️ Equivalence' }],
+        [{ text: '🔀 Combine' }, { text: '🧩 Operations' }],
+        [{ text: '🥞 PDA' }, { text: '📐 Grammar' }],
+        [{ text: '📼 Turing Machine' }, { text: '📟 Mealy/Moore' }],
+        [{ text: '🎮 Pumping Game' }, { text: '❓ Help' }]
       ],
       resize_keyboard: true,
       one_time_keyboard: false
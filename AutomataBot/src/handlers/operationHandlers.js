@@ -8,28 +8,75 @@
 // 4. 🔄 NFA→DFA - Convert using subset construction with detailed process
 // 5. ⚡ Minimize DFA - Apply partition refinement algorithm with state analysis
 // 6. Session Management - Handle multi-step operations and user workflows
-
-import { parseDFAInput, checkFAType, simulateFA, nfaToDfa } from '../utils/automataUtils.js';
-import { minimizeDFA } from '../algorithms/dfaMinimization.js';
+// 7. 📝 Regex - Validate regexes and convert between regexes and automata
+// 8. ⚖️ Equivalence - Compare the languages of two automata
+// 9. 🔀 Combine - Product construction for boolean operations
+// 10. 🧩 Operations - Closure operations on a single automaton or a pair
+// 11. 📁 JFLAP Files - Import .jff uploads and send results back as .jff
+// 12. 🥞 PDA - Define pushdown automata and simulate strings on them
+// 13. 📐 Grammar - Simplify context-free grammars, CNF/GNF and CYK
+//     (12 ↔ 13) CFG→PDA and PDA→CFG conversions with traced steps
+// 14. 📼 Turing Machine - Define single-tape TMs and run strings with a step limit
+// 15. 📟 Mealy/Moore - Transducers with output strings and Mealy↔Moore conversion
+// 16. 🎮 Pumping Game - The bot plays the pumping lemma adversary and writes up the proof
+
+import { checkFAType, simulateFA, nfaToDfa } from '../utils/automataUtils.js';
+import { parseAutomaton, validateAutomaton, formatAutomatonDefinition } from '../utils/automatonParser.js';
+import { parseJFLAP, automatonToJFLAP } from '../utils/jflapConverter.js';
+import { formatPDATransition, PDA_ACCEPTANCE } from '../utils/pdaParser.js';
+import { formatGrammar } from '../utils/grammarParser.js';
+import { minimizeDFAWithTrace, fillDistinguishabilityTable } from '../algorithms/dfaMinimization.js';
+import { isDeterministic } from '../algorithms/closureOperations.js';
 import { explainAutomataStep } from '../services/aiService.js';
 import { saveToDatabase } from '../config/database.js';
-import { sendFormattedResult, formatTestResult, formatErrorMessage } from '../utils/messageFormatter.js';
-import { updateUserSession, addUserInputToHistory, addBotResponseToHistory } from '../utils/sessionManager.js';
-import { generateAutomatonImage, generateComparisonImage, generateSimulationImage, cleanupTempImages } from '../services/imageService.js';
+import { sendFormattedResult, formatTestResult, formatErrorMessage, formatPartitionRefinement, formatDistinguishabilityTable, formatBatchTestResults, formatPDATrace, formatGrammarSteps, formatCYKResult, formatCFGToPDA, formatPDAToCFG, formatTMTrace, formatTransducerRun, formatTransducerConversion, formatPumpingVerdict, compactString, escapeMarkdown } from '../utils/messageFormatter.js';
+import { updateUserSession, addUserInputToHistory, addBotResponseToHistory, startPumpingGame, recordPumpingMoves, endPumpingGame } from '../utils/sessionManager.js';
+import { generateAutomatonDiagram, generateComparisonImage, generateSimulationImage, generateSimulationAnimation, MAX_ANIMATION_STEPS, generateSubsetConstructionImages, MAX_WALKTHROUGH_FRAMES, generateMinimizationTableImages, generatePDADiagram, generateCYKTableImage, generateTMDiagram, generateTMTapeAnimation, generateTransducerDiagram, MAX_TM_ANIMATION_FRAMES, cleanupTempImages } from '../services/imageService.js';
 import fs from 'fs-extra';
+import axios from 'axios';
 
 // Import the new calculators
 import { calculateDFADesign } from '../services/calculators/dfaDesignCalculator.js';
-import { calculateInputTest } from '../services/calculators/inputTestCalculator.js';
+import { calculateInputTest, calculateBatchInputTest, isBatchTestInput } from '../services/calculators/inputTestCalculator.js';
 import { calculateFAType } from '../services/calculators/faTypeCalculator.js';
 import { calculateNFAToDFA } from '../services/calculators/nfaToDfaCalculator.js';
 import { calculateDFAMinimization } from '../services/calculators/dfaMinimizationCalculator.js';
 import { calculateRegexOperation } from '../services/calculators/regexCalculator.js';
+import { calculateEquivalenceFromText } from '../services/calculators/equivalenceCalculator.js';
+import { calculateBooleanOperationFromText } from '../services/calculators/booleanOperationsCalculator.js';
+import { calculateClosureOperation } from '../services/calculators/closureOperationsCalculator.js';
+import { calculatePDADefinition, calculatePDASimulation, calculatePDABatch } from '../services/calculators/pdaCalculator.js';
+import { calculateGrammarDefinition, calculateGrammarTransformation, calculateCYK, calculateCYKBatch } from '../services/calculators/grammarCalculator.js';
+import { calculateCFGToPDA, calculatePDAToCFG } from '../services/calculators/grammarPDAConversionCalculator.js';
+import { calculateTMDefinition, calculateTMSimulation, calculateTMBatch } from '../services/calculators/tmCalculator.js';
+import { calculateTransducerDefinition, calculateTransducerRun, calculateTransducerConversion } from '../services/calculators/transducerCalculator.js';
+import { calculatePumpingGameStart, calculatePumpingString, calculatePumpingSplit, calculatePumpingVerdict } from '../services/calculators/pumpingGameCalculator.js';
+
+/**
+ * Text of a handler's input for history and option lines
+ * Typed input is a definition; an imported JFLAP file arrives as a parsed
+ * automaton and is written back in the text format only for the history.
+ */
+function inputText(input) {
+  return typeof input === 'string' ? input : formatAutomatonDefinition(input);
+}
 
 /**
  * Helper function to send photo with proper error handling and multiple methods
  */
 async function sendPhotoWithFallback(ctx, imagePath, options) {
+  // SVG diagrams cannot be sent as photos, send them as a downloadable file
+  if (imagePath.endsWith('.svg')) {
+    const { Input } = await import('telegraf');
+    return ctx.replyWithDocument(Input.fromLocalFile(imagePath), options);
+  }
+
+  // Animated GIFs are sent as animations so they play inline
+  if (imagePath.endsWith('.gif')) {
+    const { Input } = await import('telegraf');
+    return ctx.replyWithAnimation(Input.fromLocalFile(imagePath), options);
+  }
+
   console.log(`📤 [PHOTO] Attempting to send photo: ${imagePath}`);
 
   try {
@@ -79,7 +126,9 @@ async function sendPhotoWithFallback(ctx, imagePath, options) {
  * - Type analysis with AI explanations
  * - Session state management for further operations
  */
-export async function handleFADefinition(ctx, session, text) {
+export async function handleFADefinition(ctx, session, input) {
+  const text = inputText(input);
+
   try {
     console.log(`🔧 [FA DEFINITION] Processing automaton for user ${ctx.from.id}`);
 
@@ -93,7 +142,7 @@ export async function handleFADefinition(ctx, session, text) {
     await ctx.telegram.sendChatAction(ctx.chat.id, 'typing');
 
     // Step 1: Use calculator to process and validate the input
-    const calculationResult = calculateDFADesign(text);
+    const calculationResult = calculateDFADesign(input);
 
     if (!calculationResult.success) {
       console.log(`❌ [FA DEFINITION] Validation failed:`, calculationResult.error);
@@ -123,7 +172,7 @@ export async function handleFADefinition(ctx, session, text) {
 
     try {
       // Generate visual diagram of the automaton
-      const imagePath = await generateAutomatonImage(automaton, `${automatonType} Diagram`, 'design');
+      const imagePath = await generateAutomatonDiagram(automaton, `${automatonType} Diagram`, 'design', session.diagramFormat);
 
       // Step 2: Get enhanced AI explanation with calculator results
       const enhancedPrompt = `Explain this automaton design with the following analysis:
@@ -156,6 +205,13 @@ export async function handleFADefinition(ctx, session, text) {
         });
       }
 
+      if (validation.warnings.length > 0) {
+        detailedAnalysis += `\n\n**⚠️ Input Warnings:**\n`;
+        validation.warnings.forEach(warning => {
+          detailedAnalysis += `• ${warning}\n`;
+        });
+      }
+
       if (recommendations.length > 0) {
         detailedAnalysis += `\n\n**💡 Recommendations:**\n`;
         recommendations.forEach(rec => {
@@ -211,6 +267,7 @@ export async function handleFADefinition(ctx, session, text) {
  * - Works with both DFA and NFA through universal simulation
  * - Step-by-step state transition display
  * - AI-powered execution path explanations
+ * - Batch mode: many strings (optionally labelled accept/reject) in one table
  */
 export async function handleTestInput(ctx, session, text) {
   console.log(`🧪 [TEST INPUT] Starting test for user ${ctx.from.id}`);
@@ -265,6 +322,12 @@ Then come back to test strings!`;
     return;
   }
 
+  // Several strings (or a labelled string) are tested as a batch
+  if (isBatchTestInput(text)) {
+    await handleBatchTestInput(ctx, session, text, inputId);
+    return;
+  }
+
   // Show typing indicator and inform user that simulation is starting
   await ctx.telegram.sendChatAction(ctx.chat.id, 'typing');
   ctx.reply(`🧪 **Testing Input String: "${text}"** 📊 Generating simulation diagram...`, { parse_mode: 'Markdown' });
@@ -286,7 +349,11 @@ Then come back to test strings!`;
     // Generate visual simulation diagram showing the path through the automaton
     const resultEmoji = result ? '✅' : '❌';
     const resultText = result ? 'ACCEPTED' : 'REJECTED';
-    const imagePath = await generateSimulationImage(session.currentFA, text, result);
+    // Animate the simulation step by step; very long inputs get a single frame
+    const animate = [...text].length <= MAX_ANIMATION_STEPS;
+    const imagePath = animate
+      ? await generateSimulationAnimation(session.currentFA, text)
+      : await generateSimulationImage(session.currentFA, text, result);
 
     // Step 2: Get enhanced AI explanation with calculator results
     const enhancedPrompt = `Explain this string simulation with the following detailed analysis:
@@ -308,7 +375,9 @@ Then come back to test strings!`;
 
     // Send the visual simulation diagram
     await sendPhotoWithFallback(ctx, imagePath, {
-      caption: `🧪 **String Simulation Result**\n\n**Input:** \`${text}\`\n**Result:** ${resultEmoji} ${resultText}\n**Steps:** ${analysis.stepsExecuted}\n**Type:** ${automatonType}\n\n📊 Visual simulation showing the path taken through the automaton\n🔴 Red highlights show the execution path`,
+      caption: `🧪 **String Simulation Result**\n\n**Input:** \`${text}\`\n**Result:** ${resultEmoji} ${resultText}\n**Steps:** ${analysis.stepsExecuted}\n**Type:** ${automatonType}\n\n${animate
+        ? '▶️ Each frame reads one more symbol\n🔴 Red highlights show the active states and the transitions taken'
+        : '📊 Visual simulation showing the path taken through the automaton\n🔴 Red highlights show the execution path'}`,
       parse_mode: 'Markdown'
     });
 
@@ -354,6 +423,41 @@ Then come back to test strings!`;
   updateUserSession(ctx.from.id, { waitingFor: null });
 }
 
+/**
+ * Handle a batch of test strings
+ * Every string is simulated without an image or AI explanation; the reply is
+ * one pass/fail table with summary counts and the mismatches.
+ */
+async function handleBatchTestInput(ctx, session, text, inputId) {
+  try {
+    await ctx.telegram.sendChatAction(ctx.chat.id, 'typing');
+
+    const calculationResult = calculateBatchInputTest(session.currentFA, text);
+
+    if (!calculationResult.success) {
+      updateUserSession(ctx.from.id, { waitingFor: null });
+
+      await ctx.reply(formatErrorMessage('Batch Test Error', calculationResult.error), { parse_mode: 'Markdown' });
+      return;
+    }
+
+    const resultMessage = formatBatchTestResults(calculationResult);
+    await ctx.reply(resultMessage, { parse_mode: 'Markdown' });
+
+    // Add bot response to history
+    addBotResponseToHistory(ctx.from.id, resultMessage, 'test_input', calculationResult, inputId);
+
+    updateUserSession(ctx.from.id, { waitingFor: null, lastOperation: 'batch_test_input' });
+  } catch (error) {
+    console.error('❌ [BATCH TEST] Unexpected error:', error);
+
+    // Clear session state on unexpected error
+    updateUserSession(ctx.from.id, { waitingFor: null });
+
+    ctx.reply(formatErrorMessage('Batch test failed', 'Please check your test strings and try again'), { parse_mode: 'Markdown' });
+  }
+}
+
 // ===============================================
 // FEATURE 3 IMPLEMENTATION: 🔍 CHECK FA TYPE
 // ===============================================
@@ -366,13 +470,13 @@ Then come back to test strings!`;
  * - Clear explanations for the classification reasoning
  * - Educational insights into automaton characteristics
  */
-export async function handleFATypeCheck(ctx, session, text) {
+export async function handleFATypeCheck(ctx, session, input) {
   try {
     // Show typing indicator
     await ctx.telegram.sendChatAction(ctx.chat.id, 'typing');
 
     // Step 1: Use calculator to analyze the automaton type
-    const calculationResult = calculateFAType(text);
+    const calculationResult = calculateFAType(input);
 
     if (!calculationResult.success) {
       // Clear session state on error
@@ -386,7 +490,7 @@ export async function handleFATypeCheck(ctx, session, text) {
 
     try {
       // Generate visual diagram showing the automaton structure
-      const imagePath = await generateAutomatonImage(automaton, `${type} Analysis`, 'type_check');
+      const imagePath = await generateAutomatonDiagram(automaton, `${type} Analysis`, 'type_check', session.diagramFormat);
 
       // Step 2: Get enhanced AI explanation with calculator results
       const enhancedPrompt = `Explain why this automaton is classified as ${type} with the following analysis:
@@ -470,13 +574,13 @@ export async function handleFATypeCheck(ctx, session, text) {
  * - Provides AI-powered explanations of each conversion step
  * - Saves results and updates session for further operations
  */
-export async function handleNFAConversion(ctx, session, text) {
+export async function handleNFAConversion(ctx, session, input) {
   try {
     // Show typing indicator
     await ctx.telegram.sendChatAction(ctx.chat.id, 'typing');
 
     // Step 1: Use calculator to process the NFA to DFA conversion
-    const calculationResult = calculateNFAToDFA(text);
+    const calculationResult = calculateNFAToDFA(input);
 
     if (!calculationResult.success) {
       // Clear session state on error
@@ -486,7 +590,7 @@ export async function handleNFAConversion(ctx, session, text) {
       return;
     }
 
-    const { originalNFA, convertedDFA, originalType, analysis, steps, stateMapping } = calculationResult;
+    const { originalNFA, convertedDFA, originalType, analysis, steps, stateMapping, subsetConstruction } = calculationResult;
 
     if (originalType === 'DFA') {
       ctx.reply('ℹ️ **Already a DFA**\n\nThis automaton is already deterministic. No conversion needed!', { parse_mode: 'Markdown' });
@@ -526,6 +630,9 @@ export async function handleNFAConversion(ctx, session, text) {
         parse_mode: 'Markdown'
       });
 
+      // Walk through the subset construction one DFA state at a time
+      await sendSubsetConstructionWalkthrough(ctx, originalNFA, convertedDFA, subsetConstruction);
+
       // Send formatted result with detailed explanation and calculator insights
       let detailedResult = `**📋 Conversion Analysis:**\n${explanation}`;
 
@@ -553,13 +660,13 @@ export async function handleNFAConversion(ctx, session, text) {
       console.error('Error generating image:', imageError);
 
       // Fallback: send text result only
-      const explanation = await explainAutomataStep(nfa, 'nfa2dfa');
-      await saveToDatabase(ctx.from.id, nfa, dfa, 'nfa_to_dfa');
-      await sendFormattedResult(ctx, dfa, 'Converted DFA', explanation);
+      const explanation = await explainAutomataStep(originalNFA, 'nfa2dfa');
+      await saveToDatabase(ctx.from.id, originalNFA, convertedDFA, 'nfa_to_dfa');
+      await sendFormattedResult(ctx, convertedDFA, 'Converted DFA', explanation);
     }
 
     // Update session with the new DFA for potential further operations
-    updateUserSession(ctx.from.id, { currentFA: dfa, waitingFor: null });
+    updateUserSession(ctx.from.id, { currentFA: convertedDFA, waitingFor: null });
   } catch (error) {
     ctx.reply(formatErrorMessage('Invalid NFA format'), { parse_mode: 'Markdown' });
   }
@@ -569,6 +676,47 @@ export async function handleNFAConversion(ctx, session, text) {
 // FEATURE 5 IMPLEMENTATION: ⚡ MINIMIZE DFA
 // ===============================================
 
+/**
+ * Send the subset construction walkthrough images as Telegram albums
+ * Albums hold at most 10 photos; a leftover single image is sent as a photo.
+ * The walkthrough is supplementary, so failures are logged and skipped.
+ */
+async function sendSubsetConstructionWalkthrough(ctx, nfa, dfa, subsetConstruction) {
+  if (subsetConstruction.stateSets.length + 1 > MAX_WALKTHROUGH_FRAMES) {
+    await ctx.reply(`ℹ️ The step-by-step walkthrough is only drawn for DFAs with up to ${MAX_WALKTHROUGH_FRAMES - 1} states.`);
+    return;
+  }
+
+  let imagePaths = [];
+  try {
+    imagePaths = await generateSubsetConstructionImages(nfa, dfa, subsetConstruction);
+    const { Input } = await import('telegraf');
+    const caption = `🧩 Subset construction step by step: each image processes one DFA state, and every DFA state is labelled with the NFA states it contains.`;
+
+    for (let i = 0; i < imagePaths.length; i += 10) {
+      const album = imagePaths.slice(i, i + 10);
+      if (album.length === 1) {
+        await sendPhotoWithFallback(ctx, album[0], i === 0 ? { caption } : {});
+      } else {
+        await ctx.replyWithMediaGroup(album.map((imagePath, index) => ({
+          type: 'photo',
+          media: Input.fromLocalFile(imagePath),
+          ...(i === 0 && index === 0 ? { caption } : {})
+        })));
+      }
+    }
+  } catch (error) {
+    console.error('Error sending subset construction walkthrough:', error);
+  }
+
+  // Clean up the walkthrough images after sending
+  setTimeout(async () => {
+    for (const imagePath of imagePaths) {
+      await fs.remove(imagePath).catch(error => console.error('Error cleaning up image:', error));
+    }
+  }, 30000);
+}
+
 /**
  * Handle DFA minimization - CORE IMPLEMENTATION OF FEATURE 5
  * This function provides DFA minimization capabilities:
@@ -578,26 +726,34 @@ export async function handleNFAConversion(ctx, session, text) {
  * - Identifies already minimal DFAs and explains why
  * - Provides comprehensive state equivalence analysis
  */
-export async function handleDFAMinimization(ctx, session, text) {
+export async function handleDFAMinimization(ctx, session, input) {
   try {
     // Show typing indicator
     await ctx.telegram.sendChatAction(ctx.chat.id, 'typing');
 
-    // Parse the input automaton
-    const dfa = parseDFAInput(text);
+    // Parse the input automaton; an imported automaton is only validated
+    const parsed = typeof input === 'string' ? parseAutomaton(input) : validateAutomaton(input);
+    if (!parsed.success) {
+      updateUserSession(ctx.from.id, { waitingFor: null });
+
+      ctx.reply(formatErrorMessage('Invalid DFA format', parsed.error), { parse_mode: 'Markdown' });
+      return;
+    }
+    const dfa = parsed.automaton;
     
-    // Check the automaton type
+    // Check the automaton type; a partial DFA is minimized directly
     const faType = checkFAType(dfa);
     
-    if (faType === 'NFA') {
+    if (faType === 'NFA' && !isDeterministic(dfa)) {
       // Handle NFA input - convert first, then minimize
       ctx.reply('🔄 **NFA Detected - Converting First...** 📊 Generating visual diagram...', { parse_mode: 'Markdown' });
 
       // Step 1: Convert NFA to DFA using subset construction
       const convertedDFA = nfaToDfa(dfa);
 
-      // Step 2: Apply minimization to the converted DFA
-      const minimized = minimizeDFA(convertedDFA);
+      // Step 2: Apply minimization to the converted DFA, drawn without its dead state
+      const refinement = minimizeDFAWithTrace(convertedDFA, { trimDead: true });
+      const minimized = refinement.minimizedDFA;
 
       try {
         // Generate comparison image showing original NFA and final minimized DFA
@@ -615,6 +771,9 @@ export async function handleDFAMinimization(ctx, session, text) {
           parse_mode: 'Markdown'
         });
 
+        // Show how the converted DFA was minimized
+        await sendMinimizationTables(ctx, convertedDFA, refinement, fillDistinguishabilityTable(convertedDFA));
+
         // Step 5: Send result with explanation of both conversion and minimization
         await sendFormattedResult(ctx, minimized, 'Converted and Minimized DFA Details', explanation);
 
@@ -636,9 +795,12 @@ export async function handleDFAMinimization(ctx, session, text) {
         await saveToDatabase(ctx.from.id, dfa, minimized, 'nfa_to_dfa_minimize');
         await sendFormattedResult(ctx, minimized, 'Converted and Minimized DFA', explanation);
       }
+
+      // Keep the result for further operations
+      updateUserSession(ctx.from.id, { currentFA: minimized });
     } else {
       // Handle DFA input - use calculator for minimization
-      const calculationResult = calculateDFAMinimization(text);
+      const calculationResult = calculateDFAMinimization(input);
 
       if (!calculationResult.success) {
         // Clear session state on error
@@ -648,7 +810,7 @@ export async function handleDFAMinimization(ctx, session, text) {
         return;
       }
 
-      const { originalDFA, minimizedDFA, analysis, steps } = calculationResult;
+      const { originalDFA, minimizedDFA, analysis, steps, partitionRefinement, tableFilling } = calculationResult;
 
       ctx.reply('⚡ **Minimizing DFA...** 📊 Generating visual diagram...', { parse_mode: 'Markdown' });
 
@@ -681,6 +843,9 @@ export async function handleDFAMinimization(ctx, session, text) {
           parse_mode: 'Markdown'
         });
 
+        // Show both minimization methods as tables
+        await sendMinimizationTables(ctx, originalDFA, partitionRefinement, tableFilling);
+
         // Step 4: Send formatted result with detailed explanation and calculator insights
         let detailedResult = `**📋 Minimization Analysis:**\n${explanation}`;
 
@@ -713,6 +878,9 @@ export async function handleDFAMinimization(ctx, session, text) {
         await saveToDatabase(ctx.from.id, originalDFA, minimizedDFA, 'minimize');
         await sendFormattedResult(ctx, minimizedDFA, 'Minimized DFA', explanation);
       }
+
+      // Keep the result for further operations
+      updateUserSession(ctx.from.id, { currentFA: minimizedDFA });
     }
     
     // Clear the waiting state
@@ -722,32 +890,1941 @@ export async function handleDFAMinimization(ctx, session, text) {
   }
 }
 
+/**
+ * Send the partition refinement rounds and the table-filling pair table
+ * Both are sent as formatted text and as an album of two images. Like the
+ * subset construction walkthrough this is supplementary, so failures are
+ * logged and skipped.
+ */
+async function sendMinimizationTables(ctx, dfa, refinement, tableFilling) {
+  let imagePaths = [];
+  try {
+    for (const text of [formatPartitionRefinement(refinement), formatDistinguishabilityTable(tableFilling)]) {
+      if (text.length <= 4000) {
+        await ctx.reply(text, { parse_mode: 'Markdown' });
+      }
+    }
+
+    imagePaths = await generateMinimizationTableImages(dfa, refinement, tableFilling);
+    const { Input } = await import('telegraf');
+    await ctx.replyWithMediaGroup(imagePaths.map((imagePath, index) => ({
+      type: 'photo',
+      media: Input.fromLocalFile(imagePath),
+      ...(index === 0 ? { caption: '🧱 Partition refinement rounds and 📐 table-filling pair table' } : {})
+    })));
+  } catch (error) {
+    console.error('Error sending minimization tables:', error);
+  }
+
+  // Clean up the table images after sending
+  setTimeout(async () => {
+    for (const imagePath of imagePaths) {
+      await fs.remove(imagePath).catch(error => console.error('Error cleaning up image:', error));
+    }
+  }, 30000);
+}
+
 // ===============================================
-// SESSION OPERATION DISPATCHER
+// FEATURE 7 IMPLEMENTATION: 📝 REGULAR EXPRESSIONS
 // ===============================================
 
 /**
- * Handle session operation - MAIN DISPATCHER FOR ALL FEATURES
- * This function routes user input to the appropriate feature handler based on
- * the current session state, enabling multi-step workflows for all six main features
+ * Handle regex operations - CORE IMPLEMENTATION OF FEATURE 7
+ * This function routes the regex sub-menu operations to the regex calculator:
+ * - regex_validate: syntax check, drawn as its Thompson NFA
+ * - regex_to_nfa: Thompson's construction with the fragments built
+ * - regex_to_dfa: Thompson NFA → subset construction → minimization
+ * - fa_to_regex: state elimination with an optional "Order:" line
+ * The resulting automaton becomes the session's current FA.
  */
-export async function handleSessionOperation(ctx, session, text) {
-  // Route to appropriate handler based on what the session is waiting for
-  switch (session.waitingFor) {
-    case 'fa_definition':        // Feature 1: Design FA
-      await handleFADefinition(ctx, session, text);
-      break;
-    case 'test_input':          // Feature 2: Test Input
-      await handleTestInput(ctx, session, text);
-      break;
-    case 'fa_type_check':       // Feature 3: Check FA Type
-      await handleFATypeCheck(ctx, session, text);
-      break;
-    case 'nfa_conversion':      // Feature 4: NFA→DFA
-      await handleNFAConversion(ctx, session, text);
-      break;
-    case 'dfa_minimization':    // Feature 5: Minimize DFA
-      await handleDFAMinimization(ctx, session, text);
+export async function handleRegexOperation(ctx, session, input) {
+  const operation = session.waitingFor;
+  const text = inputText(input);
+
+  try {
+    console.log(`📝 [REGEX] Processing ${operation} for user ${ctx.from.id}`);
+
+    // Add user input to history
+    const inputId = addUserInputToHistory(ctx.from.id, text, operation, {
+      inputLength: text.length
+    });
+
+    // Show typing indicator
+    await ctx.telegram.sendChatAction(ctx.chat.id, 'typing');
+
+    let calculationResult;
+    if (operation === 'fa_to_regex') {
+      // Optional "Order: q1,q2" line selects the elimination order
+      const lines = text.split('\n');
+      const orderLine = lines.find(line => /^\s*order\s*:/i.test(line));
+      const eliminationOrder = orderLine
+        ? orderLine.replace(/^\s*order\s*:/i, '').split(',').map(s => s.trim()).filter(Boolean)
+        : 'auto';
+      const definition = typeof input === 'string' ? lines.filter(line => line !== orderLine).join('\n') : input;
+
+      calculationResult = calculateRegexOperation(definition, 'nfa_to_regex', { eliminationOrder });
+    } else {
+      const calculatorOperation = operation === 'regex_validate' ? 'regex_to_nfa' : operation;
+      calculationResult = calculateRegexOperation(text.trim(), calculatorOperation);
+    }
+
+    if (!calculationResult.success) {
+      updateUserSession(ctx.from.id, { waitingFor: null });
+
+      const errorMessage = formatErrorMessage('Regex Error', calculationResult.error);
+      ctx.reply(errorMessage, { parse_mode: 'Markdown' });
+      addBotResponseToHistory(ctx.from.id, errorMessage, operation, calculationResult, inputId);
+      return;
+    }
+
+    let imagePath;
+    let caption;
+    let details;
+    let resultFA;
+
+    switch (operation) {
+      case 'regex_validate': {
+        const { originalRegex, nfa, analysis } = calculationResult;
+        const validation = calculateRegexOperation(originalRegex, 'validate');
+        resultFA = nfa;
+        imagePath = await generateAutomatonDiagram(nfa, `Regex: ${originalRegex}`, 'regex', session.diagramFormat);
+        caption = `✅ **Valid Regular Expression**\n\n**Regex:** \`${originalRegex}\`\n**Complexity:** ${analysis.originalComplexity}\n**Thompson NFA:** ${analysis.nfaStateCount} states`;
+        details = validation.warnings.length > 0
+          ? `**⚠️ Warnings:**\n${validation.warnings.map(w => `• ${w}`).join('\n')}`
+          : '✅ No warnings found.';
+        break;
+      }
+      case 'regex_to_nfa': {
+        const { originalRegex, nfa, analysis, steps } = calculationResult;
+        resultFA = nfa;
+        imagePath = await generateAutomatonDiagram(nfa, `Thompson NFA: ${originalRegex}`, 'regex', session.diagramFormat);
+        caption = `🔄 **Regex → NFA**\n\n**Regex:** \`${originalRegex}\`\n**States:** ${analysis.nfaStateCount}\n**Transitions:** ${analysis.nfaTransitionCount}`;
+        details = `**📋 Thompson Construction Steps:**\n${formatRegexSteps(steps.map(step => `${step.title}\n   ${step.details}`))}`;
+        break;
+      }
+      case 'regex_to_dfa': {
+        const { originalRegex, nfa, minimizedDFA, analysis } = calculationResult;
+        resultFA = minimizedDFA;
+        imagePath = await generateComparisonImage(nfa, minimizedDFA, 'Regex to Minimal DFA');
+        caption = `⚡ **Regex → Minimal DFA**\n\n**Regex:** \`${originalRegex}\`\n**Thompson NFA:** ${analysis.nfaStateCount} states\n**Subset DFA:** ${analysis.dfaStateCount} states\n**Minimal DFA:** ${analysis.minimizedStateCount} states`;
+        details = `**📋 Minimal DFA Transitions:**\n${minimizedDFA.transitions.map(t => `• ${t.from} --${t.symbol}--> ${t.to}`).join('\n')}\n\n**Start:** ${minimizedDFA.startState}\n**Final:** ${minimizedDFA.finalStates.join(', ') || 'none'}`;
+        break;
+      }
+      case 'fa_to_regex': {
+        const { originalNFA, regex, eliminationOrder, steps } = calculationResult;
+        imagePath = await generateAutomatonDiagram(originalNFA, 'Automaton to Regex', 'regex', session.diagramFormat);
+        caption = `📝 **Automaton → Regex**\n\n**Regex:** \`${regex}\`\n**Elimination order:** ${eliminationOrder.join(' → ')}`;
+        details = `**📋 State Elimination Steps:**\n${formatRegexSteps(steps.map(step =>
+          `${step.title}\n${step.edges.map(e => `   ${e.from} → ${e.to}: \`${e.label}\``).join('\n')}`))}`;
+        break;
+      }
+    }
+
+    await sendPhotoWithFallback(ctx, imagePath, { caption, parse_mode: 'Markdown' });
+    ctx.reply(details, { parse_mode: 'Markdown' });
+
+    // Add bot response to history
+    addBotResponseToHistory(ctx.from.id, `${caption}\n\n${details}`, operation, {
+      ...calculationResult,
+      hasImage: true,
+      imagePath: imagePath
+    }, inputId);
+
+    // Keep the generated automaton for further operations (test, minimize, ...)
+    updateUserSession(ctx.from.id, {
+      ...(resultFA ? { currentFA: resultFA } : {}),
+      waitingFor: null,
+      lastOperation: operation
+    });
+
+    // Clean up the image file
+    setTimeout(async () => {
+      try {
+        await fs.remove(imagePath);
+        console.log(`🗑️ Cleaned up image: ${imagePath}`);
+      } catch (error) {
+        console.error('Error cleaning up image:', error);
+      }
+    }, 30000);
+
+  } catch (error) {
+    console.error('❌ [REGEX] Unexpected error:', error);
+
+    // Clear session state on unexpected error
+    updateUserSession(ctx.from.id, { waitingFor: null });
+
+    ctx.reply(formatErrorMessage('Regex operation failed', 'Please check your input and try again'), { parse_mode: 'Markdown' });
+  }
+}
+
+/**
+ * Number regex steps and keep the message within Telegram limits
+ */
+function formatRegexSteps(lines, maxSteps = 15) {
+  let text = lines.slice(0, maxSteps).map((line, index) => `${index + 1}. ${line}`).join('\n');
+  if (lines.length > maxSteps) {
+    text += `\n... and ${lines.length - maxSteps} more steps`;
+  }
+  return text;
+}
+
+// ===============================================
+// FEATURE 8 IMPLEMENTATION: ⚖️ EQUIVALENCE CHECK
+// ===============================================
+
+/**
+ * Handle equivalence check - CORE IMPLEMENTATION OF FEATURE 8
+ * This function compares two automata sent in one message:
+ * - Determinizes and minimizes both automata
+ * - Confirms equivalence or reports the shortest distinguishing string
+ * - Shows traces of that string on both original machines
+ * - For two DFAs, reports the state mapping or where their structure differs
+ * - Renders the two minimized DFAs side by side
+ */
+export async function handleEquivalenceCheck(ctx, session, text) {
+  try {
+    // Add user input to history
+    const inputId = addUserInputToHistory(ctx.from.id, text, 'equivalence_check', {
+      inputLength: text.length
+    });
+
+    // Show typing indicator
+    await ctx.telegram.sendChatAction(ctx.chat.id, 'typing');
+
+    // Step 1: Use calculator to compare the two automata
+    const calculationResult = calculateEquivalenceFromText(text);
+
+    if (!calculationResult.success) {
+      updateUserSession(ctx.from.id, { waitingFor: null });
+
+      ctx.reply(formatErrorMessage('Equivalence Check Error', calculationResult.error), { parse_mode: 'Markdown' });
+      return;
+    }
+
+    const { minimizedA, minimizedB, equivalent, distinguishingString, acceptedBy, traces, isomorphism, analysis } = calculationResult;
+
+    // Step 2: Build the verdict
+    let resultMessage;
+    if (equivalent) {
+      resultMessage = `✅ **Equivalent**\n\nBoth automata accept the same language.\n\n`;
+    } else {
+      const shown = distinguishingString === '' ? 'ε (empty string)' : distinguishingString;
+      resultMessage = `❌ **Not Equivalent**\n\n**Distinguishing string:** \`${shown}\`\n`;
+      resultMessage += `Accepted by automaton ${acceptedBy}, rejected by automaton ${acceptedBy === 'A' ? 'B' : 'A'}.\n\n`;
+
+      for (const name of ['A', 'B']) {
+        const trace = traces[name];
+        resultMessage += `**🔍 Trace on automaton ${name}:**\n`;
+        resultMessage += trace.success
+          ? trace.executionTrace.map(step => `${step.step}. ${step.description}`).join('\n')
+          : `Rejected - ${trace.error}`;
+        resultMessage += '\n\n';
+      }
+    }
+
+    if (isomorphism) {
+      resultMessage += `**🔗 Structure:**\n`;
+      if (isomorphism.isomorphic) {
+        resultMessage += `The DFAs are identical up to state names:\n`;
+        resultMessage += Object.entries(isomorphism.mapping).map(([stateA, stateB]) => `• ${stateA} ↔ ${stateB}`).join('\n');
+      } else {
+        resultMessage += `The DFAs are not isomorphic. ${isomorphism.difference.description}.`;
+      }
+      resultMessage += '\n\n';
+    }
+
+    resultMessage += `**📊 Details:**\n`;
+    resultMessage += `• A: ${analysis.typeA}, ${analysis.originalStateCounts.A} states → minimal ${analysis.minimizedStateCounts.A}\n`;
+    resultMessage += `• B: ${analysis.typeB}, ${analysis.originalStateCounts.B} states → minimal ${analysis.minimizedStateCounts.B}`;
+    if (analysis.alphabetsDiffer) {
+      resultMessage += `\n• ⚠️ The alphabets differ; symbols unknown to an automaton are rejected by it`;
+    }
+
+    try {
+      // Step 3: Render both minimized DFAs side by side
+      const imagePath = await generateComparisonImage(minimizedA, minimizedB, 'Minimized DFAs', {
+        left: 'Automaton A',
+        right: 'Automaton B'
+      });
+
+      await sendPhotoWithFallback(ctx, imagePath, {
+        caption: `⚖️ **Equivalence Check:** ${equivalent ? '✅ Equivalent' : '❌ Not equivalent'}`,
+        parse_mode: 'Markdown'
+      });
+
+      // Clean up the image file
+      setTimeout(async () => {
+        try {
+          await fs.remove(imagePath);
+          console.log(`🗑️ Cleaned up image: ${imagePath}`);
+        } catch (error) {
+          console.error('Error cleaning up image:', error);
+        }
+      }, 30000);
+    } catch (imageError) {
+      console.error('Error generating image:', imageError);
+    }
+
+    ctx.reply(resultMessage, { parse_mode: 'Markdown' });
+
+    // Add bot response to history
+    addBotResponseToHistory(ctx.from.id, resultMessage, 'equivalence_check', calculationResult, inputId);
+
+    updateUserSession(ctx.from.id, { waitingFor: null, lastOperation: 'equivalence_check' });
+  } catch (error) {
+    console.error('❌ [EQUIVALENCE] Unexpected error:', error);
+
+    // Clear session state on unexpected error
+    updateUserSession(ctx.from.id, { waitingFor: null });
+
+    ctx.reply(formatErrorMessage('Invalid automaton format', 'Send two automata separated by a line with ---'), { parse_mode: 'Markdown' });
+  }
+}
+
+// ===============================================
+// FEATURE 9 IMPLEMENTATION: 🔀 COMBINE (BOOLEAN OPERATIONS)
+// ===============================================
+
+/**
+ * Handle boolean operation - CORE IMPLEMENTATION OF FEATURE 9
+ * This function combines two automata sent in one message:
+ * - Builds the product DFA for union, intersection, difference or XOR
+ * - Lists each product state as the pair of states it tracks
+ * - Renders both inputs side by side, then the minimized result
+ * The minimized result becomes the session's current FA.
+ */
+export async function handleBooleanOperation(ctx, session, text) {
+  const waitingFor = session.waitingFor;
+  const operation = waitingFor.replace(/^boolean_/, '');
+
+  try {
+    // Add user input to history
+    const inputId = addUserInputToHistory(ctx.from.id, text, waitingFor, {
+      inputLength: text.length
+    });
+
+    // Show typing indicator
+    await ctx.telegram.sendChatAction(ctx.chat.id, 'typing');
+
+    // Step 1: Use calculator to build the product automaton
+    const calculationResult = calculateBooleanOperationFromText(text, operation);
+
+    if (!calculationResult.success) {
+      updateUserSession(ctx.from.id, { waitingFor: null });
+
+      ctx.reply(formatErrorMessage('Product Construction Error', calculationResult.error), { parse_mode: 'Markdown' });
+      return;
+    }
+
+    const { operationName, notation, automatonA, automatonB, productDFA, stateMapping, minimizedDFA, analysis } = calculationResult;
+
+    // Step 2: Describe the product states and the result
+    const showState = state => state === null ? '∅' : state;
+    let resultMessage = `🔀 **${operationName}: ${notation}**\n\n`;
+    resultMessage += `**🔗 Product states (A, B):**\n`;
+    resultMessage += productDFA.states.slice(0, 20)
+      .map(state => `• ${state} = (${stateMapping[state].map(showState).join(', ')})${productDFA.finalStates.includes(state) ? ' ✅' : ''}`)
+      .join('\n');
+    if (productDFA.states.length > 20) {
+      resultMessage += `\n... and ${productDFA.states.length - 20} more`;
+    }
+    resultMessage += `\n\n**⚡ Minimized result:**\n`;
+    resultMessage += minimizedDFA.transitions.map(t => `• ${t.from} --${t.symbol}--> ${t.to}`).join('\n') || '• (no transitions)';
+    resultMessage += `\n**Start:** ${minimizedDFA.startState}\n**Final:** ${minimizedDFA.finalStates.join(', ') || 'none'}\n\n`;
+    resultMessage += `**📊 Details:**\n`;
+    resultMessage += `• Alphabet: {${analysis.combinedAlphabet.join(', ')}}${analysis.alphabetsAligned ? ' (aligned, ∅ = trap state)' : ''}\n`;
+    resultMessage += `• Product: ${analysis.productStateCount} states → minimal ${analysis.minimizedStateCount}`;
+    if (analysis.isEmpty) {
+      resultMessage += `\n• ⚠️ The resulting language is empty`;
+    }
+
+    const imagePaths = [];
+    try {
+      // Step 3: Render both inputs side by side, then the result
+      const inputsImage = await generateComparisonImage(automatonA, automatonB, notation, {
+        left: 'Automaton A',
+        right: 'Automaton B'
+      });
+      imagePaths.push(inputsImage);
+      await sendPhotoWithFallback(ctx, inputsImage, {
+        caption: `🔀 **${operationName}** of these automata`,
+        parse_mode: 'Markdown'
+      });
+
+      const resultImage = await generateAutomatonDiagram(minimizedDFA, `${operationName} (minimized)`, 'product', session.diagramFormat);
+      imagePaths.push(resultImage);
+      await sendPhotoWithFallback(ctx, resultImage, {
+        caption: `✅ **Result:** ${notation}`,
+        parse_mode: 'Markdown'
+      });
+
+      // Clean up the image files
+      setTimeout(async () => {
+        for (const imagePath of imagePaths) {
+          try {
+            await fs.remove(imagePath);
+            console.log(`🗑️ Cleaned up image: ${imagePath}`);
+          } catch (error) {
+            console.error('Error cleaning up image:', error);
+          }
+        }
+      }, 30000);
+    } catch (imageError) {
+      console.error('Error generating image:', imageError);
+    }
+
+    ctx.reply(resultMessage, { parse_mode: 'Markdown' });
+
+    // Add bot response to history
+    addBotResponseToHistory(ctx.from.id, resultMessage, waitingFor, calculationResult, inputId);
+
+    // Keep the result for further operations (test, minimize, ...)
+    updateUserSession(ctx.from.id, {
+      currentFA: minimizedDFA,
+      waitingFor: null,
+      lastOperation: waitingFor
+    });
+  } catch (error) {
+    console.error('❌ [BOOLEAN] Unexpected error:', error);
+
+    // Clear session state on unexpected error
+    updateUserSession(ctx.from.id, { waitingFor: null });
+
+    ctx.reply(formatErrorMessage('Invalid automaton format', 'Send two automata separated by a line with ---'), { parse_mode: 'Markdown' });
+  }
+}
+
+// ===============================================
+// FEATURE 10 IMPLEMENTATION: 🧩 OPERATIONS (CLOSURE PROPERTIES)
+// ===============================================
+
+/**
+ * Handle closure operation - CORE IMPLEMENTATION OF FEATURE 10
+ * This function applies complement, reverse, concatenation, star, plus or
+ * homomorphism to the automata sent by the user:
+ * - Homomorphism reads its mapping from a "Map:" line
+ * - Renders the operand(s) and the result
+ * The result becomes the session's current FA.
+ */
+export async function handleClosureOperation(ctx, session, input) {
+  const waitingFor = session.waitingFor;
+  const text = inputText(input);
+  const operation = waitingFor.replace(/^closure_/, '');
+
+  try {
+    // Add user input to history
+    const inputId = addUserInputToHistory(ctx.from.id, text, waitingFor, {
+      inputLength: text.length
+    });
+
+    // Show typing indicator
+    await ctx.telegram.sendChatAction(ctx.chat.id, 'typing');
+
+    // Optional "Map: a->01, b->ε" line gives the homomorphism
+    const lines = text.split('\n');
+    const mapLine = lines.find(line => /^\s*map\s*:/i.test(line));
+    const mapping = mapLine ? mapLine.replace(/^\s*map\s*:/i, '') : undefined;
+    const definition = typeof input === 'string' ? lines.filter(line => line !== mapLine).join('\n') : input;
+
+    // Step 1: Use calculator to apply the operation
+    const calculationResult = calculateClosureOperation(definition, operation, { mapping });
+
+    if (!calculationResult.success) {
+      updateUserSession(ctx.from.id, { waitingFor: null });
+
+      ctx.reply(formatErrorMessage('Operation Error', calculationResult.error), { parse_mode: 'Markdown' });
+      return;
+    }
+
+    const { operationName, notation, originalFA, secondFA, resultFA, steps, analysis } = calculationResult;
+
+    // Step 2: Describe the construction and the result
+    let resultMessage = `🧩 **${operationName}: ${notation}**\n\n`;
+    resultMessage += `**📋 Construction:**\n${steps.map((step, index) => `${index + 1}. ${step}`).join('\n')}\n\n`;
+    resultMessage += `**✅ Result (${analysis.resultType}):**\n`;
+    resultMessage += resultFA.transitions.slice(0, 30).map(t => `• ${t.from} --${t.symbol}--> ${t.to}`).join('\n') || '• (no transitions)';
+    if (resultFA.transitions.length > 30) {
+      resultMessage += `\n... and ${resultFA.transitions.length - 30} more transitions`;
+    }
+    resultMessage += `\n**Start:** ${resultFA.startState}\n**Final:** ${resultFA.finalStates.join(', ') || 'none'}\n\n`;
+    resultMessage += `💡 Use 🧪 Test Input, ⚡ Minimize DFA or 🔄 NFA→DFA to continue with this automaton.`;
+
+    try {
+      // Step 3: Render the operand(s) next to the result
+      const imagePaths = [];
+      if (secondFA) {
+        const inputsImage = await generateComparisonImage(originalFA, secondFA, notation, {
+          left: 'Automaton A',
+          right: 'Automaton B'
+        });
+        imagePaths.push(inputsImage);
+        await sendPhotoWithFallback(ctx, inputsImage, {
+          caption: `🧩 **${operationName}** of these automata`,
+          parse_mode: 'Markdown'
+        });
+
+        const resultImage = await generateAutomatonDiagram(resultFA, notation, 'closure', session.diagramFormat);
+        imagePaths.push(resultImage);
+        await sendPhotoWithFallback(ctx, resultImage, {
+          caption: `✅ **Result:** ${notation}`,
+          parse_mode: 'Markdown'
+        });
+      } else {
+        const comparisonImage = await generateComparisonImage(originalFA, resultFA, notation, {
+          left: 'Original',
+          right: operationName
+        });
+        imagePaths.push(comparisonImage);
+        await sendPhotoWithFallback(ctx, comparisonImage, {
+          caption: `🧩 **${operationName}:** ${analysis.originalStateCount} → ${analysis.resultStateCount} states`,
+          parse_mode: 'Markdown'
+        });
+      }
+
+      // Clean up the image files
+      setTimeout(async () => {
+        for (const imagePath of imagePaths) {
+          try {
+            await fs.remove(imagePath);
+            console.log(`🗑️ Cleaned up image: ${imagePath}`);
+          } catch (error) {
+            console.error('Error cleaning up image:', error);
+          }
+        }
+      }, 30000);
+    } catch (imageError) {
+      console.error('Error generating image:', imageError);
+    }
+
+    ctx.reply(resultMessage, { parse_mode: 'Markdown' });
+
+    // Add bot response to history
+    addBotResponseToHistory(ctx.from.id, resultMessage, waitingFor, calculationResult, inputId);
+
+    // Keep the result for further operations (test, minimize, ...)
+    updateUserSession(ctx.from.id, {
+      currentFA: resultFA,
+      waitingFor: null,
+      lastOperation: waitingFor
+    });
+  } catch (error) {
+    console.error('❌ [CLOSURE] Unexpected error:', error);
+
+    // Clear session state on unexpected error
+    updateUserSession(ctx.from.id, { waitingFor: null });
+
+    ctx.reply(formatErrorMessage('Invalid automaton format', 'Please check your input and try again'), { parse_mode: 'Markdown' });
+  }
+}
+
+// ===============================================
+// FEATURE 11 IMPLEMENTATION: 📁 JFLAP FILES
+// ===============================================
+
+/** Largest .jff upload that is downloaded (1 MB) */
+const MAX_JFLAP_FILE_SIZE = 1024 * 1024;
+
+/** Largest .csv/.txt list of test strings that is downloaded (64 KB) */
+const MAX_TEST_LIST_FILE_SIZE = 64 * 1024;
+
+/**
+ * Operations that accept an uploaded .jff file in place of a text definition,
+ * mapped to the file name suffix of the automaton they produce (null if the
+ * operation does not produce a new automaton)
+ */
+const JFLAP_OPERATIONS = {
+  fa_definition: null,
+  fa_type_check: null,
+  fa_to_regex: null,
+  nfa_conversion: 'dfa',
+  dfa_minimization: 'minimized',
+  closure_complement: 'complement',
+  closure_reverse: 'reverse',
+  closure_star: 'star',
+  closure_plus: 'plus'
+};
+
+/**
+ * Send an automaton to the user as a downloadable JFLAP .jff file
+ */
+export async function sendAutomatonAsJFLAP(ctx, fa, filename, caption) {
+  await ctx.replyWithDocument(
+    { source: Buffer.from(automatonToJFLAP(fa), 'utf8'), filename },
+    caption ? { caption } : {}
+  );
+}
+
+/**
+ * Test the strings of an uploaded .csv or .txt file as one batch
+ */
+async function handleTestListUpload(ctx, session, document) {
+  if (document.file_size > MAX_TEST_LIST_FILE_SIZE) {
+    ctx.reply(formatErrorMessage('Batch Test Error', 'The file is larger than 64 KB.'), { parse_mode: 'Markdown' });
+    return;
+  }
+
+  try {
+    const fileLink = await ctx.telegram.getFileLink(document.file_id);
+    const { data } = await axios.get(fileLink.href, { responseType: 'text', timeout: 15000 });
+    await handleTestInput(ctx, session, String(data));
+  } catch (error) {
+    console.error('❌ [TEST INPUT] Error reading uploaded test list:', error);
+    updateUserSession(ctx.from.id, { waitingFor: null });
+    ctx.reply(formatErrorMessage('Batch Test Error', 'The file could not be downloaded or read.'), { parse_mode: 'Markdown' });
+  }
+}
+
+/**
+ * Handle a document upload - CORE IMPLEMENTATION OF FEATURE 11
+ * Reads a JFLAP .jff file and:
+ * - Feeds it to the waiting operation (e.g. NFA→DFA, Minimize DFA) as if the
+ *   automaton had been typed, then sends the result back as a .jff file
+ * - Otherwise loads it like 🔧 Design FA so it can be tested or exported
+ * While 🧪 Test Input is waiting, a .csv or .txt file is tested as a batch of strings.
+ */
+export async function handleDocumentUpload(ctx, session) {
+  const document = ctx.message.document;
+  const fileName = document.file_name || 'automaton.jff';
+
+  // While testing input, a .csv or .txt file holds a batch of test strings
+  if (session.waitingFor === 'test_input' && /\.(csv|txt)$/i.test(fileName)) {
+    await handleTestListUpload(ctx, session, document);
+    return;
+  }
+
+  if (!fileName.toLowerCase().endsWith('.jff')) {
+    ctx.reply('📁 **Unsupported File**\n\nOnly JFLAP finite automaton files (`.jff`) can be imported.', { parse_mode: 'Markdown' });
+    return;
+  }
+  if (document.file_size > MAX_JFLAP_FILE_SIZE) {
+    ctx.reply(formatErrorMessage('JFLAP Import Error', 'The file is larger than 1 MB.'), { parse_mode: 'Markdown' });
+    return;
+  }
+
+  const operation = session.waitingFor;
+  if (operation && !(operation in JFLAP_OPERATIONS)) {
+    ctx.reply('📁 **File Not Expected**\n\nThis step needs typed input. JFLAP files can be used with Design FA, Check FA Type, NFA→DFA, Minimize DFA, Automaton→Regex and the single-automaton operations.', { parse_mode: 'Markdown' });
+    return;
+  }
+
+  try {
+    await ctx.telegram.sendChatAction(ctx.chat.id, 'typing');
+
+    // Step 1: Download and convert the file
+    const fileLink = await ctx.telegram.getFileLink(document.file_id);
+    const { data } = await axios.get(fileLink.href, { responseType: 'text', timeout: 15000 });
+    const imported = parseJFLAP(data);
+
+    if (!imported.success) {
+      updateUserSession(ctx.from.id, { waitingFor: null });
+      ctx.reply(formatErrorMessage('JFLAP Import Error', imported.error), { parse_mode: 'Markdown' });
+      return;
+    }
+
+    console.log(`📁 [JFLAP] Imported ${fileName}: ${imported.automaton.states.length} states, ${imported.automaton.transitions.length} transitions`);
+
+    // The operations skip the text parser, so run its reference checks here
+    const validated = validateAutomaton(imported.automaton);
+    if (!validated.success) {
+      updateUserSession(ctx.from.id, { waitingFor: null });
+      ctx.reply(formatErrorMessage('JFLAP Import Error', validated.error), { parse_mode: 'Markdown' });
+      return;
+    }
+
+    if (imported.warnings.length > 0) {
+      ctx.reply(`⚠️ **Import Warnings**\n${imported.warnings.map(w => `• ${escapeMarkdown(w)}`).join('\n')}`, { parse_mode: 'Markdown' });
+    }
+
+    // Step 2: Run the waiting operation (or Design FA) on the imported automaton
+    const previousFA = session.currentFA;
+
+    if (!operation) {
+      session.waitingFor = 'fa_definition';
+    }
+    await handleSessionOperation(ctx, session, imported.automaton);
+
+    // Step 3: Send the resulting automaton back as a .jff file
+    const suffix = JFLAP_OPERATIONS[operation];
+    if (suffix && session.currentFA && session.currentFA !== previousFA) {
+      const baseName = fileName.replace(/\.jff$/i, '');
+      await sendAutomatonAsJFLAP(ctx, session.currentFA, `${baseName}-${suffix}.jff`, '📁 Result as a JFLAP file');
+    } else if (!operation) {
+      ctx.reply('📁 **JFLAP File Loaded**\n\nUse 🧪 Test Input to try strings, or /export to download the current automaton as a .jff file.', { parse_mode: 'Markdown' });
+    }
+  } catch (error) {
+    console.error('❌ [JFLAP] Error handling document upload:', error);
+    updateUserSession(ctx.from.id, { waitingFor: null });
+    ctx.reply(formatErrorMessage('JFLAP Import Error', 'The file could not be downloaded or read.'), { parse_mode: 'Markdown' });
+  }
+}
+
+// ===============================================
+// FEATURE 12 IMPLEMENTATION: 🥞 PUSHDOWN AUTOMATA
+// ===============================================
+
+/**
+ * Handle a PDA definition - CORE IMPLEMENTATION OF FEATURE 12
+ * Parses the PDA, draws it, reports whether it meets the DPDA conditions
+ * and keeps it as the session's current PDA for testing.
+ */
+export async function handlePDADefinition(ctx, session, text) {
+  try {
+    // Add user input to history
+    const inputId = addUserInputToHistory(ctx.from.id, text, 'pda_definition', {
+      inputLength: text.length,
+      linesCount: text.split('\n').length
+    });
+
+    // Show typing indicator
+    await ctx.telegram.sendChatAction(ctx.chat.id, 'typing');
+
+    // Step 1: Use calculator to parse and analyze the PDA
+    const calculationResult = calculatePDADefinition(text);
+
+    if (!calculationResult.success) {
+      updateUserSession(ctx.from.id, { waitingFor: null });
+
+      ctx.reply(formatErrorMessage('Invalid PDA', calculationResult.error), { parse_mode: 'Markdown' });
+      return;
+    }
+
+    const { pda, warnings, analysis } = calculationResult;
+
+    // Step 2: Describe the PDA
+    let resultMessage = `🥞 **Pushdown Automaton**\n\n`;
+    resultMessage += `📊 **States:** ${pda.states.join(', ')}\n`;
+    resultMessage += `🔤 **Input alphabet:** ${pda.alphabet.join(', ')}\n`;
+    resultMessage += `📚 **Stack alphabet:** ${pda.stackAlphabet.join(', ')}\n`;
+    resultMessage += `🚀 **Start:** ${pda.startState} with \`${pda.startStack || 'ε'}\` on the stack\n`;
+    resultMessage += pda.acceptBy === 'empty'
+      ? `🎯 **Accepts by:** empty stack\n`
+      : `🎯 **Accepts by:** final state (${pda.finalStates.join(', ') || 'none'})\n`;
+    resultMessage += `🔄 **Moves:** ${analysis.transitionCount} (${analysis.epsilonMoves} ε-move(s))\n\n`;
+
+    if (analysis.deterministic) {
+      resultMessage += `✅ **Deterministic (DPDA):** no two moves can apply to the same configuration.\n`;
+    } else {
+      resultMessage += `🔀 **Nondeterministic:** ${analysis.conflicts.length} pair(s) of moves can apply to the same configuration, e.g.\n`;
+      analysis.conflicts.slice(0, 5).forEach(([a, b]) => {
+        resultMessage += `• \`${formatPDATransition(a)}\` and \`${formatPDATransition(b)}\`\n`;
+      });
+      if (analysis.conflicts.length > 5) {
+        resultMessage += `• … ${analysis.conflicts.length - 5} more\n`;
+      }
+    }
+
+    if (warnings.length > 0) {
+      resultMessage += `\n⚠️ **Notes:**\n${warnings.slice(0, 5).map(warning => `• ${escapeMarkdown(warning.message)}`).join('\n')}\n`;
+    }
+    resultMessage += `\n💡 Press 🧪 Test PDA to run strings on it.`;
+
+    try {
+      // Step 3: Draw the PDA with its moves on the edges
+      const imagePath = await generatePDADiagram(pda, 'Pushdown Automaton', session.diagramFormat);
+      await sendPhotoWithFallback(ctx, imagePath, {
+        caption: `🥞 **PDA:** ${analysis.stateCount} states, ${analysis.transitionCount} moves`,
+        parse_mode: 'Markdown'
+      });
+
+      // Clean up the image file
+      setTimeout(async () => {
+        try {
+          await fs.remove(imagePath);
+          console.log(`🗑️ Cleaned up image: ${imagePath}`);
+        } catch (error) {
+          console.error('Error cleaning up image:', error);
+        }
+      }, 30000);
+    } catch (imageError) {
+      console.error('Error generating image:', imageError);
+    }
+
+    ctx.reply(resultMessage, { parse_mode: 'Markdown' });
+
+    // Add bot response to history
+    addBotResponseToHistory(ctx.from.id, resultMessage, 'pda_definition', calculationResult, inputId);
+
+    updateUserSession(ctx.from.id, {
+      currentPDA: pda,
+      waitingFor: null,
+      lastOperation: 'pda_definition'
+    });
+  } catch (error) {
+    console.error('❌ [PDA] Unexpected error:', error);
+
+    // Clear session state on unexpected error
+    updateUserSession(ctx.from.id, { waitingFor: null });
+
+    ctx.reply(formatErrorMessage('Invalid PDA format', 'Please check your input and try again'), { parse_mode: 'Markdown' });
+  }
+}
+
+/**
+ * Handle strings sent to the current PDA
+ * One string is answered with the instantaneous descriptions of its
+ * computation; several strings with a pass/fail table. An optional
+ * "Accept by:" line overrides the PDA's acceptance mode.
+ */
+export async function handlePDAInput(ctx, session, text) {
+  try {
+    if (!session.currentPDA) {
+      updateUserSession(ctx.from.id, { waitingFor: null });
+      ctx.reply('❌ No PDA defined yet. Use 🥞 PDA → ✏️ Define PDA first.');
+      return;
+    }
+
+    // Add user input to history
+    const inputId = addUserInputToHistory(ctx.from.id, text, 'pda_input', {
+      inputLength: text.length
+    });
+
+    // Show typing indicator
+    await ctx.telegram.sendChatAction(ctx.chat.id, 'typing');
+
+    // Optional "Accept by: empty stack" line
+    const lines = text.split('\n');
+    const modeLine = lines.find(line => /^\s*accept(s)?\s+by\s*:/i.test(line));
+    let acceptBy;
+    if (modeLine) {
+      const word = modeLine.replace(/^\s*accept(s)?\s+by\s*:/i, '').trim().toLowerCase();
+      acceptBy = Object.keys(PDA_ACCEPTANCE).find(mode => PDA_ACCEPTANCE[mode].includes(word));
+      if (!acceptBy) {
+        updateUserSession(ctx.from.id, { waitingFor: null });
+        ctx.reply(formatErrorMessage('Unknown acceptance mode', 'Use "Accept by: final state" or "Accept by: empty stack"'), { parse_mode: 'Markdown' });
+        return;
+      }
+    }
+    const strings = lines.filter(line => line !== modeLine).join('\n').trim();
+
+    let calculationResult;
+    let resultMessage;
+    if (isBatchTestInput(strings)) {
+      // Several strings: one pass/fail table
+      calculationResult = calculatePDABatch(session.currentPDA, strings, { acceptBy });
+      if (calculationResult.success) resultMessage = formatBatchTestResults(calculationResult);
+    } else {
+      // One string: the computation as instantaneous descriptions
+      calculationResult = calculatePDASimulation(session.currentPDA, strings, { acceptBy });
+      if (calculationResult.success) resultMessage = formatPDATrace(calculationResult);
+    }
+
+    if (!calculationResult.success) {
+      updateUserSession(ctx.from.id, { waitingFor: null });
+
+      ctx.reply(formatErrorMessage('PDA Test Error', calculationResult.error), { parse_mode: 'Markdown' });
+      return;
+    }
+
+    ctx.reply(resultMessage, { parse_mode: 'Markdown' });
+
+    // Add bot response to history
+    addBotResponseToHistory(ctx.from.id, resultMessage, 'pda_input', calculationResult, inputId);
+
+    updateUserSession(ctx.from.id, { waitingFor: null, lastOperation: 'pda_input' });
+  } catch (error) {
+    console.error('❌ [PDA] Unexpected error:', error);
+
+    // Clear session state on unexpected error
+    updateUserSession(ctx.from.id, { waitingFor: null });
+
+    ctx.reply(formatErrorMessage('PDA simulation failed', 'Please check your input and try again'), { parse_mode: 'Markdown' });
+  }
+}
+
+// ===============================================
+// FEATURE 13 IMPLEMENTATION: 📐 CONTEXT-FREE GRAMMARS
+// ===============================================
+
+/**
+ * Handle a grammar definition - CORE IMPLEMENTATION OF FEATURE 13
+ * Parses the grammar, reports its nullable and useless variables and
+ * whether it is already in a normal form, and keeps it as the session's
+ * current grammar.
+ */
+export async function handleGrammarDefinition(ctx, session, text) {
+  try {
+    // Add user input to history
+    const inputId = addUserInputToHistory(ctx.from.id, text, 'grammar_definition', {
+      inputLength: text.length,
+      linesCount: text.split('\n').length
+    });
+
+    // Show typing indicator
+    await ctx.telegram.sendChatAction(ctx.chat.id, 'typing');
+
+    // Step 1: Use calculator to parse and analyze the grammar
+    const calculationResult = calculateGrammarDefinition(text);
+
+    if (!calculationResult.success) {
+      updateUserSession(ctx.from.id, { waitingFor: null });
+
+      ctx.reply(formatErrorMessage('Invalid Grammar', calculationResult.error), { parse_mode: 'Markdown' });
+      return;
+    }
+
+    const { grammar, warnings, analysis } = calculationResult;
+    const set = variables => `{${variables.join(', ')}}`;
+
+    // Step 2: Describe the grammar
+    let resultMessage = `📐 **Context-Free Grammar**\n\n`;
+    resultMessage += `\`\`\`\n${formatGrammar(grammar)}\n\`\`\`\n`;
+    resultMessage += `🔠 **Variables:** \`${set(grammar.variables)}\`\n`;
+    resultMessage += `🔤 **Terminals:** \`${set(grammar.terminals)}\`\n`;
+    resultMessage += `🚀 **Start symbol:** \`${grammar.startSymbol}\`\n`;
+    resultMessage += `📏 **Productions:** ${analysis.productionCount} (${analysis.epsilonProductions} ε, ${analysis.unitProductions} unit)\n\n`;
+
+    resultMessage += `**🔍 Analysis:**\n`;
+    resultMessage += `• Nullable: ${analysis.nullable.length > 0 ? `\`${set(analysis.nullable)}\`` : 'none'}${analysis.generatesEmpty ? ' - ε is in the language' : ''}\n`;
+    if (analysis.nonGenerating.length > 0) {
+      resultMessage += `• Non-generating: \`${set(analysis.nonGenerating)}\`\n`;
+    }
+    if (analysis.unreachable.length > 0) {
+      resultMessage += `• Unreachable: \`${set(analysis.unreachable)}\`\n`;
+    }
+    if (analysis.emptyLanguage) {
+      resultMessage += `• ⚠️ The start symbol generates no string: the language is empty\n`;
+    }
+    resultMessage += `• Chomsky normal form: ${analysis.isCNF ? '✅ yes' : '❌ no'}\n`;
+    resultMessage += `• Greibach normal form: ${analysis.isGNF ? '✅ yes' : '❌ no'}\n`;
+
+    if (warnings.length > 0) {
+      resultMessage += `\n⚠️ **Notes:**\n${warnings.slice(0, 5).map(warning => `• ${escapeMarkdown(warning.message)}`).join('\n')}\n`;
+    }
+    resultMessage += `\n💡 Use 🧹 Simplify, 🔷 To CNF, 🔶 To GNF or 🧮 CYK Test next.`;
+
+    ctx.reply(resultMessage, { parse_mode: 'Markdown' });
+
+    // Add bot response to history
+    addBotResponseToHistory(ctx.from.id, resultMessage, 'grammar_definition', calculationResult, inputId);
+
+    updateUserSession(ctx.from.id, {
+      currentGrammar: grammar,
+      waitingFor: null,
+      lastOperation: 'grammar_definition'
+    });
+  } catch (error) {
+    console.error('❌ [GRAMMAR] Unexpected error:', error);
+
+    // Clear session state on unexpected error
+    updateUserSession(ctx.from.id, { waitingFor: null });
+
+    ctx.reply(formatErrorMessage('Invalid grammar format', 'Please check your input and try again'), { parse_mode: 'Markdown' });
+  }
+}
+
+/**
+ * Handle a grammar simplification or normal form conversion
+ * Works on the grammar in text, or on the session's current grammar when
+ * text is null. The grammar sent becomes the current grammar; the result
+ * is shown step by step but does not replace it.
+ * @param {string|null} text - Grammar text, or null for the current grammar
+ * @param {string} transformation - 'simplify', 'cnf' or 'gnf'
+ */
+export async function handleGrammarTransformation(ctx, session, text, transformation) {
+  const operation = `grammar_${transformation}`;
+
+  try {
+    // Add user input to history
+    const inputId = addUserInputToHistory(ctx.from.id, text ?? `(current grammar) ${transformation}`, operation, {
+      inputLength: text ? text.length : 0
+    });
+
+    // Show typing indicator
+    await ctx.telegram.sendChatAction(ctx.chat.id, 'typing');
+
+    // Step 1: Use calculator to convert the grammar, recording every step
+    const calculationResult = calculateGrammarTransformation(text ?? session.currentGrammar, transformation);
+
+    if (!calculationResult.success) {
+      updateUserSession(ctx.from.id, { waitingFor: null });
+
+      ctx.reply(formatErrorMessage('Grammar Conversion Error', calculationResult.error), { parse_mode: 'Markdown' });
+      return;
+    }
+
+    // Step 2: Send the steps, split over as many messages as needed
+    const messages = formatGrammarSteps(calculationResult);
+    for (const message of messages) {
+      await ctx.reply(message, { parse_mode: 'Markdown' });
+    }
+
+    // Add bot response to history
+    addBotResponseToHistory(ctx.from.id, messages.join('\n\n'), operation, calculationResult, inputId);
+
+    updateUserSession(ctx.from.id, {
+      currentGrammar: calculationResult.originalGrammar,
+      waitingFor: null,
+      lastOperation: operation
+    });
+  } catch (error) {
+    console.error('❌ [GRAMMAR] Unexpected error:', error);
+
+    // Clear session state on unexpected error
+    updateUserSession(ctx.from.id, { waitingFor: null });
+
+    ctx.reply(formatErrorMessage('Grammar conversion failed', 'Please check your input and try again'), { parse_mode: 'Markdown' });
+  }
+}
+
+/**
+ * Handle strings sent to the CYK test
+ * One string is answered with the filled CYK table (as text for short strings
+ * and as an image) and a leftmost derivation; several strings with a
+ * pass/fail table.
+ */
+export async function handleCYKInput(ctx, session, text) {
+  try {
+    if (!session.currentGrammar) {
+      updateUserSession(ctx.from.id, { waitingFor: null });
+      ctx.reply('❌ No grammar defined yet. Use 📐 Grammar → ✏️ Define Grammar first.');
+      return;
+    }
+
+    // Add user input to history
+    const inputId = addUserInputToHistory(ctx.from.id, text, 'cyk_input', {
+      inputLength: text.length
+    });
+
+    // Show typing indicator
+    await ctx.telegram.sendChatAction(ctx.chat.id, 'typing');
+
+    const input = text.trim();
+    if (isBatchTestInput(input)) {
+      // Several strings: one pass/fail table
+      const calculationResult = calculateCYKBatch(session.currentGrammar, input);
+      if (!calculationResult.success) {
+        updateUserSession(ctx.from.id, { waitingFor: null });
+
+        ctx.reply(formatErrorMessage('CYK Test Error', calculationResult.error), { parse_mode: 'Markdown' });
+        return;
+      }
+
+      const resultMessage = formatBatchTestResults(calculationResult);
+      ctx.reply(resultMessage, { parse_mode: 'Markdown' });
+      addBotResponseToHistory(ctx.from.id, resultMessage, 'cyk_input', calculationResult, inputId);
+      updateUserSession(ctx.from.id, { waitingFor: null, lastOperation: 'cyk_input' });
+      return;
+    }
+
+    // One string: the filled table and a derivation
+    const calculationResult = calculateCYK(session.currentGrammar, input);
+    if (!calculationResult.success) {
+      updateUserSession(ctx.from.id, { waitingFor: null });
+
+      ctx.reply(formatErrorMessage('CYK Test Error', calculationResult.error), { parse_mode: 'Markdown' });
+      return;
+    }
+
+    if (calculationResult.symbols.length > 0) {
+      try {
+        const imagePath = await generateCYKTableImage(calculationResult);
+        await sendPhotoWithFallback(ctx, imagePath, {
+          caption: `🧮 **CYK table:** ${calculationResult.accepted ? '✅ accepted' : '❌ rejected'}`,
+          parse_mode: 'Markdown'
+        });
+
+        // Clean up the image file
+        setTimeout(async () => {
+          try {
+            await fs.remove(imagePath);
+            console.log(`🗑️ Cleaned up image: ${imagePath}`);
+          } catch (error) {
+            console.error('Error cleaning up image:', error);
+          }
+        }, 30000);
+      } catch (imageError) {
+        console.error('Error generating image:', imageError);
+      }
+    }
+
+    const resultMessage = formatCYKResult(calculationResult);
+    ctx.reply(resultMessage, { parse_mode: 'Markdown' });
+
+    // Add bot response to history
+    addBotResponseToHistory(ctx.from.id, resultMessage, 'cyk_input', calculationResult, inputId);
+
+    updateUserSession(ctx.from.id, { waitingFor: null, lastOperation: 'cyk_input' });
+  } catch (error) {
+    console.error('❌ [CYK] Unexpected error:', error);
+
+    // Clear session state on unexpected error
+    updateUserSession(ctx.from.id, { waitingFor: null });
+
+    ctx.reply(formatErrorMessage('CYK test failed', 'Please check your input and try again'), { parse_mode: 'Markdown' });
+  }
+}
+
+// ===============================================
+// CFG ↔ PDA CONVERSIONS (FEATURES 12 AND 13)
+// ===============================================
+
+/**
+ * Draw a PDA and send the diagram, removing the image afterwards
+ */
+async function sendPDADiagram(ctx, session, pda, title, caption) {
+  try {
+    const imagePath = await generatePDADiagram(pda, title, session.diagramFormat);
+    await sendPhotoWithFallback(ctx, imagePath, { caption, parse_mode: 'Markdown' });
+
+    // Clean up the image file
+    setTimeout(async () => {
+      try {
+        await fs.remove(imagePath);
+        console.log(`🗑️ Cleaned up image: ${imagePath}`);
+      } catch (error) {
+        console.error('Error cleaning up image:', error);
+      }
+    }, 30000);
+  } catch (imageError) {
+    console.error('Error generating image:', imageError);
+  }
+}
+
+/**
+ * Handle a grammar to PDA conversion
+ * Works on the grammar in text, or on the session's current grammar when
+ * text is null. The resulting PDA becomes the current PDA, so its
+ * computations can be traced with 🧪 Test PDA.
+ * @param {string|null} text - Grammar text, or null for the current grammar
+ */
+export async function handleCFGToPDA(ctx, session, text) {
+  try {
+    // Add user input to history
+    const inputId = addUserInputToHistory(ctx.from.id, text ?? '(current grammar) to PDA', 'cfg_to_pda', {
+      inputLength: text ? text.length : 0
+    });
+
+    // Show typing indicator
+    await ctx.telegram.sendChatAction(ctx.chat.id, 'typing');
+
+    // Step 1: Use calculator to build the PDA, recording every step
+    const calculationResult = calculateCFGToPDA(text ?? session.currentGrammar);
+
+    if (!calculationResult.success) {
+      updateUserSession(ctx.from.id, { waitingFor: null });
+
+      ctx.reply(formatErrorMessage('CFG→PDA Conversion Error', calculationResult.error), { parse_mode: 'Markdown' });
+      return;
+    }
+
+    const { grammar, pda, analysis } = calculationResult;
+
+    // Step 2: Save the conversion to database
+    await saveToDatabase(ctx.from.id, grammar, pda, 'cfg_to_pda');
+
+    // Step 3: Draw the PDA, then send the steps
+    await sendPDADiagram(ctx, session, pda, 'PDA from Grammar',
+      `🥞 **PDA from grammar:** 1 state, ${analysis.transitionCount} moves`);
+
+    const messages = formatCFGToPDA(calculationResult);
+    for (const message of messages) {
+      await ctx.reply(message, { parse_mode: 'Markdown' });
+    }
+
+    // Add bot response to history
+    addBotResponseToHistory(ctx.from.id, messages.join('\n\n'), 'cfg_to_pda', calculationResult, inputId);
+
+    updateUserSession(ctx.from.id, {
+      currentGrammar: grammar,
+      currentPDA: pda,
+      waitingFor: null,
+      lastOperation: 'cfg_to_pda'
+    });
+  } catch (error) {
+    console.error('❌ [CFG→PDA] Unexpected error:', error);
+
+    // Clear session state on unexpected error
+    updateUserSession(ctx.from.id, { waitingFor: null });
+
+    ctx.reply(formatErrorMessage('CFG→PDA conversion failed', 'Please check your input and try again'), { parse_mode: 'Markdown' });
+  }
+}
+
+/**
+ * Handle a PDA to grammar conversion
+ * Works on the PDA in text, or on the session's current PDA when text is
+ * null. The PDA the triple construction runs on (after adding a bottom
+ * marker when needed) is drawn, and the resulting grammar becomes the
+ * current grammar.
+ * @param {string|null} text - PDA definition, or null for the current PDA
+ */
+export async function handlePDAToCFG(ctx, session, text) {
+  try {
+    // Add user input to history
+    const inputId = addUserInputToHistory(ctx.from.id, text ?? '(current PDA) to grammar', 'pda_to_cfg', {
+      inputLength: text ? text.length : 0
+    });
+
+    // Show typing indicator
+    await ctx.telegram.sendChatAction(ctx.chat.id, 'typing');
+
+    // Step 1: Use calculator to build the grammar, recording every step
+    const calculationResult = calculatePDAToCFG(text ?? session.currentPDA);
+
+    if (!calculationResult.success) {
+      updateUserSession(ctx.from.id, { waitingFor: null });
+
+      ctx.reply(formatErrorMessage('PDA→CFG Conversion Error', calculationResult.error), { parse_mode: 'Markdown' });
+      return;
+    }
+
+    const { pda, convertedPDA, grammar } = calculationResult;
+
+    // Step 2: Save the conversion to database
+    await saveToDatabase(ctx.from.id, pda, grammar, 'pda_to_cfg');
+
+    // Step 3: Draw the PDA the construction works on, then send the steps
+    await sendPDADiagram(ctx, session, convertedPDA, 'PDA for the Triple Construction',
+      convertedPDA === pda
+        ? '🥞 **PDA:** already accepts by empty stack and pops on every move'
+        : `🥞 **Prepared PDA:** ${convertedPDA.states.length} states, ${convertedPDA.transitions.length} moves, accepting by empty stack`);
+
+    const messages = formatPDAToCFG(calculationResult);
+    for (const message of messages) {
+      await ctx.reply(message, { parse_mode: 'Markdown' });
+    }
+
+    // Add bot response to history
+    addBotResponseToHistory(ctx.from.id, messages.join('\n\n'), 'pda_to_cfg', calculationResult, inputId);
+
+    updateUserSession(ctx.from.id, {
+      currentPDA: pda,
+      currentGrammar: grammar.productions.length > 0 ? grammar : session.currentGrammar,
+      waitingFor: null,
+      lastOperation: 'pda_to_cfg'
+    });
+  } catch (error) {
+    console.error('❌ [PDA→CFG] Unexpected error:', error);
+
+    // Clear session state on unexpected error
+    updateUserSession(ctx.from.id, { waitingFor: null });
+
+    ctx.reply(formatErrorMessage('PDA→CFG conversion failed', 'Please check your input and try again'), { parse_mode: 'Markdown' });
+  }
+}
+
+// ===============================================
+// FEATURE 14 IMPLEMENTATION: 📼 TURING MACHINES
+// ===============================================
+
+/**
+ * Handle a Turing machine definition - CORE IMPLEMENTATION OF FEATURE 14
+ * Parses the machine, draws it, lists the (state, symbol) pairs where it
+ * halts and keeps it as the session's current TM for running strings.
+ */
+export async function handleTMDefinition(ctx, session, text) {
+  try {
+    // Add user input to history
+    const inputId = addUserInputToHistory(ctx.from.id, text, 'tm_definition', {
+      inputLength: text.length,
+      linesCount: text.split('\n').length
+    });
+
+    // Show typing indicator
+    await ctx.telegram.sendChatAction(ctx.chat.id, 'typing');
+
+    // Step 1: Use calculator to parse and analyze the machine
+    const calculationResult = calculateTMDefinition(text);
+
+    if (!calculationResult.success) {
+      updateUserSession(ctx.from.id, { waitingFor: null });
+
+      ctx.reply(formatErrorMessage('Invalid Turing Machine', calculationResult.error), { parse_mode: 'Markdown' });
+      return;
+    }
+
+    const { tm, warnings, analysis } = calculationResult;
+
+    // Step 2: Describe the machine
+    let resultMessage = `📼 **Turing Machine**\n\n`;
+    resultMessage += `📊 **States:** \`${tm.states.join(', ')}\`\n`;
+    resultMessage += `🔤 **Input alphabet:** \`${tm.alphabet.join(', ')}\`\n`;
+    resultMessage += `📜 **Tape alphabet:** \`${tm.tapeAlphabet.join(', ')}\` (blank \`${tm.blank}\`)\n`;
+    resultMessage += `🚀 **Start:** \`${tm.startState}\`\n`;
+    resultMessage += `✅ **Accept:** \`${tm.acceptStates.join(', ') || 'none'}\`\n`;
+    if (tm.rejectStates.length > 0) {
+      resultMessage += `❌ **Reject:** \`${tm.rejectStates.join(', ')}\`\n`;
+    }
+    resultMessage += `🔄 **Moves:** ${analysis.transitionCount}\n\n`;
+
+    if (analysis.missingMoves.length > 0) {
+      const pairs = analysis.missingMoves.slice(0, 8).map(({ state, symbol }) => `(${state}, ${symbol})`).join(', ');
+      resultMessage += `⏹️ **Halts (and rejects) on:** \`${pairs}\`${analysis.missingMoves.length > 8 ? ` and ${analysis.missingMoves.length - 8} more` : ''}\n`;
+    } else {
+      resultMessage += `🔁 Every non-halting state has a move for every tape symbol.\n`;
+    }
+
+    if (warnings.length > 0) {
+      resultMessage += `\n⚠️ **Notes:**\n${warnings.slice(0, 5).map(warning => `• ${escapeMarkdown(warning.message)}`).join('\n')}\n`;
+    }
+    resultMessage += `\n💡 Press ▶️ Run TM to run strings on it.`;
+
+    try {
+      // Step 3: Draw the machine with its moves on the edges
+      const imagePath = await generateTMDiagram(tm, 'Turing Machine', session.diagramFormat);
+      await sendPhotoWithFallback(ctx, imagePath, {
+        caption: `📼 **TM:** ${analysis.stateCount} states, ${analysis.transitionCount} moves`,
+        parse_mode: 'Markdown'
+      });
+
+      // Clean up the image file
+      setTimeout(async () => {
+        try {
+          await fs.remove(imagePath);
+          console.log(`🗑️ Cleaned up image: ${imagePath}`);
+        } catch (error) {
+          console.error('Error cleaning up image:', error);
+        }
+      }, 30000);
+    } catch (imageError) {
+      console.error('Error generating image:', imageError);
+    }
+
+    ctx.reply(resultMessage, { parse_mode: 'Markdown' });
+
+    // Add bot response to history
+    addBotResponseToHistory(ctx.from.id, resultMessage, 'tm_definition', calculationResult, inputId);
+
+    updateUserSession(ctx.from.id, {
+      currentTM: tm,
+      waitingFor: null,
+      lastOperation: 'tm_definition'
+    });
+  } catch (error) {
+    console.error('❌ [TM] Unexpected error:', error);
+
+    // Clear session state on unexpected error
+    updateUserSession(ctx.from.id, { waitingFor: null });
+
+    ctx.reply(formatErrorMessage('Invalid Turing machine format', 'Please check your input and try again'), { parse_mode: 'Markdown' });
+  }
+}
+
+/**
+ * Handle strings sent to the current Turing machine
+ * One string is answered with an animation of the tape and the list of
+ * configurations; several strings with a pass/fail table. An optional
+ * "Steps: N" line changes the step limit.
+ */
+export async function handleTMInput(ctx, session, text) {
+  try {
+    if (!session.currentTM) {
+      updateUserSession(ctx.from.id, { waitingFor: null });
+      ctx.reply('❌ No Turing machine defined yet. Use 📼 Turing Machine → ✏️ Define TM first.');
+      return;
+    }
+
+    // Add user input to history
+    const inputId = addUserInputToHistory(ctx.from.id, text, 'tm_input', {
+      inputLength: text.length
+    });
+
+    // Show typing indicator
+    await ctx.telegram.sendChatAction(ctx.chat.id, 'typing');
+
+    // Optional "Steps: 5000" line
+    const lines = text.split('\n');
+    const limitLine = lines.find(line => /^\s*(max\s+)?steps\s*:/i.test(line));
+    const maxSteps = limitLine ? Number(limitLine.replace(/^\s*(max\s+)?steps\s*:/i, '').trim()) : undefined;
+    const strings = lines.filter(line => line !== limitLine).join('\n').trim();
+
+    if (isBatchTestInput(strings)) {
+      // Several strings: one pass/fail table
+      const calculationResult = calculateTMBatch(session.currentTM, strings, { maxSteps });
+      if (!calculationResult.success) {
+        updateUserSession(ctx.from.id, { waitingFor: null });
+
+        ctx.reply(formatErrorMessage('TM Run Error', calculationResult.error), { parse_mode: 'Markdown' });
+        return;
+      }
+
+      const resultMessage = formatBatchTestResults(calculationResult);
+      ctx.reply(resultMessage, { parse_mode: 'Markdown' });
+      addBotResponseToHistory(ctx.from.id, resultMessage, 'tm_input', calculationResult, inputId);
+      updateUserSession(ctx.from.id, { waitingFor: null, lastOperation: 'tm_input' });
+      return;
+    }
+
+    // One string: the tape animation and the configurations
+    const calculationResult = calculateTMSimulation(session.currentTM, strings, { maxSteps });
+    if (!calculationResult.success) {
+      updateUserSession(ctx.from.id, { waitingFor: null });
+
+      ctx.reply(formatErrorMessage('TM Run Error', calculationResult.error), { parse_mode: 'Markdown' });
+      return;
+    }
+
+    try {
+      const imagePath = await generateTMTapeAnimation(calculationResult);
+      const { stepCount } = calculationResult;
+      await sendPhotoWithFallback(ctx, imagePath, {
+        caption: stepCount >= MAX_TM_ANIMATION_FRAMES
+          ? `📼 **Tape:** first ${MAX_TM_ANIMATION_FRAMES - 1} of ${stepCount} steps, then the last configuration`
+          : `📼 **Tape:** ${stepCount} step(s)`,
+        parse_mode: 'Markdown'
+      });
+
+      // Clean up the image file
+      setTimeout(async () => {
+        try {
+          await fs.remove(imagePath);
+          console.log(`🗑️ Cleaned up image: ${imagePath}`);
+        } catch (error) {
+          console.error('Error cleaning up image:', error);
+        }
+      }, 30000);
+    } catch (imageError) {
+      console.error('Error generating image:', imageError);
+    }
+
+    const resultMessage = formatTMTrace(calculationResult);
+    ctx.reply(resultMessage, { parse_mode: 'Markdown' });
+
+    // Add bot response to history
+    addBotResponseToHistory(ctx.from.id, resultMessage, 'tm_input', calculationResult, inputId);
+
+    updateUserSession(ctx.from.id, { waitingFor: null, lastOperation: 'tm_input' });
+  } catch (error) {
+    console.error('❌ [TM] Unexpected error:', error);
+
+    // Clear session state on unexpected error
+    updateUserSession(ctx.from.id, { waitingFor: null });
+
+    ctx.reply(formatErrorMessage('Turing machine run failed', 'Please check your input and try again'), { parse_mode: 'Markdown' });
+  }
+}
+
+// ===============================================
+// FEATURE 15 IMPLEMENTATION: 📟 MEALY AND MOORE MACHINES
+// ===============================================
+
+/**
+ * Draw a Mealy or Moore machine and send it, ignoring image errors
+ */
+async function sendTransducerDiagram(ctx, session, machine, title, caption) {
+  try {
+    const imagePath = await generateTransducerDiagram(machine, title, session.diagramFormat);
+    await sendPhotoWithFallback(ctx, imagePath, { caption, parse_mode: 'Markdown' });
+
+    // Clean up the image file
+    setTimeout(async () => {
+      try {
+        await fs.remove(imagePath);
+        console.log(`🗑️ Cleaned up image: ${imagePath}`);
+      } catch (error) {
+        console.error('Error cleaning up image:', error);
+      }
+    }, 30000);
+  } catch (imageError) {
+    console.error('Error generating image:', imageError);
+  }
+}
+
+/**
+ * Handle a Mealy or Moore machine definition - CORE IMPLEMENTATION OF FEATURE 15
+ * Parses the machine, draws it with its outputs and keeps it as the
+ * session's current transducer for translating strings and converting.
+ */
+export async function handleTransducerDefinition(ctx, session, text) {
+  try {
+    // Add user input to history
+    const inputId = addUserInputToHistory(ctx.from.id, text, 'transducer_definition', {
+      inputLength: text.length,
+      linesCount: text.split('\n').length
+    });
+
+    // Show typing indicator
+    await ctx.telegram.sendChatAction(ctx.chat.id, 'typing');
+
+    // Step 1: Use calculator to parse and analyze the machine
+    const calculationResult = calculateTransducerDefinition(text);
+
+    if (!calculationResult.success) {
+      updateUserSession(ctx.from.id, { waitingFor: null });
+
+      ctx.reply(formatErrorMessage('Invalid Mealy/Moore Machine', calculationResult.error), { parse_mode: 'Markdown' });
+      return;
+    }
+
+    const { machine, warnings, analysis } = calculationResult;
+
+    // Step 2: Describe the machine
+    let resultMessage = `📟 **${analysis.machineType} Machine**\n\n`;
+    resultMessage += `📊 **States:** \`${machine.states.join(', ')}\`\n`;
+    resultMessage += `🔤 **Input alphabet:** \`${machine.alphabet.join(', ')}\`\n`;
+    resultMessage += `📤 **Output alphabet:** \`${machine.outputAlphabet.join(', ') || 'none'}\`\n`;
+    resultMessage += `🚀 **Start:** \`${machine.startState}\`\n`;
+    if (machine.type === 'moore') {
+      resultMessage += `🏷️ **State outputs:** \`${machine.states.map(state => `${state}/${machine.outputs[state]}`).join(', ')}\`\n`;
+    }
+    resultMessage += `🔄 **Transitions:** ${analysis.transitionCount}\n\n`;
+
+    resultMessage += machine.type === 'mealy'
+      ? `Each transition writes its output as it reads a symbol, so the output is as long as the input.\n`
+      : `Each state writes its output when it is entered, so the output is one symbol longer than the input.\n`;
+
+    if (warnings.length > 0) {
+      resultMessage += `\n⚠️ **Notes:**\n${warnings.slice(0, 5).map(warning => `• ${escapeMarkdown(warning.message)}`).join('\n')}\n`;
+    }
+    resultMessage += `\n💡 Press 📤 Translate to run strings on it or 🔄 Mealy↔Moore to convert it.`;
+
+    // Step 3: Draw the machine with its outputs
+    await sendTransducerDiagram(ctx, session, machine, `${analysis.machineType} Machine`,
+      `📟 **${analysis.machineType}:** ${analysis.stateCount} states, ${analysis.transitionCount} transitions`);
+
+    ctx.reply(resultMessage, { parse_mode: 'Markdown' });
+
+    // Add bot response to history
+    addBotResponseToHistory(ctx.from.id, resultMessage, 'transducer_definition', calculationResult, inputId);
+
+    updateUserSession(ctx.from.id, {
+      currentTransducer: machine,
+      waitingFor: null,
+      lastOperation: 'transducer_definition'
+    });
+  } catch (error) {
+    console.error('❌ [TRANSDUCER] Unexpected error:', error);
+
+    // Clear session state on unexpected error
+    updateUserSession(ctx.from.id, { waitingFor: null });
+
+    ctx.reply(formatErrorMessage('Invalid Mealy/Moore machine format', 'Please check your input and try again'), { parse_mode: 'Markdown' });
+  }
+}
+
+/**
+ * Handle strings sent to the current Mealy or Moore machine
+ * One string is answered with every step and its output; several strings
+ * with an input/output table.
+ */
+export async function handleTransducerInput(ctx, session, text) {
+  try {
+    if (!session.currentTransducer) {
+      updateUserSession(ctx.from.id, { waitingFor: null });
+      ctx.reply('❌ No Mealy or Moore machine defined yet. Use 📟 Mealy/Moore → ✏️ Define Machine first.');
+      return;
+    }
+
+    // Add user input to history
+    const inputId = addUserInputToHistory(ctx.from.id, text, 'transducer_input', {
+      inputLength: text.length
+    });
+
+    // Show typing indicator
+    await ctx.telegram.sendChatAction(ctx.chat.id, 'typing');
+
+    const calculationResult = calculateTransducerRun(session.currentTransducer, text);
+    if (!calculationResult.success) {
+      updateUserSession(ctx.from.id, { waitingFor: null });
+
+      ctx.reply(formatErrorMessage('Translation Error', calculationResult.error), { parse_mode: 'Markdown' });
+      return;
+    }
+
+    const resultMessage = formatTransducerRun(calculationResult);
+    ctx.reply(resultMessage, { parse_mode: 'Markdown' });
+
+    // Add bot response to history
+    addBotResponseToHistory(ctx.from.id, resultMessage, 'transducer_input', calculationResult, inputId);
+
+    updateUserSession(ctx.from.id, { waitingFor: null, lastOperation: 'transducer_input' });
+  } catch (error) {
+    console.error('❌ [TRANSDUCER] Unexpected error:', error);
+
+    // Clear session state on unexpected error
+    updateUserSession(ctx.from.id, { waitingFor: null });
+
+    ctx.reply(formatErrorMessage('Translation failed', 'Please check your input and try again'), { parse_mode: 'Markdown' });
+  }
+}
+
+/**
+ * Handle a Mealy → Moore or Moore → Mealy conversion
+ * Works on the machine in text, or on the session's current machine when
+ * text is null. The converted machine becomes the current machine, so
+ * converting again goes back the other way.
+ * @param {string|null} text - Machine definition, or null for the current machine
+ */
+export async function handleTransducerConversion(ctx, session, text) {
+  try {
+    // Add user input to history
+    const inputId = addUserInputToHistory(ctx.from.id, text ?? '(current machine) Mealy↔Moore', 'transducer_conversion', {
+      inputLength: text ? text.length : 0
+    });
+
+    // Show typing indicator
+    await ctx.telegram.sendChatAction(ctx.chat.id, 'typing');
+
+    // Step 1: Read the machine
+    let machine = session.currentTransducer;
+    if (text !== null) {
+      const definition = calculateTransducerDefinition(text);
+      if (!definition.success) {
+        updateUserSession(ctx.from.id, { waitingFor: null });
+
+        ctx.reply(formatErrorMessage('Invalid Mealy/Moore Machine', definition.error), { parse_mode: 'Markdown' });
+        return;
+      }
+      machine = definition.machine;
+    }
+
+    // Step 2: Use calculator to convert and check the result
+    const calculationResult = calculateTransducerConversion(machine);
+
+    if (!calculationResult.success) {
+      updateUserSession(ctx.from.id, { waitingFor: null });
+
+      ctx.reply(formatErrorMessage('Mealy↔Moore Conversion Error', calculationResult.error), { parse_mode: 'Markdown' });
+      return;
+    }
+
+    const { converted, analysis, calculationType } = calculationResult;
+
+    // Step 3: Save the conversion to database
+    await saveToDatabase(ctx.from.id, machine, converted, calculationType.toLowerCase());
+
+    // Step 4: Draw the converted machine, then send the steps
+    await sendTransducerDiagram(ctx, session, converted, `${analysis.toType} Machine from ${analysis.fromType}`,
+      `📟 **${analysis.toType}:** ${analysis.convertedStateCount} states, ${analysis.transitionCount} transitions`);
+
+    const messages = formatTransducerConversion(calculationResult);
+    for (const message of messages) {
+      await ctx.reply(message, { parse_mode: 'Markdown' });
+    }
+
+    // Add bot response to history
+    addBotResponseToHistory(ctx.from.id, messages.join('\n\n'), 'transducer_conversion', calculationResult, inputId);
+
+    updateUserSession(ctx.from.id, {
+      currentTransducer: converted,
+      waitingFor: null,
+      lastOperation: 'transducer_conversion'
+    });
+  } catch (error) {
+    console.error('❌ [MEALY↔MOORE] Unexpected error:', error);
+
+    // Clear session state on unexpected error
+    updateUserSession(ctx.from.id, { waitingFor: null });
+
+    ctx.reply(formatErrorMessage('Mealy↔Moore conversion failed', 'Please check your input and try again'), { parse_mode: 'Markdown' });
+  }
+}
+
+// ===============================================
+// FEATURE 16 IMPLEMENTATION: 🎮 PUMPING LEMMA GAME
+// ===============================================
+// The bot is the adversary: it picks p and i, the student picks the string
+// and its split. A move the rules do not allow is explained and the game
+// keeps waiting for the same move, so mistakes do not end the game.
+
+/**
+ * End the pumping lemma game, then send the verdict, the moves and the
+ * worked proof summary
+ */
+async function finishPumpingGame(ctx, verdict, inputId) {
+  const game = endPumpingGame(ctx.from.id, verdict);
+  updateUserSession(ctx.from.id, { waitingFor: null, lastOperation: 'pumping_game_over' });
+
+  const calculationResult = calculatePumpingVerdict(game);
+  if (!calculationResult.success) {
+    ctx.reply(formatErrorMessage('Pumping Game Error', calculationResult.error), { parse_mode: 'Markdown' });
+    return;
+  }
+
+  await saveToDatabase(ctx.from.id, { language: game.language.id, p: game.p, string: game.string }, game.verdict, 'pumping_game');
+
+  const messages = formatPumpingVerdict(calculationResult);
+  for (const message of messages) {
+    await ctx.reply(message, { parse_mode: 'Markdown' });
+  }
+
+  // Add bot response to history
+  addBotResponseToHistory(ctx.from.id, messages.join('\n\n'), 'pumping_game', calculationResult, inputId);
+}
+
+/**
+ * Handle the language choice - CORE IMPLEMENTATION OF FEATURE 16
+ * Starts a game on a built-in language, the current automaton or an
+ * automaton definition, and answers with the bot's p.
+ */
+export async function handlePumpingLanguage(ctx, session, text) {
+  try {
+    // Add user input to history
+    const inputId = addUserInputToHistory(ctx.from.id, text, 'pumping_language', {
+      inputLength: text.length
+    });
+
+    // Step 1: Use calculator to find the language and pick p
+    const calculationResult = calculatePumpingGameStart(text, session.currentFA);
+
+    if (!calculationResult.success) {
+      ctx.reply(formatErrorMessage('Pumping Game Error', calculationResult.error), { parse_mode: 'Markdown' });
+      return;
+    }
+
+    const { game, analysis } = calculationResult;
+    startPumpingGame(ctx.from.id, game);
+
+    // Step 2: Announce p and ask for the string
+    let resultMessage = `🎮 **Pumping Lemma Game**\n\n`;
+    resultMessage += `**L** = ${escapeMarkdown(game.language.description)}\n`;
+    resultMessage += `🔤 **Alphabet:** {${game.language.alphabet.join(', ')}}\n\n`;
+    resultMessage += `🤖 I pick **p = ${game.p}** (${escapeMarkdown(analysis.pumpingLengthSource)}).\n\n`;
+    resultMessage += `🧑‍🎓 **Your move:** send a string s ∈ L with |s| ≥ ${game.p}. You will then split it as s = xyz with |xy| ≤ ${game.p} and |y| ≥ 1, and I will try to pump it out of L.`;
+
+    ctx.reply(resultMessage, { parse_mode: 'Markdown' });
+
+    // Add bot response to history
+    addBotResponseToHistory(ctx.from.id, resultMessage, 'pumping_language', calculationResult, inputId);
+
+    updateUserSession(ctx.from.id, { waitingFor: 'pumping_string', lastOperation: 'pumping_language' });
+  } catch (error) {
+    console.error('❌ [PUMPING] Unexpected error:', error);
+
+    // Clear session state on unexpected error
+    updateUserSession(ctx.from.id, { waitingFor: null });
+
+    ctx.reply(formatErrorMessage('Pumping game failed to start', 'Please check your input and try again'), { parse_mode: 'Markdown' });
+  }
+}
+
+/**
+ * Handle the student's string in a pumping lemma game
+ */
+export async function handlePumpingString(ctx, session, text) {
+  try {
+    const game = session.pumpingGame;
+    if (!game || game.phase !== 'string') {
+      updateUserSession(ctx.from.id, { waitingFor: null });
+      ctx.reply('❌ No game is waiting for a string. Use 🎮 Pumping Game → 🆕 New Game first.');
+      return;
+    }
+    if (/^give\s*up$/i.test(text.trim())) {
+      await handlePumpingGiveUp(ctx, session);
+      return;
+    }
+
+    // Add user input to history
+    const inputId = addUserInputToHistory(ctx.from.id, text, 'pumping_string', {
+      inputLength: text.length
+    });
+
+    const calculationResult = calculatePumpingString(game, text);
+    if (!calculationResult.success) {
+      ctx.reply(formatErrorMessage('Not a Valid Move', `${calculationResult.error}\n\nSend another string, or press 🏳️ Give Up.`), { parse_mode: 'Markdown' });
+      return;
+    }
+
+    const { string: s, splitCount, moves } = calculationResult;
+    recordPumpingMoves(ctx.from.id, moves, { phase: 'split', string: s });
+
+    const symbols = [...s];
+    const exampleX = game.p >= 2 ? 1 : 0;
+    const example = `${symbols.slice(0, exampleX).join('')}|${symbols[exampleX]}|${symbols.slice(exampleX + 1).join('')}`;
+
+    let resultMessage = `🧑‍🎓 s = \`${compactString(s)}\` (|s| = ${symbols.length}) is in L.\n\n`;
+    resultMessage += `**Your move:** split it as s = xyz with |xy| ≤ ${game.p} and |y| ≥ 1 - there are ${splitCount} such splits. `;
+    resultMessage += `Send \`x|y|z\` (e.g. \`${example}\`) or the lengths |x| |y| (e.g. \`${exampleX} 1\`).\n\n`;
+    resultMessage += `You win if I cannot find an i with xyⁱz ∉ L.`;
+
+    ctx.reply(resultMessage, { parse_mode: 'Markdown' });
+
+    // Add bot response to history
+    addBotResponseToHistory(ctx.from.id, resultMessage, 'pumping_string', calculationResult, inputId);
+
+    updateUserSession(ctx.from.id, { waitingFor: 'pumping_split', lastOperation: 'pumping_string' });
+  } catch (error) {
+    console.error('❌ [PUMPING] Unexpected error:', error);
+
+    // Clear session state on unexpected error
+    updateUserSession(ctx.from.id, { waitingFor: null });
+
+    ctx.reply(formatErrorMessage('Pumping game move failed', 'Please check your input and try again'), { parse_mode: 'Markdown' });
+  }
+}
+
+/**
+ * Handle the student's split in a pumping lemma game: the bot answers with i
+ */
+export async function handlePumpingSplit(ctx, session, text) {
+  try {
+    const game = session.pumpingGame;
+    if (!game || game.phase !== 'split') {
+      updateUserSession(ctx.from.id, { waitingFor: null });
+      ctx.reply('❌ No game is waiting for a split. Use 🎮 Pumping Game → 🆕 New Game first.');
+      return;
+    }
+    if (/^give\s*up$/i.test(text.trim())) {
+      await handlePumpingGiveUp(ctx, session);
+      return;
+    }
+
+    // Add user input to history
+    const inputId = addUserInputToHistory(ctx.from.id, text, 'pumping_split', {
+      inputLength: text.length
+    });
+
+    // Show typing indicator
+    await ctx.telegram.sendChatAction(ctx.chat.id, 'typing');
+
+    const calculationResult = calculatePumpingSplit(game, text);
+    if (!calculationResult.success) {
+      ctx.reply(formatErrorMessage('Not a Valid Move', `${calculationResult.error}\n\nSend another split, or press 🏳️ Give Up.`), { parse_mode: 'Markdown' });
+      return;
+    }
+
+    const { pumping, moves, remainingSplits, verdict } = calculationResult;
+    recordPumpingMoves(ctx.from.id, moves);
+
+    if (pumping.i !== null) {
+      let resultMessage = `🤖 I pick **i = ${pumping.i}**: xyⁱz = \`${compactString(pumping.pumped)}\` ∉ L.`;
+      if (!verdict) {
+        resultMessage += `\n\nYour split fails. Try another one (${remainingSplits} left) or press 🏳️ Give Up.`;
+      }
+      ctx.reply(resultMessage, { parse_mode: 'Markdown' });
+      addBotResponseToHistory(ctx.from.id, resultMessage, 'pumping_split', calculationResult, inputId);
+    }
+
+    if (verdict) {
+      await finishPumpingGame(ctx, verdict, inputId);
+      return;
+    }
+
+    updateUserSession(ctx.from.id, { lastOperation: 'pumping_split' });
+  } catch (error) {
+    console.error('❌ [PUMPING] Unexpected error:', error);
+
+    // Clear session state on unexpected error
+    updateUserSession(ctx.from.id, { waitingFor: null });
+
+    ctx.reply(formatErrorMessage('Pumping game move failed', 'Please check your input and try again'), { parse_mode: 'Markdown' });
+  }
+}
+
+/**
+ * Handle giving up the current pumping lemma game
+ * The bot wins, and the proof summary shows whether a winning split existed.
+ */
+export async function handlePumpingGiveUp(ctx, session) {
+  try {
+    const game = session.pumpingGame;
+    if (!game || game.phase === 'over') {
+      ctx.reply('ℹ️ There is no game in progress. Press 🆕 New Game to start one.');
+      return;
+    }
+
+    const inputId = addUserInputToHistory(ctx.from.id, 'give up', 'pumping_give_up');
+
+    // Show typing indicator
+    await ctx.telegram.sendChatAction(ctx.chat.id, 'typing');
+
+    await finishPumpingGame(ctx, { winner: 'bot', reason: 'gave_up' }, inputId);
+  } catch (error) {
+    console.error('❌ [PUMPING] Unexpected error:', error);
+
+    // Clear session state on unexpected error
+    updateUserSession(ctx.from.id, { waitingFor: null });
+
+    ctx.reply(formatErrorMessage('Pumping game failed', 'Please start a new game'), { parse_mode: 'Markdown' });
+  }
+}
+
+// ===============================================
+// SESSION OPERATION DISPATCHER
+// ===============================================
+
+/**
+ * Handle session operation - MAIN DISPATCHER FOR ALL FEATURES
+ * This function routes user input to the appropriate feature handler based on
+ * the current session state, enabling multi-step workflows for all six main features
+ */
+export async function handleSessionOperation(ctx, session, text) {
+  // Route to appropriate handler based on what the session is waiting for
+  switch (session.waitingFor) {
+    case 'fa_definition':        // Feature 1: Design FA
+      await handleFADefinition(ctx, session, text);
+      break;
+    case 'test_input':          // Feature 2: Test Input
+      await handleTestInput(ctx, session, text);
+      break;
+    case 'fa_type_check':       // Feature 3: Check FA Type
+      await handleFATypeCheck(ctx, session, text);
+      break;
+    case 'nfa_conversion':      // Feature 4: NFA→DFA
+      await handleNFAConversion(ctx, session, text);
+      break;
+    case 'dfa_minimization':    // Feature 5: Minimize DFA
+      await handleDFAMinimization(ctx, session, text);
+      break;
+    case 'regex_validate':      // Feature 7: Regex operations
+    case 'regex_to_nfa':
+    case 'regex_to_dfa':
+    case 'fa_to_regex':
+      await handleRegexOperation(ctx, session, text);
+      break;
+    case 'equivalence_check':   // Feature 8: Equivalence
+      await handleEquivalenceCheck(ctx, session, text);
+      break;
+    case 'boolean_union':       // Feature 9: Combine
+    case 'boolean_intersection':
+    case 'boolean_difference':
+    case 'boolean_xor':
+      await handleBooleanOperation(ctx, session, text);
+      break;
+    case 'closure_complement':  // Feature 10: Operations
+    case 'closure_reverse':
+    case 'closure_concatenation':
+    case 'closure_star':
+    case 'closure_plus':
+    case 'closure_homomorphism':
+      await handleClosureOperation(ctx, session, text);
+      break;
+    case 'pda_definition':      // Feature 12: Pushdown automata
+      await handlePDADefinition(ctx, session, text);
+      break;
+    case 'pda_input':
+      await handlePDAInput(ctx, session, text);
+      break;
+    case 'grammar_definition':  // Feature 13: Context-free grammars
+      await handleGrammarDefinition(ctx, session, text);
+      break;
+    case 'grammar_simplify':
+    case 'grammar_cnf':
+    case 'grammar_gnf':
+      await handleGrammarTransformation(ctx, session, text, session.waitingFor.replace(/^grammar_/, ''));
+      break;
+    case 'cyk_input':
+      await handleCYKInput(ctx, session, text);
+      break;
+    case 'cfg_to_pda':          // Features 12 and 13: CFG ↔ PDA conversions
+      await handleCFGToPDA(ctx, session, text);
+      break;
+    case 'pda_to_cfg':
+      await handlePDAToCFG(ctx, session, text);
+      break;
+    case 'tm_definition':       // Feature 14: Turing machines
+      await handleTMDefinition(ctx, session, text);
+      break;
+    case 'tm_input':
+      await handleTMInput(ctx, session, text);
+      break;
+    case 'transducer_definition': // Feature 15: Mealy and Moore machines
+      await handleTransducerDefinition(ctx, session, text);
+      break;
+    case 'transducer_input':
+      await handleTransducerInput(ctx, session, text);
+      break;
+    case 'transducer_conversion':
+      await handleTransducerConversion(ctx, session, text);
+      break;
+    case 'pumping_language':    // Feature 16: Pumping lemma game
+      await handlePumpingLanguage(ctx, session, text);
+      break;
+    case 'pumping_string':
+      await handlePumpingString(ctx, session, text);
+      break;
+    case 'pumping_split':
+      await handlePumpingSplit(ctx, session, text);
       break;
     default:
       // Unknown operation - reset session and provide guidance
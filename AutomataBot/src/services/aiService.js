@@ -1,6 +1,7 @@
 // AI Service for DeepSeek integration
 import axios from 'axios';
 import { generateAutomatonImage } from './imageService.js';
+import { parseAutomaton, formatDiagnostics } from '../utils/automatonParser.js';
 import { addUserInputToHistory, addBotResponseToHistory, addExerciseToHistory } from '../utils/sessionManager.js';
 
 import {AIAssistant} from './trainAi.js';
@@ -345,43 +346,22 @@ export async function generateAutomatonExample(requirement, ctx) {
 
 /**
  * Parse automaton definition from AI response
+ * Uses the shared automaton parser in prose mode, so explanations and Markdown
+ * around the definition are skipped while the definition itself is validated.
  */
 function parseAutomatonFromAI(aiResponse) {
   try {
-    const lines = aiResponse.split('\n');
-    let states = [], alphabet = [], transitions = [], startState = '', finalStates = [];
-    let inTransitions = false;
-
-    for (let i = 0; i < lines.length; i++) {
-      let line = lines[i].trim();
-
-      if (line.startsWith('States:')) {
-        states = line.replace('States:', '').split(',').map(s => s.trim()).filter(s => s);
-      } else if (line.startsWith('Alphabet:')) {
-        alphabet = line.replace('Alphabet:', '').split(',').map(s => s.trim()).filter(s => s);
-      } else if (line.startsWith('Transitions:')) {
-        inTransitions = true;
-      } else if (line.startsWith('Start:')) {
-        startState = line.replace('Start:', '').trim();
-        inTransitions = false;
-      } else if (line.startsWith('Final:')) {
-        finalStates = line.replace('Final:', '').split(',').map(s => s.trim()).filter(s => s);
-        inTransitions = false;
-      } else if (inTransitions && line.includes(',')) {
-        const parts = line.split(',');
-        if (parts.length === 3) {
-          const [from, symbol, to] = parts.map(s => s.trim());
-          if (from && symbol && to) {
-            transitions.push({ from, symbol, to });
-          }
-        }
-      }
+    const parsed = parseAutomaton(aiResponse, { allowProse: true });
+    const { automaton } = parsed;
+
+    if (!parsed.success) {
+      console.log('⚠️ AI automaton failed validation:\n' + formatDiagnostics(parsed.errors));
+      return null;
     }
 
-    // Validate the parsed automaton
-    if (states.length > 0 && alphabet.length > 0 && transitions.length > 0 &&
-        startState && finalStates.length > 0) {
-      return { states, alphabet, transitions, startState, finalStates };
+    // The example needs something to draw
+    if (automaton.transitions.length > 0 && automaton.finalStates.length > 0) {
+      return automaton;
     }
 
     return null;
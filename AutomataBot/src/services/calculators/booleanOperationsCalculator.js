@@ -0,0 +1,131 @@
+// ===============================================
+// BOOLEAN OPERATIONS CALCULATOR
+// ===============================================
+// This calculator combines two automata with a boolean operation
+// (union, intersection, difference or symmetric difference):
+// determinizes both, builds their product DFA over the combined alphabet
+// and minimizes the result.
+// Flow: User Input → Calculator Processing → Structured Results → Bot Response
+
+import { checkFAType, nfaToDfa, splitAutomataDefinitions } from '../../utils/automataUtils.js';
+import { parseAutomaton } from '../../utils/automatonParser.js';
+import { minimizeDFA } from '../../algorithms/dfaMinimization.js';
+import { productDFA, PRODUCT_OPERATIONS } from '../../algorithms/productConstruction.js';
+
+/**
+ * Human readable names and set notation of each operation
+ */
+export const BOOLEAN_OPERATION_INFO = {
+  union: { name: 'Union', notation: 'L(A) ∪ L(B)' },
+  intersection: { name: 'Intersection', notation: 'L(A) ∩ L(B)' },
+  difference: { name: 'Difference', notation: 'L(A) − L(B)' },
+  xor: { name: 'Symmetric Difference', notation: 'L(A) ⊕ L(B)' }
+};
+
+/**
+ * Calculate a boolean operation over two automata
+ * @param {string|Object} inputA - First automaton (text in automaton format or parsed)
+ * @param {string|Object} inputB - Second automaton (text in automaton format or parsed)
+ * @param {string} operation - 'union', 'intersection', 'difference' or 'xor'
+ * @returns {Object} Structured product construction results
+ */
+export function calculateBooleanOperation(inputA, inputB, operation) {
+  try {
+    console.log(`🔀 [BOOLEAN CALC] Starting ${operation} calculation...`);
+
+    if (!PRODUCT_OPERATIONS[operation]) {
+      return {
+        success: false,
+        error: `Unknown operation "${operation}". Use union, intersection, difference or xor.`,
+        errorType: 'INVALID_OPERATION'
+      };
+    }
+
+    // Step 1: Parse both automata
+    const automata = {};
+    for (const [name, input] of [['A', inputA], ['B', inputB]]) {
+      if (typeof input !== 'string') {
+        automata[name] = input;
+        continue;
+      }
+      const parsed = parseAutomaton(input);
+      if (!parsed.success) {
+        return {
+          success: false,
+          error: `Automaton ${name}: ${parsed.error}`,
+          errorType: 'PARSE_ERROR',
+          diagnostics: parsed.errors
+        };
+      }
+      automata[name] = parsed.automaton;
+    }
+    const { A: automatonA, B: automatonB } = automata;
+
+    // Step 2: Determinize NFAs (subset construction); complete DFAs keep their state names
+    const typeA = checkFAType(automatonA);
+    const typeB = checkFAType(automatonB);
+    const dfaA = typeA === 'DFA' ? automatonA : nfaToDfa(automatonA);
+    const dfaB = typeB === 'DFA' ? automatonB : nfaToDfa(automatonB);
+
+    // Step 3: Build the product DFA over the combined alphabet
+    const { dfa: productResult, stateMapping } = productDFA(dfaA, dfaB, operation);
+
+    // Step 4: Minimize the product
+    const minimizedDFA = minimizeDFA(productResult);
+
+    console.log('✅ [BOOLEAN CALC] Boolean operation completed successfully');
+
+    return {
+      success: true,
+      operation,
+      operationName: BOOLEAN_OPERATION_INFO[operation].name,
+      notation: BOOLEAN_OPERATION_INFO[operation].notation,
+      automatonA,
+      automatonB,
+      dfaA,
+      dfaB,
+      productDFA: productResult,
+      stateMapping,
+      minimizedDFA,
+      analysis: {
+        typeA,
+        typeB,
+        combinedAlphabet: productResult.alphabet,
+        alphabetsAligned: productResult.alphabet.length !== dfaA.alphabet.length ||
+          productResult.alphabet.length !== dfaB.alphabet.length,
+        productStateCount: productResult.states.length,
+        minimizedStateCount: minimizedDFA.states.length,
+        isEmpty: productResult.finalStates.length === 0
+      },
+      calculationType: 'BOOLEAN_OPERATION'
+    };
+
+  } catch (error) {
+    console.error('❌ [BOOLEAN CALC] Error in boolean operation calculation:', error);
+    return {
+      success: false,
+      error: 'An error occurred during the product construction.',
+      errorType: 'CALCULATION_ERROR',
+      details: error.message
+    };
+  }
+}
+
+/**
+ * Calculate a boolean operation from one message holding both definitions
+ * @param {string} input - Two automaton definitions (see splitAutomataDefinitions)
+ * @param {string} operation - 'union', 'intersection', 'difference' or 'xor'
+ * @returns {Object} Structured product construction results
+ */
+export function calculateBooleanOperationFromText(input, operation) {
+  const definitions = splitAutomataDefinitions(input);
+  if (definitions.length !== 2) {
+    return {
+      success: false,
+      error: `Expected exactly 2 automata but found ${definitions.length}. Separate them with a line containing ---`,
+      errorType: 'PARSE_ERROR'
+    };
+  }
+
+  return calculateBooleanOperation(definitions[0], definitions[1], operation);
+}
@@ -0,0 +1,224 @@
+// ===============================================
+// CLOSURE OPERATIONS CALCULATOR
+// ===============================================
+// This calculator applies the regular-language closure operations
+// (complement, reverse, concatenation, Kleene star/plus and homomorphism)
+// and returns the resulting automaton with an explanation of the construction.
+// Flow: User Input → Calculator Processing → Structured Results → Bot Response
+
+import { checkFAType, splitAutomataDefinitions, isEpsilonSymbol } from '../../utils/automataUtils.js';
+import { parseAutomaton } from '../../utils/automatonParser.js';
+import {
+  complementFA,
+  reverseFA,
+  concatenateFA,
+  starFA,
+  plusFA,
+  homomorphismFA
+} from '../../algorithms/closureOperations.js';
+
+/**
+ * Human readable names and notation of each operation
+ */
+export const CLOSURE_OPERATION_INFO = {
+  complement: { name: 'Complement', notation: 'Σ* − L(A)' },
+  reverse: { name: 'Reverse', notation: 'L(A)ᴿ' },
+  concatenation: { name: 'Concatenation', notation: 'L(A)·L(B)' },
+  star: { name: 'Kleene Star', notation: 'L(A)*' },
+  plus: { name: 'Kleene Plus', notation: 'L(A)⁺' },
+  homomorphism: { name: 'Homomorphism', notation: 'h(L(A))' }
+};
+
+/**
+ * Calculate a closure operation
+ * @param {string|Object} input - Automaton definition; for concatenation two definitions
+ *   separated by --- (see splitAutomataDefinitions)
+ * @param {string} operation - 'complement', 'reverse', 'concatenation', 'star', 'plus' or 'homomorphism'
+ * @param {Object} options - { mapping } for homomorphism: text like "a->01, b->ε" or a parsed mapping
+ * @returns {Object} Structured results with the resulting automaton
+ */
+export function calculateClosureOperation(input, operation, options = {}) {
+  try {
+    console.log(`🧩 [CLOSURE CALC] Starting ${operation} calculation...`);
+
+    if (!CLOSURE_OPERATION_INFO[operation]) {
+      return {
+        success: false,
+        error: `Unknown operation "${operation}". Use ${Object.keys(CLOSURE_OPERATION_INFO).join(', ')}.`,
+        errorType: 'INVALID_OPERATION'
+      };
+    }
+
+    // Step 1: Parse the operand(s)
+    const definitions = typeof input === 'string' ? splitAutomataDefinitions(input) : [].concat(input);
+    const expected = operation === 'concatenation' ? 2 : 1;
+    if (definitions.length !== expected) {
+      return {
+        success: false,
+        error: expected === 2
+          ? `Concatenation needs exactly 2 automata but found ${definitions.length}. Separate them with a line containing ---`
+          : `Expected exactly 1 automaton but found ${definitions.length}.`,
+        errorType: 'PARSE_ERROR'
+      };
+    }
+
+    const operands = [];
+    for (const [index, definition] of definitions.entries()) {
+      if (typeof definition !== 'string') {
+        operands.push(definition);
+        continue;
+      }
+      const parsed = parseAutomaton(definition);
+      if (!parsed.success) {
+        return {
+          success: false,
+          error: expected === 2 ? `Automaton ${String.fromCharCode(65 + index)}: ${parsed.error}` : parsed.error,
+          errorType: 'PARSE_ERROR',
+          diagnostics: parsed.errors
+        };
+      }
+      operands.push(parsed.automaton);
+    }
+
+    // Step 2: Apply the construction
+    const [automatonA, automatonB] = operands;
+    let resultFA;
+    const steps = [];
+
+    switch (operation) {
+      case 'complement': {
+        const { dfa, determinized, trapState } = complementFA(automatonA);
+        resultFA = dfa;
+        if (determinized) steps.push('Determinized the NFA with the subset construction');
+        steps.push(trapState
+          ? `Added trap state ${trapState} for the missing transitions`
+          : 'The DFA is already complete, no trap state needed');
+        steps.push(`Swapped final and non-final states: final = {${dfa.finalStates.join(', ')}}`);
+        break;
+      }
+      case 'reverse': {
+        resultFA = reverseFA(automatonA);
+        steps.push('Flipped the direction of every transition');
+        steps.push(automatonA.finalStates.length === 1
+          ? `Old final state ${automatonA.finalStates[0]} became the start state`
+          : `New start state ${resultFA.startState} with ε-transitions to the old final states {${automatonA.finalStates.join(', ')}}`);
+        steps.push(`Old start state ${automatonA.startState} became the only final state`);
+        break;
+      }
+      case 'concatenation': {
+        const { nfa, renamed } = concatenateFA(automatonA, automatonB);
+        resultFA = nfa;
+        const renames = Object.entries(renamed);
+        if (renames.length > 0) {
+          steps.push(`Renamed clashing states of B: ${renames.map(([from, to]) => `${from} → ${to}`).join(', ')}`);
+        }
+        const startB = renamed[automatonB.startState] || automatonB.startState;
+        steps.push(`Added ε-transitions from the final states of A {${automatonA.finalStates.join(', ')}} to ${startB}`);
+        steps.push(`Only the final states of B stay final: {${nfa.finalStates.join(', ')}}`);
+        break;
+      }
+      case 'star': {
+        resultFA = starFA(automatonA);
+        steps.push(`Added ε-transitions from the final states back to ${automatonA.startState}`);
+        steps.push(`New final start state ${resultFA.startState} with an ε-transition to ${automatonA.startState} (accepts ε)`);
+        break;
+      }
+      case 'plus': {
+        resultFA = plusFA(automatonA);
+        steps.push(`Added ε-transitions from the final states back to ${automatonA.startState}`);
+        break;
+      }
+      case 'homomorphism': {
+        const mapping = typeof options.mapping === 'string'
+          ? parseHomomorphismMapping(options.mapping)
+          : options.mapping;
+        if (!mapping || Object.keys(mapping).length === 0) {
+          return {
+            success: false,
+            error: 'Homomorphism needs a mapping line such as "Map: a->01, b->ε".',
+            errorType: 'MISSING_MAPPING'
+          };
+        }
+        if (mapping.error) {
+          return { success: false, error: mapping.error, errorType: 'INVALID_MAPPING' };
+        }
+
+        const alphabet = automatonA.alphabet.filter(symbol => !isEpsilonSymbol(symbol, automatonA.alphabet));
+        const unmapped = alphabet.filter(symbol => !mapping[symbol]);
+        if (unmapped.length > 0) {
+          return {
+            success: false,
+            error: `No image given for symbol(s): ${unmapped.join(', ')}. Every alphabet symbol needs a mapping.`,
+            errorType: 'INVALID_MAPPING'
+          };
+        }
+
+        resultFA = homomorphismFA(automatonA, mapping);
+        for (const symbol of alphabet) {
+          const image = mapping[symbol];
+          const separator = image.some(output => output.length > 1) ? ' ' : '';
+          steps.push(`h(${symbol}) = ${image.length > 0 ? image.join(separator) : 'ε'}`);
+        }
+        steps.push('Replaced every transition by a chain of states spelling the image of its symbol');
+        break;
+      }
+    }
+
+    console.log('✅ [CLOSURE CALC] Closure operation completed successfully');
+
+    return {
+      success: true,
+      operation,
+      operationName: CLOSURE_OPERATION_INFO[operation].name,
+      notation: CLOSURE_OPERATION_INFO[operation].notation,
+      originalFA: automatonA,
+      secondFA: automatonB || null,
+      resultFA,
+      steps,
+      analysis: {
+        originalType: checkFAType(automatonA),
+        resultType: checkFAType(resultFA),
+        originalStateCount: automatonA.states.length,
+        resultStateCount: resultFA.states.length,
+        resultTransitionCount: resultFA.transitions.length
+      },
+      calculationType: 'CLOSURE_OPERATION'
+    };
+
+  } catch (error) {
+    console.error('❌ [CLOSURE CALC] Error in closure operation calculation:', error);
+    return {
+      success: false,
+      error: 'An error occurred while applying the operation.',
+      errorType: 'CALCULATION_ERROR',
+      details: error.message
+    };
+  }
+}
+
+/**
+ * Parse a homomorphism mapping such as "a->01, b->ε"
+ * Images are split into single characters unless they contain spaces,
+ * in which case the space separated tokens are the output symbols.
+ * @param {string} text - Comma separated "symbol->image" pairs ("=" also accepted)
+ * @returns {Object} Symbol → array of output symbols, or { error }
+ */
+export function parseHomomorphismMapping(text) {
+  const mapping = {};
+
+  for (const entry of text.split(',').map(s => s.trim()).filter(Boolean)) {
+    const match = entry.match(/^(.+?)\s*(?:->|→|=)\s*(.*)$/);
+    if (!match) {
+      return { error: `Invalid mapping "${entry}". Use symbol->image, e.g. a->01` };
+    }
+
+    const [, symbol, image] = match;
+    const trimmed = image.trim();
+    // A plain "e" is an output letter here, only ε/eps/epsilon or nothing mean the empty string
+    mapping[symbol.trim()] = isEpsilonSymbol(trimmed, ['e'])
+      ? []
+      : trimmed.includes(' ') ? trimmed.split(/\s+/) : [...trimmed];
+  }
+
+  return mapping;
+}
@@ -5,11 +5,13 @@
 // checks completeness, and returns structured analysis before AI explanation.
 // Flow: User Input → Calculator Processing → Structured Results → AI Enhanced Explanation
 
-import { parseDFAInput, checkFAType } from '../../utils/automataUtils.js';
+import { checkFAType, isEpsilonSymbol } from '../../utils/automataUtils.js';
+import { parseAutomaton, validateAutomaton } from '../../utils/automatonParser.js';
+import { findReachableStates, findDeadStates } from '../../algorithms/dfaPreprocessing.js';
 
 /**
  * Calculate DFA design analysis with detailed validation and structure analysis
- * @param {string} input - Raw automaton input from user
+ * @param {string|Object} input - Raw automaton input from user, or a parsed automaton
  * @returns {Object} Structured design analysis results
  */
 export function calculateDFADesign(input) {
@@ -17,21 +19,23 @@ export function calculateDFADesign(input) {
     console.log('🔧 [DFA DESIGN CALC] Starting DFA design calculation...');
     
     // Step 1: Parse the input automaton
-    const automaton = parseDFAInput(input);
-    if (!automaton) {
+    const parsed = typeof input === 'string' ? parseAutomaton(input) : validateAutomaton(input);
+    if (!parsed.success) {
       return {
         success: false,
-        error: 'Invalid automaton format. Please check your input format.',
+        error: parsed.error,
         errorType: 'PARSE_ERROR',
+        diagnostics: parsed.errors,
         expectedFormat: getExpectedFormat()
       };
     }
+    const automaton = parsed.automaton;
 
     // Step 2: Determine automaton type
     const automatonType = checkFAType(automaton);
     
     // Step 3: Validate automaton structure
-    const validation = validateAutomatonStructure(automaton);
+    const validation = validateAutomatonStructure(automaton, parsed);
     
     // Step 4: Analyze completeness and properties
     const analysis = analyzeAutomatonProperties(automaton, automatonType);
@@ -68,8 +72,11 @@ export function calculateDFADesign(input) {
 
 /**
  * Validate automaton structure for completeness and correctness
+ * @param {Object} automaton - Parsed automaton
+ * @param {Object} parsed - Result of parseAutomaton; its line-numbered
+ *   diagnostics are reported as the syntax check
  */
-function validateAutomatonStructure(automaton) {
+function validateAutomatonStructure(automaton, parsed = null) {
   const validation = {
     isValid: true,
     errors: [],
@@ -77,6 +84,21 @@ function validateAutomatonStructure(automaton) {
     checks: {}
   };
 
+  // Check 0: Syntax and references, as reported by the parser
+  if (parsed) {
+    const describe = d => d.line === null ? d.message : `Line ${d.line}: ${d.message}`;
+    validation.checks.syntax = {
+      valid: parsed.errors.length === 0,
+      errors: parsed.errors.map(describe),
+      warnings: parsed.warnings.map(describe)
+    };
+    if (!validation.checks.syntax.valid) {
+      validation.isValid = false;
+      validation.errors.push(...validation.checks.syntax.errors);
+    }
+    validation.warnings.push(...validation.checks.syntax.warnings);
+  }
+
   // Check 1: States validation
   validation.checks.states = validateStates(automaton.states);
   if (!validation.checks.states.valid) {
@@ -223,7 +245,7 @@ function validateTransitions(transitions, states, alphabet) {
   
   // Check each transition
   for (const transition of transitions) {
-    if (!transition.from || !transition.symbol || !transition.to) {
+    if (!transition.from || typeof transition.symbol !== 'string' || !transition.to) {
       validation.valid = false;
       validation.errors.push('Each transition must have from, symbol, and to properties');
       continue;
@@ -239,7 +261,8 @@ function validateTransitions(transitions, states, alphabet) {
       validation.errors.push(`Transition target state '${transition.to}' is not in states set`);
     }
     
-    if (!alphabet.includes(transition.symbol)) {
+    // Epsilon transitions are allowed without being part of the alphabet
+    if (!alphabet.includes(transition.symbol) && !isEpsilonSymbol(transition.symbol, alphabet)) {
       validation.valid = false;
       validation.errors.push(`Transition symbol '${transition.symbol}' is not in alphabet`);
     }
@@ -306,6 +329,7 @@ function analyzeCompleteness(automaton, automatonType) {
 
 /**
  * Analyze automaton connectivity
+ * Uses the same reachability and dead-state searches as the minimization preprocessing.
  */
 function analyzeConnectivity(automaton) {
   const connectivity = {
@@ -322,73 +346,6 @@ function analyzeConnectivity(automaton) {
   return connectivity;
 }
 
-/**
- * Find reachable states from start state
- */
-function findReachableStates(automaton) {
-  const reachable = new Set([automaton.startState]);
-  const queue = [automaton.startState];
-  
-  while (queue.length > 0) {
-    const current = queue.shift();
-    
-    for (const transition of automaton.transitions) {
-      if (transition.from === current && !reachable.has(transition.to)) {
-        reachable.add(transition.to);
-        queue.push(transition.to);
-      }
-    }
-  }
-  
-  return Array.from(reachable);
-}
-
-/**
- * Find dead states (states with no path to final states)
- */
-function findDeadStates(automaton) {
-  const deadStates = [];
-  
-  for (const state of automaton.states) {
-    if (!canReachFinalState(state, automaton)) {
-      deadStates.push(state);
-    }
-  }
-  
-  return deadStates;
-}
-
-/**
- * Check if a state can reach any final state
- */
-function canReachFinalState(startState, automaton) {
-  if (automaton.finalStates.includes(startState)) {
-    return true;
-  }
-  
-  const visited = new Set();
-  const queue = [startState];
-  
-  while (queue.length > 0) {
-    const current = queue.shift();
-    
-    if (visited.has(current)) continue;
-    visited.add(current);
-    
-    if (automaton.finalStates.includes(current)) {
-      return true;
-    }
-    
-    for (const transition of automaton.transitions) {
-      if (transition.from === current && !visited.has(transition.to)) {
-        queue.push(transition.to);
-      }
-    }
-  }
-  
-  return false;
-}
-
 /**
  * Analyze special properties
  */
@@ -5,12 +5,14 @@
 // and returns structured results before AI explanation.
 // Flow: User Input → Calculator Processing → Structured Results → AI Enhanced Explanation
 
-import { minimizeDFA } from '../../algorithms/dfaMinimization.js';
-import { parseDFAInput, checkFAType } from '../../utils/automataUtils.js';
+import { minimizeDFAWithTrace, fillDistinguishabilityTable } from '../../algorithms/dfaMinimization.js';
+import { isDeterministic } from '../../algorithms/closureOperations.js';
+import { checkFAType } from '../../utils/automataUtils.js';
+import { parseAutomaton, validateAutomaton } from '../../utils/automatonParser.js';
 
 /**
  * Calculate DFA minimization with detailed step-by-step analysis
- * @param {string} input - Raw DFA input from user
+ * @param {string|Object} input - Raw DFA input from user, or a parsed automaton
  * @returns {Object} Structured minimization results
  */
 export function calculateDFAMinimization(input) {
@@ -18,18 +20,20 @@ export function calculateDFAMinimization(input) {
     console.log('🔧 [DFA MIN CALC] Starting DFA minimization calculation...');
     
     // Step 1: Parse the input DFA
-    const originalDFA = parseDFAInput(input);
-    if (!originalDFA) {
+    const parsed = typeof input === 'string' ? parseAutomaton(input) : validateAutomaton(input);
+    if (!parsed.success) {
       return {
         success: false,
-        error: 'Invalid DFA format. Please check your input format.',
-        errorType: 'PARSE_ERROR'
+        error: parsed.error,
+        errorType: 'PARSE_ERROR',
+        diagnostics: parsed.errors
       };
     }
+    const originalDFA = parsed.automaton;
 
-    // Step 2: Validate it's actually a DFA
+    // Step 2: Validate it's actually a DFA (missing transitions are completed in preprocessing)
     const faType = checkFAType(originalDFA);
-    if (faType !== 'DFA') {
+    if (faType !== 'DFA' && !isDeterministic(originalDFA)) {
       return {
         success: false,
         error: 'Input is not a valid DFA. Please provide a deterministic finite automaton.',
@@ -38,14 +42,19 @@ export function calculateDFAMinimization(input) {
       };
     }
 
-    // Step 3: Perform minimization
-    const minimizedDFA = minimizeDFA(originalDFA);
+    // Step 3: Perform minimization, recording every partition refinement round;
+    // the result is drawn, so the dead state is left out
+    const partitionRefinement = minimizeDFAWithTrace(originalDFA, { trimDead: true });
+    const { minimizedDFA } = partitionRefinement;
     
-    // Step 4: Analyze the results
-    const analysis = analyzeMinimizationResults(originalDFA, minimizedDFA);
+    // Step 4: Mark distinguishable pairs with the table-filling method
+    const tableFilling = fillDistinguishabilityTable(originalDFA);
     
-    // Step 5: Generate step-by-step process
-    const steps = generateMinimizationSteps(originalDFA, minimizedDFA);
+    // Step 5: Analyze the results
+    const analysis = analyzeMinimizationResults(originalDFA, minimizedDFA, partitionRefinement);
+    
+    // Step 6: Generate step-by-step process
+    const steps = generateMinimizationSteps(originalDFA, minimizedDFA, partitionRefinement);
     
     console.log('✅ [DFA MIN CALC] Minimization calculation completed successfully');
     
@@ -55,6 +64,8 @@ export function calculateDFAMinimization(input) {
       minimizedDFA,
       analysis,
       steps,
+      partitionRefinement,
+      tableFilling,
       calculationType: 'DFA_MINIMIZATION'
     };
 
@@ -72,7 +83,7 @@ export function calculateDFAMinimization(input) {
 /**
  * Analyze minimization results and provide insights
  */
-function analyzeMinimizationResults(original, minimized) {
+function analyzeMinimizationResults(original, minimized, refinement) {
   const originalStateCount = original.states.length;
   const minimizedStateCount = minimized.states.length;
   const statesReduced = originalStateCount - minimizedStateCount;
@@ -85,57 +96,81 @@ function analyzeMinimizationResults(original, minimized) {
     reductionPercentage: parseFloat(reductionPercentage),
     isAlreadyMinimal: statesReduced === 0,
     efficiency: statesReduced > 0 ? 'OPTIMIZED' : 'ALREADY_MINIMAL',
-    equivalentStates: findEquivalentStates(original, minimized)
+    equivalentStates: findEquivalentStates(refinement),
+    preprocessing: {
+      unreachableStates: refinement.preprocessing.unreachableStates,
+      trapState: refinement.preprocessing.trapState,
+      missingTransitions: refinement.preprocessing.missingTransitions,
+      trimmedStates: refinement.preprocessing.trimmedStates
+    }
   };
 }
 
 /**
  * Generate step-by-step minimization process
  */
-function generateMinimizationSteps(original, minimized) {
+function generateMinimizationSteps(original, minimized, refinement) {
   const steps = [];
+  const { preprocessing } = refinement;
   
-  // Step 1: Initial partitioning
+  // Step 1: Preprocessing
   steps.push({
     stepNumber: 1,
+    title: 'Preprocessing',
+    description: describePreprocessing(preprocessing),
+    details: {
+      unreachableStates: preprocessing.unreachableStates,
+      trapState: preprocessing.trapState,
+      missingTransitions: preprocessing.missingTransitions,
+      trimmedStates: preprocessing.trimmedStates
+    }
+  });
+  
+  // Step 2: Initial partitioning
+  steps.push({
+    stepNumber: 2,
     title: 'Initial Partitioning',
     description: 'Separate final states from non-final states',
     details: {
-      finalStates: original.finalStates,
-      nonFinalStates: original.states.filter(s => !original.finalStates.includes(s))
+      finalStates: preprocessing.dfa.finalStates,
+      nonFinalStates: preprocessing.dfa.states.filter(s => !preprocessing.dfa.finalStates.includes(s)),
+      initialPartition: refinement.initialPartition
     }
   });
   
-  // Step 2: Partition refinement analysis
+  // Step 3: Partition refinement analysis
   steps.push({
-    stepNumber: 2,
+    stepNumber: 3,
     title: 'Partition Refinement',
-    description: 'Analyze transitions to identify distinguishable states',
+    description: refinement.rounds.length > 0
+      ? `Split blocks in ${refinement.rounds.length} round(s) until every block is consistent on every symbol`
+      : 'No block can be split: states in the same block behave alike',
     details: {
       alphabet: original.alphabet,
-      transitionAnalysis: analyzeTransitions(original)
+      transitionAnalysis: analyzeTransitions(original),
+      rounds: refinement.rounds
     }
   });
   
-  // Step 3: Equivalent state identification
+  // Step 4: Equivalent state identification
   steps.push({
-    stepNumber: 3,
+    stepNumber: 4,
     title: 'Equivalent States',
     description: 'Identify states that can be merged',
     details: {
-      equivalentGroups: findEquivalentStates(original, minimized)
+      equivalentGroups: findEquivalentStates(refinement)
     }
   });
   
-  // Step 4: Final result
+  // Step 5: Final result
   steps.push({
-    stepNumber: 4,
+    stepNumber: 5,
     title: 'Minimized DFA Construction',
     description: 'Build the final minimized automaton',
     details: {
       newStates: minimized.states,
       newTransitions: minimized.transitions,
-      stateMapping: generateStateMapping(original, minimized)
+      stateMapping: generateStateMapping(refinement)
     }
   });
   
@@ -143,29 +178,35 @@ function generateMinimizationSteps(original, minimized) {
 }
 
 /**
- * Find equivalent states between original and minimized DFA
+ * Describe the preprocessing in one sentence
  */
-function findEquivalentStates(original, minimized) {
-  // This is a simplified version - in practice, you'd track the actual
-  // equivalence classes from the minimization algorithm
-  const equivalentGroups = [];
-  
-  if (original.states.length === minimized.states.length) {
-    return []; // No equivalent states found
+function describePreprocessing(preprocessing) {
+  const parts = [];
+  if (preprocessing.unreachableStates.length > 0) {
+    parts.push(`Removed unreachable states ${preprocessing.unreachableStates.join(', ')}`);
   }
-  
-  // For demonstration, create example equivalent groups
-  // In a real implementation, this would come from the minimization algorithm
-  const statesReduced = original.states.length - minimized.states.length;
-  if (statesReduced > 0) {
-    equivalentGroups.push({
-      representative: minimized.states[0],
-      equivalentStates: original.states.slice(0, statesReduced + 1),
-      reason: 'States have identical transition behavior'
-    });
+  if (preprocessing.trapState) {
+    parts.push(`Added trap state ${preprocessing.trapState} for ${preprocessing.missingTransitions} missing transition(s)`);
   }
-  
-  return equivalentGroups;
+  if (preprocessing.trimmedStates.length > 0) {
+    parts.push(`Dead states ${preprocessing.trimmedStates.join(', ')} are left out of the result`);
+  }
+  return parts.length > 0
+    ? parts.join('; ')
+    : 'All states are reachable and every transition is defined';
+}
+
+/**
+ * Find the groups of original states merged into one minimized state
+ */
+function findEquivalentStates(refinement) {
+  return refinement.classes
+    .filter(({ members }) => members.length > 1)
+    .map(({ state, members }) => ({
+      representative: state,
+      equivalentStates: members,
+      reason: 'No partition refinement round separated these states'
+    }));
 }
 
 /**
@@ -188,15 +229,13 @@ function analyzeTransitions(dfa) {
 /**
  * Generate state mapping from original to minimized DFA
  */
-function generateStateMapping(original, minimized) {
+function generateStateMapping(refinement) {
   const mapping = {};
   
-  // This is a simplified mapping - in practice, you'd track the actual
-  // state equivalences from the minimization algorithm
-  for (let i = 0; i < original.states.length; i++) {
-    const originalState = original.states[i];
-    const minimizedIndex = Math.min(i, minimized.states.length - 1);
-    mapping[originalState] = minimized.states[minimizedIndex];
+  for (const { state, members } of refinement.classes) {
+    for (const originalState of members) {
+      mapping[originalState] = state;
+    }
   }
   
   return mapping;
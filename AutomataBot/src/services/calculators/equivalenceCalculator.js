@@ -0,0 +1,132 @@
+// ===============================================
+// LANGUAGE EQUIVALENCE CALCULATOR
+// ===============================================
+// This calculator compares two automata, determinizes and minimizes both,
+// and either confirms that they accept the same language or returns the
+// shortest distinguishing string with execution traces on both machines.
+// When both inputs are DFAs it also checks whether they are the same machine
+// up to state names, reporting the state mapping or where they differ.
+// Flow: User Input → Calculator Processing → Structured Results → Bot Response
+
+import { checkFAType, nfaToDfa, splitAutomataDefinitions } from '../../utils/automataUtils.js';
+import { parseAutomaton } from '../../utils/automatonParser.js';
+import { minimizeDFA } from '../../algorithms/dfaMinimization.js';
+import { findDistinguishingString } from '../../algorithms/dfaEquivalence.js';
+import { checkIsomorphism } from '../../algorithms/dfaIsomorphism.js';
+import { isDeterministic } from '../../algorithms/closureOperations.js';
+import { calculateInputTest } from './inputTestCalculator.js';
+
+/**
+ * Calculate language equivalence between two automata
+ * @param {string|Object} inputA - First automaton (text in automaton format or parsed)
+ * @param {string|Object} inputB - Second automaton (text in automaton format or parsed)
+ * @returns {Object} Structured equivalence results
+ */
+export function calculateEquivalence(inputA, inputB) {
+  try {
+    console.log('⚖️ [EQUIVALENCE CALC] Starting equivalence calculation...');
+    
+    // Step 1: Parse both automata
+    const automata = {};
+    for (const [name, input] of [['A', inputA], ['B', inputB]]) {
+      if (typeof input !== 'string') {
+        automata[name] = input;
+        continue;
+      }
+      const parsed = parseAutomaton(input);
+      if (!parsed.success) {
+        return {
+          success: false,
+          error: `Automaton ${name}: ${parsed.error}`,
+          errorType: 'PARSE_ERROR',
+          diagnostics: parsed.errors
+        };
+      }
+      automata[name] = parsed.automaton;
+    }
+    const { A: automatonA, B: automatonB } = automata;
+    
+    // Step 2: Determinize both automata (subset construction)
+    const dfaA = nfaToDfa(automatonA);
+    const dfaB = nfaToDfa(automatonB);
+    
+    // Step 3: Minimize both DFAs
+    const minimizedA = minimizeDFA(dfaA);
+    const minimizedB = minimizeDFA(dfaB);
+    
+    // Step 4: Search the product automaton for a distinguishing string
+    const comparison = findDistinguishingString(minimizedA, minimizedB);
+    
+    // Step 5: Compare the structure of the original machines (DFAs only)
+    const isomorphism = isDeterministic(automatonA) && isDeterministic(automatonB)
+      ? checkIsomorphism(automatonA, automatonB)
+      : null;
+    
+    // Step 6: Trace the distinguishing string on both original machines
+    let traces = null;
+    if (!comparison.equivalent) {
+      traces = {
+        A: calculateInputTest(automatonA, comparison.distinguishingString),
+        B: calculateInputTest(automatonB, comparison.distinguishingString)
+      };
+    }
+    
+    console.log('✅ [EQUIVALENCE CALC] Equivalence calculation completed successfully');
+    
+    return {
+      success: true,
+      automatonA,
+      automatonB,
+      minimizedA,
+      minimizedB,
+      equivalent: comparison.equivalent,
+      distinguishingString: comparison.distinguishingString,
+      acceptedBy: comparison.acceptedBy,
+      traces,
+      isomorphism,
+      analysis: {
+        typeA: checkFAType(automatonA),
+        typeB: checkFAType(automatonB),
+        originalStateCounts: { A: automatonA.states.length, B: automatonB.states.length },
+        minimizedStateCounts: { A: minimizedA.states.length, B: minimizedB.states.length },
+        alphabetsDiffer: !sameAlphabet(automatonA.alphabet, automatonB.alphabet),
+        pairsExplored: comparison.pairsExplored
+      },
+      calculationType: 'EQUIVALENCE'
+    };
+
+  } catch (error) {
+    console.error('❌ [EQUIVALENCE CALC] Error in equivalence calculation:', error);
+    return {
+      success: false,
+      error: 'An error occurred during equivalence calculation.',
+      errorType: 'CALCULATION_ERROR',
+      details: error.message
+    };
+  }
+}
+
+/**
+ * Calculate equivalence from one message holding both definitions
+ * @param {string} input - Two automaton definitions (see splitAutomataDefinitions)
+ * @returns {Object} Structured equivalence results
+ */
+export function calculateEquivalenceFromText(input) {
+  const definitions = splitAutomataDefinitions(input);
+  if (definitions.length !== 2) {
+    return {
+      success: false,
+      error: `Expected exactly 2 automata but found ${definitions.length}. Separate them with a line containing ---`,
+      errorType: 'PARSE_ERROR'
+    };
+  }
+  
+  return calculateEquivalence(definitions[0], definitions[1]);
+}
+
+/**
+ * Check whether two alphabets contain the same symbols
+ */
+function sameAlphabet(alphabetA, alphabetB) {
+  return alphabetA.length === alphabetB.length && alphabetA.every(symbol => alphabetB.includes(symbol));
+}
@@ -5,11 +5,12 @@
 // and returns detailed type analysis before AI explanation.
 // Flow: User Input → Calculator Processing → Structured Results → AI Enhanced Explanation
 
-import { parseDFAInput, checkFAType } from '../../utils/automataUtils.js';
+import { checkFAType } from '../../utils/automataUtils.js';
+import { parseAutomaton, validateAutomaton } from '../../utils/automatonParser.js';
 
 /**
  * Calculate FA type analysis with detailed determinism analysis
- * @param {string} input - Raw automaton input from user
+ * @param {string|Object} input - Raw automaton input from user, or a parsed automaton
  * @returns {Object} Structured type analysis results
  */
 export function calculateFAType(input) {
@@ -17,14 +18,16 @@ export function calculateFAType(input) {
     console.log('🔍 [FA TYPE CALC] Starting FA type analysis calculation...');
     
     // Step 1: Parse the input automaton
-    const automaton = parseDFAInput(input);
-    if (!automaton) {
+    const parsed = typeof input === 'string' ? parseAutomaton(input) : validateAutomaton(input);
+    if (!parsed.success) {
       return {
         success: false,
-        error: 'Invalid automaton format. Please check your input format.',
-        errorType: 'PARSE_ERROR'
+        error: parsed.error,
+        errorType: 'PARSE_ERROR',
+        diagnostics: parsed.errors
       };
     }
+    const automaton = parsed.automaton;
 
     // Step 2: Determine automaton type
     const automatonType = checkFAType(automaton);
@@ -0,0 +1,297 @@
+// ===============================================
+// CONTEXT-FREE GRAMMAR CALCULATOR
+// ===============================================
+// This calculator parses context-free grammars, simplifies them, converts them
+// to Chomsky or Greibach normal form step by step and tests strings with CYK.
+// Flow: User Input → Calculator Processing → Structured Results → Bot Response
+
+import { parseGrammar, isVariable } from '../../utils/grammarParser.js';
+import {
+  findNullable,
+  findGenerating,
+  findReachable,
+  simplifyGrammar,
+  convertToCNF,
+  convertToGNF,
+  isCNF,
+  isGNF
+} from '../../algorithms/grammarNormalForms.js';
+import { runCYK, MAX_CYK_LENGTH } from '../../algorithms/cykParser.js';
+import { parseBatchTestInput, batchLineError, MAX_BATCH_STRINGS } from './inputTestCalculator.js';
+
+/** Transformations offered by the grammar menu */
+const GRAMMAR_TRANSFORMATIONS = {
+  simplify: { name: 'Simplified Grammar', convert: simplifyGrammar },
+  cnf: { name: 'Chomsky Normal Form', convert: convertToCNF },
+  gnf: { name: 'Greibach Normal Form', convert: convertToGNF }
+};
+
+/**
+ * Parse a grammar given as text, or pass a parsed grammar through
+ * @returns {Object} { grammar, warnings } or a failed calculator result
+ */
+function readGrammar(input) {
+  if (typeof input !== 'string') return { grammar: input, warnings: [] };
+
+  const parsed = parseGrammar(input);
+  if (!parsed.success) {
+    return {
+      failure: {
+        success: false,
+        error: parsed.error,
+        errorType: 'PARSE_ERROR',
+        diagnostics: parsed.errors
+      }
+    };
+  }
+  return { grammar: parsed.grammar, warnings: parsed.warnings };
+}
+
+/**
+ * Parse and analyze a grammar definition
+ * @param {string} input - Grammar text (see grammarParser.js)
+ * @returns {Object} Structured grammar analysis
+ */
+export function calculateGrammarDefinition(input) {
+  try {
+    console.log('📐 [GRAMMAR CALC] Starting grammar analysis...');
+
+    // Step 1: Parse the grammar
+    const { grammar, warnings, failure } = readGrammar(input);
+    if (failure) return failure;
+
+    // Step 2: Nullable, generating and reachable variables
+    const nullable = findNullable(grammar);
+    const generating = new Set(findGenerating(grammar));
+    const reachable = new Set(findReachable(grammar));
+
+    console.log('✅ [GRAMMAR CALC] Grammar analysis completed successfully');
+
+    return {
+      success: true,
+      grammar,
+      warnings,
+      analysis: {
+        variableCount: grammar.variables.length,
+        terminalCount: grammar.terminals.length,
+        productionCount: grammar.productions.length,
+        nullable,
+        nonGenerating: grammar.variables.filter(v => !generating.has(v)),
+        unreachable: grammar.variables.filter(v => !reachable.has(v)),
+        generatesEmpty: nullable.includes(grammar.startSymbol),
+        emptyLanguage: !generating.has(grammar.startSymbol),
+        epsilonProductions: grammar.productions.filter(p => p.body.length === 0).length,
+        unitProductions: grammar.productions.filter(p => p.body.length === 1 && isVariable(p.body[0])).length,
+        isCNF: isCNF(grammar),
+        isGNF: isGNF(grammar)
+      },
+      calculationType: 'GRAMMAR_DEFINITION'
+    };
+
+  } catch (error) {
+    console.error('❌ [GRAMMAR CALC] Error in grammar analysis:', error);
+    return {
+      success: false,
+      error: 'An error occurred while reading the grammar.',
+      errorType: 'CALCULATION_ERROR',
+      details: error.message
+    };
+  }
+}
+
+/**
+ * Simplify a grammar or convert it to a normal form
+ * @param {string|Object} input - Grammar text or a parsed grammar
+ * @param {string} transformation - 'simplify', 'cnf' or 'gnf'
+ * @returns {Object} Structured results with every step of the conversion
+ */
+export function calculateGrammarTransformation(input, transformation) {
+  try {
+    console.log(`📐 [GRAMMAR CALC] Starting transformation: ${transformation}`);
+
+    const { name, convert } = GRAMMAR_TRANSFORMATIONS[transformation] || {};
+    if (!convert) {
+      return {
+        success: false,
+        error: `Unknown grammar transformation: ${transformation}`,
+        errorType: 'INVALID_OPERATION'
+      };
+    }
+
+    // Step 1: Parse the grammar
+    const { grammar, warnings, failure } = readGrammar(input);
+    if (failure) return failure;
+
+    // Step 2: Convert, recording every step
+    const { grammar: result, steps, generatesEmpty, empty } = convert(grammar);
+
+    console.log('✅ [GRAMMAR CALC] Transformation completed successfully');
+
+    return {
+      success: true,
+      transformation,
+      transformationName: name,
+      originalGrammar: grammar,
+      resultGrammar: result,
+      steps,
+      warnings,
+      analysis: {
+        originalProductionCount: grammar.productions.length,
+        resultProductionCount: result.productions.length,
+        resultVariableCount: result.variables.length,
+        generatesEmpty,
+        emptyLanguage: empty
+      },
+      calculationType: 'GRAMMAR_TRANSFORMATION'
+    };
+
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return { success: false, error: error.message, errorType: 'TOO_LARGE' };
+    }
+    console.error('❌ [GRAMMAR CALC] Error in grammar transformation:', error);
+    return {
+      success: false,
+      error: 'An error occurred while transforming the grammar.',
+      errorType: 'CALCULATION_ERROR',
+      details: error.message
+    };
+  }
+}
+
+/**
+ * Find input characters that are not terminals of the grammar
+ */
+function invalidSymbols(grammar, input) {
+  return [...new Set([...input].filter(symbol => !grammar.terminals.includes(symbol)))];
+}
+
+/**
+ * Test whether a grammar generates a string with the CYK algorithm
+ * The grammar is converted to Chomsky normal form first.
+ * @param {Object} grammar - Parsed grammar
+ * @param {string} input - String to test ("ε" for the empty string)
+ * @returns {Object} Structured results with the filled CYK table and a derivation
+ */
+export function calculateCYK(grammar, input) {
+  try {
+    console.log('📐 [GRAMMAR CALC] Starting CYK membership test...');
+
+    const testString = input === 'ε' ? '' : input;
+    const invalid = invalidSymbols(grammar, testString);
+    if (invalid.length > 0) {
+      return {
+        success: false,
+        error: `Invalid symbols found in test string: ${invalid.join(', ')}`,
+        errorType: 'INVALID_STRING',
+        invalidSymbols: invalid
+      };
+    }
+    if ([...testString].length > MAX_CYK_LENGTH) {
+      return {
+        success: false,
+        error: `The string is too long for the CYK table (at most ${MAX_CYK_LENGTH} symbols).`,
+        errorType: 'INVALID_STRING'
+      };
+    }
+
+    const { grammar: cnf } = convertToCNF(grammar);
+    const cyk = runCYK(cnf, testString);
+
+    console.log('✅ [GRAMMAR CALC] CYK membership test completed successfully');
+
+    return {
+      success: true,
+      grammar,
+      cnf,
+      input: testString,
+      ...cyk,
+      calculationType: 'CYK'
+    };
+
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return { success: false, error: error.message, errorType: 'TOO_LARGE' };
+    }
+    console.error('❌ [GRAMMAR CALC] Error in CYK membership test:', error);
+    return {
+      success: false,
+      error: 'An error occurred during the CYK membership test.',
+      errorType: 'CALCULATION_ERROR',
+      details: error.message
+    };
+  }
+}
+
+/**
+ * Test a batch of strings with CYK (same input format as batch testing)
+ * @param {Object} grammar - Parsed grammar
+ * @param {string} text - Strings, one per line or comma-separated, optionally labelled accept/reject
+ * @returns {Object} Batch results shaped like calculateBatchInputTest's
+ */
+export function calculateCYKBatch(grammar, text) {
+  try {
+    console.log('📐 [GRAMMAR CALC] Starting CYK batch test...');
+
+    const { entries, errors } = parseBatchTestInput(text);
+    if (errors.length > 0) return batchLineError(errors);
+    if (entries.length === 0 || entries.length > MAX_BATCH_STRINGS) {
+      return {
+        success: false,
+        error: entries.length === 0
+          ? 'No test strings found. Send one string per line, optionally followed by accept or reject.'
+          : `Too many test strings (${entries.length}). Send at most ${MAX_BATCH_STRINGS} at a time.`,
+        errorType: entries.length === 0 ? 'INVALID_STRING' : 'TOO_MANY_STRINGS'
+      };
+    }
+
+    const { grammar: cnf } = convertToCNF(grammar);
+    const results = entries.map(entry => {
+      const invalid = invalidSymbols(grammar, entry.input);
+      if (invalid.length > 0 || [...entry.input].length > MAX_CYK_LENGTH) {
+        const error = invalid.length > 0
+          ? `Invalid symbols found in test string: ${invalid.join(', ')}`
+          : `Longer than ${MAX_CYK_LENGTH} symbols`;
+        return { ...entry, accepted: null, status: 'INVALID', error };
+      }
+      const { accepted } = runCYK(cnf, entry.input);
+      let status = 'UNLABELED';
+      if (entry.expected !== null) status = accepted === entry.expected ? 'PASS' : 'FAIL';
+      return { ...entry, accepted, status, error: null };
+    });
+
+    const count = predicate => results.filter(predicate).length;
+
+    console.log('✅ [GRAMMAR CALC] CYK batch test completed successfully');
+
+    return {
+      success: true,
+      grammar,
+      automatonType: 'CFG, tested with CYK',
+      results,
+      mismatches: results.filter(r => r.status === 'FAIL' || r.status === 'INVALID'),
+      summary: {
+        total: results.length,
+        accepted: count(r => r.accepted === true),
+        rejected: count(r => r.accepted === false),
+        invalid: count(r => r.status === 'INVALID'),
+        labeled: count(r => r.expected !== null),
+        passed: count(r => r.status === 'PASS'),
+        failed: count(r => r.status === 'FAIL')
+      },
+      calculationType: 'CYK_BATCH'
+    };
+
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return { success: false, error: error.message, errorType: 'TOO_LARGE' };
+    }
+    console.error('❌ [GRAMMAR CALC] Error in CYK batch test:', error);
+    return {
+      success: false,
+      error: 'An error occurred during the CYK batch test.',
+      errorType: 'CALCULATION_ERROR',
+      details: error.message
+    };
+  }
+}
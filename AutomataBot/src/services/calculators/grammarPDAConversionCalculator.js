@@ -0,0 +1,126 @@
+// ===============================================
+// CFG ↔ PDA CONVERSION CALCULATOR
+// ===============================================
+// This calculator turns a context-free grammar into the equivalent
+// single-state PDA and a PDA into an equivalent grammar (triple
+// construction), returning every step of the construction.
+// Flow: User Input → Calculator Processing → Structured Results → Bot Response
+
+import { parseGrammar } from '../../utils/grammarParser.js';
+import { parsePDA } from '../../utils/pdaParser.js';
+import { cfgToPDA, pdaToCFG } from '../../algorithms/grammarPDAConversion.js';
+
+/**
+ * Parse text with one of the definition parsers, or pass a parsed object through
+ * @returns {Object} { value, warnings } or a failed calculator result
+ */
+function readDefinition(input, parse, key) {
+  if (typeof input !== 'string') return { value: input, warnings: [] };
+
+  const parsed = parse(input);
+  if (!parsed.success) {
+    return {
+      failure: {
+        success: false,
+        error: parsed.error,
+        errorType: 'PARSE_ERROR',
+        diagnostics: parsed.errors
+      }
+    };
+  }
+  return { value: parsed[key], warnings: parsed.warnings };
+}
+
+/**
+ * Convert a context-free grammar to a PDA accepting by empty stack
+ * @param {string|Object} input - Grammar text or a parsed grammar
+ * @returns {Object} Structured results with the PDA and the construction steps
+ */
+export function calculateCFGToPDA(input) {
+  try {
+    console.log('🔁 [CFG→PDA CALC] Starting grammar to PDA conversion...');
+
+    // Step 1: Parse the grammar
+    const { value: grammar, warnings, failure } = readDefinition(input, parseGrammar, 'grammar');
+    if (failure) return failure;
+
+    // Step 2: One expand move per production, one match move per terminal
+    const { pda, steps } = cfgToPDA(grammar);
+
+    console.log('✅ [CFG→PDA CALC] Grammar to PDA conversion completed successfully');
+
+    return {
+      success: true,
+      grammar,
+      pda,
+      steps,
+      warnings,
+      analysis: {
+        productionCount: grammar.productions.length,
+        terminalCount: grammar.terminals.length,
+        transitionCount: pda.transitions.length,
+        stackSymbolCount: pda.stackAlphabet.length
+      },
+      calculationType: 'CFG_TO_PDA'
+    };
+
+  } catch (error) {
+    console.error('❌ [CFG→PDA CALC] Error in grammar to PDA conversion:', error);
+    return {
+      success: false,
+      error: 'An error occurred while converting the grammar to a PDA.',
+      errorType: 'CALCULATION_ERROR',
+      details: error.message
+    };
+  }
+}
+
+/**
+ * Convert a PDA to an equivalent context-free grammar
+ * @param {string|Object} input - PDA definition or a parsed PDA
+ * @returns {Object} Structured results with the grammar and the construction steps
+ */
+export function calculatePDAToCFG(input) {
+  try {
+    console.log('🔁 [PDA→CFG CALC] Starting PDA to grammar conversion...');
+
+    // Step 1: Parse the PDA
+    const { value: pda, warnings, failure } = readDefinition(input, parsePDA, 'pda');
+    if (failure) return failure;
+
+    // Step 2: Triple construction, then drop the useless variables
+    const { grammar, steps, rawProductionCount, convertedPDA } = pdaToCFG(pda);
+
+    console.log('✅ [PDA→CFG CALC] PDA to grammar conversion completed successfully');
+
+    return {
+      success: true,
+      pda,
+      convertedPDA,
+      grammar,
+      steps,
+      warnings,
+      analysis: {
+        stateCount: pda.states.length,
+        transitionCount: pda.transitions.length,
+        rawProductionCount,
+        productionCount: grammar.productions.length,
+        variableCount: grammar.variables.length,
+        emptyLanguage: grammar.productions.length === 0
+      },
+      calculationType: 'PDA_TO_CFG'
+    };
+
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return { success: false, error: error.message, errorType: 'TOO_LARGE' };
+    }
+    console.error('❌ [PDA→CFG CALC] Error in PDA to grammar conversion:', error);
+    return {
+      success: false,
+      error: 'An error occurred while converting the PDA to a grammar.',
+      errorType: 'CALCULATION_ERROR',
+      details: error.message
+    };
+  }
+}
@@ -5,7 +5,7 @@
 // and returns step-by-step execution results before AI explanation.
 // Flow: User Input → Calculator Processing → Structured Results → AI Enhanced Explanation
 
-import { simulateFA, checkFAType } from '../../utils/automataUtils.js';
+import { simulateFA, checkFAType, epsilonClosure, moveStates, EPSILON } from '../../utils/automataUtils.js';
 
 /**
  * Calculate input testing with detailed step-by-step simulation
@@ -26,7 +26,8 @@ export function calculateInputTest(automaton, testString) {
       };
     }
 
-    // Step 2: Validate test string
+    // Step 2: Validate test string ("ε" is accepted as the empty string)
+    if (testString === EPSILON) testString = '';
     const stringValidation = validateTestString(testString, automaton.alphabet);
     if (!stringValidation.valid) {
       return {
@@ -193,45 +194,46 @@ function generateDFATrace(dfa, testString) {
 }
 
 /**
- * Generate execution trace for NFA (simplified - shows one possible path)
+ * Generate execution trace for NFA, including epsilon closure steps
  */
 function generateNFATrace(nfa, testString) {
   const trace = [];
-  let currentStates = new Set([nfa.startState]);
+  const startClosure = epsilonClosure(nfa, [nfa.startState]);
+  let currentStates = startClosure;
   
-  // Initial state
+  // Initial state (extended by its epsilon closure)
+  const startEpsilonAdded = startClosure.filter(s => s !== nfa.startState);
   trace.push({
     step: 0,
     inputPosition: 0,
-    currentStates: Array.from(currentStates),
+    currentStates,
+    epsilonAdded: startEpsilonAdded,
     remainingInput: testString,
     symbol: null,
     action: 'START',
-    description: `Starting at state(s) {${Array.from(currentStates).join(', ')}}`
+    description: startEpsilonAdded.length > 0
+      ? `Starting at ${nfa.startState}, ε-closure(${nfa.startState}) = {${startClosure.join(', ')}}`
+      : `Starting at state(s) {${currentStates.join(', ')}}`
   });
   
   // Process each symbol
   for (let i = 0; i < testString.length; i++) {
     const symbol = testString[i];
-    const nextStates = new Set();
     
-    // Find all possible transitions
-    for (const state of currentStates) {
-      const transitions = nfa.transitions.filter(t => 
-        t.from === state && t.symbol === symbol
-      );
-      transitions.forEach(t => nextStates.add(t.to));
-    }
+    // move() on the symbol, then follow epsilon transitions
+    const movedStates = moveStates(nfa, currentStates, symbol);
+    const nextStates = epsilonClosure(nfa, movedStates);
+    const epsilonAdded = nextStates.filter(s => !movedStates.includes(s));
     
-    if (nextStates.size === 0) {
+    if (nextStates.length === 0) {
       trace.push({
         step: i + 1,
         inputPosition: i,
-        currentStates: Array.from(currentStates),
+        currentStates,
         remainingInput: testString.substring(i),
         symbol: symbol,
         action: 'REJECT',
-        description: `No transitions from {${Array.from(currentStates).join(', ')}} on symbol '${symbol}' - REJECTED`
+        description: `No transitions from {${currentStates.join(', ')}} on symbol '${symbol}' - REJECTED`
       });
       break;
     }
@@ -239,12 +241,16 @@ function generateNFATrace(nfa, testString) {
     trace.push({
       step: i + 1,
       inputPosition: i,
-      currentStates: Array.from(currentStates),
-      nextStates: Array.from(nextStates),
+      currentStates,
+      movedStates,
+      nextStates,
+      epsilonAdded,
       remainingInput: testString.substring(i),
       symbol: symbol,
       action: 'TRANSITION',
-      description: `Read '${symbol}', transition from {${Array.from(currentStates).join(', ')}} to {${Array.from(nextStates).join(', ')}}`
+      description: epsilonAdded.length > 0
+        ? `Read '${symbol}', move({${currentStates.join(', ')}}, ${symbol}) = {${movedStates.join(', ')}}, ε-closure = {${nextStates.join(', ')}}`
+        : `Read '${symbol}', transition from {${currentStates.join(', ')}} to {${nextStates.join(', ')}}`
     });
     
     currentStates = nextStates;
@@ -252,20 +258,20 @@ function generateNFATrace(nfa, testString) {
   
   // Final state check
   const finalStep = trace.length;
-  const hasAcceptingState = Array.from(currentStates).some(state => 
+  const hasAcceptingState = currentStates.some(state => 
     nfa.finalStates.includes(state)
   );
   
   trace.push({
     step: finalStep,
     inputPosition: testString.length,
-    currentStates: Array.from(currentStates),
+    currentStates,
     remainingInput: '',
     symbol: null,
     action: hasAcceptingState ? 'ACCEPT' : 'REJECT',
     description: hasAcceptingState 
-      ? `Input consumed, at least one final state in {${Array.from(currentStates).join(', ')}} - ACCEPTED`
-      : `Input consumed, no final states in {${Array.from(currentStates).join(', ')}} - REJECTED`
+      ? `Input consumed, at least one final state in {${currentStates.join(', ')}} - ACCEPTED`
+      : `Input consumed, no final states in {${currentStates.join(', ')}} - REJECTED`
   });
   
   return trace;
@@ -330,3 +336,165 @@ export function validateInputTestParams(automaton, testString) {
     errors
   };
 }
+
+// ===============================================
+// BATCH TESTING
+// ===============================================
+// Several strings can be tested in one message, one per line or separated by
+// commas, semicolons or tabs (a CSV file works too). A line may pair a string
+// with its expected result, e.g. "0101, accept" or "10 reject". A line that
+// mixes the two ("1,0,accept") is reported instead of being guessed at. Every
+// string is simulated without a trace, image or AI explanation.
+
+/** Most strings tested in one batch */
+export const MAX_BATCH_STRINGS = 200;
+
+/** Words accepted as expected results */
+const EXPECTED_LABELS = {
+  accept: true, accepted: true, yes: true, true: true, '✓': true, '✅': true, '+': true,
+  reject: false, rejected: false, no: false, false: false, '✗': false, '❌': false, '-': false
+};
+
+/**
+ * Check whether a test message holds more than one string (or an expected result)
+ * @param {string} text - Message text
+ * @returns {boolean} True if the message should be tested as a batch
+ */
+export function isBatchTestInput(text) {
+  const { entries, errors } = parseBatchTestInput(text);
+  return entries.length > 1 || entries.some(entry => entry.expected !== null) || errors.length > 0;
+}
+
+/**
+ * Split a batch message into strings with optional expected results
+ * A line with two fields whose second field is a label (accept, reject, yes,
+ * no, ✓, ✗, ...) is one labelled string; a line without a trailing label
+ * lists one string per field. A longer line ending in a label is an error.
+ * Blank lines, # comments and a "string, expected" header are skipped.
+ * "ε" (or an empty field next to a label) stands for the empty string.
+ *
+ * @param {string} text - Message text
+ * @returns {Object} { entries: [{ line, input, expected }] with expected true,
+ *   false or null, errors: [{ line, text, message }] }
+ */
+export function parseBatchTestInput(text) {
+  const entries = [];
+  const errors = [];
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (line === '' || line.startsWith('#') || /^(string|input)s?\s*[,;\t]\s*(expected|label)/i.test(line)) return;
+
+    const fields = line.split(/\s*[,;\t]\s*|\s+/);
+    const label = fields.length >= 2 ? fields[fields.length - 1].toLowerCase() : null;
+    if (label !== null && label in EXPECTED_LABELS) {
+      if (fields.length > 2) {
+        errors.push({
+          line: index + 1,
+          text: line,
+          message: `${fields.length} fields end in the label "${fields[fields.length - 1]}". Write one string and its expected result (0101, accept), or strings only`
+        });
+        return;
+      }
+      entries.push({ line: index + 1, input: fields[0] === EPSILON ? '' : fields[0], expected: EXPECTED_LABELS[label] });
+      return;
+    }
+
+    fields
+      .filter(field => field !== '')
+      .forEach(field => entries.push({ line: index + 1, input: field === EPSILON ? '' : field, expected: null }));
+  });
+
+  return { entries, errors };
+}
+
+/**
+ * Failed result for a batch message with lines that could not be read
+ * @param {Array<Object>} errors - Errors from parseBatchTestInput
+ * @returns {Object} Structured error result
+ */
+export function batchLineError(errors) {
+  // The line is quoted in a code span, where Markdown cannot escape a backtick
+  const shown = errors.slice(0, 5).map(e => `• Line ${e.line} (\`${e.text.replace(/`/g, 'ˋ')}\`): ${e.message}`);
+  if (errors.length > 5) shown.push(`... and ${errors.length - 5} more`);
+  return {
+    success: false,
+    error: `Could not read ${errors.length} line${errors.length === 1 ? '' : 's'} of the test strings:\n${shown.join('\n')}`,
+    errorType: 'INVALID_LINE'
+  };
+}
+
+/**
+ * Test many strings against an automaton
+ * @param {Object} automaton - The finite automaton to test
+ * @param {string} text - Batch message (see parseBatchTestInput)
+ * @returns {Object} Structured batch results with a row per string and summary counts
+ */
+export function calculateBatchInputTest(automaton, text) {
+  try {
+    console.log('🧪 [INPUT TEST CALC] Starting batch input testing...');
+
+    const { entries, errors } = parseBatchTestInput(text);
+    if (errors.length > 0) return batchLineError(errors);
+    if (entries.length === 0) {
+      return {
+        success: false,
+        error: 'No test strings found. Send one string per line, optionally followed by accept or reject.',
+        errorType: 'INVALID_STRING'
+      };
+    }
+    if (entries.length > MAX_BATCH_STRINGS) {
+      return {
+        success: false,
+        error: `Too many test strings (${entries.length}). Send at most ${MAX_BATCH_STRINGS} at a time.`,
+        errorType: 'TOO_MANY_STRINGS'
+      };
+    }
+
+    const results = entries.map(entry => {
+      const validation = validateTestString(entry.input, automaton.alphabet);
+      if (!validation.valid) {
+        return { ...entry, accepted: null, status: 'INVALID', error: validation.error };
+      }
+
+      const accepted = simulateFA(automaton, entry.input);
+      let status = 'UNLABELED';
+      if (entry.expected !== null) {
+        status = accepted === entry.expected ? 'PASS' : 'FAIL';
+      }
+      return { ...entry, accepted, status, error: null };
+    });
+
+    const count = predicate => results.filter(predicate).length;
+    const summary = {
+      total: results.length,
+      accepted: count(r => r.accepted === true),
+      rejected: count(r => r.accepted === false),
+      invalid: count(r => r.status === 'INVALID'),
+      labeled: count(r => r.expected !== null),
+      passed: count(r => r.status === 'PASS'),
+      failed: count(r => r.status === 'FAIL')
+    };
+
+    console.log('✅ [INPUT TEST CALC] Batch input testing completed successfully');
+
+    return {
+      success: true,
+      automaton,
+      automatonType: checkFAType(automaton),
+      results,
+      mismatches: results.filter(r => r.status === 'FAIL' || r.status === 'INVALID'),
+      summary,
+      calculationType: 'BATCH_INPUT_TEST'
+    };
+
+  } catch (error) {
+    console.error('❌ [INPUT TEST CALC] Error in batch input testing:', error);
+    return {
+      success: false,
+      error: 'An error occurred during batch input testing.',
+      errorType: 'CALCULATION_ERROR',
+      details: error.message
+    };
+  }
+}
@@ -0,0 +1,75 @@
+// ===============================================
+// LANGUAGE ENUMERATION CALCULATOR
+// ===============================================
+// This calculator lists the strings an automaton accepts and rejects in
+// shortlex order up to a length bound, counts accepted strings per length and
+// tells whether the language is empty, finite or infinite.
+// Flow: User Input → Calculator Processing → Structured Results → Bot Response
+
+import { checkFAType } from '../../utils/automataUtils.js';
+import { parseAutomaton } from '../../utils/automatonParser.js';
+import { enumerateLanguage, MAX_ENUMERATION_LENGTH } from '../../algorithms/languageEnumeration.js';
+
+/**
+ * Calculate the language enumeration of an automaton
+ * @param {string|Object} input - Automaton text (see automatonParser.js) or a parsed automaton
+ * @param {Object} options - { maxLength, limit: most strings listed per side }
+ * @returns {Object} Structured enumeration results
+ */
+export function calculateLanguageEnumeration(input, options = {}) {
+  try {
+    console.log('🔤 [ENUMERATION CALC] Starting language enumeration...');
+
+    const { maxLength = 6, limit = 20 } = options;
+    if (!Number.isInteger(maxLength) || maxLength < 0 || maxLength > MAX_ENUMERATION_LENGTH) {
+      return {
+        success: false,
+        error: `The length bound must be a whole number from 0 to ${MAX_ENUMERATION_LENGTH}.`,
+        errorType: 'INVALID_LENGTH'
+      };
+    }
+
+    // Step 1: Parse the automaton
+    let automaton = input;
+    if (typeof input === 'string') {
+      const parsed = parseAutomaton(input);
+      if (!parsed.success) {
+        return {
+          success: false,
+          error: parsed.error,
+          errorType: 'PARSE_ERROR',
+          diagnostics: parsed.errors
+        };
+      }
+      automaton = parsed.automaton;
+    }
+
+    // Step 2: Enumerate and count (NFAs are determinized first)
+    const enumeration = enumerateLanguage(automaton, { maxLength, limit });
+
+    console.log('✅ [ENUMERATION CALC] Language enumeration completed successfully');
+
+    return {
+      success: true,
+      automaton,
+      maxLength,
+      ...enumeration,
+      analysis: {
+        faType: checkFAType(automaton),
+        determinizedStateCount: enumeration.dfa.states.length,
+        acceptedUpToBound: enumeration.acceptedCounts.reduce((total, count) => total + count, 0),
+        stringsUpToBound: enumeration.totalCounts.reduce((total, count) => total + count, 0)
+      },
+      calculationType: 'LANGUAGE_ENUMERATION'
+    };
+
+  } catch (error) {
+    console.error('❌ [ENUMERATION CALC] Error in language enumeration:', error);
+    return {
+      success: false,
+      error: 'An error occurred during language enumeration.',
+      errorType: 'CALCULATION_ERROR',
+      details: error.message
+    };
+  }
+}
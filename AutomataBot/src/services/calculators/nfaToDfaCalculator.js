@@ -5,11 +5,12 @@
 // and returns conversion results with state mappings before AI explanation.
 // Flow: User Input → Calculator Processing → Structured Results → AI Enhanced Explanation
 
-import { nfaToDfa, checkFAType, parseDFAInput } from '../../utils/automataUtils.js';
+import { nfaToDfa, checkFAType, epsilonClosure, moveStates, isEpsilonSymbol, EPSILON } from '../../utils/automataUtils.js';
+import { parseAutomaton, validateAutomaton } from '../../utils/automatonParser.js';
 
 /**
  * Calculate NFA to DFA conversion with detailed subset construction analysis
- * @param {string} input - Raw NFA input from user
+ * @param {string|Object} input - Raw NFA input from user, or a parsed automaton
  * @returns {Object} Structured conversion results
  */
 export function calculateNFAToDFA(input) {
@@ -17,14 +18,16 @@ export function calculateNFAToDFA(input) {
     console.log('🔄 [NFA2DFA CALC] Starting NFA to DFA conversion calculation...');
     
     // Step 1: Parse the input NFA
-    const originalNFA = parseDFAInput(input); // This function works for both DFA and NFA
-    if (!originalNFA) {
+    const parsed = typeof input === 'string' ? parseAutomaton(input) : validateAutomaton(input); // This function works for both DFA and NFA
+    if (!parsed.success) {
       return {
         success: false,
-        error: 'Invalid automaton format. Please check your input format.',
-        errorType: 'PARSE_ERROR'
+        error: parsed.error,
+        errorType: 'PARSE_ERROR',
+        diagnostics: parsed.errors
       };
     }
+    const originalNFA = parsed.automaton;
 
     // Step 2: Validate it's actually an NFA (or allow DFA for demonstration)
     const faType = checkFAType(originalNFA);
@@ -35,11 +38,14 @@ export function calculateNFAToDFA(input) {
     // Step 4: Analyze the conversion results
     const analysis = analyzeConversionResults(originalNFA, convertedDFA, faType);
     
-    // Step 5: Generate step-by-step subset construction process
-    const steps = generateSubsetConstructionSteps(originalNFA, convertedDFA);
+    // Step 5: Trace the subset construction (same state names as nfaToDfa)
+    const subsetConstruction = simulateSubsetConstruction(originalNFA);
     
-    // Step 6: Create state mapping
-    const stateMapping = generateDetailedStateMapping(originalNFA, convertedDFA);
+    // Step 6: Generate step-by-step subset construction process
+    const steps = generateSubsetConstructionSteps(originalNFA, convertedDFA, subsetConstruction);
+    
+    // Step 7: Create state mapping
+    const stateMapping = generateDetailedStateMapping(originalNFA, subsetConstruction);
     
     console.log('✅ [NFA2DFA CALC] NFA to DFA conversion calculation completed successfully');
     
@@ -51,6 +57,7 @@ export function calculateNFAToDFA(input) {
       analysis,
       steps,
       stateMapping,
+      subsetConstruction,
       calculationType: 'NFA_TO_DFA'
     };
 
@@ -113,18 +120,21 @@ function calculateEfficiency(actualStates, maxPossibleStates) {
 /**
  * Generate step-by-step subset construction process
  */
-function generateSubsetConstructionSteps(nfa, dfa) {
+function generateSubsetConstructionSteps(nfa, dfa, subsetProcess) {
   const steps = [];
   
   // Step 1: Initial setup
+  const startClosure = epsilonClosure(nfa, [nfa.startState]);
   steps.push({
     stepNumber: 1,
     title: 'Initialize Subset Construction',
-    description: 'Start with the initial state of the NFA',
+    description: startClosure.length > 1
+      ? `Start with ε-closure(${nfa.startState}) = {${startClosure.join(', ')}}`
+      : 'Start with the initial state of the NFA',
     details: {
       initialNFAState: nfa.startState,
       initialDFAState: dfa.startState,
-      stateSet: [nfa.startState]
+      stateSet: startClosure
     }
   });
   
@@ -132,7 +142,7 @@ function generateSubsetConstructionSteps(nfa, dfa) {
   steps.push({
     stepNumber: 2,
     title: 'Analyze State Transitions',
-    description: 'For each alphabet symbol, find all reachable states',
+    description: 'For each alphabet symbol, find all reachable states (then take their ε-closure)',
     details: {
       alphabet: nfa.alphabet,
       transitionAnalysis: analyzeNFATransitions(nfa)
@@ -140,7 +150,6 @@ function generateSubsetConstructionSteps(nfa, dfa) {
   });
   
   // Step 3: Subset construction process
-  const subsetProcess = simulateSubsetConstruction(nfa);
   steps.push({
     stepNumber: 3,
     title: 'Subset Construction Process',
@@ -156,7 +165,7 @@ function generateSubsetConstructionSteps(nfa, dfa) {
     details: {
       finalStates: dfa.states,
       finalTransitions: dfa.transitions,
-      finalStateMapping: generateStateSetMapping(nfa, dfa)
+      finalStateMapping: generateStateSetMapping(dfa, subsetProcess)
     }
   });
   
@@ -168,12 +177,18 @@ function generateSubsetConstructionSteps(nfa, dfa) {
  */
 function analyzeNFATransitions(nfa) {
   const analysis = {};
+  const symbols = [...nfa.alphabet];
+  
+  // Show epsilon moves as their own column when the NFA has any
+  if (nfa.transitions.some(t => isEpsilonSymbol(t.symbol, nfa.alphabet))) {
+    symbols.push(EPSILON);
+  }
   
-  for (const symbol of nfa.alphabet) {
+  for (const symbol of symbols) {
     analysis[symbol] = {};
     for (const state of nfa.states) {
       const transitions = nfa.transitions.filter(t => 
-        t.from === state && t.symbol === symbol
+        t.from === state && (symbol === EPSILON ? isEpsilonSymbol(t.symbol, nfa.alphabet) : t.symbol === symbol)
       );
       analysis[symbol][state] = transitions.map(t => t.to);
     }
@@ -183,57 +198,76 @@ function analyzeNFATransitions(nfa) {
 }
 
 /**
- * Simulate subset construction process
+ * Simulate subset construction process, recording every move and ε-closure
+ * DFA states are discovered in the same order as nfaToDfa, so the names
+ * (Q0, Q1, ...) match the converted DFA.
  */
 function simulateSubsetConstruction(nfa) {
   const process = {
     stateSets: [],
+    closureSteps: [],
     queue: [],
     processed: new Set()
   };
   
-  // Start with initial state
-  const initialSet = [nfa.startState];
+  // Start with the epsilon closure of the initial state
+  const initialSet = epsilonClosure(nfa, [nfa.startState]);
   process.stateSets.push({
     dfaState: 'Q0',
     nfaStates: initialSet,
     isFinal: initialSet.some(s => nfa.finalStates.includes(s))
   });
+  process.closureSteps.push({
+    dfaState: 'Q0',
+    symbol: null,
+    moveResult: [nfa.startState],
+    closure: initialSet,
+    target: 'Q0',
+    isNew: true,
+    description: `ε-closure(${nfa.startState}) = {${initialSet.join(', ')}} → Q0`
+  });
   
   process.queue.push(initialSet);
   let stateCounter = 1;
   
   while (process.queue.length > 0) {
     const currentSet = process.queue.shift();
-    const currentKey = currentSet.sort().join(',');
+    const currentKey = currentSet.join(',');
     
     if (process.processed.has(currentKey)) continue;
     process.processed.add(currentKey);
+    const currentDFAState = process.stateSets.find(s => s.nfaStates.join(',') === currentKey).dfaState;
     
-    for (const symbol of nfa.alphabet) {
-      const targetSet = new Set();
+    for (const symbol of nfa.alphabet.filter(a => !isEpsilonSymbol(a, nfa.alphabet))) {
+      // Find all states reachable from current set on this symbol, then close over ε
+      const moveResult = moveStates(nfa, currentSet, symbol);
+      const targetArray = epsilonClosure(nfa, moveResult);
       
-      // Find all states reachable from current set on this symbol
-      for (const state of currentSet) {
-        const transitions = nfa.transitions.filter(t => 
-          t.from === state && t.symbol === symbol
-        );
-        transitions.forEach(t => targetSet.add(t.to));
-      }
-      
-      if (targetSet.size > 0) {
-        const targetArray = Array.from(targetSet).sort();
+      if (targetArray.length > 0) {
         const targetKey = targetArray.join(',');
         
         // Check if this state set is new
-        if (!process.stateSets.some(s => s.nfaStates.sort().join(',') === targetKey)) {
-          process.stateSets.push({
+        let target = process.stateSets.find(s => s.nfaStates.join(',') === targetKey);
+        const isNew = !target;
+        if (isNew) {
+          target = {
             dfaState: `Q${stateCounter++}`,
             nfaStates: targetArray,
             isFinal: targetArray.some(s => nfa.finalStates.includes(s))
-          });
+          };
+          process.stateSets.push(target);
           process.queue.push(targetArray);
         }
+        
+        process.closureSteps.push({
+          dfaState: currentDFAState,
+          symbol,
+          moveResult,
+          closure: targetArray,
+          target: target.dfaState,
+          isNew,
+          description: `move(${currentDFAState}, ${symbol}) = {${moveResult.join(', ')}}, ε-closure = {${targetArray.join(', ')}} → ${target.dfaState}`
+        });
       }
     }
   }
@@ -242,39 +276,24 @@ function simulateSubsetConstruction(nfa) {
 }
 
 /**
- * Generate detailed state mapping between NFA and DFA
+ * Generate detailed state mapping between NFA and DFA from the traced subsets
  */
-function generateDetailedStateMapping(nfa, dfa) {
+function generateDetailedStateMapping(nfa, subsetProcess) {
   const mapping = {
     nfaToDfa: {},
     dfaToNfa: {},
     stateCorrespondence: []
   };
   
-  // This is a simplified mapping - in practice, you'd track the actual
-  // state correspondences from the subset construction algorithm
-  for (let i = 0; i < dfa.states.length; i++) {
-    const dfaState = dfa.states[i];
-    
-    // For demonstration, create example mappings
-    if (i === 0) {
-      // Initial state mapping
-      mapping.dfaToNfa[dfaState] = [nfa.startState];
-      mapping.stateCorrespondence.push({
-        dfaState,
-        nfaStates: [nfa.startState],
-        description: 'Initial state'
-      });
-    } else {
-      // Other state mappings (simplified)
-      const nfaStates = nfa.states.slice(0, Math.min(i + 1, nfa.states.length));
-      mapping.dfaToNfa[dfaState] = nfaStates;
-      mapping.stateCorrespondence.push({
-        dfaState,
-        nfaStates,
-        description: `Subset of NFA states: {${nfaStates.join(', ')}}`
-      });
-    }
+  for (const { dfaState, nfaStates, isFinal } of subsetProcess.stateSets) {
+    mapping.dfaToNfa[dfaState] = nfaStates;
+    mapping.stateCorrespondence.push({
+      dfaState,
+      nfaStates,
+      description: dfaState === 'Q0'
+        ? `Initial state: ε-closure(${nfa.startState}) = {${nfaStates.join(', ')}}`
+        : `Subset of NFA states: {${nfaStates.join(', ')}}${isFinal ? ' (contains a final state)' : ''}`
+    });
   }
   
   // Create reverse mapping
@@ -293,16 +312,13 @@ function generateDetailedStateMapping(nfa, dfa) {
 /**
  * Generate state set mapping for final result
  */
-function generateStateSetMapping(nfa, dfa) {
+function generateStateSetMapping(dfa, subsetProcess) {
   const mapping = {};
   
-  // Map each DFA state to its corresponding NFA state set
-  for (let i = 0; i < dfa.states.length; i++) {
-    const dfaState = dfa.states[i];
-    // This is simplified - in practice, you'd have the actual state sets
-    // from the subset construction algorithm
+  // Map each DFA state to the NFA state set it was built from
+  for (const { dfaState, nfaStates } of subsetProcess.stateSets) {
     mapping[dfaState] = {
-      nfaStateSet: i === 0 ? [nfa.startState] : nfa.states.slice(0, i + 1),
+      nfaStateSet: nfaStates,
       isFinal: dfa.finalStates.includes(dfaState)
     };
   }
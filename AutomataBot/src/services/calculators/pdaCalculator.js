@@ -0,0 +1,184 @@
+// ===============================================
+// PUSHDOWN AUTOMATON CALCULATOR
+// ===============================================
+// This calculator parses PDA definitions, checks the DPDA conditions and
+// simulates strings, returning the instantaneous descriptions of the
+// computation for the bot to display.
+// Flow: User Input → Calculator Processing → Structured Results → Bot Response
+
+import { EPSILON } from '../../utils/automataUtils.js';
+import { parsePDA } from '../../utils/pdaParser.js';
+import { simulatePDA, checkPDADeterminism } from '../../algorithms/pushdownAutomata.js';
+import { parseBatchTestInput, batchLineError, MAX_BATCH_STRINGS } from './inputTestCalculator.js';
+
+/**
+ * Parse and analyze a PDA definition
+ * @param {string} input - PDA definition (see pdaParser.js)
+ * @returns {Object} Structured PDA analysis
+ */
+export function calculatePDADefinition(input) {
+  try {
+    console.log('🥞 [PDA CALC] Starting PDA definition analysis...');
+
+    // Step 1: Parse the definition
+    const parsed = parsePDA(input);
+    if (!parsed.success) {
+      return {
+        success: false,
+        error: parsed.error,
+        errorType: 'PARSE_ERROR',
+        diagnostics: parsed.errors
+      };
+    }
+    const { pda } = parsed;
+
+    // Step 2: Check the DPDA conditions
+    const determinism = checkPDADeterminism(pda);
+
+    console.log('✅ [PDA CALC] PDA definition analysis completed successfully');
+
+    return {
+      success: true,
+      pda,
+      warnings: parsed.warnings,
+      analysis: {
+        stateCount: pda.states.length,
+        transitionCount: pda.transitions.length,
+        epsilonMoves: pda.transitions.filter(t => t.symbol === EPSILON).length,
+        acceptBy: pda.acceptBy,
+        deterministic: determinism.deterministic,
+        conflicts: determinism.conflicts
+      },
+      calculationType: 'PDA_DEFINITION'
+    };
+
+  } catch (error) {
+    console.error('❌ [PDA CALC] Error in PDA definition analysis:', error);
+    return {
+      success: false,
+      error: 'An error occurred while reading the PDA.',
+      errorType: 'CALCULATION_ERROR',
+      details: error.message
+    };
+  }
+}
+
+/**
+ * Find input characters that are not in the PDA's alphabet
+ */
+function invalidSymbols(pda, input) {
+  return [...new Set([...input].filter(symbol => !pda.alphabet.includes(symbol)))];
+}
+
+/**
+ * Simulate a PDA on one string
+ * @param {Object} pda - Parsed pushdown automaton
+ * @param {string} input - Input string ("ε" for the empty string)
+ * @param {Object} options - { acceptBy } overrides the PDA's acceptance mode
+ * @returns {Object} Structured simulation results with the instantaneous descriptions
+ */
+export function calculatePDASimulation(pda, input, options = {}) {
+  try {
+    console.log('🥞 [PDA CALC] Starting PDA simulation...');
+
+    const testString = input === EPSILON ? '' : input;
+    const invalid = invalidSymbols(pda, testString);
+    if (invalid.length > 0) {
+      return {
+        success: false,
+        error: `Invalid symbols found in test string: ${invalid.join(', ')}`,
+        errorType: 'INVALID_STRING',
+        invalidSymbols: invalid
+      };
+    }
+
+    const simulation = simulatePDA(pda, testString, options);
+
+    console.log('✅ [PDA CALC] PDA simulation completed successfully');
+
+    return {
+      success: true,
+      pda,
+      input: testString,
+      ...simulation,
+      calculationType: 'PDA_SIMULATION'
+    };
+
+  } catch (error) {
+    console.error('❌ [PDA CALC] Error in PDA simulation:', error);
+    return {
+      success: false,
+      error: 'An error occurred during PDA simulation.',
+      errorType: 'CALCULATION_ERROR',
+      details: error.message
+    };
+  }
+}
+
+/**
+ * Simulate a PDA on a batch of strings (same input format as batch testing)
+ * @param {Object} pda - Parsed pushdown automaton
+ * @param {string} text - Strings, one per line or comma-separated, optionally labelled accept/reject
+ * @param {Object} options - { acceptBy } overrides the PDA's acceptance mode
+ * @returns {Object} Batch results shaped like calculateBatchInputTest's
+ */
+export function calculatePDABatch(pda, text, options = {}) {
+  try {
+    console.log('🥞 [PDA CALC] Starting PDA batch simulation...');
+
+    const { entries, errors } = parseBatchTestInput(text);
+    if (errors.length > 0) return batchLineError(errors);
+    if (entries.length === 0 || entries.length > MAX_BATCH_STRINGS) {
+      return {
+        success: false,
+        error: entries.length === 0
+          ? 'No test strings found. Send one string per line, optionally followed by accept or reject.'
+          : `Too many test strings (${entries.length}). Send at most ${MAX_BATCH_STRINGS} at a time.`,
+        errorType: entries.length === 0 ? 'INVALID_STRING' : 'TOO_MANY_STRINGS'
+      };
+    }
+
+    const results = entries.map(entry => {
+      const invalid = invalidSymbols(pda, entry.input);
+      if (invalid.length > 0) {
+        return { ...entry, accepted: null, status: 'INVALID', error: `Invalid symbols found in test string: ${invalid.join(', ')}` };
+      }
+      const { accepted, limitReached } = simulatePDA(pda, entry.input, options);
+      let status = 'UNLABELED';
+      if (entry.expected !== null) status = accepted === entry.expected ? 'PASS' : 'FAIL';
+      return { ...entry, accepted, status, error: null, limitReached };
+    });
+
+    const count = predicate => results.filter(predicate).length;
+
+    console.log('✅ [PDA CALC] PDA batch simulation completed successfully');
+
+    return {
+      success: true,
+      pda,
+      automatonType: `PDA, accepting by ${(options.acceptBy || pda.acceptBy) === 'empty' ? 'empty stack' : 'final state'}`,
+      results,
+      mismatches: results.filter(r => r.status === 'FAIL' || r.status === 'INVALID'),
+      summary: {
+        total: results.length,
+        accepted: count(r => r.accepted === true),
+        rejected: count(r => r.accepted === false),
+        invalid: count(r => r.status === 'INVALID'),
+        labeled: count(r => r.expected !== null),
+        passed: count(r => r.status === 'PASS'),
+        failed: count(r => r.status === 'FAIL'),
+        limited: count(r => r.limitReached)
+      },
+      calculationType: 'PDA_BATCH'
+    };
+
+  } catch (error) {
+    console.error('❌ [PDA CALC] Error in PDA batch simulation:', error);
+    return {
+      success: false,
+      error: 'An error occurred during PDA batch simulation.',
+      errorType: 'CALCULATION_ERROR',
+      details: error.message
+    };
+  }
+}
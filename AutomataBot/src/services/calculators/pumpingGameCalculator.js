@@ -0,0 +1,337 @@
+// ===============================================
+// PUMPING LEMMA GAME CALCULATOR
+// ===============================================
+// This calculator referees the pumping lemma game for regular languages.
+// The bot is the adversary: it picks the pumping length p, the student
+// picks a string s ∈ L with |s| ≥ p and splits it as s = xyz, and the bot
+// picks an exponent i that pumps xyⁱz out of L. The student wins with a
+// split no exponent breaks; the bot wins once every split of s is broken.
+// Each function takes the game kept in the session and returns the moves to
+// record; the session itself is updated by the handler.
+// Flow: User Input → Calculator Processing → Structured Results → Bot Response
+
+import { EPSILON, simulateFA, nfaToDfa, isEpsilonSymbol } from '../../utils/automataUtils.js';
+import { parseAutomaton } from '../../utils/automatonParser.js';
+import { isDeterministic } from '../../algorithms/closureOperations.js';
+import { minimizeDFA } from '../../algorithms/dfaMinimization.js';
+import { enumerateSplits, findPumpingExponent, analyzeWitness, parseSplit, checkSplit } from '../../algorithms/pumpingLemma.js';
+import { PUMPING_LANGUAGES, findPumpingLanguage } from '../../utils/pumpingLanguages.js';
+
+/** Pumping lengths the bot picks from for languages given by a predicate */
+export const PUMPING_LENGTH_RANGE = { min: 3, max: 5 };
+
+/** Words that choose the session's current automaton as the language */
+const CURRENT_AUTOMATON_WORDS = ['current', 'current fa', 'current automaton', 'my automaton'];
+
+/**
+ * Minimal DFA of an automaton, without its dead state
+ */
+function minimalDFA(fa) {
+  return minimizeDFA(isDeterministic(fa) ? fa : nfaToDfa(fa));
+}
+
+/**
+ * Membership predicate of a game's language
+ */
+function membership(language) {
+  if (language.automaton) return s => simulateFA(language.automaton, s);
+  return findPumpingLanguage(language.id).isMember;
+}
+
+/**
+ * Split a string that an automaton accepts at the first state repeated
+ * while reading its first p symbols: the symbols read around the loop are y
+ * @returns {Object|null} { x, y, z, loopState }, or null if no state repeats
+ */
+function loopSplit(dfa, s, p) {
+  const symbols = [...s];
+  const visited = [dfa.startState];
+  let state = dfa.startState;
+  for (let position = 0; position < Math.min(p, symbols.length); position++) {
+    const transition = dfa.transitions.find(t => t.from === state && t.symbol === symbols[position]);
+    if (!transition) return null;
+    state = transition.to;
+    const first = visited.indexOf(state);
+    if (first >= 0) {
+      return {
+        x: symbols.slice(0, first).join(''),
+        y: symbols.slice(first, position + 1).join(''),
+        z: symbols.slice(position + 1).join(''),
+        loopState: state
+      };
+    }
+    visited.push(state);
+  }
+  return null;
+}
+
+/**
+ * Start a game: choose the language and let the bot pick p
+ * @param {string} choice - A built-in language number or id, "current" for
+ *   the session's automaton, or an automaton definition
+ * @param {Object|null} currentFA - The session's current automaton
+ * @param {Function} random - Source of random numbers in [0, 1) for picking p
+ * @returns {Object} Structured results with the game's { language, p }
+ */
+export function calculatePumpingGameStart(choice, currentFA = null, random = Math.random) {
+  try {
+    console.log('🎮 [PUMPING CALC] Starting pumping lemma game...');
+
+    const text = String(choice ?? '').trim();
+    const builtIn = findPumpingLanguage(text);
+    let language;
+
+    // Step 1: Find the language
+    if (builtIn) {
+      language = {
+        id: builtIn.id,
+        name: builtIn.name,
+        description: builtIn.description,
+        alphabet: builtIn.alphabet,
+        regular: builtIn.regular,
+        automaton: builtIn.definition ? parseAutomaton(builtIn.definition).automaton : null
+      };
+    } else {
+      let automaton = null;
+      if (CURRENT_AUTOMATON_WORDS.includes(text.toLowerCase())) {
+        if (!currentFA) {
+          return {
+            success: false,
+            error: 'There is no current automaton. Design one first, or send a language number or an automaton definition.',
+            errorType: 'NO_AUTOMATON'
+          };
+        }
+        automaton = currentFA;
+      } else if (text.includes('\n')) {
+        const parsed = parseAutomaton(text);
+        if (!parsed.success) {
+          return { success: false, error: parsed.error, errorType: 'PARSE_ERROR', diagnostics: parsed.errors };
+        }
+        automaton = parsed.automaton;
+      } else {
+        return {
+          success: false,
+          error: `Unknown language "${text}". Send a number from 1 to ${PUMPING_LANGUAGES.length}, "current" for your current automaton, or an automaton definition.`,
+          errorType: 'UNKNOWN_LANGUAGE'
+        };
+      }
+      language = {
+        id: 'automaton',
+        name: 'your automaton',
+        description: `L(M) for the automaton with states ${automaton.states.join(', ')}`,
+        alphabet: automaton.alphabet.filter(symbol => !isEpsilonSymbol(symbol, automaton.alphabet)),
+        regular: true,
+        automaton
+      };
+    }
+
+    // Step 2: Pick p - the state count of the minimal DFA for a regular
+    // language (which always works), any small length otherwise
+    let p;
+    let pumpingLengthSource;
+    if (language.automaton) {
+      const dfa = minimalDFA(language.automaton);
+      if (dfa.finalStates.length === 0) {
+        return {
+          success: false,
+          error: 'This automaton accepts no strings, so there is no string to choose.',
+          errorType: 'EMPTY_LANGUAGE'
+        };
+      }
+      p = Math.max(1, dfa.states.length);
+      pumpingLengthSource = `the minimal DFA for L has ${dfa.states.length} state(s) (not counting a dead state)`;
+    } else {
+      const { min, max } = PUMPING_LENGTH_RANGE;
+      p = min + Math.floor(random() * (max - min + 1));
+      pumpingLengthSource = 'chosen by the adversary';
+    }
+
+    console.log('✅ [PUMPING CALC] Pumping lemma game started successfully');
+
+    return {
+      success: true,
+      game: { language, p },
+      analysis: { pumpingLengthSource },
+      calculationType: 'PUMPING_GAME_START'
+    };
+
+  } catch (error) {
+    console.error('❌ [PUMPING CALC] Error starting pumping lemma game:', error);
+    return {
+      success: false,
+      error: 'An error occurred while starting the game.',
+      errorType: 'CALCULATION_ERROR',
+      details: error.message
+    };
+  }
+}
+
+/**
+ * Check the student's string: it must be in L and at least p long
+ * @param {Object} game - Game from the session, waiting for a string
+ * @param {string} text - The string ("ε" for the empty string)
+ * @returns {Object} Structured results with the move to record
+ */
+export function calculatePumpingString(game, text) {
+  try {
+    const s = text.trim() === EPSILON ? '' : text.trim();
+    const { language, p } = game;
+
+    const invalid = [...new Set([...s].filter(symbol => !language.alphabet.includes(symbol)))];
+    if (invalid.length > 0) {
+      return {
+        success: false,
+        error: `Invalid symbols found in the string: ${invalid.join(', ')}. The alphabet is {${language.alphabet.join(', ')}}.`,
+        errorType: 'INVALID_STRING'
+      };
+    }
+    if ([...s].length < p) {
+      return {
+        success: false,
+        error: `The string must have at least p = ${p} symbols, but it has ${[...s].length}.`,
+        errorType: 'TOO_SHORT'
+      };
+    }
+    if (!membership(language)(s)) {
+      return {
+        success: false,
+        error: `${s} is not in L. Choose a string in the language.`,
+        errorType: 'NOT_IN_LANGUAGE'
+      };
+    }
+
+    return {
+      success: true,
+      string: s,
+      splitCount: enumerateSplits(s, p).length,
+      moves: [{ player: 'student', action: 'choose_string', string: s }],
+      calculationType: 'PUMPING_STRING'
+    };
+
+  } catch (error) {
+    console.error('❌ [PUMPING CALC] Error checking the string:', error);
+    return {
+      success: false,
+      error: 'An error occurred while checking the string.',
+      errorType: 'CALCULATION_ERROR',
+      details: error.message
+    };
+  }
+}
+
+/**
+ * Referee the student's split and let the bot pick i
+ * @param {Object} game - Game from the session, with a chosen string
+ * @param {string} text - The split: x|y|z or the lengths |x| |y|
+ * @returns {Object} Structured results with the bot's answer, the moves to
+ *   record and a verdict when the game is over
+ */
+export function calculatePumpingSplit(game, text) {
+  try {
+    const { language, p, string: s } = game;
+
+    // Step 1: Read and check the split
+    const { split, error } = parseSplit(text, s);
+    const splitError = error || checkSplit(split, p);
+    if (splitError) {
+      return { success: false, error: splitError, errorType: 'INVALID_SPLIT' };
+    }
+    const tried = game.moves.filter(move => move.action === 'split');
+    if (tried.some(move => move.x === split.x && move.y === split.y)) {
+      return { success: false, error: 'You already tried this split. Choose another one.', errorType: 'INVALID_SPLIT' };
+    }
+
+    // Step 2: Pick the exponent that pumps the string out of L
+    const pumping = findPumpingExponent(membership(language), split);
+    const moves = [
+      { player: 'student', action: 'split', ...split },
+      { player: 'bot', action: 'pick_i', i: pumping.i, pumped: pumping.pumped, checkedUpTo: pumping.checkedUpTo }
+    ];
+
+    // Step 3: The student wins with a split that survives, the bot once every split is broken
+    const splitCount = enumerateSplits(s, p).length;
+    const remainingSplits = splitCount - tried.length - 1;
+    let verdict = null;
+    if (pumping.i === null) {
+      verdict = { winner: 'student', reason: 'split_survives' };
+    } else if (remainingSplits === 0) {
+      verdict = { winner: 'bot', reason: 'all_splits_broken' };
+    }
+
+    return {
+      success: true,
+      split,
+      pumping,
+      moves,
+      splitCount,
+      remainingSplits,
+      verdict,
+      calculationType: 'PUMPING_SPLIT'
+    };
+
+  } catch (error) {
+    console.error('❌ [PUMPING CALC] Error refereeing the split:', error);
+    return {
+      success: false,
+      error: 'An error occurred while checking the split.',
+      errorType: 'CALCULATION_ERROR',
+      details: error.message
+    };
+  }
+}
+
+/**
+ * Work out the proof summary of a finished game
+ * For a language that is not regular this is the textbook proof, with every
+ * split of the textbook string for this game's p; for a regular language it
+ * is the loop in the minimal DFA that makes every long string pumpable.
+ * @param {Object} game - Game from the session, with its verdict
+ * @returns {Object} Structured results for the final messages
+ */
+export function calculatePumpingVerdict(game) {
+  try {
+    console.log('🎮 [PUMPING CALC] Working out the pumping lemma proof summary...');
+
+    const { language, p, string: s } = game;
+    const isMember = membership(language);
+
+    // Step 1: Every split of the student's string
+    const studentAnalysis = s === null ? null : analyzeWitness(isMember, s, p);
+
+    // Step 2: The textbook argument, or the DFA loop for a regular language
+    let textbook = null;
+    let loop = null;
+    if (!language.regular) {
+      const builtIn = findPumpingLanguage(language.id);
+      const witness = builtIn.witness(p);
+      textbook = {
+        witness,
+        witnessText: builtIn.witnessText,
+        argument: builtIn.argument,
+        analysis: witness === s ? studentAnalysis : analyzeWitness(isMember, witness, p)
+      };
+    } else if (s !== null) {
+      loop = loopSplit(minimalDFA(language.automaton), s, p);
+    }
+
+    console.log('✅ [PUMPING CALC] Pumping lemma proof summary completed successfully');
+
+    return {
+      success: true,
+      game,
+      studentAnalysis,
+      textbook,
+      loop,
+      calculationType: 'PUMPING_VERDICT'
+    };
+
+  } catch (error) {
+    console.error('❌ [PUMPING CALC] Error in pumping lemma proof summary:', error);
+    return {
+      success: false,
+      error: 'An error occurred while writing the proof summary.',
+      errorType: 'CALCULATION_ERROR',
+      details: error.message
+    };
+  }
+}
@@ -5,13 +5,25 @@
 // and returns structured conversion results before AI explanation.
 // Flow: User Input → Calculator Processing → Structured Results → AI Enhanced Explanation
 
+import { EPSILON, isEpsilonSymbol, nfaToDfa } from '../../utils/automataUtils.js';
+import { parseAutomaton } from '../../utils/automatonParser.js';
+import { minimizeDFA } from '../../algorithms/dfaMinimization.js';
+import { enumerateLanguage } from '../../algorithms/languageEnumeration.js';
+
+/** Symbol for the empty language in regular expressions */
+const EMPTY_SET = '∅';
+
+/** Operators that are read as a symbol when they stand alone in parentheses, e.g. (+) */
+const OPERATOR_SYMBOLS = ['|', '+', '*', '?'];
+
 /**
  * Calculate regular expression operations with detailed analysis
- * @param {string} input - Regular expression or conversion request
+ * @param {string|Object} input - Regular expression, or automaton (text or object) for nfa_to_regex
  * @param {string} operation - Type of operation (regex_to_nfa, nfa_to_regex, validate, etc.)
+ * @param {Object} options - Operation options (nfa_to_regex: { eliminationOrder })
  * @returns {Object} Structured regex analysis results
  */
-export function calculateRegexOperation(input, operation = 'validate') {
+export function calculateRegexOperation(input, operation = 'validate', options = {}) {
   try {
     console.log('📝 [REGEX CALC] Starting regular expression calculation...');
     
@@ -20,8 +32,10 @@ export function calculateRegexOperation(input, operation = 'validate') {
         return validateRegularExpression(input);
       case 'regex_to_nfa':
         return convertRegexToNFA(input);
+      case 'regex_to_dfa':
+        return convertRegexToMinimalDFA(input);
       case 'nfa_to_regex':
-        return convertNFAToRegex(input);
+        return convertNFAToRegex(input, options);
       case 'analyze':
         return analyzeRegularExpression(input);
       default:
@@ -73,6 +87,7 @@ function validateRegularExpression(regex) {
     validation.success = false;
     validation.isValid = false;
     validation.errors = syntaxCheck.errors;
+    validation.error = syntaxCheck.errors.join('; ');
   }
   
   // Check for common issues
@@ -101,7 +116,7 @@ function convertRegexToNFA(regex) {
   }
   
   // Build NFA using Thompson's construction
-  const nfa = buildNFAFromRegex(parseResult.parsedRegex);
+  const { nfa, fragments } = buildNFAFromRegex(parseResult.parsedRegex);
   
   // Analyze the conversion
   const analysis = analyzeRegexToNFAConversion(regex, nfa);
@@ -112,30 +127,167 @@ function convertRegexToNFA(regex) {
     parsedRegex: parseResult.parsedRegex,
     nfa,
     analysis,
-    steps: generateThompsonSteps(parseResult.parsedRegex),
+    steps: generateThompsonSteps(fragments),
     calculationType: 'REGEX_TO_NFA'
   };
 }
 
 /**
- * Convert NFA to regular expression
+ * Convert regular expression to minimal DFA
+ * Thompson's construction, then subset construction, then minimization
+ */
+function convertRegexToMinimalDFA(regex) {
+  console.log('⚡ [REGEX CALC] Converting regex to minimal DFA...');
+  
+  const nfaResult = convertRegexToNFA(regex);
+  if (!nfaResult.success) {
+    return nfaResult;
+  }
+  
+  const dfa = nfaToDfa(nfaResult.nfa);
+  const minimizedDFA = minimizeDFA(dfa);
+  
+  return {
+    ...nfaResult,
+    dfa,
+    minimizedDFA,
+    analysis: {
+      ...nfaResult.analysis,
+      dfaStateCount: dfa.states.length,
+      minimizedStateCount: minimizedDFA.states.length
+    },
+    calculationType: 'REGEX_TO_DFA'
+  };
+}
+
+/**
+ * Convert NFA to regular expression using state elimination
+ * 
+ * The automaton is turned into a generalized NFA (GNFA) whose edges carry
+ * regular expressions, with a fresh start state and a single fresh accepting
+ * state. States are then removed one at a time: every path p → k → q through
+ * the removed state k becomes the edge label R(p,k) R(k,k)* R(k,q), unioned
+ * with the existing R(p,q). Labels are simplified as they are built.
+ * 
+ * @param {string|Object} nfaInput - Automaton text (see automatonParser.js) or a parsed automaton
+ * @param {Object} options - { eliminationOrder: 'auto' | 'declared' | string[] }
+ * @returns {Object} Structured conversion results
  */
-function convertNFAToRegex(nfaInput) {
+function convertNFAToRegex(nfaInput, options = {}) {
   console.log('🔄 [REGEX CALC] Converting NFA to regex...');
   
-  // This is a simplified implementation
-  // In practice, you'd use state elimination or other algorithms
+  let fa = nfaInput;
+  if (typeof nfaInput === 'string') {
+    const parsed = parseAutomaton(nfaInput);
+    if (!parsed.success) {
+      return {
+        success: false,
+        error: parsed.error,
+        errorType: 'PARSE_ERROR',
+        diagnostics: parsed.errors
+      };
+    }
+    fa = parsed.automaton;
+  }
+  if (!fa || !Array.isArray(fa.states) || fa.states.length === 0 || !fa.states.includes(fa.startState)) {
+    return {
+      success: false,
+      error: 'Invalid automaton: states and a valid start state are required',
+      errorType: 'INVALID_AUTOMATON'
+    };
+  }
+  
+  const { eliminationOrder = 'auto' } = options;
+  if (Array.isArray(eliminationOrder)) {
+    const unknownStates = eliminationOrder.filter(s => !fa.states.includes(s));
+    if (unknownStates.length > 0) {
+      return {
+        success: false,
+        error: `Unknown states in elimination order: ${unknownStates.join(', ')}`,
+        errorType: 'INVALID_ELIMINATION_ORDER'
+      };
+    }
+  }
+  
+  // Step 1: Build the GNFA with fresh start and accept states
+  const gnfaStart = freshStateName('qs', fa.states);
+  const gnfaAccept = freshStateName('qf', fa.states);
+  const edges = {};
+  const addEdge = (from, to, label) => {
+    edges[from] = edges[from] || {};
+    edges[from][to] = regexUnion(edges[from][to] || null, label);
+  };
+  
+  addEdge(gnfaStart, fa.startState, { type: 'EPSILON' });
+  for (const finalState of fa.finalStates) {
+    addEdge(finalState, gnfaAccept, { type: 'EPSILON' });
+  }
+  for (const t of fa.transitions) {
+    const label = isEpsilonSymbol(t.symbol, fa.alphabet) ? { type: 'EPSILON' } : { type: 'SYMBOL', value: t.symbol };
+    addEdge(t.from, t.to, label);
+  }
+  
+  const steps = [{
+    step: 0,
+    title: 'Prepare GNFA',
+    description: `Add start state ${gnfaStart} (ε to ${fa.startState}) and accept state ${gnfaAccept} (ε from ${fa.finalStates.join(', ') || 'no final states'})`,
+    edges: listGNFAEdges(edges)
+  }];
+  
+  // Step 2: Eliminate the original states one by one
+  const remaining = [...fa.states];
+  const order = [];
+  const labelOf = (from, to) => (edges[from] && edges[from][to]) || null;
+  
+  while (remaining.length > 0) {
+    const state = pickEliminationState(remaining, eliminationOrder, edges);
+    remaining.splice(remaining.indexOf(state), 1);
+    order.push(state);
+    
+    const loop = labelOf(state, state);
+    const sources = Object.keys(edges).filter(from => from !== state && labelOf(from, state));
+    const targets = Object.keys(edges[state] || {}).filter(to => to !== state);
+    
+    for (const from of sources) {
+      for (const to of targets) {
+        const bypass = regexConcat(regexConcat(labelOf(from, state), regexStar(loop)), labelOf(state, to));
+        addEdge(from, to, bypass);
+      }
+    }
+    
+    // Remove every edge touching the eliminated state
+    delete edges[state];
+    for (const from of Object.keys(edges)) {
+      delete edges[from][state];
+    }
+    
+    steps.push({
+      step: steps.length,
+      title: `Eliminate ${state}`,
+      description: `Reroute ${sources.length} incoming × ${targets.length} outgoing edge(s) around ${state}` +
+        (loop ? ` using its self-loop (${regexToString(loop)})*` : ''),
+      eliminatedState: state,
+      edges: listGNFAEdges(edges)
+    });
+  }
+  
+  // Step 3: The remaining edge qs → qf is the answer (no edge means ∅)
+  const parsedRegex = labelOf(gnfaStart, gnfaAccept) || { type: 'EMPTY_SET' };
+  const regex = regexToString(parsedRegex);
   
   return {
     success: true,
-    originalNFA: nfaInput,
-    regex: '(0|1)*', // Simplified example
+    originalNFA: fa,
+    regex,
+    parsedRegex,
+    eliminationOrder: order,
     analysis: {
       method: 'State Elimination',
-      complexity: 'MODERATE',
-      steps: 4
+      complexity: calculateRegexComplexity(regex),
+      steps: steps.length,
+      eliminatedStates: order.length
     },
-    steps: generateStateEliminationSteps(),
+    steps,
     calculationType: 'NFA_TO_REGEX'
   };
 }
@@ -165,60 +317,14 @@ function analyzeRegularExpression(regex) {
 }
 
 /**
- * Check regular expression syntax
+ * Check regular expression syntax using the regex parser
  */
 function checkRegexSyntax(regex) {
-  const errors = [];
-  let parenthesesCount = 0;
-  let bracketCount = 0;
-  
-  for (let i = 0; i < regex.length; i++) {
-    const char = regex[i];
-    
-    switch (char) {
-      case '(':
-        parenthesesCount++;
-        break;
-      case ')':
-        parenthesesCount--;
-        if (parenthesesCount < 0) {
-          errors.push(`Unmatched closing parenthesis at position ${i}`);
-        }
-        break;
-      case '[':
-        bracketCount++;
-        break;
-      case ']':
-        bracketCount--;
-        if (bracketCount < 0) {
-          errors.push(`Unmatched closing bracket at position ${i}`);
-        }
-        break;
-      case '*':
-      case '+':
-      case '?':
-        if (i === 0 || regex[i-1] === '|' || regex[i-1] === '(') {
-          errors.push(`Invalid quantifier '${char}' at position ${i}`);
-        }
-        break;
-      case '|':
-        if (i === 0 || i === regex.length - 1) {
-          errors.push(`Invalid alternation '|' at position ${i}`);
-        }
-        break;
-    }
-  }
-  
-  if (parenthesesCount > 0) {
-    errors.push('Unmatched opening parenthesis');
-  }
-  if (bracketCount > 0) {
-    errors.push('Unmatched opening bracket');
-  }
+  const parseResult = parseRegularExpression(regex);
   
   return {
-    valid: errors.length === 0,
-    errors
+    valid: parseResult.success,
+    errors: parseResult.success ? [] : [parseResult.error]
   };
 }
 
@@ -276,37 +382,275 @@ function countOperators(regex) {
 }
 
 /**
- * Parse regular expression into structured format
+ * Parse regular expression into an abstract syntax tree
+ * 
+ * Supported syntax (whitespace is ignored):
+ * - Symbols: any single character that is not an operator, e.g. 0, 1, a;
+ *   an operator alone in parentheses, e.g. (+), is a symbol too
+ * - ε for the empty string and ∅ for the empty language
+ * - Union: r|s or r+s
+ * - Concatenation: rs
+ * - Kleene star r*, positive closure r+ and optional r?
+ * - Parentheses for grouping
+ * 
+ * A '+' directly after an operand is a union when another operand follows it
+ * (textbook style "0+1"), otherwise it is the positive closure ("(01)+").
+ * 
+ * AST node types: SYMBOL, EPSILON, EMPTY_SET, UNION, CONCATENATION,
+ * CLOSURE, POSITIVE_CLOSURE and OPTIONAL.
+ * 
+ * @param {string} regex - Regular expression text
+ * @returns {Object} { success, parsedRegex } or { success: false, error, position }
  */
 function parseRegularExpression(regex) {
-  // Simplified parser - in practice, you'd use a proper regex parser
-  return {
-    success: true,
-    parsedRegex: {
-      type: 'CONCATENATION',
-      parts: [
-        { type: 'SYMBOL', value: '0' },
-        { type: 'CLOSURE', operand: { type: 'SYMBOL', value: '1' } }
-      ]
+  const tokens = [];
+  for (let i = 0; i < regex.length; i++) {
+    if (!/\s/.test(regex[i])) tokens.push({ char: regex[i], position: i });
+  }
+  
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const startsOperand = (token) => token && !['|', '+', '*', '?', ')'].includes(token.char);
+  const fail = (message, token) => {
+    const error = new Error(message);
+    error.position = token ? token.position : regex.length;
+    throw error;
+  };
+  
+  // union := concat (('|' | '+') concat)*
+  const parseUnion = () => {
+    const parts = [parseConcatenation()];
+    while (peek() && (peek().char === '|' || peek().char === '+')) {
+      const operator = tokens[pos++];
+      if (!startsOperand(peek())) {
+        fail(`Missing expression after '${operator.char}' at position ${operator.position}`, operator);
+      }
+      parts.push(parseConcatenation());
+    }
+    return parts.length === 1 ? parts[0] : { type: 'UNION', parts };
+  };
+  
+  // concat := postfix postfix*
+  const parseConcatenation = () => {
+    const parts = [parsePostfix()];
+    while (startsOperand(peek())) {
+      parts.push(parsePostfix());
     }
+    return parts.length === 1 ? parts[0] : { type: 'CONCATENATION', parts };
   };
+  
+  // postfix := atom ('*' | '?' | '+')*
+  const parsePostfix = () => {
+    let node = parseAtom();
+    while (peek()) {
+      const { char } = peek();
+      if (char === '*') {
+        node = { type: 'CLOSURE', operand: node };
+      } else if (char === '?') {
+        node = { type: 'OPTIONAL', operand: node };
+      } else if (char === '+' && !startsOperand(tokens[pos + 1])) {
+        node = { type: 'POSITIVE_CLOSURE', operand: node };
+      } else {
+        break;
+      }
+      pos++;
+    }
+    return node;
+  };
+  
+  // atom := symbol | 'ε' | '∅' | '(' union ')' | '(' operator ')'
+  const parseAtom = () => {
+    const token = peek();
+    if (!token) fail('Unexpected end of expression');
+    
+    // An operator alone in parentheses, such as (+), is that symbol
+    if (token.char === '(' && OPERATOR_SYMBOLS.includes(tokens[pos + 1]?.char) && tokens[pos + 2]?.char === ')') {
+      pos += 3;
+      return { type: 'SYMBOL', value: tokens[pos - 2].char };
+    }
+    if (token.char === '(') {
+      pos++;
+      if (peek() && peek().char === ')') fail(`Empty parentheses at position ${token.position}`, token);
+      const inner = parseUnion();
+      if (!peek() || peek().char !== ')') fail(`Unmatched opening parenthesis at position ${token.position}`, token);
+      pos++;
+      return inner;
+    }
+    if (!startsOperand(token)) {
+      fail(`Unexpected '${token.char}' at position ${token.position}`, token);
+    }
+    
+    pos++;
+    if (token.char === EPSILON) return { type: 'EPSILON' };
+    if (token.char === EMPTY_SET) return { type: 'EMPTY_SET' };
+    return { type: 'SYMBOL', value: token.char };
+  };
+  
+  try {
+    if (tokens.length === 0) fail('Regular expression is empty');
+    
+    const parsedRegex = parseUnion();
+    if (pos < tokens.length) {
+      const token = peek();
+      fail(token.char === ')'
+        ? `Unmatched closing parenthesis at position ${token.position}`
+        : `Unexpected '${token.char}' at position ${token.position}`, token);
+    }
+    
+    return { success: true, parsedRegex };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      errorType: 'PARSE_ERROR',
+      position: error.position
+    };
+  }
 }
 
 /**
- * Build NFA from parsed regex using Thompson's construction
+ * Convert a regex AST back to text, adding parentheses only where needed
+ * @param {Object} node - AST node from parseRegularExpression
+ * @returns {string} Regular expression text
+ */
+function regexToString(node) {
+  const precedence = { UNION: 1, CONCATENATION: 2 };
+  const wrap = (child, parentLevel) => {
+    const text = regexToString(child);
+    return (precedence[child.type] || 3) < parentLevel ? `(${text})` : text;
+  };
+  
+  switch (node.type) {
+    case 'SYMBOL':
+      // Symbols of several characters (ab) and operator symbols (+) need parentheses
+      return [...node.value].length > 1 || OPERATOR_SYMBOLS.includes(node.value) ? `(${node.value})` : node.value;
+    case 'EPSILON':
+      return EPSILON;
+    case 'EMPTY_SET':
+      return EMPTY_SET;
+    case 'UNION':
+      return node.parts.map(p => wrap(p, 1)).join('|');
+    case 'CONCATENATION':
+      // "a+b" would read as a union, so a non-final r+ is parenthesized
+      return node.parts.map((p, i) => (p.type === 'POSITIVE_CLOSURE' && i < node.parts.length - 1
+        ? `(${regexToString(p)})`
+        : wrap(p, 2))).join('');
+    case 'CLOSURE':
+      return `${wrap(node.operand, 3)}*`;
+    case 'POSITIVE_CLOSURE':
+      return `${wrap(node.operand, 3)}+`;
+    case 'OPTIONAL':
+      return `${wrap(node.operand, 3)}?`;
+    default:
+      throw new Error(`Unknown regex node type: ${node.type}`);
+  }
+}
+
+/**
+ * Build ε-NFA from parsed regex using Thompson's construction
+ * Every sub-expression becomes a fragment with one start and one accept state;
+ * the fragments are recorded in construction order so they can be explained.
+ * 
+ * @param {Object} parsedRegex - AST from parseRegularExpression
+ * @returns {Object} { nfa, fragments }
  */
 function buildNFAFromRegex(parsedRegex) {
-  // Simplified NFA construction
+  const states = [];
+  const transitions = [];
+  const fragments = [];
+  
+  const newState = () => {
+    const state = `q${states.length}`;
+    states.push(state);
+    return state;
+  };
+  const addTransition = (from, symbol, to, added) => {
+    const transition = { from, symbol, to };
+    transitions.push(transition);
+    added.push(transition);
+  };
+  
+  const build = (node) => {
+    const added = [];
+    let start, accept, rule;
+    
+    switch (node.type) {
+      case 'SYMBOL':
+      case 'EPSILON': {
+        start = newState();
+        accept = newState();
+        addTransition(start, node.type === 'SYMBOL' ? node.value : EPSILON, accept, added);
+        rule = node.type === 'SYMBOL' ? 'Symbol' : 'Epsilon';
+        break;
+      }
+      case 'EMPTY_SET': {
+        // Two states with no path between them accept nothing
+        start = newState();
+        accept = newState();
+        rule = 'Empty set';
+        break;
+      }
+      case 'CONCATENATION': {
+        const parts = node.parts.map(build);
+        start = parts[0].start;
+        accept = parts[parts.length - 1].accept;
+        for (let i = 0; i < parts.length - 1; i++) {
+          addTransition(parts[i].accept, EPSILON, parts[i + 1].start, added);
+        }
+        rule = 'Concatenation';
+        break;
+      }
+      case 'UNION': {
+        const parts = node.parts.map(build);
+        start = newState();
+        accept = newState();
+        for (const part of parts) {
+          addTransition(start, EPSILON, part.start, added);
+          addTransition(part.accept, EPSILON, accept, added);
+        }
+        rule = 'Union';
+        break;
+      }
+      case 'CLOSURE':
+      case 'POSITIVE_CLOSURE':
+      case 'OPTIONAL': {
+        const inner = build(node.operand);
+        start = newState();
+        accept = newState();
+        addTransition(start, EPSILON, inner.start, added);
+        addTransition(inner.accept, EPSILON, accept, added);
+        // Star and plus may repeat, star and optional may skip
+        if (node.type !== 'OPTIONAL') addTransition(inner.accept, EPSILON, inner.start, added);
+        if (node.type !== 'POSITIVE_CLOSURE') addTransition(start, EPSILON, accept, added);
+        rule = { CLOSURE: 'Kleene star', POSITIVE_CLOSURE: 'Positive closure', OPTIONAL: 'Optional' }[node.type];
+        break;
+      }
+      default:
+        throw new Error(`Unknown regex node type: ${node.type}`);
+    }
+    
+    fragments.push({
+      rule,
+      subexpression: regexToString(node),
+      start,
+      accept,
+      transitionsAdded: added
+    });
+    return { start, accept };
+  };
+  
+  const { start, accept } = build(parsedRegex);
+  const alphabet = [...new Set(transitions.map(t => t.symbol).filter(s => s !== EPSILON))].sort();
+  
   return {
-    states: ['q0', 'q1', 'q2'],
-    alphabet: ['0', '1'],
-    transitions: [
-      { from: 'q0', symbol: '0', to: 'q1' },
-      { from: 'q1', symbol: '1', to: 'q1' },
-      { from: 'q1', symbol: '', to: 'q2' }
-    ],
-    startState: 'q0',
-    finalStates: ['q2']
+    nfa: {
+      states,
+      alphabet,
+      transitions,
+      startState: start,
+      finalStates: [accept]
+    },
+    fragments
   };
 }
 
@@ -318,7 +662,7 @@ function analyzeRegexToNFAConversion(regex, nfa) {
     originalComplexity: calculateRegexComplexity(regex),
     nfaStateCount: nfa.states.length,
     nfaTransitionCount: nfa.transitions.length,
-    hasEpsilonTransitions: nfa.transitions.some(t => t.symbol === ''),
+    hasEpsilonTransitions: nfa.transitions.some(t => isEpsilonSymbol(t.symbol, nfa.alphabet)),
     conversionMethod: 'Thompson Construction',
     efficiency: 'OPTIMAL'
   };
@@ -344,94 +688,267 @@ function calculateRegexComplexity(regex) {
 
 /**
  * Generate example strings that match the regex
+ * The shortest matching and non-matching strings are enumerated in shortlex
+ * order from the minimal DFA of the regex.
  */
 function generateExampleStrings(regex) {
-  // Simplified example generation
+  const conversion = convertRegexToMinimalDFA(regex);
+  if (!conversion.success) {
+    return { matching: [], nonMatching: [], explanation: 'No examples: the regex could not be converted' };
+  }
+  
+  const { accepted, rejected } = enumerateLanguage(conversion.minimizedDFA, { maxLength: 6, limit: 5 });
   return {
-    matching: ['0', '01', '011', '0111'],
-    nonMatching: ['1', '10', '001', ''],
-    explanation: 'Examples generated based on regex pattern analysis'
+    matching: accepted,
+    nonMatching: rejected,
+    explanation: 'Shortest strings in shortlex order, enumerated from the minimal DFA'
   };
 }
 
 /**
  * Find equivalent forms of the regex
+ * The simplified form comes from a round trip through Thompson's construction
+ * and state elimination.
  */
 function findEquivalentForms(regex) {
-  return [
-    {
-      form: regex,
-      description: 'Original form'
-    },
-    {
-      form: '0(1)*',
-      description: 'Explicit grouping'
-    },
-    {
-      form: '01*',
-      description: 'Simplified form'
+  const forms = [{ form: regex, description: 'Original form' }];
+  const parseResult = parseRegularExpression(regex);
+  if (!parseResult.success) return forms;
+  
+  const normalized = regexToString(parseResult.parsedRegex);
+  if (normalized !== regex) {
+    forms.push({ form: normalized, description: 'Normalized grouping' });
+  }
+  
+  const { nfa } = buildNFAFromRegex(parseResult.parsedRegex);
+  const simplified = convertNFAToRegex(nfa).regex;
+  if (!forms.some(f => f.form === simplified)) {
+    forms.push({ form: simplified, description: 'Simplified form (state elimination)' });
+  }
+  
+  return forms;
+}
+
+/**
+ * Generate Thompson construction steps from the fragments actually built
+ */
+function generateThompsonSteps(fragments) {
+  return fragments.map((fragment, index) => ({
+    step: index + 1,
+    title: `${fragment.rule}: ${fragment.subexpression}`,
+    description: `NFA fragment for "${fragment.subexpression}" from ${fragment.start} to ${fragment.accept}`,
+    details: fragment.transitionsAdded.length > 0
+      ? fragment.transitionsAdded.map(t => `${t.from} --${t.symbol}--> ${t.to}`).join(', ')
+      : 'No transitions (accepts nothing)',
+    fragment
+  }));
+}
+
+/**
+ * Generate a state name that does not clash with existing states
+ */
+function freshStateName(base, states) {
+  let name = base;
+  while (states.includes(name)) name += "'";
+  return name;
+}
+
+/**
+ * Choose the next state to eliminate
+ * 'declared' and explicit orders are followed as given (unlisted states come
+ * last); 'auto' removes the state creating the fewest new edges first.
+ */
+function pickEliminationState(remaining, eliminationOrder, edges) {
+  if (Array.isArray(eliminationOrder)) {
+    return eliminationOrder.find(s => remaining.includes(s)) || remaining[0];
+  }
+  if (eliminationOrder === 'declared') {
+    return remaining[0];
+  }
+  
+  let best = remaining[0];
+  let bestCost = Infinity;
+  for (const state of remaining) {
+    const incoming = Object.keys(edges).filter(from => from !== state && edges[from][state]).length;
+    const outgoing = Object.keys(edges[state] || {}).filter(to => to !== state).length;
+    if (incoming * outgoing < bestCost) {
+      best = state;
+      bestCost = incoming * outgoing;
     }
-  ];
+  }
+  return best;
 }
 
 /**
- * Generate Thompson construction steps
+ * List GNFA edges with their labels as text
  */
-function generateThompsonSteps(parsedRegex) {
-  return [
-    {
-      step: 1,
-      title: 'Base Cases',
-      description: 'Create NFAs for individual symbols',
-      details: 'Each symbol gets a simple 2-state NFA'
-    },
-    {
-      step: 2,
-      title: 'Apply Operations',
-      description: 'Combine NFAs using Thompson construction rules',
-      details: 'Use epsilon transitions to connect sub-NFAs'
-    },
-    {
-      step: 3,
-      title: 'Final NFA',
-      description: 'Complete NFA construction',
-      details: 'Result is equivalent to the original regex'
+function listGNFAEdges(edges) {
+  const list = [];
+  for (const [from, targets] of Object.entries(edges)) {
+    for (const [to, label] of Object.entries(targets)) {
+      if (label) list.push({ from, to, label: regexToString(label) });
     }
-  ];
+  }
+  return list;
 }
 
+// ===============================================
+// REGEX SIMPLIFICATION
+// ===============================================
+// Smart constructors used by state elimination. A null label means "no edge"
+// (the empty language), so it never has to be written as ∅ in the result.
+
 /**
- * Generate state elimination steps
+ * Union of two regex ASTs with basic simplification
+ * Applies r|r = r, ∅|r = r, r|r* = r*, ε|r* = r*, ε|r+ = r* and ε|r = r?
  */
-function generateStateEliminationSteps() {
-  return [
-    {
-      step: 1,
-      title: 'Prepare NFA',
-      description: 'Add unique start and final states if needed'
-    },
-    {
-      step: 2,
-      title: 'Eliminate States',
-      description: 'Remove intermediate states one by one'
-    },
-    {
-      step: 3,
-      title: 'Extract Regex',
-      description: 'Final transition label is the equivalent regex'
+function regexUnion(left, right) {
+  if (!left) return right;
+  if (!right) return left;
+  
+  const flatten = node => (node.type === 'UNION' ? node.parts : [node]);
+  let parts = [];
+  for (const part of [...flatten(left), ...flatten(right)]) {
+    if (part.type !== 'EMPTY_SET' && !parts.some(p => regexToString(p) === regexToString(part))) {
+      parts.push(part);
+    }
+  }
+  
+  // r is redundant next to r* or r+
+  parts = parts.filter(part => !parts.some(other =>
+    (other.type === 'CLOSURE' || other.type === 'POSITIVE_CLOSURE') &&
+    regexToString(other.operand) === regexToString(part)
+  ));
+  
+  const hasEpsilon = parts.some(p => p.type === 'EPSILON');
+  parts = parts.filter(p => p.type !== 'EPSILON');
+  
+  if (parts.length === 0) return hasEpsilon ? { type: 'EPSILON' } : { type: 'EMPTY_SET' };
+  
+  let result = parts.length === 1 ? parts[0] : { type: 'UNION', parts };
+  if (hasEpsilon) {
+    if (result.type === 'POSITIVE_CLOSURE') {
+      result = { type: 'CLOSURE', operand: result.operand };
+    } else if (result.type !== 'CLOSURE' && result.type !== 'OPTIONAL') {
+      result = { type: 'OPTIONAL', operand: result };
+    }
+  }
+  return result;
+}
+
+/**
+ * Concatenation of two regex ASTs with basic simplification
+ * Applies ∅r = ∅, εr = r, r*r* = r* and r*r = rr* = r+
+ */
+function regexConcat(left, right) {
+  if (!left || !right) return null;
+  if (left.type === 'EMPTY_SET' || right.type === 'EMPTY_SET') return null;
+  
+  const flatten = node => (node.type === 'CONCATENATION' ? node.parts : [node]);
+  const parts = [...flatten(left), ...flatten(right)].filter(p => p.type !== 'EPSILON');
+  
+  // Merge neighbouring r* / r* pairs
+  for (let i = 0; i < parts.length - 1; i++) {
+    if (parts[i].type === 'CLOSURE' && regexToString(parts[i]) === regexToString(parts[i + 1])) {
+      parts.splice(i + 1, 1);
+      i--;
+    }
+  }
+  
+  // Merge r r* and r* r into r+, where r may span several concatenated parts
+  for (let i = 0; i < parts.length; i++) {
+    if (parts[i].type !== 'CLOSURE') continue;
+    const operand = parts[i].operand;
+    const operandText = regexToString(operand);
+    const k = operand.type === 'CONCATENATION' ? operand.parts.length : 1;
+    const sameAs = (from) => from >= 0 && from + k <= parts.length &&
+      regexToString(k === 1 ? parts[from] : { type: 'CONCATENATION', parts: parts.slice(from, from + k) }) === operandText;
+    
+    if (sameAs(i - k)) {
+      parts.splice(i - k, k + 1, { type: 'POSITIVE_CLOSURE', operand });
+      i -= k;
+    } else if (sameAs(i + 1)) {
+      parts.splice(i, k + 1, { type: 'POSITIVE_CLOSURE', operand });
     }
-  ];
+  }
+  
+  if (parts.length === 0) return { type: 'EPSILON' };
+  return parts.length === 1 ? parts[0] : { type: 'CONCATENATION', parts };
+}
+
+/**
+ * Kleene star of a regex AST with basic simplification
+ * Applies ∅* = ε* = ε and (r*)* = (r+)* = (r?)* = r*
+ */
+function regexStar(node) {
+  if (!node || node.type === 'EMPTY_SET' || node.type === 'EPSILON') return { type: 'EPSILON' };
+  if (node.type === 'CLOSURE') return node;
+  if (node.type === 'POSITIVE_CLOSURE' || node.type === 'OPTIONAL') {
+    return { type: 'CLOSURE', operand: node.operand };
+  }
+  return { type: 'CLOSURE', operand: node };
+}
+
+/**
+ * Language facts of a regex AST, computed bottom-up
+ * @param {Object} node - AST node from parseRegularExpression
+ * @returns {Object} { empty, nullable, nonEmptyWord, infinite }: the language
+ *   is ∅, contains ε, contains a non-empty string, is infinite
+ */
+function regexLanguageFacts(node) {
+  switch (node.type) {
+    case 'SYMBOL':
+      return { empty: false, nullable: false, nonEmptyWord: true, infinite: false };
+    case 'EPSILON':
+      return { empty: false, nullable: true, nonEmptyWord: false, infinite: false };
+    case 'EMPTY_SET':
+      return { empty: true, nullable: false, nonEmptyWord: false, infinite: false };
+    case 'UNION': {
+      const facts = node.parts.map(regexLanguageFacts);
+      return {
+        empty: facts.every(f => f.empty),
+        nullable: facts.some(f => f.nullable),
+        nonEmptyWord: facts.some(f => f.nonEmptyWord),
+        infinite: facts.some(f => f.infinite)
+      };
+    }
+    case 'CONCATENATION': {
+      const facts = node.parts.map(regexLanguageFacts);
+      const empty = facts.some(f => f.empty);
+      return {
+        empty,
+        nullable: facts.every(f => f.nullable),
+        nonEmptyWord: !empty && facts.some(f => f.nonEmptyWord),
+        infinite: !empty && facts.some(f => f.infinite)
+      };
+    }
+    case 'CLOSURE':
+    case 'POSITIVE_CLOSURE':
+    case 'OPTIONAL': {
+      const operand = regexLanguageFacts(node.operand);
+      return {
+        empty: node.type === 'POSITIVE_CLOSURE' && operand.empty,
+        nullable: node.type !== 'POSITIVE_CLOSURE' || operand.nullable,
+        nonEmptyWord: operand.nonEmptyWord,
+        // Repeating a non-empty string gives infinitely many strings
+        infinite: node.type === 'OPTIONAL' ? operand.infinite : operand.nonEmptyWord
+      };
+    }
+    default:
+      throw new Error(`Unknown regex node type: ${node.type}`);
+  }
 }
 
 /**
  * Analyze regex properties
  */
 function analyzeRegexProperties(regex) {
+  const { nullable, infinite } = regexLanguageFacts(parseRegularExpression(regex).parsedRegex);
   return {
-    acceptsEmptyString: regex === '' || regex.includes('*') || regex.includes('?'),
-    isFinite: !regex.includes('*') && !regex.includes('+'),
-    hasRepeatingPatterns: regex.includes('*') || regex.includes('+'),
-    languageSize: regex.includes('*') || regex.includes('+') ? 'INFINITE' : 'FINITE'
+    acceptsEmptyString: nullable,
+    isFinite: !infinite,
+    hasRepeatingPatterns: infinite,
+    languageSize: infinite ? 'INFINITE' : 'FINITE'
   };
 }
 
@@ -439,7 +956,7 @@ function analyzeRegexProperties(regex) {
  * Validate regex operation input
  */
 export function validateRegexInput(input, operation) {
-  if (!input || typeof input !== 'string') {
+  if (!input || (typeof input !== 'string' && operation !== 'nfa_to_regex')) {
     return { valid: false, error: 'Input must be a non-empty string' };
   }
   
@@ -447,7 +964,7 @@ export function validateRegexInput(input, operation) {
     return { valid: false, error: 'Operation type is required' };
   }
   
-  const validOperations = ['validate', 'regex_to_nfa', 'nfa_to_regex', 'analyze'];
+  const validOperations = ['validate', 'regex_to_nfa', 'regex_to_dfa', 'nfa_to_regex', 'analyze'];
   if (!validOperations.includes(operation)) {
     return { 
       valid: false, 
@@ -0,0 +1,215 @@
+// ===============================================
+// TURING MACHINE CALCULATOR
+// ===============================================
+// This calculator parses Turing machine definitions and runs strings on them
+// with a step limit, returning every configuration of the run for the bot to
+// display and animate.
+// Flow: User Input → Calculator Processing → Structured Results → Bot Response
+
+import { EPSILON } from '../../utils/automataUtils.js';
+import { parseTuringMachine } from '../../utils/tmParser.js';
+import { simulateTM, DEFAULT_TM_LIMITS } from '../../algorithms/turingMachine.js';
+import { parseBatchTestInput, batchLineError, MAX_BATCH_STRINGS } from './inputTestCalculator.js';
+
+/** Highest step limit a user may ask for */
+export const MAX_TM_STEPS = 10000;
+
+/**
+ * Parse and analyze a Turing machine definition
+ * @param {string} input - TM definition (see tmParser.js)
+ * @returns {Object} Structured TM analysis
+ */
+export function calculateTMDefinition(input) {
+  try {
+    console.log('📼 [TM CALC] Starting Turing machine definition analysis...');
+
+    // Step 1: Parse the definition
+    const parsed = parseTuringMachine(input);
+    if (!parsed.success) {
+      return {
+        success: false,
+        error: parsed.error,
+        errorType: 'PARSE_ERROR',
+        diagnostics: parsed.errors
+      };
+    }
+    const { tm } = parsed;
+
+    // Step 2: Find the (state, symbol) pairs without a move, where the machine halts
+    const haltingStates = [...tm.acceptStates, ...tm.rejectStates];
+    const missingMoves = tm.states
+      .filter(state => !haltingStates.includes(state))
+      .flatMap(state => tm.tapeAlphabet
+        .filter(symbol => !tm.transitions.some(t => t.from === state && t.read === symbol))
+        .map(symbol => ({ state, symbol })));
+
+    console.log('✅ [TM CALC] Turing machine definition analysis completed successfully');
+
+    return {
+      success: true,
+      tm,
+      warnings: parsed.warnings,
+      analysis: {
+        stateCount: tm.states.length,
+        transitionCount: tm.transitions.length,
+        tapeSymbolCount: tm.tapeAlphabet.length,
+        missingMoves
+      },
+      calculationType: 'TM_DEFINITION'
+    };
+
+  } catch (error) {
+    console.error('❌ [TM CALC] Error in Turing machine definition analysis:', error);
+    return {
+      success: false,
+      error: 'An error occurred while reading the Turing machine.',
+      errorType: 'CALCULATION_ERROR',
+      details: error.message
+    };
+  }
+}
+
+/**
+ * Find input characters that are not in the TM's input alphabet
+ */
+function invalidSymbols(tm, input) {
+  return [...new Set([...input].filter(symbol => !tm.alphabet.includes(symbol)))];
+}
+
+/**
+ * Check a requested step limit
+ * @returns {string|null} Error message, or null when the limit is usable
+ */
+function checkStepLimit(maxSteps) {
+  if (maxSteps === undefined) return null;
+  if (!Number.isInteger(maxSteps) || maxSteps < 1 || maxSteps > MAX_TM_STEPS) {
+    return `The step limit must be a whole number from 1 to ${MAX_TM_STEPS}.`;
+  }
+  return null;
+}
+
+/**
+ * Run a Turing machine on one string
+ * @param {Object} tm - Parsed Turing machine
+ * @param {string} input - Input string ("ε" for the empty string)
+ * @param {Object} options - { maxSteps } overrides the default step limit
+ * @returns {Object} Structured simulation results with every configuration
+ */
+export function calculateTMSimulation(tm, input, options = {}) {
+  try {
+    console.log('📼 [TM CALC] Starting Turing machine simulation...');
+
+    const testString = input === EPSILON ? '' : input;
+    const invalid = invalidSymbols(tm, testString);
+    if (invalid.length > 0) {
+      return {
+        success: false,
+        error: `Invalid symbols found in test string: ${invalid.join(', ')}`,
+        errorType: 'INVALID_STRING',
+        invalidSymbols: invalid
+      };
+    }
+    const limitError = checkStepLimit(options.maxSteps);
+    if (limitError) {
+      return { success: false, error: limitError, errorType: 'INVALID_LIMIT' };
+    }
+
+    const maxSteps = options.maxSteps ?? DEFAULT_TM_LIMITS.maxSteps;
+    const simulation = simulateTM(tm, testString, { maxSteps });
+
+    console.log('✅ [TM CALC] Turing machine simulation completed successfully');
+
+    return {
+      success: true,
+      tm,
+      input: testString,
+      maxSteps,
+      ...simulation,
+      calculationType: 'TM_SIMULATION'
+    };
+
+  } catch (error) {
+    console.error('❌ [TM CALC] Error in Turing machine simulation:', error);
+    return {
+      success: false,
+      error: 'An error occurred during Turing machine simulation.',
+      errorType: 'CALCULATION_ERROR',
+      details: error.message
+    };
+  }
+}
+
+/**
+ * Run a Turing machine on a batch of strings (same input format as batch testing)
+ * Runs cut off by the step limit count as rejections and are reported as limited.
+ * @param {Object} tm - Parsed Turing machine
+ * @param {string} text - Strings, one per line or comma-separated, optionally labelled accept/reject
+ * @param {Object} options - { maxSteps } overrides the default step limit
+ * @returns {Object} Batch results shaped like calculateBatchInputTest's
+ */
+export function calculateTMBatch(tm, text, options = {}) {
+  try {
+    console.log('📼 [TM CALC] Starting Turing machine batch simulation...');
+
+    const { entries, errors } = parseBatchTestInput(text);
+    if (errors.length > 0) return batchLineError(errors);
+    if (entries.length === 0 || entries.length > MAX_BATCH_STRINGS) {
+      return {
+        success: false,
+        error: entries.length === 0
+          ? 'No test strings found. Send one string per line, optionally followed by accept or reject.'
+          : `Too many test strings (${entries.length}). Send at most ${MAX_BATCH_STRINGS} at a time.`,
+        errorType: entries.length === 0 ? 'INVALID_STRING' : 'TOO_MANY_STRINGS'
+      };
+    }
+    const limitError = checkStepLimit(options.maxSteps);
+    if (limitError) {
+      return { success: false, error: limitError, errorType: 'INVALID_LIMIT' };
+    }
+
+    const maxSteps = options.maxSteps ?? DEFAULT_TM_LIMITS.maxSteps;
+    const results = entries.map(entry => {
+      const invalid = invalidSymbols(tm, entry.input);
+      if (invalid.length > 0) {
+        return { ...entry, accepted: null, status: 'INVALID', error: `Invalid symbols found in test string: ${invalid.join(', ')}` };
+      }
+      const { outcome } = simulateTM(tm, entry.input, { maxSteps });
+      const accepted = outcome === 'accept';
+      let status = 'UNLABELED';
+      if (entry.expected !== null) status = accepted === entry.expected ? 'PASS' : 'FAIL';
+      return { ...entry, accepted, status, error: null, outcome, limitReached: outcome === 'limit' };
+    });
+
+    const count = predicate => results.filter(predicate).length;
+
+    console.log('✅ [TM CALC] Turing machine batch simulation completed successfully');
+
+    return {
+      success: true,
+      tm,
+      automatonType: `TM, at most ${maxSteps} steps`,
+      results,
+      mismatches: results.filter(r => r.status === 'FAIL' || r.status === 'INVALID'),
+      summary: {
+        total: results.length,
+        accepted: count(r => r.accepted === true),
+        rejected: count(r => r.accepted === false),
+        invalid: count(r => r.status === 'INVALID'),
+        labeled: count(r => r.expected !== null),
+        passed: count(r => r.status === 'PASS'),
+        failed: count(r => r.status === 'FAIL'),
+        limited: count(r => r.limitReached)
+      },
+      calculationType: 'TM_BATCH'
+    };
+
+  } catch (error) {
+    console.error('❌ [TM CALC] Error in Turing machine batch simulation:', error);
+    return {
+      success: false,
+      error: 'An error occurred during Turing machine batch simulation.',
+      errorType: 'CALCULATION_ERROR',
+      details: error.message
+    };
+  }
+}
@@ -0,0 +1,185 @@
+// ===============================================
+// MEALY AND MOORE MACHINE CALCULATOR
+// ===============================================
+// This calculator parses Mealy and Moore machines, translates input strings
+// into output strings and converts each kind into the other, checking the
+// conversion on every short input.
+// Flow: User Input → Calculator Processing → Structured Results → Bot Response
+
+import { EPSILON } from '../../utils/automataUtils.js';
+import { parseTransducer, TRANSDUCER_TYPES } from '../../utils/transducerParser.js';
+import { simulateTransducer, mealyToMoore, mooreToMealy, compareTransducers } from '../../algorithms/transducers.js';
+import { parseBatchTestInput, batchLineError, MAX_BATCH_STRINGS } from './inputTestCalculator.js';
+
+/** Most inputs tried when checking a conversion */
+const MAX_CONVERSION_CHECKS = 2000;
+
+/**
+ * Parse and analyze a Mealy or Moore machine definition
+ * @param {string} input - Machine definition (see transducerParser.js)
+ * @returns {Object} Structured machine analysis
+ */
+export function calculateTransducerDefinition(input) {
+  try {
+    console.log('📟 [TRANSDUCER CALC] Starting Mealy/Moore definition analysis...');
+
+    // Step 1: Parse the definition
+    const parsed = parseTransducer(input);
+    if (!parsed.success) {
+      return {
+        success: false,
+        error: parsed.error,
+        errorType: 'PARSE_ERROR',
+        diagnostics: parsed.errors
+      };
+    }
+    const { machine } = parsed;
+
+    // Step 2: Find the (state, symbol) pairs without a move, where the machine stops
+    const missingMoves = machine.states.flatMap(state => machine.alphabet
+      .filter(symbol => !machine.transitions.some(t => t.from === state && t.symbol === symbol))
+      .map(symbol => ({ state, symbol })));
+
+    console.log('✅ [TRANSDUCER CALC] Mealy/Moore definition analysis completed successfully');
+
+    return {
+      success: true,
+      machine,
+      warnings: parsed.warnings,
+      analysis: {
+        machineType: TRANSDUCER_TYPES[machine.type],
+        stateCount: machine.states.length,
+        transitionCount: machine.transitions.length,
+        outputSymbolCount: machine.outputAlphabet.length,
+        missingMoves
+      },
+      calculationType: 'TRANSDUCER_DEFINITION'
+    };
+
+  } catch (error) {
+    console.error('❌ [TRANSDUCER CALC] Error in Mealy/Moore definition analysis:', error);
+    return {
+      success: false,
+      error: 'An error occurred while reading the machine.',
+      errorType: 'CALCULATION_ERROR',
+      details: error.message
+    };
+  }
+}
+
+/**
+ * Translate one or more input strings with a Mealy or Moore machine
+ * @param {Object} machine - Parsed Mealy or Moore machine
+ * @param {string} text - One string, or several one per line or comma-separated ("ε" for the empty string)
+ * @returns {Object} Structured results with a run per string
+ */
+export function calculateTransducerRun(machine, text) {
+  try {
+    console.log('📟 [TRANSDUCER CALC] Starting Mealy/Moore translation...');
+
+    const { entries, errors } = text.trim() === EPSILON ? { entries: [{ line: 1, input: '' }], errors: [] } : parseBatchTestInput(text);
+    if (errors.length > 0) return batchLineError(errors);
+    if (entries.length === 0 || entries.length > MAX_BATCH_STRINGS) {
+      return {
+        success: false,
+        error: entries.length === 0
+          ? 'No input strings found. Send one string, or several one per line.'
+          : `Too many input strings (${entries.length}). Send at most ${MAX_BATCH_STRINGS} at a time.`,
+        errorType: entries.length === 0 ? 'INVALID_STRING' : 'TOO_MANY_STRINGS'
+      };
+    }
+
+    const runs = entries.map(({ input }) => {
+      const invalid = [...new Set([...input].filter(symbol => !machine.alphabet.includes(symbol)))];
+      if (invalid.length > 0) {
+        return { input, error: `Invalid symbols found in input string: ${invalid.join(', ')}` };
+      }
+      return { input, error: null, ...simulateTransducer(machine, input) };
+    });
+
+    console.log('✅ [TRANSDUCER CALC] Mealy/Moore translation completed successfully');
+
+    return {
+      success: true,
+      machine,
+      runs,
+      summary: {
+        total: runs.length,
+        completed: runs.filter(run => run.completed).length,
+        stopped: runs.filter(run => run.completed === false).length,
+        invalid: runs.filter(run => run.error).length
+      },
+      calculationType: 'TRANSDUCER_RUN'
+    };
+
+  } catch (error) {
+    console.error('❌ [TRANSDUCER CALC] Error in Mealy/Moore translation:', error);
+    return {
+      success: false,
+      error: 'An error occurred while running the machine.',
+      errorType: 'CALCULATION_ERROR',
+      details: error.message
+    };
+  }
+}
+
+/**
+ * Convert a Mealy machine to a Moore machine or a Moore machine to a Mealy machine
+ * @param {Object} machine - Parsed Mealy or Moore machine
+ * @returns {Object} Structured results with the converted machine, the
+ *   construction steps and the check on all inputs up to checkedLength
+ */
+export function calculateTransducerConversion(machine) {
+  try {
+    console.log('📟 [TRANSDUCER CALC] Starting Mealy/Moore conversion...');
+
+    if (machine.type === 'mealy' && machine.outputAlphabet.length === 0) {
+      return {
+        success: false,
+        error: 'This Mealy machine writes no outputs, so there is nothing to put on the Moore states.',
+        errorType: 'INVALID_MACHINE'
+      };
+    }
+
+    // Step 1: Build the machine of the other kind
+    const conversion = machine.type === 'mealy' ? mealyToMoore(machine) : mooreToMealy(machine);
+    const converted = conversion.machine;
+
+    // Step 2: Compare the two on every input short enough to stay within the check budget
+    let checkedLength = 0;
+    let count = 1;
+    while (checkedLength < 10 && count + machine.alphabet.length ** (checkedLength + 1) <= MAX_CONVERSION_CHECKS) {
+      checkedLength++;
+      count += machine.alphabet.length ** checkedLength;
+    }
+    const [mealy, moore] = machine.type === 'mealy' ? [machine, converted] : [converted, machine];
+    const check = compareTransducers(mealy, moore, checkedLength);
+
+    console.log('✅ [TRANSDUCER CALC] Mealy/Moore conversion completed successfully');
+
+    return {
+      success: true,
+      original: machine,
+      converted,
+      steps: conversion.steps,
+      check: { ...check, checkedLength },
+      analysis: {
+        fromType: TRANSDUCER_TYPES[machine.type],
+        toType: TRANSDUCER_TYPES[converted.type],
+        originalStateCount: machine.states.length,
+        convertedStateCount: converted.states.length,
+        transitionCount: converted.transitions.length
+      },
+      calculationType: machine.type === 'mealy' ? 'MEALY_TO_MOORE' : 'MOORE_TO_MEALY'
+    };
+
+  } catch (error) {
+    console.error('❌ [TRANSDUCER CALC] Error in Mealy/Moore conversion:', error);
+    return {
+      success: false,
+      error: 'An error occurred while converting the machine.',
+      errorType: 'CALCULATION_ERROR',
+      details: error.message
+    };
+  }
+}
@@ -2,6 +2,38 @@
 import { createCanvas } from 'canvas';
 import fs from 'fs-extra';
 import path from 'path';
+import { renderAutomatonSVG } from './svgRenderer.js';
+import { layoutAutomaton } from '../algorithms/stateLayout.js';
+import { traceSimulation, isEpsilonSymbol, EPSILON } from '../utils/automataUtils.js';
+import { encodeAnimatedGIF } from '../utils/gifEncoder.js';
+import { formatStack } from '../utils/pdaParser.js';
+import { TM_OUTCOMES } from '../algorithms/turingMachine.js';
+
+/** Longest canvas side in pixels; larger drawings are scaled down to fit */
+const MAX_CANVAS_SIZE = 4000;
+
+/** Longest side of animation frames; GIFs are kept small enough to send quickly */
+const MAX_ANIMATION_SIZE = 1200;
+
+/** Longest input that is animated; longer inputs get the static simulation image */
+export const MAX_ANIMATION_STEPS = 30;
+
+/** Most images in a subset construction walkthrough (two Telegram albums) */
+export const MAX_WALKTHROUGH_FRAMES = 20;
+
+/** Most configurations in a Turing machine tape animation (the last one is always shown) */
+export const MAX_TM_ANIMATION_FRAMES = 40;
+
+/** Tape cells shown in a Turing machine frame; wider tapes scroll with the head */
+const TM_TAPE_WINDOW = 25;
+
+/**
+ * Diagram formats a user can choose (see /diagram)
+ * - classic: 800×600 canvas PNG
+ * - png: layered layout rendered as SVG and rasterized at 2× resolution
+ * - svg: layered layout as a scalable SVG file (sent as a document)
+ */
+export const DIAGRAM_FORMATS = ['classic', 'png', 'svg'];
 
 /**
  * Generate visual diagram of finite automaton
@@ -12,80 +44,30 @@ import path from 'path';
  * @returns {Promise<string>} Path to generated image
  */
 export async function generateAutomatonImage(fa, title = 'Finite Automaton', type = 'general', simulationPath = null) {
-  const canvas = createCanvas(800, 600);
-  const ctx = canvas.getContext('2d');
+  // Lay out the automaton and size the canvas to fit it (at least 800×600)
+  const layout = layoutAutomaton(fa);
+  const width = Math.max(800, layout.width + 40);
+  const height = Math.max(600, layout.height + 150);
+  const { canvas, ctx } = createSizedCanvas(width, height);
   
   // Clear canvas with white background
   ctx.fillStyle = 'white';
-  ctx.fillRect(0, 0, 800, 600);
-  
-  // Set up drawing styles
-  ctx.strokeStyle = 'black';
-  ctx.fillStyle = 'black';
-  ctx.font = '14px Arial';
-  ctx.lineWidth = 2;
+  ctx.fillRect(0, 0, width, height);
   
   // Draw title
   ctx.font = 'bold 18px Arial';
   ctx.fillStyle = '#2196F3';
   ctx.textAlign = 'center';
-  ctx.fillText(title, 400, 30);
-  
-  // Reset styles for automaton
-  ctx.fillStyle = 'black';
-  ctx.font = '12px Arial';
+  ctx.fillText(title, width / 2, 30);
   
-  // Calculate state positions in a circle layout
-  const { states, transitions, startState, finalStates } = fa;
-  const centerX = 400;
-  const centerY = 300;
-  const radius = Math.min(200, 150 + states.length * 10);
-  
-  const statePositions = {};
-  states.forEach((state, index) => {
-    const angle = (2 * Math.PI * index) / states.length;
-    statePositions[state] = {
-      x: centerX + radius * Math.cos(angle),
-      y: centerY + radius * Math.sin(angle)
-    };
-  });
-  
-  // Draw transitions (arrows)
-  ctx.strokeStyle = '#666';
-  ctx.lineWidth = 1.5;
-  
-  transitions.forEach(transition => {
-    const from = statePositions[transition.from];
-    const to = statePositions[transition.to];
-    
-    if (from && to) {
-      if (transition.from === transition.to) {
-        // Self-loop
-        drawSelfLoop(ctx, from, transition.symbol);
-      } else {
-        // Regular transition
-        drawArrow(ctx, from, to, transition.symbol);
-      }
-    }
-  });
-  
-  // Draw states
-  states.forEach(state => {
-    const pos = statePositions[state];
-    if (pos) {
-      // Determine state style
-      const isStart = state === startState;
-      const isFinal = finalStates.includes(state);
-      
-      drawState(ctx, pos, state, isStart, isFinal);
-    }
-  });
+  // Draw the automaton centered between the title and the info panels
+  drawLayout(ctx, fa, layout, (width - layout.width) / 2, 50 + (height - 150 - layout.height) / 2);
   
   // Add legend
-  drawLegend(ctx, type);
+  drawLegend(ctx, type, 20, height - 100);
   
   // Add automaton info
-  drawInfo(ctx, fa);
+  drawInfo(ctx, fa, width - 200, height - 100);
   
   // Save image to temporary file
   const timestamp = Date.now();
@@ -102,6 +84,126 @@ export async function generateAutomatonImage(fa, title = 'Finite Automaton', typ
   return filepath;
 }
 
+/**
+ * Generate a diagram of a finite automaton in the user's chosen format
+ * @param {Object} fa - Finite automaton
+ * @param {string} title - Title for the diagram
+ * @param {string} type - Type of operation (used by the classic renderer's legend)
+ * @param {string} format - One of DIAGRAM_FORMATS
+ * @returns {Promise<string>} Path to the generated .png or .svg file
+ */
+export async function generateAutomatonDiagram(fa, title = 'Finite Automaton', type = 'general', format = 'classic') {
+  if (format !== 'png' && format !== 'svg') {
+    return generateAutomatonImage(fa, title, type);
+  }
+
+  const { svg } = renderAutomatonSVG(fa, { title });
+  const timestamp = Date.now();
+  const filepath = path.join(process.cwd(), 'temp', `automaton_${timestamp}.${format}`);
+  await fs.ensureDir(path.dirname(filepath));
+
+  if (format === 'svg') {
+    await fs.writeFile(filepath, svg);
+  } else {
+    // Rasterize at 144 DPI (2× the SVG's pixel size)
+    const { default: sharp } = await import('sharp');
+    await sharp(Buffer.from(svg), { density: 144 }).png().toFile(filepath);
+  }
+
+  return filepath;
+}
+
+/**
+ * Generate a diagram of a pushdown automaton in the user's chosen format
+ * Each edge is labelled "input,pop→push" for every move between its two
+ * states, moves separated by " | ".
+ * @param {Object} pda - Pushdown automaton (see utils/pdaParser.js)
+ * @param {string} title - Title for the diagram
+ * @param {string} format - One of DIAGRAM_FORMATS
+ * @returns {Promise<string>} Path to the generated .png or .svg file
+ */
+export async function generatePDADiagram(pda, title = 'Pushdown Automaton', format = 'classic') {
+  const labels = new Map();
+  for (const t of pda.transitions) {
+    const key = `${t.from}\u0000${t.to}`;
+    if (!labels.has(key)) labels.set(key, { from: t.from, to: t.to, moves: [] });
+    labels.get(key).moves.push(`${t.symbol},${t.pop}→${formatStack(t.push)}`);
+  }
+
+  // Draw the PDA as a finite automaton whose edge symbols are the move labels
+  const fa = {
+    states: pda.states,
+    alphabet: pda.alphabet,
+    transitions: [...labels.values()].map(({ from, to, moves }) => ({ from, symbol: moves.join(' | '), to })),
+    startState: pda.startState,
+    finalStates: pda.acceptBy === 'empty' ? [] : pda.finalStates
+  };
+
+  return generateAutomatonDiagram(fa, title, 'pda', format);
+}
+
+/**
+ * Generate a diagram of a Turing machine in the user's chosen format
+ * Each edge is labelled "read→write,move" for every move between its two
+ * states, moves separated by " | ". Accept states are drawn as final states.
+ * @param {Object} tm - Turing machine (see utils/tmParser.js)
+ * @param {string} title - Title for the diagram
+ * @param {string} format - One of DIAGRAM_FORMATS
+ * @returns {Promise<string>} Path to the generated .png or .svg file
+ */
+export async function generateTMDiagram(tm, title = 'Turing Machine', format = 'classic') {
+  const labels = new Map();
+  for (const t of tm.transitions) {
+    const key = `${t.from}\u0000${t.to}`;
+    if (!labels.has(key)) labels.set(key, { from: t.from, to: t.to, moves: [] });
+    labels.get(key).moves.push(`${t.read}→${t.write},${t.move}`);
+  }
+
+  // Draw the TM as a finite automaton whose edge symbols are the move labels
+  const fa = {
+    states: tm.states,
+    alphabet: tm.tapeAlphabet,
+    transitions: [...labels.values()].map(({ from, to, moves }) => ({ from, symbol: moves.join(' | '), to })),
+    startState: tm.startState,
+    finalStates: tm.acceptStates
+  };
+
+  return generateAutomatonDiagram(fa, title, 'tm', format);
+}
+
+/**
+ * Generate a diagram of a Mealy or Moore machine in the user's chosen format
+ * Mealy edges are labelled "input/output" for every move between their two
+ * states, moves separated by " | "; Moore states are labelled "state/output"
+ * and their edges carry the input symbols.
+ * @param {Object} machine - Mealy or Moore machine (see utils/transducerParser.js)
+ * @param {string} title - Title for the diagram
+ * @param {string} format - One of DIAGRAM_FORMATS
+ * @returns {Promise<string>} Path to the generated .png or .svg file
+ */
+export async function generateTransducerDiagram(machine, title = 'Transducer', format = 'classic') {
+  const isMoore = machine.type === 'moore';
+  const stateLabel = state => (isMoore ? `${state}/${machine.outputs[state]}` : state);
+
+  const labels = new Map();
+  for (const t of machine.transitions) {
+    const key = `${t.from}\u0000${t.to}`;
+    if (!labels.has(key)) labels.set(key, { from: stateLabel(t.from), to: stateLabel(t.to), moves: [] });
+    labels.get(key).moves.push(isMoore ? t.symbol : `${t.symbol}/${t.output}`);
+  }
+
+  // Draw the machine as a finite automaton with no final states
+  const fa = {
+    states: machine.states.map(stateLabel),
+    alphabet: machine.alphabet,
+    transitions: [...labels.values()].map(({ from, to, moves }) => ({ from, symbol: moves.join(' | '), to })),
+    startState: stateLabel(machine.startState),
+    finalStates: []
+  };
+
+  return generateAutomatonDiagram(fa, title, machine.type, format);
+}
+
 /**
  * Draw a state circle
  */
@@ -154,98 +256,102 @@ function drawState(ctx, pos, label, isStart, isFinal) {
 }
 
 /**
- * Draw transition arrow between states
+ * Create a canvas for a drawing of the given size
+ * Drawings larger than MAX_CANVAS_SIZE are scaled down, so callers can always
+ * draw in layout coordinates.
  */
-function drawArrow(ctx, from, to, symbol) {
-  const stateRadius = 25;
-  
-  // Calculate arrow start and end points (on circle edges)
-  const dx = to.x - from.x;
-  const dy = to.y - from.y;
-  const distance = Math.sqrt(dx * dx + dy * dy);
-  
-  const startX = from.x + (dx / distance) * stateRadius;
-  const startY = from.y + (dy / distance) * stateRadius;
-  const endX = to.x - (dx / distance) * stateRadius;
-  const endY = to.y - (dy / distance) * stateRadius;
-  
-  // Draw arrow line
-  ctx.strokeStyle = '#666';
-  ctx.lineWidth = 1.5;
+function createSizedCanvas(width, height, maxSize = MAX_CANVAS_SIZE) {
+  const scale = Math.min(1, maxSize / width, maxSize / height);
+  const canvas = createCanvas(Math.ceil(width * scale), Math.ceil(height * scale));
+  const ctx = canvas.getContext('2d');
+  ctx.scale(scale, scale);
+  return { canvas, ctx };
+}
+
+/**
+ * Draw the states and routed edges of a layout (see algorithms/stateLayout.js)
+ * @param {Object} highlight - Optional { states: Set, edges: Set } drawn as the simulation path
+ */
+function drawLayout(ctx, fa, layout, offsetX, offsetY, highlight = null) {
+  ctx.save();
+  ctx.translate(offsetX, offsetY);
+
+  // Draw transitions first so states are drawn on top of them
+  layout.edges.forEach(edge => {
+    const isInPath = highlight ? highlight.edges.has(edge) : false;
+    drawRoutedEdge(ctx, edge, isInPath ? '#FF5722' : '#666', isInPath ? 3 : 1.5);
+  });
+
+  fa.states.forEach(state => {
+    const pos = layout.positions[state];
+    if (pos) {
+      const isStart = state === fa.startState;
+      const isFinal = fa.finalStates.includes(state);
+
+      if (highlight) {
+        drawStateWithHighlight(ctx, pos, state, isStart, isFinal, highlight.states.has(state));
+      } else {
+        drawState(ctx, pos, state, isStart, isFinal);
+      }
+    }
+  });
+
+  ctx.restore();
+}
+
+/**
+ * Draw one transition edge with its merged label
+ */
+function drawRoutedEdge(ctx, edge, color, lineWidth) {
+  const { start, end } = edge;
+
+  // Draw the curve
+  ctx.strokeStyle = color;
+  ctx.lineWidth = lineWidth;
   ctx.beginPath();
-  ctx.moveTo(startX, startY);
-  ctx.lineTo(endX, endY);
+  ctx.moveTo(start.x, start.y);
+  if (edge.loop) {
+    ctx.bezierCurveTo(edge.control1.x, edge.control1.y, edge.control2.x, edge.control2.y, end.x, end.y);
+  } else {
+    ctx.quadraticCurveTo(edge.control.x, edge.control.y, end.x, end.y);
+  }
   ctx.stroke();
-  
+
   // Draw arrow head
   const headLength = 10;
   const headAngle = Math.PI / 6;
-  const angle = Math.atan2(dy, dx);
-  
+  const angle = edge.arrowAngle;
+
   ctx.beginPath();
-  ctx.moveTo(endX, endY);
+  ctx.moveTo(end.x, end.y);
   ctx.lineTo(
-    endX - headLength * Math.cos(angle - headAngle),
-    endY - headLength * Math.sin(angle - headAngle)
+    end.x - headLength * Math.cos(angle - headAngle),
+    end.y - headLength * Math.sin(angle - headAngle)
   );
-  ctx.moveTo(endX, endY);
+  ctx.moveTo(end.x, end.y);
   ctx.lineTo(
-    endX - headLength * Math.cos(angle + headAngle),
-    endY - headLength * Math.sin(angle + headAngle)
+    end.x - headLength * Math.cos(angle + headAngle),
+    end.y - headLength * Math.sin(angle + headAngle)
   );
   ctx.stroke();
-  
-  // Draw symbol label
-  const midX = (startX + endX) / 2;
-  const midY = (startY + endY) / 2;
-  
-  ctx.fillStyle = 'white';
-  ctx.fillRect(midX - 8, midY - 8, 16, 16);
-  ctx.fillStyle = '#333';
+
+  // Draw symbol label on a white background
+  const { x, y } = edge.labelPosition;
   ctx.font = 'bold 11px Arial';
-  ctx.textAlign = 'center';
-  ctx.textBaseline = 'middle';
-  ctx.fillText(symbol, midX, midY);
-}
+  const labelWidth = ctx.measureText(edge.label).width + 6;
 
-/**
- * Draw self-loop transition
- */
-function drawSelfLoop(ctx, pos, symbol) {
-  const loopRadius = 15;
-  const offsetY = -35;
-  
-  ctx.strokeStyle = '#666';
-  ctx.lineWidth = 1.5;
-  ctx.beginPath();
-  ctx.arc(pos.x, pos.y + offsetY, loopRadius, 0, 2 * Math.PI);
-  ctx.stroke();
-  
-  // Draw arrow head
-  ctx.beginPath();
-  ctx.moveTo(pos.x + loopRadius, pos.y + offsetY);
-  ctx.lineTo(pos.x + loopRadius - 5, pos.y + offsetY - 3);
-  ctx.moveTo(pos.x + loopRadius, pos.y + offsetY);
-  ctx.lineTo(pos.x + loopRadius - 5, pos.y + offsetY + 3);
-  ctx.stroke();
-  
-  // Draw symbol label
   ctx.fillStyle = 'white';
-  ctx.fillRect(pos.x - 8, pos.y + offsetY - 8, 16, 16);
+  ctx.fillRect(x - labelWidth / 2, y - 8, labelWidth, 16);
   ctx.fillStyle = '#333';
-  ctx.font = 'bold 11px Arial';
   ctx.textAlign = 'center';
   ctx.textBaseline = 'middle';
-  ctx.fillText(symbol, pos.x, pos.y + offsetY);
+  ctx.fillText(edge.label, x, y);
 }
 
 /**
  * Draw legend
  */
-function drawLegend(ctx, type) {
-  const legendX = 20;
-  const legendY = 500;
-  
+function drawLegend(ctx, type, legendX, legendY) {
   ctx.fillStyle = '#f5f5f5';
   ctx.fillRect(legendX, legendY, 200, 80);
   ctx.strokeStyle = '#ddd';
@@ -266,10 +372,7 @@ function drawLegend(ctx, type) {
 /**
  * Draw automaton information
  */
-function drawInfo(ctx, fa) {
-  const infoX = 600;
-  const infoY = 500;
-  
+function drawInfo(ctx, fa, infoX, infoY) {
   ctx.fillStyle = '#f5f5f5';
   ctx.fillRect(infoX, infoY, 180, 80);
   ctx.strokeStyle = '#ddd';
@@ -289,43 +392,55 @@ function drawInfo(ctx, fa) {
 
 /**
  * Generate comparison image for before/after operations
+ * @param {Object} beforeFA - Automaton drawn on the left
+ * @param {Object} afterFA - Automaton drawn on the right
+ * @param {string} operation - Operation name used in the title
+ * @param {Object} labels - Optional { left, right } captions for side-by-side comparisons
+ * @returns {Promise<string>} Path to generated image
  */
-export async function generateComparisonImage(beforeFA, afterFA, operation) {
-  const canvas = createCanvas(1200, 600);
-  const ctx = canvas.getContext('2d');
+export async function generateComparisonImage(beforeFA, afterFA, operation, labels = null) {
+  // Each side gets a pane wide enough for its own layout (at least 600×500)
+  const beforeLayout = layoutAutomaton(beforeFA);
+  const afterLayout = layoutAutomaton(afterFA);
+  const leftWidth = Math.max(600, beforeLayout.width + 40);
+  const rightWidth = Math.max(600, afterLayout.width + 40);
+  const paneHeight = Math.max(500, beforeLayout.height + 20, afterLayout.height + 20);
+  const width = leftWidth + rightWidth;
+  const height = paneHeight + 100;
+  const { canvas, ctx } = createSizedCanvas(width, height);
   
   // Clear canvas
   ctx.fillStyle = 'white';
-  ctx.fillRect(0, 0, 1200, 600);
+  ctx.fillRect(0, 0, width, height);
   
   // Draw title
   ctx.font = 'bold 20px Arial';
   ctx.fillStyle = '#2196F3';
   ctx.textAlign = 'center';
-  ctx.fillText(`${operation} - Before and After`, 600, 30);
+  ctx.fillText(labels ? operation : `${operation} - Before and After`, width / 2, 30);
   
   // Draw "Before" section
   ctx.font = 'bold 16px Arial';
   ctx.fillStyle = '#FF5722';
-  ctx.fillText('Before', 200, 60);
+  ctx.fillText(labels ? labels.left : 'Before', leftWidth / 2, 60);
   
   // Draw "After" section
   ctx.fillStyle = '#4CAF50';
-  ctx.fillText('After', 800, 60);
+  ctx.fillText(labels ? labels.right : 'After', leftWidth + rightWidth / 2, 60);
   
   // Draw vertical separator
   ctx.strokeStyle = '#ddd';
   ctx.lineWidth = 2;
   ctx.beginPath();
-  ctx.moveTo(600, 80);
-  ctx.lineTo(600, 580);
+  ctx.moveTo(leftWidth, 80);
+  ctx.lineTo(leftWidth, height - 20);
   ctx.stroke();
   
   // Draw before automaton (left side)
-  drawAutomatonOnCanvas(ctx, beforeFA, 0, 80, 600, 500);
+  drawAutomatonOnCanvas(ctx, beforeFA, beforeLayout, 0, 80, leftWidth, paneHeight);
   
   // Draw after automaton (right side)
-  drawAutomatonOnCanvas(ctx, afterFA, 600, 80, 600, 500);
+  drawAutomatonOnCanvas(ctx, afterFA, afterLayout, leftWidth, 80, rightWidth, paneHeight);
   
   // Save comparison image
   const timestamp = Date.now();
@@ -340,48 +455,16 @@ export async function generateComparisonImage(beforeFA, afterFA, operation) {
 }
 
 /**
- * Draw automaton within specified bounds
+ * Draw a laid out automaton centered within the specified bounds
  */
-function drawAutomatonOnCanvas(ctx, fa, offsetX, offsetY, width, height) {
-  const { states, transitions, startState, finalStates } = fa;
-  const centerX = offsetX + width / 2;
-  const centerY = offsetY + height / 2;
-  const radius = Math.min(width, height) / 4;
-  
-  // Calculate positions
-  const statePositions = {};
-  states.forEach((state, index) => {
-    const angle = (2 * Math.PI * index) / states.length;
-    statePositions[state] = {
-      x: centerX + radius * Math.cos(angle),
-      y: centerY + radius * Math.sin(angle)
-    };
-  });
-  
-  // Draw transitions
-  ctx.strokeStyle = '#666';
-  ctx.lineWidth = 1;
-  transitions.forEach(transition => {
-    const from = statePositions[transition.from];
-    const to = statePositions[transition.to];
-    if (from && to) {
-      if (transition.from === transition.to) {
-        drawSelfLoop(ctx, from, transition.symbol);
-      } else {
-        drawArrow(ctx, from, to, transition.symbol);
-      }
-    }
-  });
-  
-  // Draw states
-  states.forEach(state => {
-    const pos = statePositions[state];
-    if (pos) {
-      const isStart = state === startState;
-      const isFinal = finalStates.includes(state);
-      drawState(ctx, pos, state, isStart, isFinal);
-    }
-  });
+function drawAutomatonOnCanvas(ctx, fa, layout, offsetX, offsetY, width, height) {
+  drawLayout(
+    ctx,
+    fa,
+    layout,
+    offsetX + (width - layout.width) / 2,
+    offsetY + (height - layout.height) / 2
+  );
 }
 
 /**
@@ -392,12 +475,16 @@ function drawAutomatonOnCanvas(ctx, fa, offsetX, offsetY, width, height) {
  * @returns {Promise<string>} Path to generated image
  */
 export async function generateSimulationImage(fa, inputString, accepted) {
-  const canvas = createCanvas(1000, 700);
-  const ctx = canvas.getContext('2d');
+  // Size the canvas to the layout (at least 1000×700)
+  const layout = layoutAutomaton(fa);
+  const width = Math.max(1000, layout.width + 100);
+  const areaHeight = Math.max(500, layout.height);
+  const height = areaHeight + 200;
+  const { canvas, ctx } = createSizedCanvas(width, height);
 
   // Clear canvas
   ctx.fillStyle = 'white';
-  ctx.fillRect(0, 0, 1000, 700);
+  ctx.fillRect(0, 0, width, height);
 
   // Draw title
   ctx.font = 'bold 20px Arial';
@@ -405,16 +492,16 @@ export async function generateSimulationImage(fa, inputString, accepted) {
   ctx.textAlign = 'center';
   const resultEmoji = accepted ? '✅' : '❌';
   const resultText = accepted ? 'ACCEPTED' : 'REJECTED';
-  ctx.fillText(`String Simulation: "${inputString}" - ${resultEmoji} ${resultText}`, 500, 30);
+  ctx.fillText(`String Simulation: "${inputString}" - ${resultEmoji} ${resultText}`, width / 2, 30);
 
   // Simulate the string to get the path
   const simulationPath = simulateWithPath(fa, inputString);
 
   // Draw automaton with highlighted path
-  drawAutomatonWithPath(ctx, fa, simulationPath, 50, 80, 900, 500);
+  drawAutomatonWithPath(ctx, fa, layout, simulationPath, 50, 80, width - 100, areaHeight);
 
   // Draw simulation steps
-  drawSimulationSteps(ctx, simulationPath, inputString, 50, 600);
+  drawSimulationSteps(ctx, simulationPath, inputString, 50, areaHeight + 100, width - 100);
 
   // Save image
   const timestamp = Date.now();
@@ -428,6 +515,599 @@ export async function generateSimulationImage(fa, inputString, accepted) {
   return filepath;
 }
 
+/**
+ * Generate an animated GIF of a string simulation
+ * The first frame shows the start configuration (the ε-closure of the start
+ * state); each following frame consumes one symbol and highlights the active
+ * state set - several states at once for an NFA - and the transitions taken.
+ * A last frame shows the verdict.
+ * @param {Object} fa - Finite automaton
+ * @param {string} inputString - Input string being simulated (at most MAX_ANIMATION_STEPS symbols)
+ * @returns {Promise<string>} Path to generated GIF
+ */
+export async function generateSimulationAnimation(fa, inputString) {
+  const symbols = [...inputString];
+  if (symbols.length > MAX_ANIMATION_STEPS) {
+    throw new Error(`Inputs longer than ${MAX_ANIMATION_STEPS} symbols are not animated`);
+  }
+
+  const { steps, accepted } = traceSimulation(fa, inputString);
+  const layout = layoutAutomaton(fa);
+  const width = Math.max(900, layout.width + 100, symbols.length * 30 + 100);
+  const height = layout.height + 220;
+
+  const frames = [];
+  let frameWidth = 0;
+  let frameHeight = 0;
+  const addFrame = (step, delay, verdict = false) => {
+    const { canvas, ctx } = createSizedCanvas(width, height, MAX_ANIMATION_SIZE);
+    drawSimulationFrame(ctx, fa, layout, symbols, step, { width, height, verdict, accepted });
+    frameWidth = canvas.width;
+    frameHeight = canvas.height;
+    frames.push({ pixels: ctx.getImageData(0, 0, canvas.width, canvas.height).data, delay });
+  };
+
+  steps.forEach(step => addFrame(step, step.step === 0 ? 1500 : 1200));
+  addFrame(steps[steps.length - 1], 3000, true);
+
+  // Save animation
+  const timestamp = Date.now();
+  const filename = `simulation_${timestamp}.gif`;
+  const filepath = path.join(process.cwd(), 'temp', filename);
+
+  await fs.ensureDir(path.dirname(filepath));
+  await fs.writeFile(filepath, encodeAnimatedGIF(frames, frameWidth, frameHeight));
+
+  return filepath;
+}
+
+/**
+ * Draw one frame of the simulation animation
+ */
+function drawSimulationFrame(ctx, fa, layout, symbols, step, { width, height, verdict, accepted }) {
+  ctx.fillStyle = 'white';
+  ctx.fillRect(0, 0, width, height);
+
+  // Draw title
+  ctx.font = 'bold 20px Arial';
+  ctx.fillStyle = '#2196F3';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'alphabetic';
+  ctx.fillText(`String Simulation - Step ${step.step} of ${symbols.length}`, width / 2, 30);
+
+  // Draw the input tape: consumed symbols shaded, the symbol just read outlined
+  const cellSize = 28;
+  const tapeX = (width - Math.max(1, symbols.length) * cellSize) / 2;
+  const tapeY = 50;
+  symbols.forEach((symbol, index) => {
+    const x = tapeX + index * cellSize;
+    const isConsumed = index < step.step;
+    const isCurrent = index === step.step - 1;
+
+    ctx.fillStyle = isConsumed ? '#E3F2FD' : 'white';
+    ctx.fillRect(x, tapeY, cellSize, cellSize);
+    ctx.strokeStyle = isCurrent ? '#FF5722' : '#666';
+    ctx.lineWidth = isCurrent ? 3 : 1;
+    ctx.strokeRect(x, tapeY, cellSize, cellSize);
+
+    ctx.fillStyle = isConsumed ? '#333' : '#666';
+    ctx.font = 'bold 14px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(symbol, x + cellSize / 2, tapeY + cellSize / 2);
+  });
+  if (symbols.length === 0) {
+    ctx.fillStyle = '#666';
+    ctx.font = 'bold 14px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(`${EPSILON} (empty input)`, width / 2, tapeY + cellSize / 2);
+  }
+
+  // Draw the automaton with the active states and taken transitions highlighted
+  const takenEdges = new Set(layout.edges.filter(edge =>
+    step.taken.some(t =>
+      t.from === edge.from &&
+      t.to === edge.to &&
+      edge.symbols.includes(isEpsilonSymbol(t.symbol, fa.alphabet) ? EPSILON : t.symbol)
+    )
+  ));
+  drawLayout(ctx, fa, layout, (width - layout.width) / 2, 100, {
+    states: new Set(step.activeStates),
+    edges: takenEdges
+  });
+
+  // Draw the status line
+  const active = `{${step.activeStates.join(', ')}}`;
+  let status;
+  if (verdict) {
+    status = accepted
+      ? `ACCEPTED - active states ${active} include a final state`
+      : `REJECTED - ${step.activeStates.length === 0 ? 'no state is active' : `no final state in ${active}`}`;
+  } else if (step.step === 0) {
+    status = `Start in ${active}`;
+  } else {
+    status = step.activeStates.length === 0
+      ? `Read "${step.symbol}" - no transition, no state is active`
+      : `Read "${step.symbol}" - active states ${active}`;
+  }
+
+  ctx.font = 'bold 16px Arial';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = verdict ? (accepted ? '#4CAF50' : '#F44336') : '#333';
+  ctx.fillText(status, width / 2, height - 50);
+}
+
+/**
+ * Generate an animated GIF of a Turing machine run
+ * Each frame shows the tape with the head under the current cell, the state
+ * and the move just made. Runs longer than MAX_TM_ANIMATION_FRAMES show the
+ * first configurations and then jump to the last one. A last frame shows the
+ * outcome.
+ * @param {Object} simulation - Result of calculateTMSimulation
+ * @returns {Promise<string>} Path to generated GIF
+ */
+export async function generateTMTapeAnimation(simulation) {
+  const { steps, outcome, tm } = simulation;
+  const shown = steps.length > MAX_TM_ANIMATION_FRAMES
+    ? [...steps.slice(0, MAX_TM_ANIMATION_FRAMES - 1), steps[steps.length - 1]]
+    : steps;
+
+  // One fixed window when the whole run fits, so the tape does not jump
+  const low = Math.min(...shown.map(step => step.start)) - 1;
+  const high = Math.max(...shown.map(step => step.start + step.tape.length)) + 1;
+  const fixedWindow = high - low <= TM_TAPE_WINDOW ? { low, cells: high - low } : null;
+
+  const cellSize = 36;
+  const width = Math.max(700, (fixedWindow ? fixedWindow.cells : TM_TAPE_WINDOW) * cellSize + 80);
+  const height = 260;
+
+  const frames = [];
+  let frameWidth = 0;
+  let frameHeight = 0;
+  const addFrame = (step, delay, verdict = false) => {
+    const { canvas, ctx } = createSizedCanvas(width, height, MAX_ANIMATION_SIZE);
+    const view = fixedWindow || {
+      low: step.head - Math.floor(TM_TAPE_WINDOW / 2),
+      cells: TM_TAPE_WINDOW
+    };
+    drawTMFrame(ctx, tm, step, view, { width, height, cellSize, total: steps.length - 1, verdict: verdict ? outcome : null });
+    frameWidth = canvas.width;
+    frameHeight = canvas.height;
+    frames.push({ pixels: ctx.getImageData(0, 0, canvas.width, canvas.height).data, delay });
+  };
+
+  shown.forEach(step => addFrame(step, step.step === 0 ? 1500 : 900));
+  addFrame(shown[shown.length - 1], 3000, true);
+
+  // Save animation
+  const timestamp = Date.now();
+  const filename = `tm_run_${timestamp}.gif`;
+  const filepath = path.join(process.cwd(), 'temp', filename);
+
+  await fs.ensureDir(path.dirname(filepath));
+  await fs.writeFile(filepath, encodeAnimatedGIF(frames, frameWidth, frameHeight));
+
+  return filepath;
+}
+
+/**
+ * Draw one frame of a Turing machine run: the tape, the head and the move made
+ */
+function drawTMFrame(ctx, tm, step, view, { width, height, cellSize, total, verdict }) {
+  ctx.fillStyle = 'white';
+  ctx.fillRect(0, 0, width, height);
+
+  // Draw title
+  ctx.font = 'bold 20px Arial';
+  ctx.fillStyle = '#2196F3';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'alphabetic';
+  ctx.fillText(`Turing Machine - Step ${step.step} of ${total}`, width / 2, 30);
+
+  // Draw the tape: written cells white, blanks gray, the head cell outlined
+  const tapeX = (width - view.cells * cellSize) / 2;
+  const tapeY = 60;
+  for (let i = 0; i < view.cells; i++) {
+    const position = view.low + i;
+    const offset = position - step.start;
+    const symbol = offset >= 0 && offset < step.tape.length ? step.tape[offset] : tm.blank;
+    const isHead = position === step.head;
+    const x = tapeX + i * cellSize;
+
+    ctx.fillStyle = isHead ? '#FFF3E0' : symbol === tm.blank ? '#F5F5F5' : 'white';
+    ctx.fillRect(x, tapeY, cellSize, cellSize);
+    ctx.strokeStyle = '#666';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x, tapeY, cellSize, cellSize);
+
+    ctx.fillStyle = symbol === tm.blank ? '#666' : '#333';
+    ctx.font = 'bold 16px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(symbol, x + cellSize / 2, tapeY + cellSize / 2);
+  }
+
+  // Ellipses at both ends: the tape goes on forever
+  ctx.fillStyle = '#666';
+  ctx.font = 'bold 16px Arial';
+  ctx.fillText('…', tapeX - 15, tapeY + cellSize / 2);
+  ctx.fillText('…', tapeX + view.cells * cellSize + 15, tapeY + cellSize / 2);
+
+  // Draw the head: a pointer under the current cell with the state's name
+  const headX = tapeX + (step.head - view.low + 0.5) * cellSize;
+  const headY = tapeY + cellSize + 8;
+  ctx.strokeStyle = '#FF5722';
+  ctx.lineWidth = 3;
+  ctx.strokeRect(headX - cellSize / 2, tapeY, cellSize, cellSize);
+  ctx.fillStyle = '#FF5722';
+  ctx.beginPath();
+  ctx.moveTo(headX, headY);
+  ctx.lineTo(headX - 9, headY + 14);
+  ctx.lineTo(headX + 9, headY + 14);
+  ctx.closePath();
+  ctx.fill();
+
+  const isAccept = tm.acceptStates.includes(step.state);
+  const isReject = tm.rejectStates.includes(step.state);
+  ctx.font = 'bold 15px Arial';
+  const labelWidth = ctx.measureText(step.state).width + 20;
+  ctx.fillStyle = isAccept ? '#4CAF50' : isReject ? '#F44336' : '#2196F3';
+  ctx.fillRect(headX - labelWidth / 2, headY + 18, labelWidth, 26);
+  ctx.fillStyle = 'white';
+  ctx.fillText(step.state, headX, headY + 31);
+
+  // Draw the move that led to this configuration
+  const t = step.transition;
+  ctx.font = '15px Arial';
+  ctx.fillStyle = '#333';
+  ctx.fillText(t
+    ? `δ(${t.from}, ${t.read}) = (${t.to}, ${t.write}, ${t.move})`
+    : `Start in ${step.state} on the first input symbol`, width / 2, height - 70);
+
+  // Draw the status line
+  if (verdict) {
+    ctx.font = 'bold 16px Arial';
+    ctx.fillStyle = verdict === 'accept' ? '#4CAF50' : verdict === 'limit' ? '#FF9800' : '#F44336';
+    ctx.fillText(TM_OUTCOMES[verdict], width / 2, height - 35);
+  }
+}
+
+/**
+ * Generate a step-by-step walkthrough of the subset construction
+ * The first image shows the start subset (Q0); each following image processes
+ * one DFA state: its row of the subset table is filled in and the DFA grows by
+ * its outgoing transitions and any new subsets they reach. Every DFA state is
+ * labelled with the NFA states it stands for. States keep the position they
+ * have in the finished DFA, so the images line up when flipped through.
+ * @param {Object} nfa - Original NFA
+ * @param {Object} dfa - Converted DFA
+ * @param {Object} construction - Traced subset construction ({ stateSets, closureSteps })
+ * @returns {Promise<Array<string>>} Paths to the generated images, in order
+ */
+export async function generateSubsetConstructionImages(nfa, dfa, construction) {
+  const { stateSets, closureSteps } = construction;
+  if (stateSets.length + 1 > MAX_WALKTHROUGH_FRAMES) {
+    throw new Error(`Conversions with more than ${MAX_WALKTHROUGH_FRAMES - 1} DFA states are not walked through`);
+  }
+
+  const subsetLabels = Object.fromEntries(stateSets.map(set => [set.dfaState, `{${set.nfaStates.join(', ')}}`]));
+  const longestSubset = Math.max(...Object.values(subsetLabels).map(label => label.length));
+
+  // Leave room between layers for the subset labels under the states
+  const layout = layoutAutomaton(dfa, { layerGap: Math.max(150, longestSubset * 7 + 30) });
+  const diagramWidth = layout.width + longestSubset * 7;
+  const diagramHeight = layout.height + 20;
+
+  const columns = [
+    { title: 'DFA', width: 70 },
+    { title: 'NFA states', width: Math.max(120, longestSubset * 8 + 20) },
+    ...dfa.alphabet.map(symbol => ({ title: symbol, width: 70 }))
+  ];
+  const tableWidth = columns.reduce((sum, column) => sum + column.width, 0);
+  const tableHeight = (stateSets.length + 1) * 24;
+
+  const width = Math.max(900, diagramWidth + 100, tableWidth + 100);
+  const height = 100 + diagramHeight + 30 + tableHeight + 40;
+  const frame = {
+    nfa, dfa, layout, columns, subsetLabels, stateSets, closureSteps,
+    width, height, tableWidth,
+    diagramY: 100,
+    tableY: 100 + diagramHeight + 30
+  };
+
+  const timestamp = Date.now();
+  await fs.ensureDir(path.join(process.cwd(), 'temp'));
+
+  const filepaths = [];
+  for (let processed = 0; processed <= stateSets.length; processed++) {
+    const { canvas, ctx } = createSizedCanvas(width, height);
+    drawSubsetConstructionFrame(ctx, frame, processed);
+
+    const filepath = path.join(process.cwd(), 'temp', `subset_${timestamp}_${processed}.png`);
+    await fs.writeFile(filepath, canvas.toBuffer('image/png'));
+    filepaths.push(filepath);
+  }
+
+  return filepaths;
+}
+
+/**
+ * Draw one walkthrough image after the first `processed` DFA states were processed
+ */
+function drawSubsetConstructionFrame(ctx, frame, processed) {
+  const { nfa, dfa, layout, columns, subsetLabels, stateSets, closureSteps, width, height, tableWidth } = frame;
+  const processedStates = new Set(stateSets.slice(0, processed).map(set => set.dfaState));
+  const current = processed > 0 ? stateSets[processed - 1].dfaState : null;
+
+  // Moves made so far; the states they reached are the DFA states known so far
+  const moves = closureSteps.filter(step => step.symbol !== null && processedStates.has(step.dfaState));
+  const visibleStates = dfa.states.filter(state => state === dfa.startState || moves.some(step => step.target === state));
+  const currentMoves = moves.filter(step => step.dfaState === current);
+  const newStates = currentMoves.filter(step => step.isNew).map(step => step.target);
+
+  ctx.fillStyle = 'white';
+  ctx.fillRect(0, 0, width, height);
+
+  // Draw title and the step being explained
+  ctx.font = 'bold 20px Arial';
+  ctx.fillStyle = '#2196F3';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'alphabetic';
+  ctx.fillText(`Subset Construction - Step ${processed} of ${stateSets.length}`, width / 2, 30);
+
+  let status;
+  if (processed === 0) {
+    status = `Start: ε-closure(${nfa.startState}) = ${subsetLabels[dfa.startState]} becomes ${dfa.startState}`;
+  } else if (newStates.length > 0) {
+    status = `Process ${current} = ${subsetLabels[current]} - new DFA states: ${newStates.join(', ')}`;
+  } else {
+    status = `Process ${current} = ${subsetLabels[current]} - no new DFA states`;
+  }
+  if (processed === stateSets.length) {
+    status += ' - construction complete';
+  }
+  ctx.font = 'bold 15px Arial';
+  ctx.fillStyle = '#333';
+  ctx.fillText(status, width / 2, 65);
+
+  // Draw the DFA built so far with the latest additions highlighted
+  const partialFA = {
+    ...dfa,
+    states: visibleStates,
+    transitions: dfa.transitions.filter(t => processedStates.has(t.from)),
+    finalStates: dfa.finalStates.filter(state => visibleStates.includes(state))
+  };
+  const partialLayout = {
+    ...layout,
+    edges: layout.edges.filter(edge => processedStates.has(edge.from))
+  };
+  const offsetX = (width - layout.width) / 2;
+  drawLayout(ctx, partialFA, partialLayout, offsetX, frame.diagramY, {
+    states: new Set(processed === 0 ? [dfa.startState] : newStates),
+    edges: new Set(partialLayout.edges.filter(edge => edge.from === current))
+  });
+
+  // Label every state with its NFA subset
+  ctx.font = '11px Arial';
+  ctx.fillStyle = '#666';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  for (const state of visibleStates) {
+    const pos = layout.positions[state];
+    ctx.fillText(subsetLabels[state], offsetX + pos.x, frame.diagramY + pos.y + 40);
+  }
+
+  // Draw the subset table: processed rows are filled in, the current row is shaded
+  const rows = [columns.map(column => column.title)];
+  for (const state of visibleStates) {
+    const row = [state === dfa.startState ? `→${state}` : state, subsetLabels[state]];
+    for (const symbol of dfa.alphabet) {
+      const move = moves.find(step => step.dfaState === state && step.symbol === symbol);
+      row.push(!processedStates.has(state) ? '…' : move ? move.target : '∅');
+    }
+    if (dfa.finalStates.includes(state)) row[0] = `${row[0]}*`;
+    rows.push(row);
+  }
+
+  drawTable(ctx, rows, columns.map(column => column.width), (width - tableWidth) / 2, frame.tableY, (rowIndex, columnIndex, cell) => {
+    const isCurrentRow = rowIndex > 0 && visibleStates[rowIndex - 1] === current;
+    const isNewTarget = isCurrentRow && columnIndex > 1 && newStates.includes(cell);
+    return {
+      fill: rowIndex === 0 ? '#E3F2FD' : isCurrentRow ? '#FFF3E0' : 'white',
+      color: isNewTarget ? '#FF5722' : '#333',
+      bold: rowIndex === 0 || isNewTarget
+    };
+  });
+}
+
+/**
+ * Draw a grid table
+ * @param {Array<Array<string>>} rows - Cell texts, header row first
+ * @param {Array<number>} columnWidths - Width of each column
+ * @param {Function} cellStyle - (rowIndex, columnIndex, cell) => { fill, color, bold }
+ */
+function drawTable(ctx, rows, columnWidths, x, y, cellStyle, rowHeight = 24) {
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.lineWidth = 1;
+
+  rows.forEach((row, rowIndex) => {
+    let cellX = x;
+    row.forEach((cell, columnIndex) => {
+      const cellY = y + rowIndex * rowHeight;
+      const { fill, color, bold } = cellStyle(rowIndex, columnIndex, cell);
+
+      ctx.fillStyle = fill;
+      ctx.fillRect(cellX, cellY, columnWidths[columnIndex], rowHeight);
+      ctx.strokeStyle = '#DDDDDD';
+      ctx.strokeRect(cellX, cellY, columnWidths[columnIndex], rowHeight);
+
+      ctx.fillStyle = color;
+      ctx.font = bold ? 'bold 12px Arial' : '12px Arial';
+      ctx.fillText(cell, cellX + columnWidths[columnIndex] / 2, cellY + rowHeight / 2);
+      cellX += columnWidths[columnIndex];
+    });
+  });
+}
+
+/**
+ * Generate images of both minimization methods
+ * - Partition refinement: one row per round with the block split, the
+ *   splitter and symbol that split it, and the partition afterwards
+ * - Table filling: the triangular pair table, each cell colored by the round
+ *   in which the pair was marked; unmarked (equivalent) pairs are green
+ * @param {Object} dfa - Original DFA
+ * @param {Object} refinement - Result of minimizeDFAWithTrace
+ * @param {Object} tableFilling - Result of fillDistinguishabilityTable
+ * @returns {Promise<Array<string>>} Paths to the partition image and the table image
+ */
+export async function generateMinimizationTableImages(dfa, refinement, tableFilling) {
+  const timestamp = Date.now();
+  await fs.ensureDir(path.join(process.cwd(), 'temp'));
+  const block = states => `{${states.join(',')}}`;
+
+  // Partition refinement rounds
+  const partitionRows = [
+    ['Round', 'Splitter', 'Symbol', 'Split block', 'Into', 'Partition after'],
+    ['Start', '', '', '', '', refinement.initialPartition.map(block).join(' ')]
+  ];
+  for (const { round, splitter, symbol, splits, partition } of refinement.rounds) {
+    splits.forEach((split, index) => {
+      partitionRows.push([
+        index === 0 ? String(round) : '',
+        index === 0 ? block(splitter) : '',
+        index === 0 ? symbol : '',
+        block(split.block),
+        `${block(split.inside)} | ${block(split.outside)}`,
+        index === splits.length - 1 ? partition.map(block).join(' ') : ''
+      ]);
+    });
+  }
+  const { trimmedStates } = refinement.preprocessing;
+  const merged = `Merged: ${refinement.classes.map(({ state, members }) => `${state} = ${block(members)}`).join(', ')}`
+    + (trimmedStates.length > 0 ? `; dead ${block(trimmedStates)} left out` : '');
+  const partitionPath = await saveTableImage(
+    'Minimization - Partition Refinement',
+    partitionRows,
+    merged,
+    (rowIndex) => ({ fill: rowIndex === 0 ? '#E3F2FD' : rowIndex === 1 ? '#F5F5F5' : 'white', color: '#333', bold: rowIndex === 0 }),
+    path.join(process.cwd(), 'temp', `minimization_partition_${timestamp}.png`)
+  );
+
+  // Table-filling pair table
+  const { states, marks, classes } = tableFilling;
+  const roundOf = new Map(marks.map(({ pair, round }) => [pair.join('\u0000'), round]));
+  const pairRows = [['', ...states.slice(0, -1)]];
+  states.slice(1).forEach((state, rowIndex) => {
+    const row = [state];
+    states.slice(0, rowIndex + 1).forEach(other => {
+      const round = roundOf.get(`${other}\u0000${state}`);
+      row.push(round === undefined ? '=' : String(round));
+    });
+    pairRows.push(row);
+  });
+  const roundColors = ['#FFEBEE', '#FFF3E0', '#E3F2FD', '#F5F5F5'];
+  const summary = `Cells: round in which the pair was marked, = equivalent. Classes: ${classes.map(block).join(' ')}`;
+  const tablePath = await saveTableImage(
+    'Minimization - Table-Filling Method',
+    pairRows,
+    summary,
+    (rowIndex, columnIndex, cell) => {
+      if (rowIndex === 0 || columnIndex === 0) return { fill: '#E3F2FD', color: '#333', bold: true };
+      if (cell === '') return { fill: 'white', color: '#333', bold: false };
+      if (cell === '=') return { fill: '#4CAF50', color: 'white', bold: true };
+      return { fill: roundColors[Math.min(Number(cell), roundColors.length - 1)], color: '#333', bold: false };
+    },
+    path.join(process.cwd(), 'temp', `minimization_table_${timestamp}.png`),
+    Math.max(50, ...states.map(state => state.length * 7 + 20))
+  );
+
+  return [partitionPath, tablePath];
+}
+
+/**
+ * Generate an image of a filled CYK table
+ * Rows go from the whole string (top) down to single symbols, with the input
+ * below; the cell in row ℓ, column i lists the variables deriving the ℓ
+ * symbols starting at position i. The top cell is green when it contains the
+ * start symbol and red otherwise; other cells holding the start symbol are
+ * light green.
+ * @param {Object} cyk - Result of calculateCYK
+ * @returns {Promise<string>} Path to the generated image
+ */
+export async function generateCYKTableImage(cyk) {
+  const { symbols, table, accepted, cnf } = cyk;
+  const n = symbols.length;
+  await fs.ensureDir(path.join(process.cwd(), 'temp'));
+
+  const rows = [['ℓ \\ i', ...symbols.map((_, i) => String(i + 1))]];
+  for (let length = n; length >= 1; length--) {
+    rows.push([
+      `ℓ = ${length}`,
+      ...symbols.map((_, start) => {
+        if (start + length > n) return '';
+        const variables = table[length - 1][start];
+        return variables.length > 0 ? `{${variables.join(',')}}` : '∅';
+      })
+    ]);
+  }
+  rows.push(['input', ...symbols]);
+
+  const shown = symbols.join('') || EPSILON;
+  const footer = `${accepted ? '✅' : '❌'} "${shown}" ${accepted ? '∈' : '∉'} L(G): ${cnf.startSymbol} is ${accepted ? '' : 'not '}in the top cell`;
+  return saveTableImage(
+    `CYK Table for "${shown}"`,
+    rows,
+    footer,
+    (rowIndex, columnIndex, cell) => {
+      if (rowIndex === 0 || columnIndex === 0 || rowIndex === rows.length - 1) return { fill: '#E3F2FD', color: '#333', bold: true };
+      if (rowIndex === 1 && columnIndex === 1) return { fill: accepted ? '#4CAF50' : '#F44336', color: 'white', bold: true };
+      if (cell === '') return { fill: 'white', color: '#333', bold: false };
+      if (cell === '∅') return { fill: '#F5F5F5', color: '#999', bold: false };
+      const variables = cell.slice(1, -1).split(',');
+      return { fill: variables.includes(cnf.startSymbol) ? '#E8F5E9' : 'white', color: '#333', bold: false };
+    },
+    path.join(process.cwd(), 'temp', `cyk_table_${Date.now()}.png`)
+  );
+}
+
+/**
+ * Draw a titled table with a footer line and save it as a PNG
+ * @param {number} fixedColumnWidth - Optional width for every column (square pair tables)
+ * @returns {Promise<string>} The file path
+ */
+async function saveTableImage(title, rows, footer, cellStyle, filepath, fixedColumnWidth = null) {
+  const textWidth = text => text.length * 7 + 20;
+  const columnWidths = rows[0].map((_, column) => fixedColumnWidth
+    ?? Math.max(60, ...rows.map(row => textWidth(row[column]))));
+  const tableWidth = columnWidths.reduce((sum, w) => sum + w, 0);
+  const width = Math.max(700, tableWidth + 80, textWidth(footer) + 40);
+  const height = 80 + rows.length * 24 + 60;
+  const { canvas, ctx } = createSizedCanvas(width, height);
+
+  ctx.fillStyle = 'white';
+  ctx.fillRect(0, 0, width, height);
+
+  ctx.font = 'bold 20px Arial';
+  ctx.fillStyle = '#2196F3';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'alphabetic';
+  ctx.fillText(title, width / 2, 35);
+
+  drawTable(ctx, rows, columnWidths, (width - tableWidth) / 2, 60, cellStyle);
+
+  ctx.font = '13px Arial';
+  ctx.fillStyle = '#333';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(footer, width / 2, height - 30);
+
+  await fs.writeFile(filepath, canvas.toBuffer('image/png'));
+  return filepath;
+}
+
 /**
  * Simulate string and return the path taken
  */
@@ -462,59 +1142,27 @@ function simulateWithPath(fa, input) {
 /**
  * Draw automaton with highlighted simulation path
  */
-function drawAutomatonWithPath(ctx, fa, simulationPath, offsetX, offsetY, width, height) {
-  const { states, transitions, startState, finalStates } = fa;
-  const centerX = offsetX + width / 2;
-  const centerY = offsetY + height / 2;
-  const radius = Math.min(width, height) / 4;
-
-  // Calculate positions
-  const statePositions = {};
-  states.forEach((state, index) => {
-    const angle = (2 * Math.PI * index) / states.length;
-    statePositions[state] = {
-      x: centerX + radius * Math.cos(angle),
-      y: centerY + radius * Math.sin(angle)
-    };
-  });
-
+function drawAutomatonWithPath(ctx, fa, layout, simulationPath, offsetX, offsetY, width, height) {
   // Get states in simulation path
   const pathStates = new Set(simulationPath.path.map(p => p.state));
 
-  // Draw transitions (highlight path transitions)
-  transitions.forEach(transition => {
-    const from = statePositions[transition.from];
-    const to = statePositions[transition.to];
-    if (from && to) {
-      // Check if this transition is in the simulation path
-      const isInPath = simulationPath.path.some(p =>
-        p.from === transition.from &&
-        p.state === transition.to &&
-        p.symbol === transition.symbol
-      );
-
-      ctx.strokeStyle = isInPath ? '#FF5722' : '#666';
-      ctx.lineWidth = isInPath ? 3 : 1.5;
-
-      if (transition.from === transition.to) {
-        drawSelfLoop(ctx, from, transition.symbol);
-      } else {
-        drawArrow(ctx, from, to, transition.symbol);
-      }
-    }
-  });
-
-  // Draw states (highlight path states)
-  states.forEach(state => {
-    const pos = statePositions[state];
-    if (pos) {
-      const isStart = state === startState;
-      const isFinal = finalStates.includes(state);
-      const isInPath = pathStates.has(state);
+  // An edge is on the path if any of its merged symbols was taken
+  const pathEdges = new Set(layout.edges.filter(edge =>
+    simulationPath.path.some(p =>
+      p.from === edge.from &&
+      p.state === edge.to &&
+      edge.symbols.includes(p.symbol)
+    )
+  ));
 
-      drawStateWithHighlight(ctx, pos, state, isStart, isFinal, isInPath);
-    }
-  });
+  drawLayout(
+    ctx,
+    fa,
+    layout,
+    offsetX + (width - layout.width) / 2,
+    offsetY + (height - layout.height) / 2,
+    { states: pathStates, edges: pathEdges }
+  );
 }
 
 /**
@@ -577,12 +1225,12 @@ function drawStateWithHighlight(ctx, pos, label, isStart, isFinal, isInPath) {
 /**
  * Draw simulation steps
  */
-function drawSimulationSteps(ctx, simulationPath, inputString, x, y) {
+function drawSimulationSteps(ctx, simulationPath, inputString, x, y, width) {
   ctx.fillStyle = '#f5f5f5';
-  ctx.fillRect(x, y, 900, 80);
+  ctx.fillRect(x, y, width, 80);
   ctx.strokeStyle = '#ddd';
   ctx.lineWidth = 1;
-  ctx.strokeRect(x, y, 900, 80);
+  ctx.strokeRect(x, y, width, 80);
 
   ctx.fillStyle = 'black';
   ctx.font = 'bold 14px Arial';
@@ -625,7 +1273,7 @@ export async function cleanupTempImages() {
     const fiveMinutesAgo = Date.now() - (5 * 60 * 1000);
 
     for (const file of files) {
-      if (file.endsWith('.png')) {
+      if (file.endsWith('.png') || file.endsWith('.svg') || file.endsWith('.gif')) {
         const filepath = path.join(tempDir, file);
         const stats = await fs.stat(filepath);
 
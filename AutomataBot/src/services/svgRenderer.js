@@ -0,0 +1,101 @@
+// ===============================================
+// SVG DIAGRAM RENDERER
+// ===============================================
+// Pure JavaScript renderer that draws the layered layout of an automaton
+// (see algorithms/stateLayout.js) as an SVG document. The document is sized to
+// the layout, so large automata stay readable, and the SVG can be rasterized
+// at any resolution (see generateAutomatonDiagram).
+
+import { layoutAutomaton } from '../algorithms/stateLayout.js';
+
+const STATE_RADIUS = 24;
+const TITLE_HEIGHT = 50;
+
+/**
+ * Escape text for SVG
+ */
+function escapeSVG(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Draw one routed transition edge with its label
+ */
+function renderEdge(edge) {
+  const f = point => `${point.x.toFixed(1)} ${point.y.toFixed(1)}`;
+  const d = edge.loop
+    ? `M ${f(edge.start)} C ${f(edge.control1)}, ${f(edge.control2)}, ${f(edge.end)}`
+    : `M ${f(edge.start)} Q ${f(edge.control)} ${f(edge.end)}`;
+
+  return [
+    `<path d="${d}" class="edge" marker-end="url(#arrow)"/>`,
+    `<text x="${edge.labelPosition.x.toFixed(1)}" y="${(edge.labelPosition.y + 4).toFixed(1)}" class="label">${escapeSVG(edge.label)}</text>`
+  ].join('\n  ');
+}
+
+/**
+ * Draw one state with its start arrow and final ring
+ */
+function renderState(state, pos, isStart, isFinal) {
+  const parts = [];
+  if (isStart) {
+    parts.push(`<line x1="${pos.x - STATE_RADIUS - 35}" y1="${pos.y}" x2="${pos.x - STATE_RADIUS - 2}" y2="${pos.y}" class="start" marker-end="url(#start-arrow)"/>`);
+  }
+  parts.push(`<circle cx="${pos.x}" cy="${pos.y}" r="${STATE_RADIUS}" class="${isStart ? 'state start-state' : 'state'}"/>`);
+  if (isFinal) {
+    parts.push(`<circle cx="${pos.x}" cy="${pos.y}" r="${STATE_RADIUS - 4}" class="final"/>`);
+  }
+  parts.push(`<text x="${pos.x}" y="${pos.y + 4}" class="name">${escapeSVG(state)}</text>`);
+  return parts.join('\n  ');
+}
+
+/**
+ * Render an automaton as an SVG document
+ * @param {Object} fa - Finite automaton
+ * @param {Object} options - { title }
+ * @returns {Object} { svg, width, height }
+ */
+export function renderAutomatonSVG(fa, options = {}) {
+  const { title = 'Finite Automaton' } = options;
+  const layout = layoutAutomaton(fa, { stateRadius: STATE_RADIUS });
+  const width = Math.max(400, layout.width);
+  const height = layout.height + TITLE_HEIGHT;
+  const offsetX = (width - layout.width) / 2;
+
+  const svg = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    '<defs>',
+    '  <marker id="arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="8" markerHeight="8" orient="auto"><path d="M 0 0 L 10 5 L 0 10 z" fill="#666"/></marker>',
+    '  <marker id="start-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="8" markerHeight="8" orient="auto"><path d="M 0 0 L 10 5 L 0 10 z" fill="#FF9800"/></marker>',
+    '  <style>',
+    '    .edge { fill: none; stroke: #666; stroke-width: 1.5; }',
+    '    .label { font: bold 13px Arial, sans-serif; fill: #333; text-anchor: middle; paint-order: stroke; stroke: white; stroke-width: 4px; }',
+    '    .state { fill: #E3F2FD; stroke: #2196F3; stroke-width: 2; }',
+    '    .start-state { fill: #FFF3E0; stroke: #FF9800; }',
+    '    .final { fill: none; stroke: #4CAF50; stroke-width: 2; }',
+    '    .start { stroke: #FF9800; stroke-width: 2; }',
+    '    .name { font: bold 13px Arial, sans-serif; text-anchor: middle; }',
+    '    .title { font: bold 18px Arial, sans-serif; fill: #2196F3; text-anchor: middle; }',
+    '  </style>',
+    '</defs>',
+    `<rect width="${width}" height="${height}" fill="white"/>`,
+    `<text x="${width / 2}" y="32" class="title">${escapeSVG(title)}</text>`,
+    `<g transform="translate(${offsetX} ${TITLE_HEIGHT})">`
+  ];
+
+  for (const edge of layout.edges) {
+    svg.push(`  ${renderEdge(edge)}`);
+  }
+
+  for (const state of fa.states) {
+    if (!layout.positions[state]) continue;
+    svg.push(`  ${renderState(state, layout.positions[state], state === fa.startState, fa.finalStates.includes(state))}`);
+  }
+
+  svg.push('</g>', '</svg>');
+  return { svg: svg.join('\n'), width, height };
+}
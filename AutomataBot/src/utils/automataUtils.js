@@ -6,8 +6,63 @@
 // 2. 🔍 checkFAType - Determine DFA vs NFA classification (Feature 3)
 // 3. 🧪 simulateFA - String simulation on automata (Feature 2)
 // 4. 🔄 nfaToDfa - Subset construction algorithm (Feature 4)
+// 5. ε epsilonClosure / moveStates - Epsilon-NFA support shared by simulation and conversion
 // These functions provide the core computational engine for all automata operations.
 
+import { parseAutomaton, lineSection } from './automatonParser.js';
+import { EPSILON, isEpsilonSymbol } from './epsilon.js';
+
+// Epsilon symbols live in a leaf module so the parser can use them without
+// importing this file; they are re-exported here for the algorithms.
+export { EPSILON, isEpsilonSymbol };
+
+/**
+ * Compute the epsilon closure of a set of states
+ * Follows epsilon transitions repeatedly until no new states are found.
+ * 
+ * @param {Object} fa - Finite automaton structure
+ * @param {Iterable<string>} stateSet - States to close over
+ * @returns {Array<string>} Sorted list of states reachable using only epsilon transitions
+ */
+export function epsilonClosure(fa, stateSet) {
+  const { alphabet = [], transitions } = fa;
+  const closure = new Set(stateSet);
+  const stack = [...closure];
+  
+  while (stack.length > 0) {
+    const state = stack.pop();
+    for (const t of transitions) {
+      if (t.from === state && isEpsilonSymbol(t.symbol, alphabet) && !closure.has(t.to)) {
+        closure.add(t.to);
+        stack.push(t.to);
+      }
+    }
+  }
+  
+  return Array.from(closure).sort();
+}
+
+/**
+ * Compute the states reachable from a set of states on one input symbol
+ * This is the textbook move(T, a) - no epsilon closure is applied.
+ * 
+ * @param {Object} fa - Finite automaton structure
+ * @param {Iterable<string>} stateSet - Current states
+ * @param {string} symbol - Input symbol
+ * @returns {Array<string>} Sorted list of target states
+ */
+export function moveStates(fa, stateSet, symbol) {
+  const targets = new Set();
+  for (const state of stateSet) {
+    for (const t of fa.transitions) {
+      if (t.from === state && t.symbol === symbol) {
+        targets.add(t.to);
+      }
+    }
+  }
+  return Array.from(targets).sort();
+}
+
 // ===============================================
 // FEATURE 1 CORE: AUTOMATON PARSING
 // ===============================================
@@ -29,40 +84,50 @@
  * Start: q0
  * Final: q2
  * 
+ * Epsilon transitions may be written with ε, eps, e or an empty symbol
+ * (e.g. "q0,ε,q1" or "q0,,q1") and are normalized to EPSILON.
+ * 
+ * This is the best-effort form of parseAutomaton (see automatonParser.js),
+ * which accepts keyword variants such as "Σ:" or "δ(q0,a)=q1" and reports
+ * every problem with its line number. Use parseAutomaton directly whenever
+ * the diagnostics should reach the user.
+ * 
  * @param {string} text - Input text from user
  * @returns {Object} Parsed automaton with {states, alphabet, transitions, startState, finalStates}
  */
 export function parseDFAInput(text) {
-  // Initialize automaton components
+  return parseAutomaton(text).automaton;
+}
+
+/**
+ * Split a message holding several automaton definitions
+ * Definitions may be separated by a line of dashes (---); otherwise every
+ * States line ("States:", "Q =", ...) starts a new definition.
+ * 
+ * @param {string} text - Input text from user
+ * @returns {Array<string>} Individual definitions in parseDFAInput format
+ */
+export function splitAutomataDefinitions(text) {
   const lines = text.split('\n');
-  let states = [], alphabet = [], transitions = [], startState = '', finalStates = [];
+  const definitions = [];
+  const hasSeparator = lines.some(line => /^\s*-{3,}\s*$/.test(line));
+  let current = [];
   
-  // Parse each line of the input
-  for (let line of lines) {
-    if (line.startsWith('States:')) {
-      // Extract and clean state names
-      states = line.replace('States:', '').split(',').map(s => s.trim());
-    } else if (line.startsWith('Alphabet:')) {
-      // Extract alphabet symbols
-      alphabet = line.replace('Alphabet:', '').split(',').map(s => s.trim());
-    } else if (line.startsWith('Transitions:')) {
-      // Parse transition definitions from following lines
-      const idx = lines.indexOf(line);
-      for (let t of lines.slice(idx + 1)) {
-        if (t.startsWith('Start:') || t.startsWith('Final:')) break;
-        const [from, symbol, to] = t.split(',').map(s => s.trim());
-        if (from && symbol && to) transitions.push({ from, symbol, to });
-      }
-    } else if (line.startsWith('Start:')) {
-      // Extract start state
-      startState = line.replace('Start:', '').trim();
-    } else if (line.startsWith('Final:')) {
-      // Extract final states
-      finalStates = line.replace('Final:', '').split(',').map(s => s.trim());
+  for (const line of lines) {
+    const isSeparator = hasSeparator
+      ? /^\s*-{3,}\s*$/.test(line)
+      : lineSection(line) === 'states' && current.some(l => lineSection(l) === 'states');
+    
+    if (isSeparator) {
+      definitions.push(current.join('\n'));
+      current = hasSeparator ? [] : [line];
+    } else {
+      current.push(line);
     }
   }
+  definitions.push(current.join('\n'));
   
-  return { states, alphabet, transitions, startState, finalStates };
+  return definitions.filter(definition => definition.trim() !== '');
 }
 
 // ===============================================
@@ -96,6 +161,9 @@ export function checkFAType(fa) {
     transitionMap[state] = {};
   }
   
+  // Any epsilon transition makes the automaton nondeterministic
+  if (transitions.some(t => isEpsilonSymbol(t.symbol, alphabet))) return 'NFA';
+  
   // Populate transition map with actual transitions
   for (const t of transitions) {
     if (!transitionMap[t.from][t.symbol]) {
@@ -132,39 +200,30 @@ export function checkFAType(fa) {
  * - Provides the computational foundation for string testing
  * 
  * Algorithm:
- * 1. Start with initial state in active state set
+ * 1. Start with the epsilon closure of the initial state as the active state set
  * 2. For each input symbol, compute next states from all current states
- * 3. Handle nondeterminism by maintaining set of possible states
- * 4. Accept if any final state is reachable after processing entire string
+ * 3. Extend the next states with their epsilon closure
+ * 4. Handle nondeterminism by maintaining set of possible states
+ * 5. Accept if any final state is reachable after processing entire string
  * 
  * @param {Object} fa - Finite automaton structure
  * @param {string} input - Input string to simulate
  * @returns {boolean} True if string is accepted, false if rejected
  */
 export function simulateFA(fa, input) {
-  const { transitions, startState, finalStates } = fa;
+  const { startState, finalStates } = fa;
   
-  // Initialize simulation with start state
-  let currentStates = new Set([startState]);
+  // Initialize simulation with the epsilon closure of the start state
+  let currentStates = epsilonClosure(fa, [startState]);
   
   // Process each symbol in the input string
   for (const symbol of input) {
-    const nextStates = new Set();
-    
     // For each currently active state, find all possible next states
-    for (const state of currentStates) {
-      for (const t of transitions) {
-        if (t.from === state && t.symbol === symbol) {
-          nextStates.add(t.to);
-        }
-      }
-    }
-    
-    // Update current states for next iteration
-    currentStates = nextStates;
+    // and follow any epsilon transitions from them
+    currentStates = epsilonClosure(fa, moveStates(fa, currentStates, symbol));
     
     // If no states are reachable, the string will be rejected
-    if (currentStates.size === 0) break;
+    if (currentStates.length === 0) break;
   }
   
   // Check if any current state is a final state
@@ -176,6 +235,46 @@ export function simulateFA(fa, input) {
   return false;
 }
 
+/**
+ * Record every step of simulateFA
+ * Returns one entry per consumed symbol (plus the initial configuration) with
+ * the active state set and the transitions taken, so each step can be shown
+ * on its own (e.g. as a frame of the simulation animation).
+ *
+ * @param {Object} fa - Finite automaton structure
+ * @param {string} input - Input string to simulate
+ * @returns {Object} { steps: [{ step, symbol, consumed, activeStates, taken }], accepted }
+ */
+export function traceSimulation(fa, input) {
+  let currentStates = epsilonClosure(fa, [fa.startState]);
+  const steps = [{ step: 0, symbol: null, consumed: '', activeStates: currentStates, taken: [] }];
+
+  const symbols = [...input];
+  for (const [index, symbol] of symbols.entries()) {
+    const taken = fa.transitions.filter(t => currentStates.includes(t.from) && t.symbol === symbol);
+    currentStates = epsilonClosure(fa, moveStates(fa, currentStates, symbol));
+    // Epsilon moves followed inside the new closure
+    taken.push(...fa.transitions.filter(t =>
+      isEpsilonSymbol(t.symbol, fa.alphabet) && currentStates.includes(t.from) && currentStates.includes(t.to)
+    ));
+    steps.push({
+      step: index + 1,
+      symbol,
+      consumed: symbols.slice(0, index + 1).join(''),
+      activeStates: currentStates,
+      taken
+    });
+
+    // Like simulateFA, stop once no state is active
+    if (currentStates.length === 0) break;
+  }
+
+  return {
+    steps,
+    accepted: currentStates.some(state => fa.finalStates.includes(state))
+  };
+}
+
 // ===============================================
 // FEATURE 4 CORE: NFA TO DFA CONVERSION
 // ===============================================
@@ -190,8 +289,9 @@ export function simulateFA(fa, input) {
  * - Forms the algorithmic foundation for NFA processing in other features
  * 
  * Subset Construction Algorithm:
- * 1. Create initial DFA state from NFA start state
- * 2. For each DFA state (set of NFA states), compute transitions
+ * 1. Create initial DFA state from the epsilon closure of the NFA start state
+ * 2. For each DFA state (set of NFA states), compute move() on every symbol
+ *    followed by its epsilon closure
  * 3. Create new DFA states for each unique set of reachable NFA states
  * 4. Mark DFA states as final if they contain any NFA final state
  * 5. Continue until no new DFA states can be created
@@ -200,19 +300,12 @@ export function simulateFA(fa, input) {
  * @returns {Object} Equivalent deterministic finite automaton
  */
 export function nfaToDfa(nfa) {
-  const { alphabet, transitions, startState, finalStates } = nfa;
+  const { startState, finalStates } = nfa;
   
-  const getTargets = (stateSet, symbol) => {
-    const targets = new Set();
-    for (const state of stateSet) {
-      for (const t of transitions) {
-        if (t.from === state && t.symbol === symbol) {
-          targets.add(t.to);
-        }
-      }
-    }
-    return Array.from(targets);
-  };
+  // Epsilon is never an input symbol of the resulting DFA
+  const alphabet = nfa.alphabet.filter(symbol => !isEpsilonSymbol(symbol, nfa.alphabet));
+  
+  const getTargets = (stateSet, symbol) => epsilonClosure(nfa, moveStates(nfa, stateSet, symbol));
   
   const dfaStates = [];
   const dfaTransitions = [];
@@ -220,7 +313,7 @@ export function nfaToDfa(nfa) {
   const stateMap = {};
   let queue = [];
   
-  const startSet = [startState];
+  const startSet = epsilonClosure(nfa, [startState]);
   queue.push(startSet);
   stateMap[startSet.join(',')] = 'Q0';
   dfaStates.push('Q0');
@@ -235,7 +328,7 @@ export function nfaToDfa(nfa) {
       const targetSet = getTargets(currentSet, symbol);
       if (targetSet.length === 0) continue;
       
-      const key = targetSet.sort().join(',');
+      const key = targetSet.join(',');
       if (!stateMap[key]) {
         stateMap[key] = `Q${stateCount++}`;
         dfaStates.push(stateMap[key]);
@@ -0,0 +1,858 @@
+// ===============================================
+// AUTOMATON DEFINITION PARSER
+// ===============================================
+// Tokenizing, validating parser for the text format used across the bot:
+//
+//   States: q0,q1,q2          (also "Q = {q0, q1, q2}")
+//   Alphabet: 0,1             (also "Σ:", "Sigma =", "Symbols:")
+//   Transitions:              (also "δ:", "Delta:")
+//   q0,0,q1                   (also "q0 0 q1", "q0 -0-> q1", "δ(q0,0)=q1", "δ(q0,0)={q1,q2}")
+//   Start: q0                 (also "Initial state:")
+//   Final: q2                 (also "F = {q2}", "Accept:")
+//
+// Keywords are case-insensitive and accept ":" or "=". Lines starting with
+// "#" or "//" are comments. A transition table may be pasted instead (see
+// TRANSITION TABLE FORMAT). Every problem is reported with its line number,
+// column and a caret excerpt instead of being silently dropped.
+
+import { EPSILON, isEpsilonSymbol } from './epsilon.js';
+
+// ===============================================
+// KEYWORDS AND TOKENS
+// ===============================================
+
+/**
+ * Accepted spellings of each section keyword (lower case)
+ * The PDA, Turing machine and transducer formats reuse the shared sections.
+ */
+export const SECTION_KEYWORDS = {
+  states: ['states', 'state', 'q', 'set of states'],
+  alphabet: ['alphabet', 'σ', 'sigma', 'symbols', 'input alphabet', 'inputs', 'input symbols'],
+  transitions: ['transitions', 'transition', 'δ', 'delta', 'transition function'],
+  start: ['start', 'start state', 'initial', 'initial state', 's'],
+  final: ['final', 'finals', 'final states', 'final state', 'accept', 'accepting', 'accept states', 'accepting states', 'f']
+};
+
+/**
+ * Index section keywords by spelling
+ * @param {Object} sectionKeywords - Section → accepted spellings (lower case)
+ * @returns {Map<string, string>} Spelling → section
+ */
+export function keywordIndex(sectionKeywords) {
+  return new Map(
+    Object.entries(sectionKeywords).flatMap(([section, words]) => words.map(word => [word, section]))
+  );
+}
+
+const KEYWORD_TO_SECTION = keywordIndex(SECTION_KEYWORDS);
+
+/** Display names used in messages */
+const SECTION_NAMES = {
+  states: 'States',
+  alphabet: 'Alphabet',
+  transitions: 'Transitions',
+  start: 'Start',
+  final: 'Final'
+};
+
+/** Function names that may prefix a transition written as δ(q, a) = p */
+const DELTA_NAMES = ['δ', 'd', 'delta'];
+
+/** Spelling of the empty set in Final or a transition target ("{}" also works) */
+const EMPTY_SET_WORDS = ['∅'];
+
+const PUNCTUATION = {
+  ',': 'COMMA',
+  ';': 'SEMICOLON',
+  '(': 'LPAREN',
+  ')': 'RPAREN',
+  '{': 'LBRACE',
+  '}': 'RBRACE',
+  ':': 'COLON'
+};
+
+/**
+ * Split one line into tokens with 1-based columns
+ * Token types: WORD, COMMA, SEMICOLON, LPAREN, RPAREN, LBRACE, RBRACE,
+ * COLON, EQUALS, ARROW (->, -->, =>, →) and DASH (a run of "-" not ending
+ * in ">" that starts a token, as in "q0 -a-> q1" or a lone "-"). A hyphen
+ * inside a word ("end-1") stays part of the WORD.
+ */
+export function tokenizeLine(line) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < line.length) {
+    const char = line[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (PUNCTUATION[char]) {
+      tokens.push({ type: PUNCTUATION[char], text: char, column: i + 1 });
+      i++;
+    } else if (char === '→') {
+      tokens.push({ type: 'ARROW', text: char, column: i + 1 });
+      i++;
+    } else if (char === '=') {
+      const isArrow = line[i + 1] === '>';
+      tokens.push({ type: isArrow ? 'ARROW' : 'EQUALS', text: isArrow ? '=>' : '=', column: i + 1 });
+      i += isArrow ? 2 : 1;
+    } else if (char === '-') {
+      let end = i;
+      while (line[end] === '-') end++;
+      if (line[end] === '>') {
+        tokens.push({ type: 'ARROW', text: line.slice(i, end + 1), column: i + 1 });
+        i = end + 1;
+      } else {
+        tokens.push({ type: 'DASH', text: line.slice(i, end), column: i + 1 });
+        i = end;
+      }
+    } else {
+      let end = i;
+      while (end < line.length && !/\s/.test(line[end]) && !PUNCTUATION[line[end]] && !'→='.includes(line[end])) {
+        if (line[end] === '-') {
+          let dashes = end;
+          while (line[dashes] === '-') dashes++;
+          if (line[dashes] === '>') break;
+          end = dashes;
+        } else {
+          end++;
+        }
+      }
+      tokens.push({ type: 'WORD', text: line.slice(i, end), column: i + 1 });
+      i = end;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Recognize a section header ("States:", "Q =", "Final states:" ...)
+ * @param {Array<Object>} tokens - Tokens of one line
+ * @param {Map<string, string>} keywordToSection - The format's keywords (see keywordIndex)
+ * @param {number} maxKeywordWords - Number of words in the longest keyword
+ * @returns {Object|null} { section, keyword, valueTokens, keywordTokens } or
+ *   { unknown: true, keywordTokens } for an unrecognized "Word:" header
+ */
+export function readHeader(tokens, keywordToSection = KEYWORD_TO_SECTION, maxKeywordWords = 3) {
+  const separator = tokens.findIndex(t => t.type === 'COLON' || t.type === 'EQUALS');
+  if (separator <= 0 || separator > maxKeywordWords) return null;
+
+  const keywordTokens = tokens.slice(0, separator);
+  if (!keywordTokens.every(t => t.type === 'WORD')) return null;
+
+  const keyword = keywordTokens.map(t => t.text.toLowerCase()).join(' ');
+  const section = keywordToSection.get(keyword);
+  if (!section) {
+    // "q0 = q1" style lines are not headers; only "Word:" is an unknown keyword
+    return tokens[separator].type === 'COLON' ? { unknown: true, keywordTokens } : null;
+  }
+
+  return { section, keyword, keywordTokens, valueTokens: tokens.slice(separator + 1) };
+}
+
+/**
+ * Find the section a line starts, if any
+ * Used to split messages that hold several definitions.
+ * @param {string} line - One line of input
+ * @returns {string|null} 'states', 'alphabet', 'transitions', 'start', 'final' or null
+ */
+export function lineSection(line) {
+  const header = readHeader(tokenizeLine(line));
+  return header && !header.unknown ? header.section : null;
+}
+
+// ===============================================
+// DIAGNOSTICS
+// ===============================================
+
+/**
+ * Create a diagnostic pointing at a token (or the whole line)
+ */
+export function makeDiagnostic(severity, message, lineNumber = null, lineText = '', token = null) {
+  const diagnostic = { severity, message, line: lineNumber, column: null, excerpt: null };
+
+  if (lineNumber !== null) {
+    const column = token ? token.column : 1;
+    const length = token ? Math.max(1, token.text.length) : Math.max(1, lineText.trimEnd().length);
+    diagnostic.column = column;
+    diagnostic.excerpt = `${lineText.replace(/\t/g, ' ')}\n${' '.repeat(column - 1)}${'^'.repeat(length)}`;
+  }
+
+  return diagnostic;
+}
+
+/**
+ * Format diagnostics for a chat message
+ * Each entry shows "Line N, column C: message" followed by the source line
+ * and a caret under the offending token in a code block.
+ * @param {Array<Object>} diagnostics - Errors or warnings from parseAutomaton
+ * @param {number} maxEntries - Maximum number of entries to show
+ * @returns {string} Human readable report
+ */
+export function formatDiagnostics(diagnostics, maxEntries = 5) {
+  const shown = diagnostics.slice(0, maxEntries).map(d => {
+    if (d.line === null) return `• ${d.message}`;
+    return `• Line ${d.line}, column ${d.column}: ${d.message}\n\`\`\`\n${d.excerpt}\n\`\`\``;
+  });
+
+  if (diagnostics.length > maxEntries) {
+    shown.push(`... and ${diagnostics.length - maxEntries} more`);
+  }
+
+  return shown.join('\n');
+}
+
+// ===============================================
+// LINE PARSERS
+// ===============================================
+
+/**
+ * Read a set of names: "q0,q1", "q0 q1" or "{q0, q1}"
+ * @returns {Object} { items: Array<token>, error: {token, message} | null }
+ */
+export function readNameList(tokens) {
+  let list = tokens;
+  if (list[0]?.type === 'LBRACE') {
+    if (list[list.length - 1]?.type !== 'RBRACE') {
+      return { items: [], error: { token: list[0], message: 'Missing closing "}"' } };
+    }
+    list = list.slice(1, -1);
+  }
+
+  const items = [];
+  for (const token of list) {
+    if (token.type === 'COMMA') continue;
+    if (token.type === 'WORD' || token.type === 'DASH') {
+      if (!EMPTY_SET_WORDS.includes(token.text)) items.push(token);
+      continue;
+    }
+    return { items, error: { token, message: `Unexpected "${token.text}" in list` } };
+  }
+
+  return { items, error: null };
+}
+
+/**
+ * Names from a list section in order, without repeats
+ * @param {Array<Object>} items - Name tokens from readNameList
+ * @param {string} what - Kind of name for the warning ("State", "Symbol", ...)
+ * @param {Function} warn - Called as warn(message, token) for a name listed twice
+ * @param {Function} skip - Names to leave out of the list (e.g. ε in an alphabet)
+ * @returns {Array<string>} The distinct names
+ */
+export function uniqueNames(items, what, warn, skip = () => false) {
+  const names = [];
+  for (const token of items) {
+    if (skip(token.text)) continue;
+    if (names.includes(token.text)) {
+      warn(`${what} "${token.text}" is listed twice`, token);
+    } else {
+      names.push(token.text);
+    }
+  }
+  return names;
+}
+
+/**
+ * Read one transition from its tokens
+ * Forms: from,symbol,to | from symbol to | from -symbol-> to |
+ *        δ(from,symbol) = to | (from,symbol) -> to, where "to" may be a set {p,q}.
+ * An empty symbol (q0,,q1) is an epsilon transition.
+ * @returns {Object} { from, symbols, targets } as tokens, or { error: {token, message} }
+ */
+function readTransition(tokens) {
+  let i = 0;
+  const fail = (message, token = tokens[i] || tokens[tokens.length - 1]) => ({ error: { token, message } });
+  const isSymbolToken = t => t && (t.type === 'WORD' || t.type === 'DASH');
+
+  const readTargets = () => {
+    const rest = tokens.slice(i);
+    if (rest.length === 0) return fail('Missing target state');
+    if (rest.length === 1 && rest[0].type === 'WORD') {
+      return { targets: EMPTY_SET_WORDS.includes(rest[0].text) ? [] : [rest[0]] };
+    }
+    if (rest[0].type !== 'LBRACE') return fail('Expected a single target state or a set {p,q}', rest[1] || rest[0]);
+    const { items, error } = readNameList(rest);
+    if (error) return { error };
+    return { targets: items };
+  };
+
+  // δ(from,symbol) = to  or  (from,symbol) -> to
+  if (tokens[0]?.type === 'WORD' && DELTA_NAMES.includes(tokens[0].text.toLowerCase()) && tokens[1]?.type === 'LPAREN') {
+    i = 1;
+  }
+  if (tokens[i]?.type === 'LPAREN') {
+    i++;
+    const from = tokens[i];
+    if (from?.type !== 'WORD') return fail('Expected a state name');
+    i++;
+    if (tokens[i]?.type !== 'COMMA') return fail('Expected "," between state and symbol');
+    i++;
+    let symbol = { type: 'WORD', text: '', column: tokens[i - 1].column };
+    if (isSymbolToken(tokens[i])) symbol = tokens[i++];
+    if (tokens[i]?.type !== 'RPAREN') return fail('Expected ")"');
+    i++;
+    if (tokens[i]?.type !== 'EQUALS' && tokens[i]?.type !== 'ARROW') return fail('Expected "=" after δ(state, symbol)');
+    i++;
+    const result = readTargets();
+    return result.error ? result : { from, symbols: [symbol], targets: result.targets };
+  }
+
+  const from = tokens[0];
+  if (from?.type !== 'WORD') return fail('Expected a state name', from);
+
+  // from -symbol-> to  (several symbols may be listed: q0 -a,b-> q1)
+  if (tokens.some(t => t.type === 'ARROW')) {
+    i = 1;
+    const symbols = [];
+    if (tokens[i]?.type === 'DASH') i++;
+    while (isSymbolToken(tokens[i])) {
+      symbols.push(tokens[i++]);
+      if (tokens[i]?.type === 'COMMA') i++;
+    }
+    if (tokens[i]?.type !== 'ARROW') return fail('Expected "->" after the symbol');
+    if (symbols.length === 0) return fail('Missing symbol before the arrow (write ε for an empty move)');
+    i++;
+    const result = readTargets();
+    return result.error ? result : { from, symbols, targets: result.targets };
+  }
+
+  // from,symbol,to
+  if (tokens.some(t => t.type === 'COMMA')) {
+    const parts = [[]];
+    for (const token of tokens) {
+      if (token.type === 'COMMA') parts.push([]);
+      else parts[parts.length - 1].push(token);
+    }
+    if (parts.length !== 3) {
+      const extra = tokens.filter(t => t.type === 'COMMA')[2] || tokens[tokens.length - 1];
+      return fail(`Expected 3 comma-separated parts (from,symbol,to) but found ${parts.length}`, extra);
+    }
+    const [fromPart, symbolPart, toPart] = parts;
+    if (fromPart.length !== 1 || fromPart[0].type !== 'WORD') return fail('Expected a single source state', fromPart[1] || fromPart[0] || tokens[0]);
+    if (symbolPart.length > 1 || (symbolPart.length === 1 && !isSymbolToken(symbolPart[0]))) {
+      return fail('Expected a single symbol', symbolPart[1] || symbolPart[0]);
+    }
+    if (toPart.length !== 1 || toPart[0].type !== 'WORD') {
+      return fail(toPart.length === 0 ? 'Missing target state' : 'Expected a single target state', toPart[1] || toPart[0] || tokens[tokens.length - 1]);
+    }
+    const commaColumn = tokens.find(t => t.type === 'COMMA').column;
+    const symbol = symbolPart[0] || { type: 'WORD', text: '', column: commaColumn };
+    return { from: fromPart[0], symbols: [symbol], targets: [toPart[0]] };
+  }
+
+  // from symbol to
+  if (tokens.length === 3 && isSymbolToken(tokens[1]) && tokens[2].type === 'WORD') {
+    return { from, symbols: [tokens[1]], targets: [tokens[2]] };
+  }
+
+  return fail('Cannot read this transition; use from,symbol,to or δ(from,symbol)=to', tokens[Math.min(tokens.length - 1, 3)]);
+}
+
+// ===============================================
+// TRANSITION TABLE FORMAT
+// ===============================================
+// Textbook style tables are accepted as an alternative to the keyword format:
+//
+//        |  0   |  1
+//   → q0 |  q1  |  q0
+//   * q1 |  q1  | {q0,q2}
+//     q2 |  -   |  ∅
+//
+// The header row lists the input symbols (an ε column is allowed), "→" marks
+// the start state and "*" marks final states. Cells hold one state, a set
+// {p,q} for NFAs, or "-"/"∅" for no transition. Columns may be separated by
+// "|" or by whitespace.
+
+/** Start-state markers allowed in front of a row's state */
+const START_MARKERS = ['→', '->', '>'];
+
+/** Cells that mean "no transition" */
+const EMPTY_CELLS = ['-', '—', '–', '∅', '{}'];
+
+/**
+ * Split a table row into cells with their 1-based columns
+ * Braces are kept together so "{q1, q2}" stays one cell.
+ */
+function splitTableRow(line, usePipes) {
+  const cells = [];
+  let current = '';
+  let start = null;
+  let depth = 0;
+
+  const flush = () => {
+    if (usePipes || current.trim() !== '') {
+      const leading = current.length - current.trimStart().length;
+      cells.push({ text: current.trim(), column: (start ?? 0) + leading + 1 });
+    }
+    current = '';
+    start = null;
+  };
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '{') depth++;
+    if (char === '}') depth = Math.max(0, depth - 1);
+
+    const isSeparator = depth === 0 && (usePipes ? char === '|' : /\s/.test(char));
+    if (isSeparator) {
+      flush();
+    } else {
+      if (start === null) start = i;
+      current += char;
+    }
+  }
+  flush();
+
+  // "| a | b |" leaves empty cells outside the outer pipes
+  if (usePipes) {
+    if (cells.length > 0 && cells[0].text === '' && line.trimStart().startsWith('|')) cells.shift();
+    if (cells.length > 0 && cells[cells.length - 1].text === '' && line.trimEnd().endsWith('|')) cells.pop();
+  }
+
+  return cells;
+}
+
+/**
+ * Separate the →/* markers from the state name in a row's first cell
+ */
+function readRowLabel(cell) {
+  let text = cell.text;
+  let column = cell.column;
+  let isStart = false;
+  let isFinal = false;
+
+  for (;;) {
+    const marker = START_MARKERS.find(m => text.startsWith(m));
+    if (marker) {
+      isStart = true;
+    } else if (text.startsWith('*')) {
+      isFinal = true;
+    } else {
+      break;
+    }
+    const length = marker ? marker.length : 1;
+    const rest = text.slice(length);
+    column += length + (rest.length - rest.trimStart().length);
+    text = rest.trimStart();
+  }
+
+  return { state: text, column, isStart, isFinal };
+}
+
+/**
+ * Decide whether a definition is written as a transition table
+ * Tables have no keyword lines and use "|" columns or →/* row markers.
+ */
+function looksLikeTransitionTable(lines) {
+  const rows = lines.filter(line => line.trim() !== '' && !line.trim().startsWith('#'));
+  if (rows.length < 2 || rows.some(line => lineSection(line))) return false;
+
+  return rows.some(line => line.includes('|')) ||
+    rows.some(line => /^\s*(→|->|>|\*)/.test(line));
+}
+
+/**
+ * Parse a transition table into the shared automaton model
+ * @param {Array<string>} lines - Input lines
+ * @returns {Object} Same result shape as parseAutomaton
+ */
+function parseTransitionTable(lines) {
+  const errors = [];
+  const warnings = [];
+  const usePipes = lines.some(line => line.includes('|'));
+
+  const diagnostic = (severity, message, lineIndex, cell = null) =>
+    makeDiagnostic(severity, message, lineIndex + 1, lines[lineIndex], cell ? { column: cell.column, text: cell.text } : null);
+
+  const rows = [];
+  lines.forEach((line, lineIndex) => {
+    if (line.trim() === '' || line.trim().startsWith('#')) return;
+    const cells = splitTableRow(line, usePipes);
+    // Markdown alignment rows such as |---|:---:|
+    if (cells.length > 0 && cells.every(cell => /^:?-{2,}:?$/.test(cell.text))) return;
+    rows.push({ lineIndex, cells });
+  });
+
+  const [headerRow, ...dataRows] = rows;
+
+  // Whitespace tables may put the marker apart from the state: "→ q0 q1 q0"
+  if (!usePipes) {
+    for (const row of dataRows) {
+      while (row.cells.length > 1 && /^(→|->|>|\*)+$/.test(row.cells[0].text)) {
+        const [marker, next] = row.cells;
+        row.cells.splice(0, 2, { text: `${marker.text}${next.text}`, column: marker.column });
+      }
+    }
+  }
+
+  // The header may start with a corner label (δ, State, ...) or leave it out
+  const width = dataRows[0]?.cells.length ?? 0;
+  let symbolCells = headerRow.cells;
+  if (symbolCells.length === width) {
+    symbolCells = symbolCells.slice(1);
+  } else if (symbolCells.length !== width - 1) {
+    errors.push(diagnostic('error', `Header has ${symbolCells.length} columns but the first row has ${width}`, headerRow.lineIndex));
+    return finishParse({ states: [], alphabet: [], transitions: [], startState: '', finalStates: [] }, errors, warnings);
+  }
+
+  const columnSymbols = symbolCells.map(cell => cell.text);
+  const epsilonColumns = columnSymbols.map(symbol => isEpsilonSymbol(symbol, columnSymbols));
+  const alphabet = [];
+  symbolCells.forEach((cell, index) => {
+    if (epsilonColumns[index]) return;
+    if (alphabet.includes(cell.text)) {
+      errors.push(diagnostic('error', `Symbol "${cell.text}" has two columns`, headerRow.lineIndex, cell));
+    } else {
+      alphabet.push(cell.text);
+    }
+  });
+
+  // First pass: row labels give the states, start and final states
+  const states = [];
+  const finalStates = [];
+  const starts = [];
+  for (const row of dataRows) {
+    const label = readRowLabel(row.cells[0]);
+    row.label = label;
+    const labelCell = { column: label.column, text: label.state };
+
+    if (label.state === '') {
+      errors.push(diagnostic('error', 'Missing state name', row.lineIndex, row.cells[0]));
+      continue;
+    }
+    if (states.includes(label.state)) {
+      errors.push(diagnostic('error', `State "${label.state}" has two rows`, row.lineIndex, labelCell));
+      continue;
+    }
+    states.push(label.state);
+    if (label.isStart) starts.push({ row, labelCell });
+    if (label.isFinal) finalStates.push(label.state);
+  }
+
+  let startState = dataRows[0]?.label.state ?? '';
+  if (starts.length === 0) {
+    warnings.push(makeDiagnostic('warning', `No row is marked with →, so the first state ${startState} is the start state`));
+  } else {
+    startState = starts[0].row.label.state;
+    for (const extra of starts.slice(1)) {
+      errors.push(diagnostic('error', 'Only one start state is allowed', extra.row.lineIndex, extra.labelCell));
+    }
+  }
+
+  // Second pass: cells give the transitions
+  const transitions = [];
+  for (const row of dataRows) {
+    if (row.cells.length !== symbolCells.length + 1) {
+      errors.push(diagnostic('error', `Expected ${symbolCells.length + 1} columns but found ${row.cells.length}`, row.lineIndex));
+      continue;
+    }
+
+    row.cells.slice(1).forEach((cell, index) => {
+      if (EMPTY_CELLS.includes(cell.text) || cell.text === '') return;
+
+      const inner = cell.text.startsWith('{') && cell.text.endsWith('}') ? cell.text.slice(1, -1) : cell.text;
+      const targets = inner.split(',').map(target => target.trim()).filter(Boolean);
+      const symbol = epsilonColumns[index] ? EPSILON : columnSymbols[index];
+
+      for (const target of targets) {
+        if (!states.includes(target)) {
+          errors.push(diagnostic('error', `Target state "${target}" has no row in the table`, row.lineIndex, cell));
+          continue;
+        }
+        transitions.push({ from: row.label.state, symbol, to: target });
+      }
+    });
+  }
+
+  return finishParse({ states, alphabet, transitions, startState, finalStates }, errors, warnings);
+}
+
+// ===============================================
+// MAIN PARSER
+// ===============================================
+
+/**
+ * Parse and validate an automaton definition
+ *
+ * Transition tables (see above) are detected and parsed separately.
+ *
+ * Pass 1 tokenizes every line, reads section headers and transitions and
+ * records syntax errors. Pass 2 checks the references once all sections are
+ * known (declared states, alphabet symbols, start and final states), so the
+ * sections may appear in any order.
+ *
+ * @param {string} text - Automaton definition
+ * @param {Object} options - { allowProse }: skip lines that are not part of the
+ *   definition and ignore Markdown decoration (used for AI generated text)
+ * @returns {Object} { success, automaton, errors, warnings, error } where error is
+ *   the formatted report when success is false
+ */
+export function parseAutomaton(text, options = {}) {
+  const { allowProse = false } = options;
+  const lines = String(text ?? '').split('\n');
+
+  // Pasted textbook tables are detected automatically
+  if (!allowProse && looksLikeTransitionTable(lines)) {
+    return parseTransitionTable(lines);
+  }
+
+  const errors = [];
+  const warnings = [];
+  const sections = {};
+  const transitionEntries = [];
+  let inTransitions = false;
+
+  const error = (message, lineIndex = null, token = null) =>
+    errors.push(makeDiagnostic('error', message, lineIndex === null ? null : lineIndex + 1, lines[lineIndex] ?? '', token));
+  const warning = (message, lineIndex = null, token = null) =>
+    warnings.push(makeDiagnostic('warning', message, lineIndex === null ? null : lineIndex + 1, lines[lineIndex] ?? '', token));
+
+  const addTransitions = (tokens, lineIndex) => {
+    // Several transitions may share a line when separated by ";"
+    let group = [];
+    for (const token of [...tokens, { type: 'SEMICOLON' }]) {
+      if (token.type !== 'SEMICOLON') {
+        group.push(token);
+        continue;
+      }
+      if (group.length > 0) {
+        const transition = readTransition(group);
+        if (transition.error) {
+          if (!allowProse) error(transition.error.message, lineIndex, transition.error.token);
+        } else {
+          transitionEntries.push({ ...transition, lineIndex });
+        }
+      }
+      group = [];
+    }
+  };
+
+  // Pass 1: syntax
+  lines.forEach((rawLine, lineIndex) => {
+    let line = rawLine;
+    if (allowProse) {
+      // Blank out Markdown decoration without shifting columns
+      line = line.replace(/\*\*|__|`/g, match => ' '.repeat(match.length)).replace(/^(\s*)([-*•]|\d+\.)\s/, (match) => ' '.repeat(match.length));
+    }
+
+    const trimmed = line.trim();
+    if (trimmed === '' || trimmed.startsWith('#') || trimmed.startsWith('//')) return;
+
+    const tokens = tokenizeLine(line);
+    const header = readHeader(tokens);
+
+    if (header?.unknown) {
+      if (!allowProse) {
+        const keyword = header.keywordTokens.map(t => t.text).join(' ');
+        error(`Unknown keyword "${keyword}". Expected States, Alphabet, Transitions, Start or Final`, lineIndex,
+          { column: header.keywordTokens[0].column, text: keyword });
+      }
+      inTransitions = false;
+      return;
+    }
+
+    if (header) {
+      const { section, keywordTokens, valueTokens } = header;
+      inTransitions = section === 'transitions';
+
+      if (sections[section]) {
+        error(`${SECTION_NAMES[section]} is defined twice (first on line ${sections[section].lineIndex + 1})`, lineIndex, keywordTokens[0]);
+        return;
+      }
+
+      if (section === 'transitions') {
+        sections.transitions = { lineIndex };
+        addTransitions(valueTokens, lineIndex);
+        return;
+      }
+
+      const { items, error: listError } = readNameList(valueTokens);
+      if (listError) {
+        error(listError.message, lineIndex, listError.token);
+      }
+      sections[section] = { lineIndex, items };
+
+      if (section === 'start' && items.length > 1) {
+        error('Only one start state is allowed', lineIndex, items[1]);
+      }
+      return;
+    }
+
+    // δ(q,a)=p and q -a-> p are recognizable anywhere; other lines must be inside Transitions
+    const isSelfDescribing = tokens[0]?.type === 'LPAREN' ||
+      (DELTA_NAMES.includes(tokens[0]?.text.toLowerCase()) && tokens[1]?.type === 'LPAREN') ||
+      tokens.some(t => t.type === 'ARROW');
+    if (inTransitions || isSelfDescribing) {
+      addTransitions(tokens, lineIndex);
+      return;
+    }
+
+    if (!allowProse) {
+      error('Unexpected line. Transitions must follow a "Transitions:" line', lineIndex);
+    }
+  });
+
+  // Pass 2: references
+  for (const section of ['states', 'alphabet', 'start']) {
+    if (!sections[section]) {
+      error(`Missing "${SECTION_NAMES[section]}:" line`);
+    }
+  }
+  if (!sections.final) {
+    warning('No "Final:" line, so the automaton accepts nothing');
+  }
+
+  const states = uniqueNames(sections.states?.items || [], 'State',
+    (message, token) => warning(message, sections.states.lineIndex, token));
+
+  // A listed "e" is a letter; only ε/eps/epsilon are dropped from the alphabet
+  const alphabet = uniqueNames(sections.alphabet?.items || [], 'Symbol',
+    (message, token) => warning(message, sections.alphabet.lineIndex, token),
+    name => isEpsilonSymbol(name, ['e']));
+
+  const checkState = (token, role, lineIndex) => {
+    if (sections.states && !states.includes(token.text)) {
+      error(`${role} "${token.text}" is not declared in States`, lineIndex, token);
+    }
+  };
+
+  const startToken = sections.start?.items[0];
+  if (sections.start && !startToken) {
+    error('Start state is empty', sections.start.lineIndex);
+  } else if (startToken) {
+    checkState(startToken, 'Start state', sections.start.lineIndex);
+  }
+
+  const finalStates = [];
+  for (const token of sections.final?.items || []) {
+    checkState(token, 'Final state', sections.final.lineIndex);
+    if (!finalStates.includes(token.text)) finalStates.push(token.text);
+  }
+
+  const transitions = [];
+  const seen = new Set();
+  for (const { from, symbols, targets, lineIndex } of transitionEntries) {
+    checkState(from, 'Source state', lineIndex);
+    for (const symbolToken of symbols) {
+      const epsilon = isEpsilonSymbol(symbolToken.text, alphabet);
+      if (!epsilon && sections.alphabet && !alphabet.includes(symbolToken.text)) {
+        error(`Symbol "${symbolToken.text}" is not in the alphabet {${alphabet.join(', ')}}`, lineIndex, symbolToken);
+      }
+      const symbol = epsilon ? EPSILON : symbolToken.text;
+
+      for (const target of targets) {
+        checkState(target, 'Target state', lineIndex);
+        const key = `${from.text}\u0000${symbol}\u0000${target.text}`;
+        if (seen.has(key)) {
+          warning(`Duplicate transition ${from.text} --${symbol}--> ${target.text}`, lineIndex, from);
+          continue;
+        }
+        seen.add(key);
+        transitions.push({ from: from.text, symbol, to: target.text });
+      }
+    }
+  }
+
+  if (transitions.length === 0 && errors.length === 0) {
+    warning('No transitions were given');
+  }
+
+  const automaton = {
+    states,
+    alphabet,
+    transitions,
+    startState: startToken ? startToken.text : '',
+    finalStates
+  };
+
+  return finishParse(automaton, errors, warnings);
+}
+
+/**
+ * Validate an automaton that did not come from text (e.g. a JFLAP import)
+ *
+ * Runs the reference checks of pass 2 on the automaton object: the start
+ * state, final states and transition states must be declared and every
+ * transition symbol must be in the alphabet or ε. Names are used as they
+ * are, so they never go through the text format.
+ *
+ * @param {Object} automaton - { states, alphabet, transitions, startState, finalStates }
+ * @returns {Object} { success, automaton, errors, warnings, error } as from parseAutomaton
+ */
+export function validateAutomaton(automaton) {
+  const errors = [];
+  const warnings = [];
+  const error = message => errors.push(makeDiagnostic('error', message));
+  const { states = [], alphabet = [], transitions = [], startState = '', finalStates = [] } = automaton ?? {};
+
+  if (states.length === 0) error('The automaton has no states');
+  const checkState = (state, role) => {
+    if (!states.includes(state)) error(`${role} "${state}" is not declared in States`);
+  };
+
+  if (!startState) {
+    error('Start state is empty');
+  } else {
+    checkState(startState, 'Start state');
+  }
+  if (finalStates.length === 0) {
+    warnings.push(makeDiagnostic('warning', 'No final states, so the automaton accepts nothing'));
+  }
+  finalStates.forEach(state => checkState(state, 'Final state'));
+
+  for (const { from, symbol, to } of transitions) {
+    checkState(from, 'Source state');
+    checkState(to, 'Target state');
+    if (!isEpsilonSymbol(symbol, alphabet) && !alphabet.includes(symbol)) {
+      error(`Symbol "${symbol}" is not in the alphabet {${alphabet.join(', ')}}`);
+    }
+  }
+
+  return finishParse(automaton, errors, warnings);
+}
+
+/**
+ * Package a parsed automaton with its sorted diagnostics
+ */
+function finishParse(automaton, errors, warnings) {
+  // Report in source order; problems without a line (missing sections) come last
+  const byLine = (a, b) => (a.line ?? Infinity) - (b.line ?? Infinity);
+  errors.sort(byLine);
+  warnings.sort(byLine);
+
+  const success = errors.length === 0;
+  return {
+    success,
+    automaton,
+    errors,
+    warnings,
+    error: success ? null : `Found ${errors.length} problem${errors.length === 1 ? '' : 's'} in the automaton definition:\n${formatDiagnostics(errors)}`
+  };
+}
+
+// ===============================================
+// SERIALIZATION
+// ===============================================
+
+/**
+ * Write an automaton back in the standard text format
+ * parseAutomaton(formatAutomatonDefinition(fa)) gives back the same automaton,
+ * so automata from other sources (e.g. JFLAP files) can be fed to any
+ * operation that takes a text definition.
+ *
+ * @param {Object} fa - Finite automaton
+ * @returns {string} Definition in the States/Alphabet/Transitions/Start/Final format
+ */
+export function formatAutomatonDefinition(fa) {
+  return [
+    `States: ${fa.states.join(',')}`,
+    `Alphabet: ${fa.alphabet.join(',')}`,
+    'Transitions:',
+    ...fa.transitions.map(t => `${t.from},${isEpsilonSymbol(t.symbol, fa.alphabet) ? EPSILON : t.symbol},${t.to}`),
+    `Start: ${fa.startState}`,
+    `Final: ${fa.finalStates.join(',')}`
+  ].join('\n');
+}
@@ -0,0 +1,67 @@
+// ===============================================
+// GRAPHVIZ DOT EXPORT
+// ===============================================
+// Serializes the automaton model into Graphviz DOT source so diagrams can be
+// rendered with `dot -Tpng` or pasted into any Graphviz viewer. Parallel
+// transitions between the same two states share one edge with a merged label.
+
+import { isEpsilonSymbol, EPSILON } from './automataUtils.js';
+
+/**
+ * Quote an identifier or label for DOT
+ */
+function quoteDot(text) {
+  return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Group transitions by (from, to) so parallel edges get one merged label
+ * @param {Object} fa - Finite automaton
+ * @returns {Array<Object>} [{ from, to, symbols }] in first-appearance order
+ */
+export function groupTransitions(fa) {
+  const groups = new Map();
+  for (const t of fa.transitions) {
+    const key = `${t.from}\u0000${t.to}`;
+    if (!groups.has(key)) groups.set(key, { from: t.from, to: t.to, symbols: [] });
+    const symbol = isEpsilonSymbol(t.symbol, fa.alphabet) ? EPSILON : t.symbol;
+    const group = groups.get(key);
+    if (!group.symbols.includes(symbol)) group.symbols.push(symbol);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Convert an automaton to Graphviz DOT source
+ * @param {Object} fa - Finite automaton
+ * @param {Object} options - { name: graph name, rankdir: 'LR' or 'TB' }
+ * @returns {string} DOT source
+ */
+export function automatonToDot(fa, options = {}) {
+  const { name = 'automaton', rankdir = 'LR' } = options;
+
+  const lines = [
+    `digraph ${quoteDot(name)} {`,
+    `  rankdir=${rankdir};`,
+    '  node [shape=circle, fontname="Arial"];',
+    '  edge [fontname="Arial"];',
+    '',
+    '  __start [shape=point, style=invis, width=0];'
+  ];
+
+  for (const state of fa.states) {
+    const shape = fa.finalStates.includes(state) ? 'doublecircle' : 'circle';
+    lines.push(`  ${quoteDot(state)} [shape=${shape}];`);
+  }
+
+  lines.push('');
+  if (fa.startState) {
+    lines.push(`  __start -> ${quoteDot(fa.startState)};`);
+  }
+  for (const { from, to, symbols } of groupTransitions(fa)) {
+    lines.push(`  ${quoteDot(from)} -> ${quoteDot(to)} [label=${quoteDot(symbols.join(','))}];`);
+  }
+
+  lines.push('}');
+  return lines.join('\n');
+}
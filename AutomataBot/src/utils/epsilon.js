@@ -0,0 +1,28 @@
+// ===============================================
+// EPSILON (EMPTY STRING) TRANSITIONS
+// ===============================================
+// Leaf module: imported by the parsers and by automataUtils.js alike.
+// Transitions on the empty string are stored with the canonical symbol EPSILON.
+// Users may type any of the aliases below (or leave the symbol empty), and
+// automata generated internally may still use '' as the symbol.
+
+/** Canonical symbol used for epsilon transitions */
+export const EPSILON = 'ε';
+
+// Aliases that always mean epsilon; a bare "e" is handled separately
+const EPSILON_ALIASES = ['ε', 'eps', 'epsilon'];
+
+/**
+ * Check whether a transition symbol denotes the empty string
+ * A bare "e" is only treated as epsilon when it is not part of the alphabet,
+ * so automata over letters such as {a, e, i} keep working.
+ * 
+ * @param {string} symbol - Transition symbol
+ * @param {Array<string>} alphabet - Input alphabet of the automaton
+ * @returns {boolean} True if the symbol is an epsilon transition
+ */
+export function isEpsilonSymbol(symbol, alphabet = []) {
+  const s = (symbol ?? '').trim();
+  if (s === '' || EPSILON_ALIASES.includes(s)) return true;
+  return s === 'e' && !alphabet.includes('e');
+}
@@ -0,0 +1,191 @@
+// ===============================================
+// ANIMATED GIF ENCODER
+// ===============================================
+// Minimal GIF89a encoder for the simulation animations. Frames are RGBA pixel
+// buffers (as returned by canvas getImageData) and are mapped onto one global
+// 256-color palette: the diagram theme colors first, then a 6×6×6 color cube
+// and a gray ramp for anti-aliased pixels. Pixel data is LZW compressed as
+// the GIF specification requires.
+
+/** Colors used by the diagrams; they are reproduced exactly */
+const THEME_COLORS = [
+  0xFFFFFF, 0x000000, 0x333333, 0x666666, 0xDDDDDD, 0xF5F5F5,
+  0x2196F3, 0xE3F2FD, 0xFF9800, 0xFFF3E0, 0x4CAF50, 0xFF5722,
+  0xFFEBEE, 0xF44336
+];
+
+/**
+ * Build the global palette (exactly 256 entries)
+ */
+function buildPalette() {
+  const palette = [...THEME_COLORS];
+  const levels = [0, 51, 102, 153, 204, 255];
+  for (const r of levels) {
+    for (const g of levels) {
+      for (const b of levels) {
+        palette.push((r << 16) | (g << 8) | b);
+      }
+    }
+  }
+  for (let i = 1; palette.length < 256; i++) {
+    const gray = Math.round((i * 255) / 27);
+    palette.push((gray << 16) | (gray << 8) | gray);
+  }
+  return palette.slice(0, 256);
+}
+
+const PALETTE = buildPalette();
+
+/**
+ * Map RGBA pixels to palette indices
+ * Colors are looked up by their 15-bit approximation and the nearest palette
+ * entry is cached, so large frames are mapped quickly.
+ */
+function indexPixels(rgba, cache) {
+  const indices = new Uint8Array(rgba.length / 4);
+
+  for (let i = 0; i < indices.length; i++) {
+    const r = rgba[i * 4];
+    const g = rgba[i * 4 + 1];
+    const b = rgba[i * 4 + 2];
+    const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+
+    if (cache[key] === -1) {
+      let best = 0;
+      let bestDistance = Infinity;
+      PALETTE.forEach((color, index) => {
+        const dr = ((color >> 16) & 0xFF) - r;
+        const dg = ((color >> 8) & 0xFF) - g;
+        const db = (color & 0xFF) - b;
+        const distance = dr * dr + dg * dg + db * db;
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = index;
+        }
+      });
+      cache[key] = best;
+    }
+    indices[i] = cache[key];
+  }
+
+  return indices;
+}
+
+/**
+ * LZW-compress palette indices with variable-length codes (GIF flavour)
+ * @returns {Array<number>} Compressed bytes
+ */
+function lzwEncode(indices, minCodeSize = 8) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const bytes = [];
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+
+  const emit = code => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      bytes.push(bitBuffer & 0xFF);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  emit(clearCode);
+  let prefix = indices[0];
+
+  for (let i = 1; i < indices.length; i++) {
+    const key = (prefix << 8) | indices[i];
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    emit(prefix);
+    if (nextCode === 4096) {
+      // Table full: start over
+      emit(clearCode);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    } else {
+      // The decoder widens its codes one entry later than the encoder adds them
+      if (nextCode >= (1 << codeSize)) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = indices[i];
+  }
+
+  emit(prefix);
+  emit(endCode);
+  if (bitCount > 0) bytes.push(bitBuffer & 0xFF);
+  return bytes;
+}
+
+/**
+ * Split data into GIF sub-blocks of at most 255 bytes
+ */
+function writeSubBlocks(out, data) {
+  for (let i = 0; i < data.length; i += 255) {
+    const block = data.slice(i, i + 255);
+    out.push(block.length, ...block);
+  }
+  out.push(0);
+}
+
+/**
+ * Write a 16-bit little-endian number
+ */
+function writeWord(out, value) {
+  out.push(value & 0xFF, (value >> 8) & 0xFF);
+}
+
+/**
+ * Encode frames as a looping animated GIF
+ * @param {Array<Object>} frames - [{ pixels: RGBA buffer, delay: milliseconds }]
+ * @param {number} width - Frame width in pixels
+ * @param {number} height - Frame height in pixels
+ * @returns {Buffer} GIF file contents
+ */
+export function encodeAnimatedGIF(frames, width, height) {
+  const out = [];
+  const cache = new Int16Array(1 << 15).fill(-1);
+
+  // Header and logical screen descriptor with a 256-color global palette
+  out.push(...Buffer.from('GIF89a'));
+  writeWord(out, width);
+  writeWord(out, height);
+  out.push(0xF7, 0, 0);
+  for (const color of PALETTE) {
+    out.push((color >> 16) & 0xFF, (color >> 8) & 0xFF, color & 0xFF);
+  }
+
+  // Loop forever (NETSCAPE2.0 application extension)
+  out.push(0x21, 0xFF, 0x0B, ...Buffer.from('NETSCAPE2.0'), 0x03, 0x01, 0x00, 0x00, 0x00);
+
+  for (const frame of frames) {
+    // Graphic control extension: frame delay in hundredths of a second
+    out.push(0x21, 0xF9, 0x04, 0x00);
+    writeWord(out, Math.round((frame.delay ?? 1000) / 10));
+    out.push(0x00, 0x00);
+
+    // Image descriptor covering the whole screen, no local palette
+    out.push(0x2C);
+    writeWord(out, 0);
+    writeWord(out, 0);
+    writeWord(out, width);
+    writeWord(out, height);
+    out.push(0x00);
+
+    out.push(8); // LZW minimum code size
+    writeSubBlocks(out, lzwEncode(indexPixels(frame.pixels, cache)));
+  }
+
+  out.push(0x3B); // Trailer
+  return Buffer.from(out);
+}
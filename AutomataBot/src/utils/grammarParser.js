@@ -0,0 +1,267 @@
+// ===============================================
+// CONTEXT-FREE GRAMMAR PARSER
+// ===============================================
+// Parser for context-free grammars written one rule per line:
+//
+//   S -> aSb | ε              (also "→" or "::=" as the arrow)
+//   S -> AB
+//     | BA                    (a line starting with "|" continues the rule above)
+//   A -> a | <Expr> b         (any name in angle brackets is a variable)
+//   Start: S                  (optional; defaults to the head of the first rule)
+//
+// Variables are an upper-case letter, optionally followed by primes and a
+// "_" subscript (S, A', T_a, X_12), or a name in angle brackets. Every other
+// character except "|" is a terminal, so "S -> 0S1" reads S, 0 and 1; write
+// spaces between symbols to separate longer variable names (A_1 B). ε, λ,
+// "eps" or an empty alternative stand for the empty string. Lines starting
+// with "#" or "//" are comments.
+
+import { EPSILON } from './automataUtils.js';
+import { makeDiagnostic, formatDiagnostics } from './automatonParser.js';
+
+/** Spellings of the rule arrow */
+const RULE_ARROWS = ['::=', '->', '→'];
+
+/** Spellings of the empty string as a whole alternative */
+const EMPTY_WORDS = ['ε', 'λ', 'eps', 'epsilon'];
+
+/** Keywords of the optional start symbol line (lower case) */
+const START_KEYWORDS = ['start', 'start symbol', 'start variable'];
+
+/**
+ * Check whether a symbol is a variable (nonterminal)
+ * @param {string} symbol - Grammar symbol
+ * @returns {boolean}
+ */
+export function isVariable(symbol) {
+  return /^[A-Z]'*(_[a-z0-9]+)?$/.test(symbol) || /^<[^<>]+>$/.test(symbol);
+}
+
+/**
+ * Split the body of one alternative into symbols
+ * @param {string} text - Alternative text, e.g. "aSb" or "<Expr> + T"
+ * @param {number} column - 1-based column of text in its line
+ * @returns {Object} { symbols: [{ text, column }], error: { token, message } | null }
+ */
+function scanBody(text, column) {
+  const symbols = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    let length = 1;
+    if (char === '<') {
+      const close = text.indexOf('>', i);
+      if (close < 0) {
+        return { symbols, error: { token: { column: column + i, text: text.slice(i) }, message: 'Missing closing ">"' } };
+      }
+      length = close - i + 1;
+    } else if (/[A-Z]/.test(char)) {
+      length = text.slice(i).match(/^[A-Z]'*(_[a-z0-9]+)?/)[0].length;
+    }
+
+    const symbol = text.slice(i, i + length);
+    if (symbol !== 'ε' && symbol !== 'λ') {
+      symbols.push({ text: symbol, column: column + i });
+    }
+    i += length;
+  }
+
+  return { symbols, error: null };
+}
+
+/**
+ * Parse a context-free grammar
+ * @param {string} text - Grammar text (see the format above)
+ * @returns {Object} { success, grammar, errors, warnings, error } where
+ *   grammar = { variables, terminals, productions: [{ head, body }], startSymbol }
+ *   with body an array of symbols (empty for ε), and error is the formatted
+ *   report when success is false
+ */
+export function parseGrammar(text) {
+  const lines = String(text ?? '').split('\n');
+  const errors = [];
+  const warnings = [];
+  const productions = [];
+  const heads = [];
+  const seen = new Set();
+  let currentHead = null;
+  let startLine = null;
+
+  const error = (message, lineIndex = null, token = null) =>
+    errors.push(makeDiagnostic('error', message, lineIndex === null ? null : lineIndex + 1, lines[lineIndex] ?? '', token));
+  const warning = (message, lineIndex = null, token = null) =>
+    warnings.push(makeDiagnostic('warning', message, lineIndex === null ? null : lineIndex + 1, lines[lineIndex] ?? '', token));
+
+  const addAlternatives = (head, rest, restColumn, lineIndex) => {
+    let offset = 0;
+    for (const alternative of rest.split('|')) {
+      const column = restColumn + offset;
+      offset += alternative.length + 1;
+
+      const { symbols, error: scanError } = scanBody(alternative, column);
+      if (scanError) {
+        error(scanError.message, lineIndex, scanError.token);
+        continue;
+      }
+
+      const trimmed = alternative.trim();
+      const isEmpty = trimmed === '' || EMPTY_WORDS.includes(trimmed.toLowerCase());
+      if (trimmed === '') {
+        warning(`Empty alternative for ${head} read as ${EPSILON}`, lineIndex, { column, text: '|' });
+      }
+      const body = isEmpty ? [] : symbols.map(s => s.text);
+
+      const key = `${head}\u0000${body.join('\u0001')}`;
+      if (seen.has(key)) {
+        warning(`Duplicate production ${formatProduction({ head, body })}`, lineIndex, { column, text: trimmed || '|' });
+        continue;
+      }
+      seen.add(key);
+      productions.push({ head, body });
+    }
+  };
+
+  lines.forEach((line, lineIndex) => {
+    const trimmed = line.trim();
+    if (trimmed === '' || trimmed.startsWith('#') || trimmed.startsWith('//')) return;
+    const indent = line.length - line.trimStart().length;
+
+    // Optional "Start: S"
+    const startMatch = trimmed.match(/^([a-z ]+?)\s*[:=]\s*(.*)$/i);
+    if (startMatch && START_KEYWORDS.includes(startMatch[1].toLowerCase()) && !RULE_ARROWS.some(arrow => trimmed.includes(arrow))) {
+      const name = startMatch[2].trim();
+      if (startLine) {
+        error(`Start is defined twice (first on line ${startLine.lineIndex + 1})`, lineIndex, { column: indent + 1, text: startMatch[1] });
+      } else if (!isVariable(name)) {
+        error(`Start symbol "${name}" is not a variable (use an upper-case letter or <Name>)`, lineIndex, { column: indent + 1, text: trimmed });
+      } else {
+        startLine = { lineIndex, name };
+      }
+      return;
+    }
+
+    // "| ..." continues the previous rule
+    if (trimmed.startsWith('|')) {
+      if (!currentHead) {
+        error('An alternative starting with "|" must follow a rule', lineIndex, { column: indent + 1, text: '|' });
+        return;
+      }
+      addAlternatives(currentHead, trimmed.slice(1), indent + 2, lineIndex);
+      return;
+    }
+
+    const arrowIndex = Math.min(...RULE_ARROWS.map(arrow => trimmed.indexOf(arrow)).filter(index => index >= 0));
+    if (!Number.isFinite(arrowIndex)) {
+      error('Expected a rule like S -> aSb | ε', lineIndex, { column: indent + 1, text: trimmed });
+      currentHead = null;
+      return;
+    }
+
+    const arrow = RULE_ARROWS.find(a => trimmed.startsWith(a, arrowIndex));
+    const head = trimmed.slice(0, arrowIndex).trim();
+    if (!isVariable(head)) {
+      error(head === ''
+        ? 'Missing variable before the arrow'
+        : `"${head}" is not a variable; the left side must be one variable (an upper-case letter or <Name>)`,
+      lineIndex, { column: indent + 1, text: head || arrow });
+      currentHead = null;
+      return;
+    }
+
+    currentHead = head;
+    if (!heads.includes(head)) heads.push(head);
+    addAlternatives(head, trimmed.slice(arrowIndex + arrow.length), indent + arrowIndex + arrow.length + 1, lineIndex);
+  });
+
+  if (heads.length === 0 && errors.length === 0) {
+    error('No rules were given. Write one rule per line, e.g. S -> aSb | ε');
+  }
+
+  // Variables: heads first (in order), then variables that only appear in bodies
+  const variables = [...heads];
+  const terminals = [];
+  for (const { body } of productions) {
+    for (const symbol of body) {
+      if (isVariable(symbol)) {
+        if (!variables.includes(symbol)) variables.push(symbol);
+      } else if (!terminals.includes(symbol)) {
+        terminals.push(symbol);
+      }
+    }
+  }
+  for (const variable of variables.filter(v => !heads.includes(v))) {
+    warning(`${variable} has no rules, so it derives no string`);
+  }
+
+  let startSymbol = heads[0] || '';
+  if (startLine) {
+    startSymbol = startLine.name;
+    if (!variables.includes(startSymbol)) {
+      error(`Start symbol ${startSymbol} does not appear in any rule`, startLine.lineIndex, { column: 1, text: lines[startLine.lineIndex].trim() });
+    }
+  }
+  // Keep the start symbol first
+  if (variables.includes(startSymbol)) {
+    variables.splice(variables.indexOf(startSymbol), 1);
+    variables.unshift(startSymbol);
+  }
+
+  const byLine = (a, b) => (a.line ?? Infinity) - (b.line ?? Infinity);
+  errors.sort(byLine);
+  warnings.sort(byLine);
+
+  const success = errors.length === 0;
+  return {
+    success,
+    grammar: { variables, terminals, productions, startSymbol },
+    errors,
+    warnings,
+    error: success ? null : `Found ${errors.length} problem${errors.length === 1 ? '' : 's'} in the grammar:\n${formatDiagnostics(errors)}`
+  };
+}
+
+// ===============================================
+// SERIALIZATION
+// ===============================================
+
+/**
+ * Write the body of a production; symbols are space separated when any of them is longer than one character
+ * @param {Array<string>} body - Symbols of the body
+ * @returns {string} Body text, or ε when empty
+ */
+export function formatBody(body) {
+  if (body.length === 0) return EPSILON;
+  return body.every(symbol => symbol.length === 1) ? body.join('') : body.join(' ');
+}
+
+/**
+ * Write one production: A -> aB
+ */
+export function formatProduction({ head, body }) {
+  return `${head} -> ${formatBody(body)}`;
+}
+
+/**
+ * Write a grammar back in the text format read by parseGrammar, one line per variable
+ * @param {Object} grammar - Context-free grammar
+ * @returns {string} Grammar text
+ */
+export function formatGrammar(grammar) {
+  const lines = grammar.variables
+    .map(variable => {
+      const bodies = grammar.productions.filter(p => p.head === variable).map(p => formatBody(p.body));
+      return bodies.length > 0 ? `${variable} -> ${bodies.join(' | ')}` : null;
+    })
+    .filter(Boolean);
+
+  if (grammar.variables.length > 0 && grammar.variables[0] !== grammar.startSymbol) {
+    lines.unshift(`Start: ${grammar.startSymbol}`);
+  }
+  return lines.join('\n');
+}
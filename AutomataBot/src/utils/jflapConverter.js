@@ -0,0 +1,204 @@
+// ===============================================
+// JFLAP (.jff) IMPORT AND EXPORT
+// ===============================================
+// Converts between JFLAP's XML file format and the automaton model used across
+// the bot ({ states, alphabet, transitions, startState, finalStates }).
+// Only finite automata (<type>fa</type>) are supported. Empty <read/> labels
+// are JFLAP's λ-transitions and map to EPSILON.
+
+import { EPSILON, isEpsilonSymbol } from './automataUtils.js';
+
+const XML_ENTITIES = {
+  '&lt;': '<',
+  '&gt;': '>',
+  '&amp;': '&',
+  '&quot;': '"',
+  '&apos;': "'"
+};
+
+/**
+ * Decode the predefined XML entities
+ */
+function decodeXML(text) {
+  return text.replace(/&(lt|gt|amp|quot|apos);/g, entity => XML_ENTITIES[entity]);
+}
+
+/**
+ * Escape text for use inside XML elements and attributes
+ */
+function encodeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Read the text of a child element; self-closing or empty elements give ''
+ * @returns {string|null} Element text, or null if the element is missing
+ */
+function readElement(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}\\s*/>|<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+  if (!match) return null;
+  return decodeXML((match[1] ?? '').trim());
+}
+
+/**
+ * Check whether a child element is present (e.g. <initial/>)
+ */
+function hasElement(xml, tag) {
+  return new RegExp(`<${tag}\\s*/>|<${tag}(?:\\s[^>]*)?>`).test(xml);
+}
+
+/**
+ * Read the attributes of an opening tag
+ */
+function readAttributes(text) {
+  const attributes = {};
+  for (const [, name, value] of text.matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)) {
+    attributes[name] = decodeXML(value);
+  }
+  return attributes;
+}
+
+/**
+ * Parse a JFLAP .jff file into an automaton
+ *
+ * Reads every <state> (its name attribute, falling back to q<id>) with its
+ * <initial/> and <final/> markers and every <transition> with <from>, <to>
+ * and <read>. Both JFLAP 7 files (states directly under <structure>) and
+ * newer files with an <automaton> wrapper are accepted.
+ *
+ * @param {string} xml - Contents of the .jff file
+ * @returns {Object} { success, automaton, warnings } or { success: false, error }
+ */
+export function parseJFLAP(xml) {
+  const fail = error => ({ success: false, error, errorType: 'JFLAP_ERROR' });
+  const source = String(xml ?? '').replace(/<!--[\s\S]*?-->/g, '');
+
+  if (!/<structure[\s>]/.test(source)) {
+    return fail('Not a JFLAP file: the <structure> element is missing.');
+  }
+
+  const type = readElement(source, 'type');
+  if (type && type !== 'fa') {
+    return fail(`JFLAP type "${type}" is not supported. Only finite automata (fa) can be imported.`);
+  }
+
+  const warnings = [];
+  const names = new Map(); // JFLAP id → state name
+  const states = [];
+  const finalStates = [];
+  const initialStates = [];
+
+  for (const [, attributeText, body = ''] of source.matchAll(/<state\b([^>]*?)(?:\/>|>([\s\S]*?)<\/state>)/g)) {
+    const { id, name } = readAttributes(attributeText);
+    if (id === undefined) {
+      return fail('Found a <state> without an id attribute.');
+    }
+    if (names.has(id)) {
+      return fail(`State id ${id} is used twice.`);
+    }
+
+    let stateName = (name ?? '').trim() || `q${id}`;
+    if (states.includes(stateName)) {
+      let renamed = `q${id}`;
+      while (states.includes(renamed)) renamed += "'";
+      warnings.push(`State name "${stateName}" is used twice; state ${id} was renamed to ${renamed}`);
+      stateName = renamed;
+    }
+
+    names.set(id, stateName);
+    states.push(stateName);
+    if (hasElement(body, 'initial')) initialStates.push(stateName);
+    if (hasElement(body, 'final')) finalStates.push(stateName);
+  }
+
+  if (states.length === 0) {
+    return fail('The file contains no states.');
+  }
+  if (initialStates.length === 0) {
+    return fail('No initial state is marked in the file.');
+  }
+  if (initialStates.length > 1) {
+    return fail(`Several initial states are marked: ${initialStates.join(', ')}.`);
+  }
+
+  const alphabet = [];
+  const transitions = [];
+  for (const [, body] of source.matchAll(/<transition\b[^>]*>([\s\S]*?)<\/transition>/g)) {
+    const from = names.get(readElement(body, 'from'));
+    const to = names.get(readElement(body, 'to'));
+    if (from === undefined || to === undefined) {
+      return fail('A transition refers to a state id that does not exist.');
+    }
+
+    const read = readElement(body, 'read') ?? '';
+    const symbol = read === '' ? EPSILON : read;
+    if (symbol !== EPSILON && !alphabet.includes(symbol)) {
+      alphabet.push(symbol);
+    }
+    if (symbol.length > 1) {
+      warnings.push(`Transition ${from} → ${to} reads "${symbol}", which is kept as a single symbol`);
+    }
+    transitions.push({ from, symbol, to });
+  }
+
+  return {
+    success: true,
+    automaton: {
+      states,
+      alphabet,
+      transitions,
+      startState: initialStates[0],
+      finalStates
+    },
+    warnings
+  };
+}
+
+/**
+ * Write an automaton as a JFLAP .jff file
+ *
+ * States are numbered in order and placed on a circle so the file opens with
+ * a readable layout. Epsilon transitions are written as empty <read/> labels.
+ *
+ * @param {Object} fa - Finite automaton (e.g. a result of nfaToDfa or minimizeDFA)
+ * @returns {string} JFLAP XML document
+ */
+export function automatonToJFLAP(fa) {
+  const ids = new Map(fa.states.map((state, index) => [state, index]));
+  const radius = Math.max(120, fa.states.length * 30);
+  const centerX = radius + 80;
+  const centerY = radius + 80;
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?><!--Created with AutomataBot.--><structure>',
+    '\t<type>fa</type>',
+    '\t<automaton>',
+    '\t\t<!--The list of states.-->'
+  ];
+
+  fa.states.forEach((state, index) => {
+    const angle = (2 * Math.PI * index) / fa.states.length - Math.PI / 2;
+    lines.push(`\t\t<state id="${index}" name="${encodeXML(state)}">`);
+    lines.push(`\t\t\t<x>${(centerX + radius * Math.cos(angle)).toFixed(1)}</x>`);
+    lines.push(`\t\t\t<y>${(centerY + radius * Math.sin(angle)).toFixed(1)}</y>`);
+    if (state === fa.startState) lines.push('\t\t\t<initial/>');
+    if (fa.finalStates.includes(state)) lines.push('\t\t\t<final/>');
+    lines.push('\t\t</state>');
+  });
+
+  lines.push('\t\t<!--The list of transitions.-->');
+  for (const t of fa.transitions) {
+    lines.push('\t\t<transition>');
+    lines.push(`\t\t\t<from>${ids.get(t.from)}</from>`);
+    lines.push(`\t\t\t<to>${ids.get(t.to)}</to>`);
+    lines.push(isEpsilonSymbol(t.symbol, fa.alphabet) ? '\t\t\t<read/>' : `\t\t\t<read>${encodeXML(t.symbol)}</read>`);
+    lines.push('\t\t</transition>');
+  }
+
+  lines.push('\t</automaton>', '</structure>');
+  return lines.join('\n');
+}
@@ -1,4 +1,10 @@
 // Message formatting utilities
+import { formatPDATransition } from './pdaParser.js';
+import { formatInstantaneousDescription } from '../algorithms/pushdownAutomata.js';
+import { formatGrammar } from './grammarParser.js';
+import { formatTMTransition } from './tmParser.js';
+import { formatTMConfiguration, TM_OUTCOMES } from '../algorithms/turingMachine.js';
+import { formatTransducerDefinition, TRANSDUCER_TYPES } from './transducerParser.js';
 
 /**
  * Format automaton result for display
@@ -41,9 +47,9 @@ export async function sendFormattedResult(ctx, fa, title, explanation = '') {
  * @returns {string} Formatted error message
  */
 export function formatErrorMessage(error, suggestion = '') {
-  let message = `❌ **Error:** ${error}`;
+  let message = `❌ **Error:** ${escapeMarkdownOutsideCode(error)}`;
   if (suggestion) {
-    message += `\n\n💡 **Suggestion:** ${suggestion}`;
+    message += `\n\n💡 **Suggestion:** ${escapeMarkdownOutsideCode(suggestion)}`;
   }
   return message;
 }
@@ -110,3 +116,631 @@ export function formatHistoryMessage(history) {
   
   return historyText;
 }
+
+/**
+ * Lay out rows as a fixed-width text table for a Markdown code block
+ * @param {Array<Array<string>>} rows - Header row first
+ * @returns {string} Table text
+ */
+function formatTextTable(rows) {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => String(row[column] ?? '').length)));
+  return rows
+    .map(row => row.map((cell, column) => String(cell ?? '').padEnd(widths[column])).join('  ').trimEnd())
+    .join('\n');
+}
+
+/**
+ * Format the partition refinement rounds of a DFA minimization
+ * @param {Object} refinement - Result of minimizeDFAWithTrace (with its preprocessing)
+ * @returns {string} Formatted partition table
+ */
+export function formatPartitionRefinement(refinement) {
+  const block = states => `{${states.join(',')}}`;
+  const partition = blocks => blocks.map(block).join(' ');
+
+  const rows = [['Round', 'Splitter', 'Symbol', 'Split block', 'Into']];
+  for (const { round, splitter, symbol, splits } of refinement.rounds) {
+    splits.forEach((split, index) => {
+      rows.push([
+        index === 0 ? String(round) : '',
+        index === 0 ? block(splitter) : '',
+        index === 0 ? symbol : '',
+        block(split.block),
+        `${block(split.inside)} | ${block(split.outside)}`
+      ]);
+    });
+  }
+
+  const { unreachableStates, trapState, missingTransitions, trimmedStates } = refinement.preprocessing;
+
+  let text = `🧱 **Partition Refinement**\n\n`;
+  if (unreachableStates.length > 0 || trapState) {
+    text += `**Preprocessing:**\n`;
+    if (unreachableStates.length > 0) {
+      text += `• Removed unreachable states: ${unreachableStates.join(', ')}\n`;
+    }
+    if (trapState) {
+      text += `• Added trap state ${trapState} for ${missingTransitions} missing transition(s)\n`;
+    }
+    text += `\n`;
+  }
+  text += `**Start (final / non-final):** \`${partition(refinement.initialPartition)}\`\n\n`;
+  if (refinement.rounds.length > 0) {
+    text += `A block is split when some of its states move into the splitter on the symbol and others do not.\n`;
+    text += `\`\`\`\n${formatTextTable(rows)}\n\`\`\`\n`;
+  } else {
+    text += `No block could be split.\n\n`;
+  }
+  text += `**Merged states:**\n`;
+  refinement.classes.forEach(({ state, members }) => {
+    text += `• ${state} = ${block(members)}\n`;
+  });
+  if (trimmedStates.length > 0) {
+    text += `• Dead states ${block(trimmedStates)} are left out of the result\n`;
+  }
+  return text;
+}
+
+/**
+ * Format the table-filling (Myhill–Nerode) distinguishability table
+ * Each cell holds the round in which the pair was marked; "=" marks equivalent pairs.
+ * @param {Object} tableFilling - Result of fillDistinguishabilityTable
+ * @returns {string} Formatted distinguishability table
+ */
+export function formatDistinguishabilityTable(tableFilling) {
+  const { states, marks, equivalentPairs, classes } = tableFilling;
+  const roundOf = new Map(marks.map(({ pair, round }) => [pair.join('\u0000'), round]));
+
+  // Lower-triangular table: a row per state but the first, a column per state but the last
+  const rows = [['', ...states.slice(0, -1)]];
+  states.slice(1).forEach((state, rowIndex) => {
+    const row = [state];
+    states.slice(0, rowIndex + 1).forEach(other => {
+      const round = roundOf.get(`${other}\u0000${state}`);
+      row.push(round === undefined ? '=' : String(round));
+    });
+    rows.push(row);
+  });
+
+  let text = `📐 **Table-Filling Method**\n\n`;
+  text += `Round 0 marks final/non-final pairs; round k marks a pair when a symbol leads to a pair marked earlier.\n`;
+  text += `\`\`\`\n${formatTextTable(rows)}\n\`\`\`\n`;
+
+  const explained = marks.filter(mark => mark.round > 0);
+  if (explained.length > 0) {
+    text += `**Why pairs were marked:**\n`;
+    explained.slice(0, 15).forEach(({ pair, round, symbol, targets }) => {
+      text += `• (${pair.join(', ')}) round ${round}: on ${symbol} → (${targets.join(', ')})\n`;
+    });
+    if (explained.length > 15) {
+      text += `• … ${explained.length - 15} more\n`;
+    }
+  }
+
+  text += equivalentPairs.length > 0
+    ? `\n**Equivalent pairs:** ${equivalentPairs.map(pair => `(${pair.join(', ')})`).join(', ')}\n`
+    : `\n**Equivalent pairs:** none - every pair is distinguishable\n`;
+  text += `**Classes:** ${classes.map(members => `{${members.join(',')}}`).join(' ')}`;
+  return text;
+}
+
+/**
+ * Format a language enumeration: verdict, accepted/rejected strings and counts per length
+ * @param {Object} enumeration - Result of calculateLanguageEnumeration
+ * @returns {string} Formatted message
+ */
+export function formatLanguageEnumeration(enumeration) {
+  const { maxLength, alphabet, accepted, rejected, acceptedCounts, totalCounts, acceptedComplete, rejectedComplete, language } = enumeration;
+  const shown = string => (string === '' ? 'ε' : string);
+  const list = (strings, complete) => {
+    if (strings.length === 0) return 'none';
+    return `\`${strings.map(shown).join(', ')}\`${complete ? '' : ', …'}`;
+  };
+
+  let text = `🔤 **Language over {${alphabet.join(', ')}}**\n\n`;
+  if (language.type === 'EMPTY') {
+    text += `**Verdict:** ∅ - the language is empty (no final state is reachable)\n\n`;
+  } else if (language.type === 'FINITE') {
+    text += `**Verdict:** finite - ${language.size} string(s), the longest of length ${language.longestLength}\n\n`;
+  } else {
+    text += `**Verdict:** infinite - useful states ${language.cycleStates.join(', ')} lie on a cycle\n\n`;
+  }
+
+  text += `**✅ Accepted (length ≤ ${maxLength}, shortlex):**\n${list(accepted, acceptedComplete)}\n\n`;
+  text += `**❌ Rejected (length ≤ ${maxLength}, shortlex):**\n${list(rejected, rejectedComplete)}\n\n`;
+
+  const rows = [['Length', 'Accepted', 'Of']];
+  acceptedCounts.forEach((count, length) => rows.push([String(length), String(count), String(totalCounts[length])]));
+  text += `**📊 Accepted strings per length:**\n\`\`\`\n${formatTextTable(rows)}\n\`\`\``;
+  return text;
+}
+
+/**
+ * Format batch test results: summary counts, a pass/fail table and the mismatches
+ * @param {Object} batch - Result of calculateBatchInputTest
+ * @param {number} maxRows - Most rows shown in the table
+ * @returns {string} Formatted message
+ */
+export function formatBatchTestResults(batch, maxRows = 40) {
+  const { results, mismatches, summary, automatonType } = batch;
+  // Markdown cannot escape a backtick inside code, so show it as ˋ
+  const shown = input => (input === '' ? 'ε' : input.replace(/`/g, 'ˋ'));
+  const verdict = accepted => (accepted === null ? 'invalid' : accepted ? 'accept' : 'reject');
+  const mark = { PASS: '✓', FAIL: '✗', INVALID: '!', UNLABELED: '' };
+
+  let text = `🧪 **Batch Test Results** (${automatonType})\n\n`;
+  text += `**📊 Summary:** ${summary.total} string(s) - ${summary.accepted} accepted, ${summary.rejected} rejected`;
+  if (summary.invalid > 0) text += `, ${summary.invalid} invalid`;
+  text += `\n`;
+  if (summary.labeled > 0) {
+    text += `**Expected results:** ${summary.passed}/${summary.labeled} passed, ${summary.failed} failed\n`;
+  }
+
+  const rows = [['#', 'String', 'Expected', 'Result', '']];
+  results.slice(0, maxRows).forEach((result, index) => {
+    rows.push([
+      String(index + 1),
+      shown(result.input),
+      result.expected === null ? '' : verdict(result.expected),
+      verdict(result.accepted),
+      mark[result.status]
+    ]);
+  });
+  text += `\`\`\`\n${formatTextTable(rows)}\n\`\`\`\n`;
+  if (results.length > maxRows) {
+    text += `… ${results.length - maxRows} more row(s) not shown\n`;
+  }
+
+  if (mismatches.length > 0) {
+    text += `\n**❗ Mismatches:**\n`;
+    mismatches.slice(0, 20).forEach(result => {
+      text += result.status === 'INVALID'
+        ? `• Line ${result.line}: \`${shown(result.input)}\` - ${escapeMarkdown(result.error)}\n`
+        : `• Line ${result.line}: \`${shown(result.input)}\` expected ${verdict(result.expected)}, got ${verdict(result.accepted)}\n`;
+    });
+    if (mismatches.length > 20) {
+      text += `• … ${mismatches.length - 20} more\n`;
+    }
+  } else if (summary.labeled > 0) {
+    text += `\n✅ Every labelled string behaved as expected.`;
+  }
+
+  if (summary.limited > 0) {
+    text += `\n⚠️ ${summary.limited} rejection(s) hit the search or step limit and may not be final.`;
+  }
+
+  return text;
+}
+
+/**
+ * Format a PDA computation as a sequence of instantaneous descriptions
+ * @param {Object} simulation - Result of calculatePDASimulation
+ * @param {number} maxSteps - Most moves shown
+ * @returns {string} Formatted message
+ */
+export function formatPDATrace(simulation, maxSteps = 40) {
+  const { input, accepted, acceptBy, trace, configurationsExplored, limitReached } = simulation;
+  const mode = acceptBy === 'empty' ? 'empty stack' : 'final state';
+
+  let text = `🥞 **PDA Simulation:** \`${input === '' ? 'ε' : input}\`\n\n`;
+  text += accepted
+    ? `**Result:** ✅ ACCEPTED by ${mode} in ${trace.length - 1} move(s)\n\n`
+    : `**Result:** ❌ REJECTED (acceptance by ${mode})\n\n`;
+
+  text += accepted ? `**Accepting computation:**\n` : `**Branch that read the most input:**\n`;
+  const lines = trace.slice(0, maxSteps + 1).map((id, index) => {
+    const description = formatInstantaneousDescription(id);
+    return index === 0 ? `  ${description}` : `⊢ ${description}   [${formatPDATransition(id.transition)}]`;
+  });
+  text += `\`\`\`\n${lines.join('\n')}\n\`\`\`\n`;
+  if (trace.length > maxSteps + 1) {
+    text += `… ${trace.length - maxSteps - 1} more move(s) not shown\n`;
+  }
+
+  text += `\n🔍 Configurations explored: ${configurationsExplored}`;
+  if (limitReached === 'stack') {
+    text += `\n⚠️ Some branches were cut off for growing the stack past the height limit, so the rejection may not be final.`;
+  } else if (limitReached === 'configurations') {
+    text += `\n⚠️ The search stopped at the configuration limit, so the rejection may not be final.`;
+  }
+
+  return text;
+}
+
+/**
+ * Format a Turing machine run as a sequence of configurations uqv
+ * Long runs show the first configurations and the last few.
+ * @param {Object} simulation - Result of calculateTMSimulation
+ * @param {number} maxSteps - Most moves shown
+ * @returns {string} Formatted message
+ */
+export function formatTMTrace(simulation, maxSteps = 40) {
+  const { input, outcome, steps, stepCount, finalTape, maxSteps: limit } = simulation;
+  const icon = { accept: '✅', reject: '❌', halt: '❌', loop: '🔁', limit: '⏱️' };
+
+  let text = `📼 **Turing Machine Run:** \`${input === '' ? 'ε' : input}\`\n\n`;
+  text += `**Result:** ${icon[outcome]} ${TM_OUTCOMES[outcome]} after ${stepCount} step(s)\n\n`;
+
+  const line = configuration => (configuration.step === 0
+    ? `  ${formatTMConfiguration(configuration)}`
+    : `⊢ ${formatTMConfiguration(configuration)}   [${formatTMTransition(configuration.transition)}]`);
+  let lines;
+  if (steps.length > maxSteps + 1) {
+    const tail = 5;
+    lines = [
+      ...steps.slice(0, maxSteps + 1 - tail).map(line),
+      `  … ${steps.length - maxSteps - 1} step(s) not shown`,
+      ...steps.slice(-tail).map(line)
+    ];
+  } else {
+    lines = steps.map(line);
+  }
+  text += `**Configurations** (tape left of the head, [state], tape from the head on):\n\`\`\`\n${lines.join('\n')}\n\`\`\`\n`;
+  text += `\n📜 **Tape at the end:** \`${finalTape === '' ? '(blank)' : finalTape}\``;
+
+  if (outcome === 'loop') {
+    text += `\n\n🔁 The last configuration already occurred earlier (up to shifting the tape), so this deterministic machine repeats it forever and never halts.`;
+  } else if (outcome === 'limit') {
+    text += `\n\n⚠️ Stopped after ${limit} steps. The machine may still halt later - send \`Steps: 5000\` on the first line to raise the limit.`;
+  }
+
+  return text;
+}
+
+/**
+ * Escape Markdown characters in plain text (variable names such as T_a or X_1)
+ * @param {string} text - Text shown outside code spans
+ * @returns {string} Text safe to send with parse_mode Markdown
+ */
+export function escapeMarkdown(text) {
+  return text.replace(/([_*`[])/g, '\\$1');
+}
+
+/**
+ * Escape Markdown characters except inside code blocks and code spans
+ * Parser diagnostics quote user names (q_2) next to caret excerpts in ``` blocks.
+ * @param {string} text - Text that may hold code blocks
+ * @returns {string} Text safe to send with parse_mode Markdown
+ */
+export function escapeMarkdownOutsideCode(text) {
+  return text
+    .split(/(```[\s\S]*?```|`[^`\n]*`)/)
+    .map((part, index) => (index % 2 === 1 ? part : escapeMarkdown(part)))
+    .join('');
+}
+
+/**
+ * Write a grammar as a code block, cut after maxLines rules of at most maxWidth characters
+ */
+function grammarBlock(grammar, maxLines, maxWidth = Infinity) {
+  const lines = formatGrammar(grammar).split('\n').filter(Boolean);
+  if (lines.length === 0) return '_(no productions - the language is empty)_';
+  const shown = lines.slice(0, maxLines).map(line => (line.length > maxWidth ? `${line.slice(0, maxWidth - 1)}…` : line));
+  if (lines.length > maxLines) shown.push(`… ${lines.length - maxLines} more rule(s)`);
+  return `\`\`\`\n${shown.join('\n')}\n\`\`\``;
+}
+
+/**
+ * Format a grammar simplification or normal form conversion step by step
+ * Steps are packed into as few messages as fit Telegram's message size.
+ * @param {Object} result - Result of calculateGrammarTransformation
+ * @param {number} maxLines - Most rules shown per intermediate grammar
+ * @returns {Array<string>} Messages to send in order
+ */
+export function formatGrammarSteps(result, maxLines = 15) {
+  const { transformationName, originalGrammar, resultGrammar, steps, analysis } = result;
+  const parts = [`📐 **${transformationName}**\n\n**Original grammar:**\n${grammarBlock(originalGrammar, maxLines)}`];
+
+  steps.forEach((step, index) => {
+    const isLast = index === steps.length - 1;
+    parts.push(`**Step ${index + 1}: ${step.name}**\n${escapeMarkdown(step.description)}\n${isLast ? '' : grammarBlock(step.grammar, maxLines)}`.trimEnd());
+  });
+
+  let summary = `✅ **Result:** ${analysis.resultProductionCount} production(s) over ${analysis.resultVariableCount} variable(s)\n${grammarBlock(resultGrammar, 60)}`;
+  if (analysis.emptyLanguage) {
+    summary += `\n\n⚠️ The start symbol generates no string, so the language is empty.`;
+  } else if (analysis.generatesEmpty) {
+    summary += `\n\nℹ️ ε is in the language, so the start symbol keeps an ε-production.`;
+  }
+  parts.push(summary);
+
+  return packMessages(parts);
+}
+
+/**
+ * Pack message parts into as few messages as fit below the 4096 character limit
+ */
+function packMessages(parts) {
+  const messages = [];
+  for (const part of parts) {
+    const last = messages.length - 1;
+    if (last >= 0 && messages[last].length + part.length + 2 <= 3800) {
+      messages[last] += `\n\n${part}`;
+    } else {
+      messages.push(part);
+    }
+  }
+  return messages;
+}
+
+/**
+ * Show PDA moves in a code block, one per line
+ */
+function movesBlock(transitions, maxLines) {
+  const lines = transitions.map(formatPDATransition);
+  const shown = lines.slice(0, maxLines);
+  if (lines.length > maxLines) shown.push(`… ${lines.length - maxLines} more move(s)`);
+  return `\`\`\`\n${shown.join('\n')}\n\`\`\``;
+}
+
+/**
+ * Format a CFG → PDA conversion: each rule next to its expand move, then the match moves
+ * @param {Object} result - Result of calculateCFGToPDA
+ * @param {number} maxLines - Most moves shown per step
+ * @returns {Array<string>} Messages to send in order
+ */
+export function formatCFGToPDA(result, maxLines = 30) {
+  const { grammar, pda, steps, analysis } = result;
+  const parts = [`🔁 **CFG → PDA**\n\n**Grammar:**\n${grammarBlock(grammar, maxLines)}`];
+
+  steps.forEach((step, index) => {
+    let part = `**Step ${index + 1}: ${step.name}**\n${escapeMarkdown(step.description)}`;
+    if (step.rules) {
+      const rows = step.rules.map((rule, i) => [rule, formatPDATransition(step.transitions[i])]);
+      const shown = rows.slice(0, maxLines);
+      part += `\n\`\`\`\n${formatTextTable([['Rule', 'Move'], ...shown])}${rows.length > maxLines ? `\n… ${rows.length - maxLines} more rule(s)` : ''}\n\`\`\``;
+    } else if (step.transitions.length > 0) {
+      part += `\n${movesBlock(step.transitions, maxLines)}`;
+    }
+    parts.push(part);
+  });
+
+  parts.push(`✅ **Result:** PDA with 1 state, ${analysis.stackSymbolCount} stack symbol(s) and ${analysis.transitionCount} move(s), accepting by empty stack from stack ${escapeMarkdown(pda.startStack)}.\n\nIts computations follow leftmost derivations: test a string with 🧪 Test PDA to see the instantaneous descriptions.`);
+
+  return packMessages(parts);
+}
+
+/**
+ * Format a PDA → CFG conversion step by step
+ * @param {Object} result - Result of calculatePDAToCFG
+ * @param {number} maxLines - Most moves or rules shown per intermediate step
+ * @returns {Array<string>} Messages to send in order
+ */
+export function formatPDAToCFG(result, maxLines = 15) {
+  const { grammar, steps, analysis } = result;
+  const parts = ['🔁 **PDA → CFG** (triple construction)\n\nVariable <p,X,q> derives the input read while the PDA goes from state p to state q and pops X.'];
+
+  steps.forEach((step, index) => {
+    const isLast = index === steps.length - 1;
+    let part = `**Step ${index + 1}: ${step.name}**\n${escapeMarkdown(step.description)}`;
+    if (step.transitions) part += `\n${movesBlock(step.transitions, maxLines)}`;
+    if (step.grammar && !isLast) part += `\n${grammarBlock(step.grammar, maxLines, 160)}`;
+    parts.push(part);
+  });
+
+  let summary = `✅ **Result:** ${analysis.productionCount} production(s) over ${analysis.variableCount} variable(s), down from ${analysis.rawProductionCount}\n${grammarBlock(grammar, 60)}`;
+  if (analysis.emptyLanguage) {
+    summary += `\n\n⚠️ The PDA accepts no string, so the grammar has no productions.`;
+  }
+  parts.push(summary);
+
+  return packMessages(parts);
+}
+
+/**
+ * Format a CYK membership test: verdict, the table as text and a leftmost derivation
+ * @param {Object} cyk - Result of calculateCYK
+ * @returns {string} Formatted message
+ */
+export function formatCYKResult(cyk) {
+  const { input, accepted, symbols, table, derivation, cnf } = cyk;
+  const shown = input === '' ? 'ε' : input;
+
+  let text = `🧮 **CYK Membership Test:** \`${shown}\`\n\n`;
+  text += accepted
+    ? `**Result:** ✅ ${escapeMarkdown(shown)} ∈ L(G) - ${escapeMarkdown(cnf.startSymbol)} derives the whole string\n\n`
+    : `**Result:** ❌ ${escapeMarkdown(shown)} ∉ L(G)\n\n`;
+
+  if (symbols.length > 0 && symbols.length <= 8) {
+    const rows = [['ℓ \\ i', ...symbols.map((_, i) => String(i + 1))]];
+    for (let length = symbols.length; length >= 1; length--) {
+      rows.push([
+        String(length),
+        ...symbols.map((_, start) => {
+          if (start + length > symbols.length) return '';
+          const variables = table[length - 1][start];
+          return variables.length > 0 ? variables.join(',') : '∅';
+        })
+      ]);
+    }
+    rows.push(['', ...symbols]);
+    text += `**Table** (row ℓ, column i: variables deriving the ℓ symbols from position i):\n\`\`\`\n${formatTextTable(rows)}\n\`\`\`\n\n`;
+  } else if (symbols.length > 8) {
+    text += `The table image shows every cell.\n\n`;
+  }
+
+  if (derivation) {
+    const steps = derivation.length > 25
+      ? [...derivation.slice(0, 12), '…', ...derivation.slice(-12)]
+      : derivation;
+    text += `**Leftmost derivation (Chomsky normal form):**\n\`\`\`\n${steps.join('\n⇒ ')}\n\`\`\``;
+  }
+
+  return text.trimEnd();
+}
+
+/**
+ * Format Mealy/Moore translations: a step table for one string, an
+ * input/output table for several
+ * @param {Object} result - Result of calculateTransducerRun
+ * @param {number} maxSteps - Most steps shown for a single string
+ * @returns {string} Formatted message
+ */
+export function formatTransducerRun(result, maxSteps = 40) {
+  const { machine, runs, summary } = result;
+  const name = TRANSDUCER_TYPES[machine.type];
+  const shown = input => (input === '' ? 'ε' : input);
+  const stopNote = run => `⚠️ ${escapeMarkdown(run.steps.length > 0 ? run.steps[run.steps.length - 1].next : machine.startState)} has no move on \`${[...run.input][run.stoppedAt]}\` (position ${run.stoppedAt + 1}), so the machine stopped there.`;
+
+  if (runs.length === 1) {
+    const [run] = runs;
+    let text = `📟 **${name} Machine Run:** \`${shown(run.input)}\`\n\n`;
+    if (run.error) return `${text}❌ ${run.error}`;
+
+    text += `**Output:** \`${run.output === '' ? 'ε' : run.output}\`\n\n`;
+    const rows = run.steps.map(step => (step.state === null
+      ? ['0', '', '', step.output, step.next]
+      : [String(step.step), step.state, step.symbol, step.output, step.next]));
+    const cut = rows.length > maxSteps ? [...rows.slice(0, maxSteps - 5), ['…'], ...rows.slice(-5)] : rows;
+    text += `**Steps:**\n\`\`\`\n${formatTextTable([['Step', 'State', 'Read', 'Output', 'Next'], ...cut])}\n\`\`\``;
+    if (machine.type === 'moore') {
+      text += `\n\nA Moore machine writes the output of every state it enters, starting with ${escapeMarkdown(machine.startState)} before any input is read.`;
+    }
+    if (!run.completed) text += `\n\n${stopNote(run)}`;
+    return text;
+  }
+
+  const rows = runs.map(run => [shown(run.input), run.error ? '✗ invalid' : `${run.output === '' ? 'ε' : run.output}${run.completed ? '' : ' (stopped)'}`]);
+  let text = `📟 **${name} Machine Translations** (${summary.total} string(s))\n\n`;
+  text += `\`\`\`\n${formatTextTable([['Input', 'Output'], ...rows])}\n\`\`\``;
+  if (summary.stopped > 0) text += `\n\n⚠️ ${summary.stopped} run(s) stopped at a state with no move for the next symbol.`;
+  if (summary.invalid > 0) text += `\n\n❌ ${summary.invalid} string(s) use symbols outside the alphabet {${machine.alphabet.join(', ')}}.`;
+  return text;
+}
+
+/**
+ * Format a Mealy → Moore or Moore → Mealy conversion step by step
+ * @param {Object} result - Result of calculateTransducerConversion
+ * @param {number} maxLines - Most rows or lines shown per block
+ * @returns {Array<string>} Messages to send in order
+ */
+export function formatTransducerConversion(result, maxLines = 30) {
+  const { converted, steps, check, analysis } = result;
+  const parts = [`🔄 **${analysis.fromType} → ${analysis.toType}**`];
+
+  steps.forEach((step, index) => {
+    let part = `**Step ${index + 1}: ${step.title}**\n${escapeMarkdown(step.description)}`;
+    if (step.rows) {
+      const rows = step.rows.map(row => [row.state, row.outputs.join(',') || '-', row.copies.join(', ') || '(unreachable, dropped)']);
+      part += `\n\`\`\`\n${formatTextTable([['State', 'Outputs in', `${analysis.toType} states`], ...rows.slice(0, maxLines)])}${rows.length > maxLines ? `\n… ${rows.length - maxLines} more state(s)` : ''}\n\`\`\``;
+    }
+    parts.push(part);
+  });
+
+  const lines = formatTransducerDefinition(converted).split('\n');
+  const shown = lines.length > maxLines + 6 ? [...lines.slice(0, maxLines + 5), `… ${lines.length - maxLines - 5} more line(s)`] : lines;
+  let summary = `✅ **Result:** ${analysis.toType} machine with ${analysis.convertedStateCount} state(s) (from ${analysis.originalStateCount}) and ${analysis.transitionCount} transition(s)\n\`\`\`\n${shown.join('\n')}\n\`\`\``;
+  summary += check.counterexample === null
+    ? `\n\n🔍 Checked on all ${check.checked} input(s) up to length ${check.checkedLength}: the Moore output minus its first symbol equals the Mealy output.`
+    : `\n\n⚠️ The machines disagree on \`${check.counterexample === '' ? 'ε' : check.counterexample}\`.`;
+  parts.push(summary);
+
+  return packMessages(parts);
+}
+
+/** Superscript digits for run-length exponents */
+const SUPERSCRIPT_DIGITS = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+
+/**
+ * Write a string for a pumping lemma message: ε when empty, as it is when
+ * short, and as runs with exponents (a¹²b¹²) when long
+ * @param {string} s - String to show
+ * @returns {string} Compact form
+ */
+export function compactString(s) {
+  if (s === '') return 'ε';
+  const symbols = [...s];
+  if (symbols.length <= 8) return s;
+
+  const runs = [];
+  for (const symbol of symbols) {
+    const last = runs[runs.length - 1];
+    if (last && last.symbol === symbol) last.count++;
+    else runs.push({ symbol, count: 1 });
+  }
+  const exponent = n => [...String(n)].map(digit => SUPERSCRIPT_DIGITS[digit]).join('');
+  return runs.map(({ symbol, count }) => (count === 1 ? symbol : `${symbol}${exponent(count)}`)).join('');
+}
+
+/**
+ * Show the splits of a string with the exponent that breaks each one
+ */
+function pumpingTable(splits, maxRows) {
+  const rows = splits.slice(0, maxRows).map(split => [
+    compactString(split.x),
+    compactString(split.y),
+    compactString(split.z),
+    split.i === null ? '-' : String(split.i),
+    split.i === null ? `stays in L (i ≤ ${split.checkedUpTo})` : `${compactString(split.pumped)} ∉ L`
+  ]);
+  const table = formatTextTable([['x', 'y', 'z', 'i', 'xyⁱz'], ...rows]);
+  return `\`\`\`\n${table}${splits.length > maxRows ? `\n… ${splits.length - maxRows} more split(s)` : ''}\n\`\`\``;
+}
+
+/**
+ * Format the end of a pumping lemma game: the verdict, the moves and a
+ * worked proof summary
+ * @param {Object} result - Result of calculatePumpingVerdict
+ * @param {number} maxRows - Most splits shown per table
+ * @returns {Array<string>} Messages to send in order
+ */
+export function formatPumpingVerdict(result, maxRows = 12) {
+  const { game, studentAnalysis, textbook, loop } = result;
+  const { language, p, string: s, verdict } = game;
+  const parts = [];
+
+  // Verdict
+  const lastSplit = [...game.moves].reverse().find(move => move.action === 'split');
+  let verdictText = '🏁 **Game over**\n\n';
+  if (verdict.winner === 'student') {
+    verdictText += `🎉 **You win!** With x = \`${compactString(lastSplit.x)}\`, y = \`${compactString(lastSplit.y)}\`, z = \`${compactString(lastSplit.z)}\`, every xyⁱz I tried (i up to ${game.moves[game.moves.length - 1].checkedUpTo}) stays in L, so I cannot pump your string out of the language.`;
+  } else if (verdict.reason === 'all_splits_broken') {
+    verdictText += `🤖 **I win!** Every one of the ${studentAnalysis.splits.length} allowed splits of s = \`${compactString(s)}\` pumps out of L, so this string cannot be pumped.`;
+  } else {
+    verdictText += '🏳️ **You gave up.**';
+    const survivor = studentAnalysis?.survivors[0];
+    if (survivor) {
+      verdictText += ` You could have won: x = \`${compactString(survivor.x)}\`, y = \`${compactString(survivor.y)}\`, z = \`${compactString(survivor.z)}\` stays in L however I pump it.`;
+    } else if (studentAnalysis) {
+      verdictText += ` No split of s = \`${compactString(s)}\` would have survived: I can pump every one of them out of L.`;
+    }
+  }
+  parts.push(verdictText);
+
+  // Moves
+  const moveLines = game.moves.map((move, index) => {
+    const number = `${index + 1}.`;
+    if (move.action === 'pick_p') return `${number} 🤖 p = ${move.p}`;
+    if (move.action === 'choose_string') return `${number} 🧑‍🎓 s = \`${compactString(move.string)}\` (|s| = ${[...move.string].length})`;
+    if (move.action === 'split') return `${number} 🧑‍🎓 x = \`${compactString(move.x)}\`, y = \`${compactString(move.y)}\`, z = \`${compactString(move.z)}\``;
+    return move.i === null
+      ? `${number} 🤖 no i up to ${move.checkedUpTo} leaves L`
+      : `${number} 🤖 i = ${move.i}: \`${compactString(move.pumped)}\` ∉ L`;
+  });
+  parts.push(`🎮 **Moves:**\n${moveLines.join('\n')}`);
+
+  // Worked proof summary
+  let proof = `📜 **Worked proof summary** for L = ${escapeMarkdown(language.description)}\n\n`;
+  if (textbook) {
+    const studentProves = verdict.reason === 'all_splits_broken' || (studentAnalysis && studentAnalysis.survivors.length === 0);
+    proof += `**Claim:** L is not regular.\n\n`;
+    proof += `**Proof:** Suppose L were regular, with pumping length p. Take s = ${textbook.witnessText}, which is in L and has |s| ≥ p. The lemma says some split s = xyz with |xy| ≤ p and |y| ≥ 1 keeps xyⁱz in L for every i ≥ 0.\n\n`;
+    proof += `${escapeMarkdown(textbook.argument)}\n\n`;
+    proof += `So no split works, contradicting the pumping lemma: L is not regular. ∎\n\n`;
+    proof += `**For this game's p = ${p}:** s = \`${compactString(textbook.witness)}\`, and each of its ${textbook.analysis.splits.length} splits breaks:\n${pumpingTable(textbook.analysis.splits, maxRows)}`;
+    if (studentProves && textbook.witness !== s) {
+      proof += `\n\nYour string \`${compactString(s)}\` works too for p = ${p}; the proof just needs a string that works for every p.`;
+    } else if (studentAnalysis && !studentProves) {
+      proof += `\n\nYour string \`${compactString(s)}\` has a split that survives, so it cannot prove L non-regular - pick strings whose first p symbols leave no room to pump.`;
+    }
+  } else {
+    proof += `**L is regular**, so the pumping lemma can never show otherwise.\n\n`;
+    proof += `An automaton for L needs only ${p} state(s) (minimal DFA, no dead state). Reading the first ${p} symbols of any s ∈ L with |s| ≥ ${p} visits ${p + 1} states, so one of them repeats. Let y be the symbols read around that loop: skipping the loop (i = 0) or going round it again (i ≥ 2) ends in the same accepting state, so every xyⁱz is in L.`;
+    if (loop) {
+      proof += `\n\n**For s = \`${compactString(s)}\`:** state ${escapeMarkdown(loop.loopState)} repeats, giving x = \`${compactString(loop.x)}\`, y = \`${compactString(loop.y)}\`, z = \`${compactString(loop.z)}\`.`;
+    }
+  }
+  parts.push(proof);
+
+  return packMessages(parts);
+}
@@ -0,0 +1,418 @@
+// ===============================================
+// PUSHDOWN AUTOMATON DEFINITION PARSER
+// ===============================================
+// Parser for pushdown automata in the style of the finite automaton format
+// (see automatonParser.js), with a stack alphabet and stack operations:
+//
+//   States: q0,q1,q2
+//   Alphabet: a,b             (input alphabet; also "Σ:", "Input alphabet:")
+//   Stack alphabet: A,Z       (also "Γ:", "Stack:")
+//   Transitions:
+//   q0,a,Z -> q0,AZ           (in q0 reading a with Z on top: go to q0, replace Z by AZ)
+//   q0,b,A -> q1,ε            (pop A)
+//   δ(q1,ε,Z) = {(q2,Z)}      (textbook form; a set lists several moves)
+//   Start: q0
+//   Initial stack: Z          (optional; defaults to the first stack symbol)
+//   Final: q2
+//   Accept by: final state    (or "empty stack"; defaults to final state)
+//
+// The pushed string is written top first, so "AZ" leaves A on top of Z.
+// Stack symbols may be longer than one character (Z0); a pushed string is
+// split greedily into declared symbols, or may be written with spaces ("A Z0").
+// ε (or eps, or an empty field) as input symbol reads nothing; as the popped
+// symbol it leaves the stack untouched.
+
+import { EPSILON, isEpsilonSymbol } from './automataUtils.js';
+import { SECTION_KEYWORDS, keywordIndex, tokenizeLine, readHeader, makeDiagnostic, formatDiagnostics, readNameList, uniqueNames } from './automatonParser.js';
+
+/** Accepted spellings of each section keyword (lower case) */
+const PDA_SECTION_KEYWORDS = {
+  ...SECTION_KEYWORDS,
+  stackAlphabet: ['stack alphabet', 'γ', 'gamma', 'stack', 'stack symbols'],
+  startStack: ['initial stack', 'start stack', 'stack start', 'bottom', 'z0', 'initial stack symbol'],
+  acceptBy: ['accept by', 'acceptance', 'accepts by']
+};
+
+const PDA_KEYWORD_TO_SECTION = keywordIndex(PDA_SECTION_KEYWORDS);
+
+/** Display names used in messages */
+const PDA_SECTION_NAMES = {
+  states: 'States',
+  alphabet: 'Alphabet',
+  stackAlphabet: 'Stack alphabet',
+  transitions: 'Transitions',
+  start: 'Start',
+  startStack: 'Initial stack',
+  final: 'Final',
+  acceptBy: 'Accept by'
+};
+
+/** Acceptance modes and the words that select them */
+export const PDA_ACCEPTANCE = {
+  final: ['final', 'final state', 'final states', 'state'],
+  empty: ['empty', 'empty stack', 'stack', 'null stack']
+};
+
+/** Function names that may prefix a transition written as δ(q, a, X) = ... */
+const DELTA_NAMES = ['δ', 'd', 'delta'];
+
+/**
+ * Split tokens at commas into parts
+ */
+function splitAtCommas(tokens) {
+  const parts = [[]];
+  for (const token of tokens) {
+    if (token.type === 'COMMA') parts.push([]);
+    else parts[parts.length - 1].push(token);
+  }
+  return parts;
+}
+
+/**
+ * Read one PDA transition
+ * Forms: from,input,pop -> to,push | from,input,pop,to,push |
+ *        δ(from,input,pop) = (to,push) | δ(from,input,pop) = {(to,push), ...}
+ * @returns {Object} { from, input, pop, moves: [{ to, push: Array<token> }] } as tokens, or { error }
+ */
+function readPDATransition(tokens) {
+  const fail = (message, token = tokens[tokens.length - 1]) => ({ error: { token, message } });
+  const emptyToken = column => ({ type: 'WORD', text: '', column });
+
+  // Left side (from,input,pop) and the moves on the right
+  let left;
+  let right;
+  const arrowIndex = tokens.findIndex(t => t.type === 'ARROW' || t.type === 'EQUALS');
+
+  if (arrowIndex >= 0) {
+    left = tokens.slice(0, arrowIndex);
+    right = tokens.slice(arrowIndex + 1);
+    if (left[0]?.type === 'WORD' && DELTA_NAMES.includes(left[0].text.toLowerCase()) && left[1]?.type === 'LPAREN') {
+      left = left.slice(1);
+    }
+    if (left[0]?.type === 'LPAREN') {
+      if (left[left.length - 1]?.type !== 'RPAREN') return fail('Missing closing ")"', left[0]);
+      left = left.slice(1, -1);
+    }
+  } else {
+    // from,input,pop,to,push
+    const parts = splitAtCommas(tokens);
+    if (parts.length !== 5) {
+      return fail('Cannot read this transition; use from,input,pop -> to,push (e.g. q0,a,Z -> q1,AZ)', tokens[0]);
+    }
+    left = [...parts[0], { type: 'COMMA' }, ...parts[1], { type: 'COMMA' }, ...parts[2]];
+    right = [...parts[3], { type: 'COMMA' }, ...parts[4]];
+  }
+
+  const leftParts = splitAtCommas(left);
+  if (leftParts.length !== 3) {
+    return fail(`Expected from,input,pop before the arrow but found ${leftParts.length} part(s)`, left[0] || tokens[0]);
+  }
+  const [fromPart, inputPart, popPart] = leftParts;
+  if (fromPart.length !== 1 || fromPart[0].type !== 'WORD') return fail('Expected a single source state', fromPart[0] || tokens[0]);
+  if (inputPart.length > 1) return fail('Expected a single input symbol', inputPart[1]);
+  if (popPart.length > 1) return fail('Expected a single stack symbol to pop', popPart[1]);
+
+  // Right side: one move "to,push" or "(to,push)", or a set of moves "{(to,push), ...}"
+  let moveTokens = [right];
+  if (right[0]?.type === 'LBRACE') {
+    if (right[right.length - 1]?.type !== 'RBRACE') return fail('Missing closing "}"', right[0]);
+    moveTokens = [];
+    let current = null;
+    for (const token of right.slice(1, -1)) {
+      if (token.type === 'LPAREN') current = [];
+      else if (token.type === 'RPAREN') { if (current) moveTokens.push(current); current = null; }
+      else if (current) current.push(token);
+      else if (token.type !== 'COMMA') return fail('Write each move in a set as (state,push)', token);
+    }
+  } else if (right[0]?.type === 'LPAREN') {
+    if (right[right.length - 1]?.type !== 'RPAREN') return fail('Missing closing ")"', right[0]);
+    moveTokens = [right.slice(1, -1)];
+  }
+
+  const moves = [];
+  for (const move of moveTokens) {
+    const parts = splitAtCommas(move);
+    if (move.length === 0 || parts.length !== 2 || parts[0].length !== 1 || parts[0][0].type !== 'WORD') {
+      return fail('Expected the target as state,push (write ε to push nothing)', move[0] || tokens[tokens.length - 1]);
+    }
+    moves.push({ to: parts[0][0], push: parts[1] });
+  }
+
+  return {
+    from: fromPart[0],
+    input: inputPart[0] || emptyToken(fromPart[0].column),
+    pop: popPart[0] || emptyToken(fromPart[0].column),
+    moves
+  };
+}
+
+/**
+ * Split a pushed string into stack symbols
+ * "ε" pushes nothing; otherwise declared symbols are matched greedily
+ * (longest first), so "Z0" stays one symbol and "AAZ" becomes A, A, Z.
+ * @param {string} text - Pushed string as written
+ * @param {Array<string>} stackAlphabet - Declared stack symbols
+ * @returns {Array<string>|null} Symbols from top to bottom, or null if the string cannot be split
+ */
+export function splitStackString(text, stackAlphabet) {
+  if (isEpsilonSymbol(text, stackAlphabet)) return [];
+
+  const byLength = [...stackAlphabet].sort((a, b) => b.length - a.length);
+  const symbols = [];
+  let rest = text;
+  while (rest.length > 0) {
+    const symbol = byLength.find(candidate => rest.startsWith(candidate));
+    if (!symbol) return null;
+    symbols.push(symbol);
+    rest = rest.slice(symbol.length);
+  }
+  return symbols;
+}
+
+/**
+ * Parse a pushdown automaton definition
+ * @param {string} text - PDA definition (see the format at the top of this file)
+ * @returns {Object} { success, pda, errors, warnings, error } where error is
+ *   the formatted report when success is false
+ */
+export function parsePDA(text) {
+  const lines = String(text ?? '').split('\n');
+  const errors = [];
+  const warnings = [];
+  const sections = {};
+  const transitionEntries = [];
+  let inTransitions = false;
+
+  const error = (message, lineIndex = null, token = null) =>
+    errors.push(makeDiagnostic('error', message, lineIndex === null ? null : lineIndex + 1, lines[lineIndex] ?? '', token));
+  const warning = (message, lineIndex = null, token = null) =>
+    warnings.push(makeDiagnostic('warning', message, lineIndex === null ? null : lineIndex + 1, lines[lineIndex] ?? '', token));
+
+  const addTransition = (tokens, lineIndex) => {
+    const transition = readPDATransition(tokens);
+    if (transition.error) {
+      error(transition.error.message, lineIndex, transition.error.token);
+    } else {
+      transitionEntries.push({ ...transition, lineIndex });
+    }
+  };
+
+  // Pass 1: syntax
+  lines.forEach((line, lineIndex) => {
+    const trimmed = line.trim();
+    if (trimmed === '' || trimmed.startsWith('#') || trimmed.startsWith('//')) return;
+
+    const tokens = tokenizeLine(line);
+    const header = readHeader(tokens, PDA_KEYWORD_TO_SECTION, 4);
+
+    // "δ(q0,a,Z) = ..." looks like a header to readHeader only when δ stands alone
+    const isDelta = DELTA_NAMES.includes(tokens[0]?.text.toLowerCase()) && tokens[1]?.type === 'LPAREN';
+
+    if (header?.unknown && !isDelta) {
+      const keyword = header.keywordTokens.map(t => t.text).join(' ');
+      error(`Unknown keyword "${keyword}". Expected States, Alphabet, Stack alphabet, Transitions, Start, Initial stack, Final or Accept by`, lineIndex,
+        { column: header.keywordTokens[0].column, text: keyword });
+      inTransitions = false;
+      return;
+    }
+
+    if (header && !header.unknown) {
+      const { section, keywordTokens, valueTokens } = header;
+      inTransitions = section === 'transitions';
+
+      if (sections[section]) {
+        error(`${PDA_SECTION_NAMES[section]} is defined twice (first on line ${sections[section].lineIndex + 1})`, lineIndex, keywordTokens[0]);
+        return;
+      }
+
+      if (section === 'transitions') {
+        sections.transitions = { lineIndex };
+        if (valueTokens.length > 0) addTransition(valueTokens, lineIndex);
+        return;
+      }
+
+      if (section === 'acceptBy') {
+        const words = valueTokens.map(t => t.text.toLowerCase()).join(' ');
+        const mode = Object.keys(PDA_ACCEPTANCE).find(key => PDA_ACCEPTANCE[key].includes(words));
+        if (!mode) error('Accept by must be "final state" or "empty stack"', lineIndex, valueTokens[0] || keywordTokens[0]);
+        sections.acceptBy = { lineIndex, mode: mode || 'final' };
+        return;
+      }
+
+      const { items, error: listError } = readNameList(valueTokens);
+      if (listError) error(listError.message, lineIndex, listError.token);
+      sections[section] = { lineIndex, items };
+
+      if ((section === 'start' || section === 'startStack') && items.length > 1) {
+        error(`Only one ${section === 'start' ? 'start state' : 'initial stack symbol'} is allowed`, lineIndex, items[1]);
+      }
+      return;
+    }
+
+    if (inTransitions || isDelta || tokens.some(t => t.type === 'ARROW')) {
+      addTransition(tokens, lineIndex);
+      return;
+    }
+
+    error('Unexpected line. Transitions must follow a "Transitions:" line', lineIndex);
+  });
+
+  // Pass 2: references
+  for (const section of ['states', 'alphabet', 'stackAlphabet', 'start']) {
+    if (!sections[section]) error(`Missing "${PDA_SECTION_NAMES[section]}:" line`);
+  }
+
+  const sectionNames = (section, what) => uniqueNames(sections[section]?.items || [], what,
+    (message, token) => warning(message, sections[section].lineIndex, token),
+    name => isEpsilonSymbol(name, ['e']));
+  const states = sectionNames('states', 'State');
+  const alphabet = sectionNames('alphabet', 'Symbol');
+  const stackAlphabet = sectionNames('stackAlphabet', 'Stack symbol');
+
+  const checkState = (token, role, lineIndex) => {
+    if (sections.states && !states.includes(token.text)) {
+      error(`${role} "${token.text}" is not declared in States`, lineIndex, token);
+    }
+  };
+
+  const startToken = sections.start?.items[0];
+  if (sections.start && !startToken) {
+    error('Start state is empty', sections.start.lineIndex);
+  } else if (startToken) {
+    checkState(startToken, 'Start state', sections.start.lineIndex);
+  }
+
+  let startStack = stackAlphabet[0] || '';
+  const startStackToken = sections.startStack?.items[0];
+  if (startStackToken) {
+    startStack = startStackToken.text;
+    if (sections.stackAlphabet && !stackAlphabet.includes(startStack)) {
+      error(`Initial stack symbol "${startStack}" is not in the stack alphabet {${stackAlphabet.join(', ')}}`, sections.startStack.lineIndex, startStackToken);
+    }
+  } else if (startStack) {
+    warning(`No "Initial stack:" line, so the stack starts with ${startStack}`);
+  }
+
+  const finalStates = [];
+  for (const token of sections.final?.items || []) {
+    checkState(token, 'Final state', sections.final.lineIndex);
+    if (!finalStates.includes(token.text)) finalStates.push(token.text);
+  }
+
+  const acceptBy = sections.acceptBy?.mode || 'final';
+  if (acceptBy === 'final' && !sections.final) {
+    warning('No "Final:" line, so the PDA accepts nothing by final state');
+  }
+
+  const transitions = [];
+  const seen = new Set();
+  for (const { from, input, pop, moves, lineIndex } of transitionEntries) {
+    checkState(from, 'Source state', lineIndex);
+
+    const inputEpsilon = isEpsilonSymbol(input.text, alphabet);
+    if (!inputEpsilon && sections.alphabet && !alphabet.includes(input.text)) {
+      error(`Symbol "${input.text}" is not in the alphabet {${alphabet.join(', ')}}`, lineIndex, input);
+    }
+    const popEpsilon = isEpsilonSymbol(pop.text, stackAlphabet);
+    if (!popEpsilon && sections.stackAlphabet && !stackAlphabet.includes(pop.text)) {
+      error(`Stack symbol "${pop.text}" is not in the stack alphabet {${stackAlphabet.join(', ')}}`, lineIndex, pop);
+    }
+
+    for (const { to, push: pushTokens } of moves) {
+      checkState(to, 'Target state', lineIndex);
+
+      const push = [];
+      for (const token of pushTokens) {
+        const symbols = splitStackString(token.text, stackAlphabet);
+        if (symbols === null) {
+          error(`Cannot split "${token.text}" into stack symbols {${stackAlphabet.join(', ')}}`, lineIndex, token);
+        } else {
+          push.push(...symbols);
+        }
+      }
+
+      const transition = {
+        from: from.text,
+        symbol: inputEpsilon ? EPSILON : input.text,
+        pop: popEpsilon ? EPSILON : pop.text,
+        to: to.text,
+        push
+      };
+      const key = [transition.from, transition.symbol, transition.pop, transition.to, push.join(' ')].join('\u0000');
+      if (seen.has(key)) {
+        warning(`Duplicate transition ${formatPDATransition(transition)}`, lineIndex, from);
+        continue;
+      }
+      seen.add(key);
+      transitions.push(transition);
+    }
+  }
+
+  if (transitions.length === 0 && errors.length === 0) {
+    warning('No transitions were given');
+  }
+
+  const pda = {
+    states,
+    alphabet,
+    stackAlphabet,
+    transitions,
+    startState: startToken ? startToken.text : '',
+    startStack,
+    finalStates,
+    acceptBy
+  };
+
+  const byLine = (a, b) => (a.line ?? Infinity) - (b.line ?? Infinity);
+  errors.sort(byLine);
+  warnings.sort(byLine);
+
+  const success = errors.length === 0;
+  return {
+    success,
+    pda,
+    errors,
+    warnings,
+    error: success ? null : `Found ${errors.length} problem${errors.length === 1 ? '' : 's'} in the PDA definition:\n${formatDiagnostics(errors)}`
+  };
+}
+
+// ===============================================
+// SERIALIZATION
+// ===============================================
+
+/**
+ * Write a stack (top first) as text; symbols longer than one character are space separated
+ * @param {Array<string>} stack - Stack symbols from top to bottom
+ * @returns {string} Stack contents, or ε when empty
+ */
+export function formatStack(stack) {
+  if (stack.length === 0) return EPSILON;
+  return stack.every(symbol => symbol.length === 1) ? stack.join('') : stack.join(' ');
+}
+
+/**
+ * Write one transition in the definition format: q0,a,Z -> q1,AZ
+ */
+export function formatPDATransition(t) {
+  return `${t.from},${t.symbol},${t.pop} -> ${t.to},${formatStack(t.push)}`;
+}
+
+/**
+ * Write a PDA back in the text format read by parsePDA
+ * @param {Object} pda - Pushdown automaton
+ * @returns {string} Definition text
+ */
+export function formatPDADefinition(pda) {
+  return [
+    `States: ${pda.states.join(',')}`,
+    `Alphabet: ${pda.alphabet.join(',')}`,
+    `Stack alphabet: ${pda.stackAlphabet.join(',')}`,
+    'Transitions:',
+    ...pda.transitions.map(formatPDATransition),
+    `Start: ${pda.startState}`,
+    `Initial stack: ${pda.startStack}`,
+    `Final: ${pda.finalStates.join(',')}`,
+    `Accept by: ${pda.acceptBy === 'empty' ? 'empty stack' : 'final state'}`
+  ].join('\n');
+}
@@ -0,0 +1,161 @@
+// ===============================================
+// LANGUAGES FOR THE PUMPING LEMMA GAME
+// ===============================================
+// Each language has a description, an alphabet and either a membership
+// predicate or an automaton definition (see automatonParser.js). Languages
+// that are not regular also carry the textbook proof: a string that works
+// for every pumping length p and the argument that every split of it can be
+// pumped out of the language.
+//
+// { id, name, description, alphabet, regular, isMember | definition,
+//   witness(p), witnessText, argument }
+
+/**
+ * Check whether a number is prime
+ */
+function isPrime(n) {
+  if (n < 2) return false;
+  for (let d = 2; d * d <= n; d++) {
+    if (n % d === 0) return false;
+  }
+  return true;
+}
+
+/**
+ * Smallest prime that is at least n
+ */
+function nextPrime(n) {
+  let candidate = Math.max(2, n);
+  while (!isPrime(candidate)) candidate++;
+  return candidate;
+}
+
+/**
+ * Count the occurrences of a symbol in a string
+ */
+function count(s, symbol) {
+  return [...s].filter(c => c === symbol).length;
+}
+
+/** The built-in languages, in menu order */
+export const PUMPING_LANGUAGES = [
+  {
+    id: 'anbn',
+    name: 'aⁿbⁿ',
+    description: '{ aⁿbⁿ | n ≥ 0 }',
+    alphabet: ['a', 'b'],
+    regular: false,
+    isMember: s => /^a*b*$/.test(s) && count(s, 'a') === count(s, 'b'),
+    witness: p => 'a'.repeat(p) + 'b'.repeat(p),
+    witnessText: 'aᵖbᵖ',
+    argument: 'Since |xy| ≤ p, y lies inside the leading a\'s, so y = aᵏ with k ≥ 1. Pumping down (i = 0) leaves aᵖ⁻ᵏbᵖ, which has fewer a\'s than b\'s.'
+  },
+  {
+    id: 'equal',
+    name: 'equal a\'s and b\'s',
+    description: '{ w ∈ {a,b}* | w has as many a\'s as b\'s }',
+    alphabet: ['a', 'b'],
+    regular: false,
+    isMember: s => count(s, 'a') === count(s, 'b'),
+    witness: p => 'a'.repeat(p) + 'b'.repeat(p),
+    witnessText: 'aᵖbᵖ',
+    argument: 'Since |xy| ≤ p, y = aᵏ with k ≥ 1. Pumping down (i = 0) leaves aᵖ⁻ᵏbᵖ, which has fewer a\'s than b\'s.'
+  },
+  {
+    id: 'more_a',
+    name: 'aⁱbʲ with i > j',
+    description: '{ aⁱbʲ | i > j }',
+    alphabet: ['a', 'b'],
+    regular: false,
+    isMember: s => /^a*b*$/.test(s) && count(s, 'a') > count(s, 'b'),
+    witness: p => 'a'.repeat(p + 1) + 'b'.repeat(p),
+    witnessText: 'aᵖ⁺¹bᵖ',
+    argument: 'Since |xy| ≤ p, y = aᵏ with k ≥ 1. Pumping up cannot help here, but pumping down (i = 0) leaves aᵖ⁺¹⁻ᵏbᵖ, which has at most as many a\'s as b\'s.'
+  },
+  {
+    id: 'palindromes',
+    name: 'palindromes',
+    description: '{ w ∈ {a,b}* | w = wᴿ }',
+    alphabet: ['a', 'b'],
+    regular: false,
+    isMember: s => s === [...s].reverse().join(''),
+    witness: p => `${'a'.repeat(p)}b${'a'.repeat(p)}`,
+    witnessText: 'aᵖbaᵖ',
+    argument: 'Since |xy| ≤ p, y = aᵏ with k ≥ 1 lies before the b. Pumping down (i = 0) leaves aᵖ⁻ᵏbaᵖ, whose b is no longer in the middle, so it is not a palindrome.'
+  },
+  {
+    id: 'ww',
+    name: 'ww',
+    description: '{ ww | w ∈ {a,b}* }',
+    alphabet: ['a', 'b'],
+    regular: false,
+    isMember: s => s.length % 2 === 0 && s.slice(0, s.length / 2) === s.slice(s.length / 2),
+    witness: p => `${'a'.repeat(p)}b${'a'.repeat(p)}b`,
+    witnessText: 'aᵖbaᵖb',
+    argument: 'Since |xy| ≤ p, y = aᵏ with k ≥ 1 lies before the first b. Pumping down (i = 0) leaves aᵖ⁻ᵏbaᵖb. Both copies of w would have to end with a b, so w = aᵖ⁻ᵏb and w = aᵖb at once, which is impossible.'
+  },
+  {
+    id: 'squares',
+    name: 'square lengths',
+    description: '{ aⁿ | n is a perfect square }',
+    alphabet: ['a'],
+    regular: false,
+    isMember: s => /^a*$/.test(s) && Number.isInteger(Math.sqrt(s.length)),
+    witness: p => 'a'.repeat(p * p),
+    witnessText: 'a^(p²)',
+    argument: 'y = aᵏ with 1 ≤ k ≤ p. Pumping up once (i = 2) gives length p² + k, and p² < p² + k ≤ p² + p < (p + 1)², so the length lies strictly between two consecutive squares.'
+  },
+  {
+    id: 'primes',
+    name: 'prime lengths',
+    description: '{ aⁿ | n is prime }',
+    alphabet: ['a'],
+    regular: false,
+    isMember: s => /^a*$/.test(s) && isPrime(s.length),
+    witness: p => 'a'.repeat(nextPrime(p + 2)),
+    witnessText: 'a^q for a prime q ≥ p + 2',
+    argument: 'y = aᵏ with 1 ≤ k ≤ p. Pumping with i = q − k gives length (q − k) + (q − k)·k = (q − k)(1 + k). Both factors are at least 2 (q − k ≥ 2 because k ≤ p ≤ q − 2), so the length is not prime.'
+  },
+  {
+    id: 'a_star_b_star',
+    name: 'a*b*',
+    description: 'a*b* (any a\'s followed by any b\'s)',
+    alphabet: ['a', 'b'],
+    regular: true,
+    definition: `States: q0,q1
+Alphabet: a,b
+Transitions:
+q0,a,q0
+q0,b,q1
+q1,b,q1
+Start: q0
+Final: q0,q1`
+  },
+  {
+    id: 'even_a',
+    name: 'even number of a\'s',
+    description: '{ w ∈ {a,b}* | w has an even number of a\'s }',
+    alphabet: ['a', 'b'],
+    regular: true,
+    definition: `States: even,odd
+Alphabet: a,b
+Transitions:
+even,a,odd
+even,b,even
+odd,a,even
+odd,b,odd
+Start: even
+Final: even`
+  }
+];
+
+/**
+ * Find a built-in language by its menu number or id
+ * @param {string} choice - "1", "anbn", ...
+ * @returns {Object|null} The language, or null if there is no such language
+ */
+export function findPumpingLanguage(choice) {
+  const text = String(choice).trim().toLowerCase();
+  if (/^\d+$/.test(text)) return PUMPING_LANGUAGES[Number(text) - 1] || null;
+  return PUMPING_LANGUAGES.find(language => language.id === text) || null;
+}
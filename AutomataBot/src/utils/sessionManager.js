@@ -13,8 +13,14 @@ export function getUserSession(userId) {
     console.log(`🔧 [SESSION] Creating new session for user ${userId}`);
     userSessions.set(userId, {
       currentFA: null,
+      currentPDA: null,
+      currentGrammar: null,
+      currentTM: null,
+      currentTransducer: null,
+      pumpingGame: null,
       waitingFor: null,
       lastOperation: null,
+      diagramFormat: 'classic', // classic, png or svg (see /diagram)
       history: [],
       lastActivity: Date.now()
     });
@@ -225,6 +231,66 @@ function generateHistoryId() {
   return `hist_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
 }
 
+/**
+ * Start a pumping lemma game, replacing any game in progress
+ * The game records every move, so it can be replayed in the final proof.
+ * @param {string} userId - User ID
+ * @param {Object} game - { language, p } chosen when the game starts
+ * @returns {Object} The new game, waiting for the student's string
+ */
+export function startPumpingGame(userId, game) {
+  const session = getUserSession(userId);
+
+  session.pumpingGame = {
+    ...game,
+    phase: 'string',
+    string: null,
+    moves: [{ player: 'bot', action: 'pick_p', p: game.p, timestamp: Date.now() }],
+    verdict: null,
+    startedAt: Date.now()
+  };
+
+  console.log(`🎮 [GAME] Started pumping game for user ${userId}: ${game.language.id}, p=${game.p}`);
+  return session.pumpingGame;
+}
+
+/**
+ * Record moves of the current pumping lemma game
+ * @param {string} userId - User ID
+ * @param {Array<Object>} moves - Moves in order, e.g. { player: 'student', action: 'split', x, y, z }
+ * @param {Object} updates - Game fields to change (phase, string, ...)
+ * @returns {Object|null} The updated game, or null when no game is running
+ */
+export function recordPumpingMoves(userId, moves, updates = {}) {
+  const session = getUserSession(userId);
+  const game = session.pumpingGame;
+  if (!game || game.phase === 'over') return null;
+
+  game.moves.push(...moves.map(move => ({ ...move, timestamp: Date.now() })));
+  Object.assign(game, updates);
+
+  console.log(`🎮 [GAME] Recorded ${moves.length} move(s) for user ${userId}: phase=${game.phase}`);
+  return game;
+}
+
+/**
+ * End the current pumping lemma game with a verdict
+ * @param {string} userId - User ID
+ * @param {Object} verdict - { winner: 'student' | 'bot', reason }
+ * @returns {Object|null} The finished game, or null when no game is running
+ */
+export function endPumpingGame(userId, verdict) {
+  const session = getUserSession(userId);
+  const game = session.pumpingGame;
+  if (!game || game.phase === 'over') return null;
+
+  game.phase = 'over';
+  game.verdict = verdict;
+
+  console.log(`🏁 [GAME] Pumping game over for user ${userId}: ${verdict.winner} wins (${verdict.reason})`);
+  return game;
+}
+
 /**
  * Clear user session
  * @param {string} userId - User ID
@@ -325,8 +391,14 @@ export function forceResetUserSession(userId) {
 
     userSessions.set(userId, {
       currentFA: null,
+      currentPDA: null,
+      currentGrammar: null,
+      currentTM: null,
+      currentTransducer: null,
+      pumpingGame: null,
       waitingFor: null,
       lastOperation: null,
+      diagramFormat: oldSession.diagramFormat || 'classic',
       history: oldSession.history || [],
       lastActivity: Date.now()
     });
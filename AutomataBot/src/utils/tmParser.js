@@ -0,0 +1,387 @@
+// ===============================================
+// TURING MACHINE DEFINITION PARSER
+// ===============================================
+// Parser for single-tape deterministic Turing machines in the style of the
+// finite automaton format (see automatonParser.js):
+//
+//   States: q0,q1,qa,qr
+//   Alphabet: 0,1             (input alphabet; also "Σ:", "Input alphabet:")
+//   Tape alphabet: 0,1,X,_    (optional, "Γ:"; input symbols and the blank are added)
+//   Blank: _                  (optional; defaults to _)
+//   Transitions:
+//   q0,0 -> q1,X,R            (in q0 reading 0: write X, move right, go to q1)
+//   δ(q1,_) = (qa,_,L)        (textbook form)
+//   q1,1,qr,1,S               (five fields without an arrow)
+//   Start: q0
+//   Accept: qa                (also "Final:")
+//   Reject: qr                (optional)
+//
+// Head moves are L (left), R (right) and S or N (stay). Tape symbols are
+// single characters; □ and ␣ also stand for the blank. The machine is
+// deterministic: at most one move per state and symbol. A configuration with
+// no move halts, which rejects unless the state is accepting.
+
+import { SECTION_KEYWORDS, keywordIndex, tokenizeLine, readHeader, makeDiagnostic, formatDiagnostics, readNameList, uniqueNames } from './automatonParser.js';
+
+/** Accepted spellings of each section keyword (lower case) */
+const TM_SECTION_KEYWORDS = {
+  states: SECTION_KEYWORDS.states,
+  alphabet: SECTION_KEYWORDS.alphabet,
+  tapeAlphabet: ['tape alphabet', 'γ', 'gamma', 'tape', 'tape symbols'],
+  blank: ['blank', 'blank symbol'],
+  transitions: SECTION_KEYWORDS.transitions,
+  start: SECTION_KEYWORDS.start,
+  accept: ['accept', 'accepting', 'accept state', 'accept states', 'accepting states', 'final', 'finals', 'final states', 'f'],
+  reject: ['reject', 'rejecting', 'reject state', 'reject states', 'rejecting states']
+};
+
+const TM_KEYWORD_TO_SECTION = keywordIndex(TM_SECTION_KEYWORDS);
+
+/** Display names used in messages */
+const TM_SECTION_NAMES = {
+  states: 'States',
+  alphabet: 'Alphabet',
+  tapeAlphabet: 'Tape alphabet',
+  blank: 'Blank',
+  transitions: 'Transitions',
+  start: 'Start',
+  accept: 'Accept',
+  reject: 'Reject'
+};
+
+/** Head moves and the words that select them */
+export const TM_MOVES = {
+  L: ['l', 'left', '<'],
+  R: ['r', 'right', '>'],
+  S: ['s', 'n', 'stay', 'none']
+};
+
+/** Blank used when there is no "Blank:" line */
+export const DEFAULT_BLANK = '_';
+
+/** Other ways to write the blank in transitions */
+const BLANK_ALIASES = ['□', '␣'];
+
+/** Function names that may prefix a transition written as δ(q, a) = ... */
+const DELTA_NAMES = ['δ', 'd', 'delta'];
+
+/**
+ * Split tokens at commas into parts
+ */
+function splitAtCommas(tokens) {
+  const parts = [[]];
+  for (const token of tokens) {
+    if (token.type === 'COMMA') parts.push([]);
+    else parts[parts.length - 1].push(token);
+  }
+  return parts;
+}
+
+/**
+ * Read one TM transition
+ * Forms: from,read -> to,write,move | from,read,to,write,move |
+ *        δ(from,read) = (to,write,move)
+ * @returns {Object} { from, read, to, write, move } as tokens, or { error }
+ */
+function readTMTransition(tokens) {
+  const fail = (message, token = tokens[tokens.length - 1]) => ({ error: { token, message } });
+
+  let left;
+  let right;
+  const arrowIndex = tokens.findIndex(t => t.type === 'ARROW' || t.type === 'EQUALS');
+
+  if (arrowIndex >= 0) {
+    left = tokens.slice(0, arrowIndex);
+    right = tokens.slice(arrowIndex + 1);
+    if (left[0]?.type === 'WORD' && DELTA_NAMES.includes(left[0].text.toLowerCase()) && left[1]?.type === 'LPAREN') {
+      left = left.slice(1);
+    }
+    for (const side of [left, right]) {
+      if (side[0]?.type === 'LPAREN' && side[side.length - 1]?.type !== 'RPAREN') return fail('Missing closing ")"', side[0]);
+    }
+    if (left[0]?.type === 'LPAREN') left = left.slice(1, -1);
+    if (right[0]?.type === 'LPAREN') right = right.slice(1, -1);
+  } else {
+    const parts = splitAtCommas(tokens);
+    if (parts.length !== 5) {
+      return fail('Cannot read this transition; use from,read -> to,write,move (e.g. q0,a -> q1,b,R)', tokens[0]);
+    }
+    left = [...parts[0], { type: 'COMMA' }, ...parts[1]];
+    right = [...parts[2], { type: 'COMMA' }, ...parts[3], { type: 'COMMA' }, ...parts[4]];
+  }
+
+  const leftParts = splitAtCommas(left);
+  if (leftParts.length !== 2) {
+    return fail(`Expected from,read before the arrow but found ${leftParts.length} part(s)`, left[0] || tokens[0]);
+  }
+  const rightParts = splitAtCommas(right);
+  if (rightParts.length !== 3) {
+    return fail(`Expected to,write,move after the arrow but found ${rightParts.length} part(s)`, right[0] || tokens[tokens.length - 1]);
+  }
+
+  const [fromPart, readPart] = leftParts;
+  const [toPart, writePart, movePart] = rightParts;
+  const single = (part, what) => (part.length === 1 && part[0].type === 'WORD' ? null : fail(`Expected ${what}`, part[0] || tokens[0]));
+  return single(fromPart, 'a single source state')
+    || single(readPart, 'a single symbol to read (write _ for the blank)')
+    || single(toPart, 'a single target state')
+    || single(writePart, 'a single symbol to write (write _ for the blank)')
+    || single(movePart, 'a head move: L, R or S')
+    || { from: fromPart[0], read: readPart[0], to: toPart[0], write: writePart[0], move: movePart[0] };
+}
+
+/**
+ * Parse a Turing machine definition
+ * @param {string} text - TM definition (see the format at the top of this file)
+ * @returns {Object} { success, tm, errors, warnings, error } where error is
+ *   the formatted report when success is false
+ */
+export function parseTuringMachine(text) {
+  const lines = String(text ?? '').split('\n');
+  const errors = [];
+  const warnings = [];
+  const sections = {};
+  const transitionEntries = [];
+  let inTransitions = false;
+
+  const error = (message, lineIndex = null, token = null) =>
+    errors.push(makeDiagnostic('error', message, lineIndex === null ? null : lineIndex + 1, lines[lineIndex] ?? '', token));
+  const warning = (message, lineIndex = null, token = null) =>
+    warnings.push(makeDiagnostic('warning', message, lineIndex === null ? null : lineIndex + 1, lines[lineIndex] ?? '', token));
+
+  const addTransition = (tokens, lineIndex) => {
+    const transition = readTMTransition(tokens);
+    if (transition.error) {
+      error(transition.error.message, lineIndex, transition.error.token);
+    } else {
+      transitionEntries.push({ ...transition, lineIndex });
+    }
+  };
+
+  // Pass 1: syntax
+  lines.forEach((line, lineIndex) => {
+    const trimmed = line.trim();
+    if (trimmed === '' || trimmed.startsWith('#') || trimmed.startsWith('//')) return;
+
+    const tokens = tokenizeLine(line);
+    const header = readHeader(tokens, TM_KEYWORD_TO_SECTION);
+    const isDelta = DELTA_NAMES.includes(tokens[0]?.text.toLowerCase()) && tokens[1]?.type === 'LPAREN';
+
+    if (header?.unknown && !isDelta) {
+      const keyword = header.keywordTokens.map(t => t.text).join(' ');
+      error(`Unknown keyword "${keyword}". Expected States, Alphabet, Tape alphabet, Blank, Transitions, Start, Accept or Reject`, lineIndex,
+        { column: header.keywordTokens[0].column, text: keyword });
+      inTransitions = false;
+      return;
+    }
+
+    if (header && !header.unknown) {
+      const { section, keywordTokens, valueTokens } = header;
+      inTransitions = section === 'transitions';
+
+      if (sections[section]) {
+        error(`${TM_SECTION_NAMES[section]} is defined twice (first on line ${sections[section].lineIndex + 1})`, lineIndex, keywordTokens[0]);
+        return;
+      }
+
+      if (section === 'transitions') {
+        sections.transitions = { lineIndex };
+        if (valueTokens.length > 0) addTransition(valueTokens, lineIndex);
+        return;
+      }
+
+      const { items, error: listError } = readNameList(valueTokens);
+      if (listError) error(listError.message, lineIndex, listError.token);
+      sections[section] = { lineIndex, items };
+
+      if ((section === 'start' || section === 'blank') && items.length > 1) {
+        error(`Only one ${section === 'start' ? 'start state' : 'blank symbol'} is allowed`, lineIndex, items[1]);
+      }
+      return;
+    }
+
+    if (inTransitions || isDelta || tokens.some(t => t.type === 'ARROW')) {
+      addTransition(tokens, lineIndex);
+      return;
+    }
+
+    error('Unexpected line. Transitions must follow a "Transitions:" line', lineIndex);
+  });
+
+  // Pass 2: references
+  for (const section of ['states', 'alphabet', 'start']) {
+    if (!sections[section]) error(`Missing "${TM_SECTION_NAMES[section]}:" line`);
+  }
+
+  const sectionNames = (section, what) => uniqueNames(sections[section]?.items || [], what,
+    (message, token) => warning(message, sections[section].lineIndex, token));
+  const singleCharacters = (section, names) => {
+    for (const token of sections[section]?.items || []) {
+      if ([...token.text].length !== 1) {
+        error(`Tape symbols must be single characters, but "${token.text}" is not`, sections[section].lineIndex, token);
+      }
+    }
+    return names;
+  };
+
+  const states = sectionNames('states', 'State');
+  const blankToken = sections.blank?.items[0];
+  const blank = blankToken ? blankToken.text : DEFAULT_BLANK;
+  if (blankToken) singleCharacters('blank', [blank]);
+
+  const alphabet = singleCharacters('alphabet', sectionNames('alphabet', 'Symbol'));
+  if (alphabet.includes(blank)) {
+    error(`The blank "${blank}" cannot be an input symbol`, sections.alphabet.lineIndex,
+      sections.alphabet.items.find(token => token.text === blank));
+  }
+
+  const tapeAlphabet = singleCharacters('tapeAlphabet', sectionNames('tapeAlphabet', 'Tape symbol'));
+  for (const symbol of [...alphabet, blank]) {
+    if (!tapeAlphabet.includes(symbol)) {
+      if (sections.tapeAlphabet && symbol !== blank) {
+        warning(`Input symbol "${symbol}" is added to the tape alphabet`, sections.tapeAlphabet.lineIndex);
+      }
+      tapeAlphabet.push(symbol);
+    }
+  }
+
+  const checkState = (token, role, lineIndex) => {
+    if (sections.states && !states.includes(token.text)) {
+      error(`${role} "${token.text}" is not declared in States`, lineIndex, token);
+    }
+  };
+
+  const startToken = sections.start?.items[0];
+  if (sections.start && !startToken) {
+    error('Start state is empty', sections.start.lineIndex);
+  } else if (startToken) {
+    checkState(startToken, 'Start state', sections.start.lineIndex);
+  }
+
+  const readStates = section => {
+    const names = [];
+    for (const token of sections[section]?.items || []) {
+      checkState(token, section === 'accept' ? 'Accept state' : 'Reject state', sections[section].lineIndex);
+      if (!names.includes(token.text)) names.push(token.text);
+    }
+    return names;
+  };
+  const acceptStates = readStates('accept');
+  const rejectStates = readStates('reject');
+  for (const state of acceptStates.filter(s => rejectStates.includes(s))) {
+    error(`State "${state}" cannot both accept and reject`, sections.reject.lineIndex,
+      sections.reject.items.find(token => token.text === state));
+  }
+  if (!sections.accept) {
+    warning('No "Accept:" line, so the machine accepts nothing');
+  }
+
+  // Without a "Tape alphabet:" line, every symbol written joins the tape alphabet
+  const readSymbol = (token, lineIndex) => {
+    const symbol = BLANK_ALIASES.includes(token.text) ? blank : token.text;
+    if ([...symbol].length !== 1) {
+      error(`Tape symbols must be single characters, but "${symbol}" is not`, lineIndex, token);
+    } else if (!tapeAlphabet.includes(symbol)) {
+      if (sections.tapeAlphabet) {
+        error(`Symbol "${symbol}" is not in the tape alphabet {${tapeAlphabet.join(', ')}}`, lineIndex, token);
+      } else {
+        tapeAlphabet.push(symbol);
+      }
+    }
+    return symbol;
+  };
+
+  const transitions = [];
+  const firstLine = new Map();
+  for (const { from, read, to, write, move, lineIndex } of transitionEntries) {
+    checkState(from, 'Source state', lineIndex);
+    checkState(to, 'Target state', lineIndex);
+
+    const transition = {
+      from: from.text,
+      read: readSymbol(read, lineIndex),
+      to: to.text,
+      write: readSymbol(write, lineIndex),
+      move: Object.keys(TM_MOVES).find(key => TM_MOVES[key].includes(move.text.toLowerCase()))
+    };
+    if (!transition.move) {
+      error(`Unknown head move "${move.text}". Use L (left), R (right) or S (stay)`, lineIndex, move);
+      continue;
+    }
+
+    const key = `${transition.from}\u0000${transition.read}`;
+    if (firstLine.has(key)) {
+      const first = transitions.find(t => t.from === transition.from && t.read === transition.read);
+      if (first && formatTMTransition(first) === formatTMTransition(transition)) {
+        warning(`Duplicate transition ${formatTMTransition(transition)}`, lineIndex, from);
+      } else {
+        error(`A deterministic TM has one move per state and symbol, but ${transition.from} reading ${transition.read} already has one on line ${firstLine.get(key) + 1}`, lineIndex, from);
+      }
+      continue;
+    }
+    firstLine.set(key, lineIndex);
+
+    if (acceptStates.includes(transition.from) || rejectStates.includes(transition.from)) {
+      warning(`The machine halts in ${transition.from}, so ${formatTMTransition(transition)} is never used`, lineIndex, from);
+    }
+    transitions.push(transition);
+  }
+
+  if (transitions.length === 0 && errors.length === 0) {
+    warning('No transitions were given');
+  }
+
+  const tm = {
+    states,
+    alphabet,
+    tapeAlphabet,
+    blank,
+    transitions,
+    startState: startToken ? startToken.text : '',
+    acceptStates,
+    rejectStates
+  };
+
+  const byLine = (a, b) => (a.line ?? Infinity) - (b.line ?? Infinity);
+  errors.sort(byLine);
+  warnings.sort(byLine);
+
+  const success = errors.length === 0;
+  return {
+    success,
+    tm,
+    errors,
+    warnings,
+    error: success ? null : `Found ${errors.length} problem${errors.length === 1 ? '' : 's'} in the Turing machine definition:\n${formatDiagnostics(errors)}`
+  };
+}
+
+// ===============================================
+// SERIALIZATION
+// ===============================================
+
+/**
+ * Write one transition in the definition format: q0,a -> q1,b,R
+ */
+export function formatTMTransition(t) {
+  return `${t.from},${t.read} -> ${t.to},${t.write},${t.move}`;
+}
+
+/**
+ * Write a Turing machine back in the text format read by parseTuringMachine
+ * @param {Object} tm - Turing machine
+ * @returns {string} Definition text
+ */
+export function formatTMDefinition(tm) {
+  return [
+    `States: ${tm.states.join(',')}`,
+    `Alphabet: ${tm.alphabet.join(',')}`,
+    `Tape alphabet: ${tm.tapeAlphabet.join(',')}`,
+    `Blank: ${tm.blank}`,
+    'Transitions:',
+    ...tm.transitions.map(formatTMTransition),
+    `Start: ${tm.startState}`,
+    `Accept: ${tm.acceptStates.join(',')}`,
+    ...(tm.rejectStates.length > 0 ? [`Reject: ${tm.rejectStates.join(',')}`] : [])
+  ].join('\n');
+}
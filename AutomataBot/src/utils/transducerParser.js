@@ -0,0 +1,404 @@
+// ===============================================
+// MEALY AND MOORE MACHINE PARSER
+// ===============================================
+// Parser for finite-state transducers in the finite automaton format (see
+// automatonParser.js), with outputs written after a "/":
+//
+//   Type: Mealy               (or Moore; optional when the outputs make it clear)
+//   States: q0,q1
+//   Alphabet: 0,1             (input alphabet; also "Σ:", "Input alphabet:")
+//   Output alphabet: a,b      (optional, "Γ:"; output symbols used are added)
+//   Transitions:
+//   q0,0,q1/a                 (Mealy: in q0 reading 0, output a and go to q1)
+//   q0 -1/b-> q0              (arrow form, output after the symbol)
+//   δ(q1,0) = q1/a            (textbook form)
+//   Start: q0
+//   Outputs: q0/a, q1/b       (Moore: the output of each state; also "λ:")
+//
+// A Mealy machine writes its output on the transitions and a Moore machine on
+// the states, so Moore transitions are plain from,symbol,to lines. Input
+// symbols are single characters; output symbols may be longer words. Both
+// kinds are deterministic: at most one move per state and input symbol. A
+// missing move stops the machine, which is reported as a warning.
+
+import { SECTION_KEYWORDS, keywordIndex, tokenizeLine, readHeader, makeDiagnostic, formatDiagnostics, readNameList, uniqueNames } from './automatonParser.js';
+
+/** Machine kinds and the words that select them */
+export const TRANSDUCER_TYPES = {
+  mealy: 'Mealy',
+  moore: 'Moore'
+};
+
+/** Accepted spellings of each section keyword (lower case) */
+const TRANSDUCER_SECTION_KEYWORDS = {
+  type: ['type', 'machine', 'kind'],
+  states: SECTION_KEYWORDS.states,
+  alphabet: SECTION_KEYWORDS.alphabet,
+  outputAlphabet: ['output alphabet', 'output symbols', 'γ', 'gamma'],
+  transitions: SECTION_KEYWORDS.transitions,
+  start: SECTION_KEYWORDS.start,
+  outputs: ['outputs', 'output', 'λ', 'lambda', 'state outputs']
+};
+
+const TRANSDUCER_KEYWORD_TO_SECTION = keywordIndex(TRANSDUCER_SECTION_KEYWORDS);
+
+/** Display names used in messages */
+const TRANSDUCER_SECTION_NAMES = {
+  type: 'Type',
+  states: 'States',
+  alphabet: 'Alphabet',
+  outputAlphabet: 'Output alphabet',
+  transitions: 'Transitions',
+  start: 'Start',
+  outputs: 'Outputs'
+};
+
+/** Function names that may prefix a transition written as δ(q, a) = ... */
+const DELTA_NAMES = ['δ', 'd', 'delta'];
+
+/** Separator between a symbol or state and its output */
+const OUTPUT_SEPARATOR = '/';
+
+/**
+ * Split a "name/output" word into two tokens
+ * @returns {Object} { name, output } with output null when there is no "/"
+ */
+function splitOutput(token) {
+  const index = token.text.indexOf(OUTPUT_SEPARATOR);
+  if (token.type !== 'WORD' || index < 0) return { name: token, output: null };
+  return {
+    name: { ...token, text: token.text.slice(0, index) },
+    output: { ...token, text: token.text.slice(index + 1), column: token.column + index + 1 }
+  };
+}
+
+/**
+ * Read one transducer transition
+ * Forms: from,symbol,to | from symbol to | from -symbol-> to | δ(from,symbol) = to,
+ * with an optional output after the symbol or the target: q0,a/x,q1 or q0,a,q1/x
+ * @returns {Object} { from, symbol, to, output } as tokens (output may be null),
+ *   or { error: {token, message} }
+ */
+function readTransducerTransition(tokens) {
+  const fail = (message, token = tokens[tokens.length - 1]) => ({ error: { token, message } });
+  const isWord = t => t?.type === 'WORD';
+
+  let from;
+  let symbol;
+  let to;
+
+  if (isWord(tokens[0]) && DELTA_NAMES.includes(tokens[0].text.toLowerCase()) && tokens[1]?.type === 'LPAREN') {
+    // δ(from,symbol) = to
+    const [, , fromToken, comma, symbolToken, close, equals, toToken, ...rest] = tokens;
+    if (!isWord(fromToken) || comma?.type !== 'COMMA' || !isWord(symbolToken) || close?.type !== 'RPAREN') {
+      return fail('Expected δ(state,symbol) = target', tokens[2] || tokens[0]);
+    }
+    if (equals?.type !== 'EQUALS' && equals?.type !== 'ARROW') return fail('Expected "=" after δ(state, symbol)', equals || close);
+    if (!isWord(toToken) || rest.length > 0) return fail('Expected a single target state', rest[0] || toToken || equals);
+    [from, symbol, to] = [fromToken, symbolToken, toToken];
+  } else if (tokens.some(t => t.type === 'ARROW')) {
+    // from -symbol-> to
+    const parts = tokens.filter(t => t.type !== 'DASH');
+    if (parts.length !== 4 || !isWord(parts[0]) || !isWord(parts[1]) || parts[2].type !== 'ARROW' || !isWord(parts[3])) {
+      return fail('Expected from -symbol-> to (e.g. q0 -a/x-> q1)', tokens[0]);
+    }
+    [from, symbol, , to] = parts;
+  } else if (tokens.some(t => t.type === 'COMMA')) {
+    // from,symbol,to
+    const parts = [[]];
+    for (const token of tokens) {
+      if (token.type === 'COMMA') parts.push([]);
+      else parts[parts.length - 1].push(token);
+    }
+    if (parts.length !== 3) {
+      return fail(`Expected 3 comma-separated parts (from,symbol,to) but found ${parts.length}`, tokens[0]);
+    }
+    const [fromPart, symbolPart, toPart] = parts;
+    if (fromPart.length !== 1 || !isWord(fromPart[0])) return fail('Expected a single source state', fromPart[0] || tokens[0]);
+    if (symbolPart.length !== 1 || !isWord(symbolPart[0])) {
+      return fail(symbolPart.length === 0 ? 'Missing input symbol (transducers have no ε moves)' : 'Expected a single input symbol', symbolPart[0] || tokens[0]);
+    }
+    if (toPart.length !== 1 || !isWord(toPart[0])) return fail('Expected a single target state', toPart[0] || tokens[tokens.length - 1]);
+    [from, symbol, to] = [fromPart[0], symbolPart[0], toPart[0]];
+  } else if (tokens.length === 3 && tokens.every(isWord)) {
+    // from symbol to
+    [from, symbol, to] = tokens;
+  } else {
+    return fail('Cannot read this transition; use from,symbol,to with an output as in q0,a,q1/x', tokens[0]);
+  }
+
+  if (splitOutput(from).output) {
+    return fail('Write the output after the symbol or the target state, not after the source state', from);
+  }
+  const symbolSplit = splitOutput(symbol);
+  const targetSplit = splitOutput(to);
+  if (symbolSplit.output && targetSplit.output) {
+    return fail('Give one output per transition', targetSplit.output);
+  }
+  const output = symbolSplit.output || targetSplit.output;
+  if (output && output.text === '') return fail('Missing output after "/"', output);
+
+  return { from, symbol: symbolSplit.name, to: targetSplit.name, output };
+}
+
+/**
+ * Parse a Mealy or Moore machine definition
+ * @param {string} text - Machine definition (see the format at the top of this file)
+ * @returns {Object} { success, machine, errors, warnings, error } where error is
+ *   the formatted report when success is false
+ */
+export function parseTransducer(text) {
+  const lines = String(text ?? '').split('\n');
+  const errors = [];
+  const warnings = [];
+  const sections = {};
+  const transitionEntries = [];
+  let inTransitions = false;
+
+  const error = (message, lineIndex = null, token = null) =>
+    errors.push(makeDiagnostic('error', message, lineIndex === null ? null : lineIndex + 1, lines[lineIndex] ?? '', token));
+  const warning = (message, lineIndex = null, token = null) =>
+    warnings.push(makeDiagnostic('warning', message, lineIndex === null ? null : lineIndex + 1, lines[lineIndex] ?? '', token));
+
+  const addTransition = (tokens, lineIndex) => {
+    const transition = readTransducerTransition(tokens);
+    if (transition.error) {
+      error(transition.error.message, lineIndex, transition.error.token);
+    } else {
+      transitionEntries.push({ ...transition, lineIndex });
+    }
+  };
+
+  // Pass 1: syntax
+  lines.forEach((line, lineIndex) => {
+    const trimmed = line.trim();
+    if (trimmed === '' || trimmed.startsWith('#') || trimmed.startsWith('//')) return;
+
+    const tokens = tokenizeLine(line);
+    const isDelta = DELTA_NAMES.includes(tokens[0]?.text.toLowerCase()) && tokens[1]?.type === 'LPAREN';
+    const header = isDelta ? null : readHeader(tokens, TRANSDUCER_KEYWORD_TO_SECTION);
+
+    if (header?.unknown) {
+      const keyword = header.keywordTokens.map(t => t.text).join(' ');
+      error(`Unknown keyword "${keyword}". Expected Type, States, Alphabet, Output alphabet, Transitions, Start or Outputs`, lineIndex,
+        { column: header.keywordTokens[0].column, text: keyword });
+      inTransitions = false;
+      return;
+    }
+
+    if (header) {
+      const { section, keywordTokens, valueTokens } = header;
+      inTransitions = section === 'transitions';
+
+      if (sections[section]) {
+        error(`${TRANSDUCER_SECTION_NAMES[section]} is defined twice (first on line ${sections[section].lineIndex + 1})`, lineIndex, keywordTokens[0]);
+        return;
+      }
+
+      if (section === 'transitions') {
+        sections.transitions = { lineIndex };
+        if (valueTokens.length > 0) addTransition(valueTokens, lineIndex);
+        return;
+      }
+
+      const { items, error: listError } = readNameList(valueTokens);
+      if (listError) error(listError.message, lineIndex, listError.token);
+      sections[section] = { lineIndex, items };
+
+      if ((section === 'start' || section === 'type') && items.length > 1) {
+        error(`Only one ${section === 'start' ? 'start state' : 'machine type'} is allowed`, lineIndex, items[1]);
+      }
+      return;
+    }
+
+    if (inTransitions || isDelta || tokens.some(t => t.type === 'ARROW')) {
+      addTransition(tokens, lineIndex);
+      return;
+    }
+
+    error('Unexpected line. Transitions must follow a "Transitions:" line', lineIndex);
+  });
+
+  // Pass 2: machine type
+  for (const section of ['states', 'alphabet', 'start']) {
+    if (!sections[section]) error(`Missing "${TRANSDUCER_SECTION_NAMES[section]}:" line`);
+  }
+
+  const hasTransitionOutputs = transitionEntries.some(entry => entry.output);
+  let type = hasTransitionOutputs ? 'mealy' : sections.outputs ? 'moore' : null;
+  const typeToken = sections.type?.items[0];
+  if (typeToken) {
+    const named = Object.keys(TRANSDUCER_TYPES).find(key => key === typeToken.text.toLowerCase());
+    if (!named) {
+      error(`Unknown machine type "${typeToken.text}". Use Mealy or Moore`, sections.type.lineIndex, typeToken);
+    } else {
+      type = named;
+    }
+  }
+  if (!type && errors.length === 0) {
+    error('Cannot tell whether this is a Mealy or a Moore machine. Add "Type: Mealy" with outputs on the transitions (q0,a,q1/x) or "Type: Moore" with an "Outputs:" line (q0/x)');
+  }
+  if (type === 'moore' && hasTransitionOutputs) {
+    const entry = transitionEntries.find(e => e.output);
+    error('A Moore machine has outputs on its states, not on its transitions. List them in an "Outputs:" line', entry.lineIndex, entry.output);
+  }
+  if (type === 'mealy' && sections.outputs) {
+    error('A Mealy machine has outputs on its transitions, not on its states. Write them as q0,a,q1/x', sections.outputs.lineIndex);
+  }
+
+  // Pass 3: references
+  const sectionNames = (section, what) => uniqueNames(sections[section]?.items || [], what,
+    (message, token) => warning(message, sections[section].lineIndex, token));
+
+  const states = sectionNames('states', 'State');
+  const alphabet = sectionNames('alphabet', 'Symbol');
+  for (const token of sections.alphabet?.items || []) {
+    if ([...token.text].length !== 1) {
+      error(`Input symbols must be single characters, but "${token.text}" is not`, sections.alphabet.lineIndex, token);
+    }
+  }
+
+  // Without an "Output alphabet:" line, every output used joins the output alphabet
+  const outputAlphabet = sectionNames('outputAlphabet', 'Output symbol');
+  const readOutput = (token, lineIndex) => {
+    if (!outputAlphabet.includes(token.text)) {
+      if (sections.outputAlphabet) {
+        error(`Output "${token.text}" is not in the output alphabet {${outputAlphabet.join(', ')}}`, lineIndex, token);
+      } else {
+        outputAlphabet.push(token.text);
+      }
+    }
+    return token.text;
+  };
+
+  const checkState = (token, role, lineIndex) => {
+    if (sections.states && !states.includes(token.text)) {
+      error(`${role} "${token.text}" is not declared in States`, lineIndex, token);
+    }
+  };
+
+  const startToken = sections.start?.items[0];
+  if (sections.start && !startToken) {
+    error('Start state is empty', sections.start.lineIndex);
+  } else if (startToken) {
+    checkState(startToken, 'Start state', sections.start.lineIndex);
+  }
+
+  const transitions = [];
+  const firstLine = new Map();
+  for (const { from, symbol, to, output, lineIndex } of transitionEntries) {
+    checkState(from, 'Source state', lineIndex);
+    checkState(to, 'Target state', lineIndex);
+    if (sections.alphabet && !alphabet.includes(symbol.text)) {
+      error(`Symbol "${symbol.text}" is not in the alphabet {${alphabet.join(', ')}}`, lineIndex, symbol);
+    }
+
+    const transition = { from: from.text, symbol: symbol.text, to: to.text };
+    if (type === 'mealy') {
+      if (!output) {
+        error(`Missing output on a Mealy transition; write ${formatTransducerTransition({ ...transition, output: 'x' })}`, lineIndex, to);
+        continue;
+      }
+      transition.output = readOutput(output, lineIndex);
+    }
+
+    const key = `${transition.from}\u0000${transition.symbol}`;
+    if (firstLine.has(key)) {
+      const first = transitions.find(t => t.from === transition.from && t.symbol === transition.symbol);
+      if (first && formatTransducerTransition(first) === formatTransducerTransition(transition)) {
+        warning(`Duplicate transition ${formatTransducerTransition(transition)}`, lineIndex, from);
+      } else {
+        error(`A transducer has one move per state and symbol, but ${transition.from} reading ${transition.symbol} already has one on line ${firstLine.get(key) + 1}`, lineIndex, from);
+      }
+      continue;
+    }
+    firstLine.set(key, lineIndex);
+    transitions.push(transition);
+  }
+
+  const outputs = {};
+  if (type === 'moore' && !sections.outputs) {
+    error('Missing "Outputs:" line giving the output of each state (e.g. Outputs: q0/a, q1/b)');
+  } else if (type === 'moore') {
+    for (const item of sections.outputs?.items || []) {
+      const { name, output } = splitOutput(item);
+      if (!output || output.text === '') {
+        error(`Expected state/output such as ${name.text}/x`, sections.outputs.lineIndex, item);
+        continue;
+      }
+      checkState(name, 'State', sections.outputs.lineIndex);
+      if (name.text in outputs) {
+        error(`State "${name.text}" has two outputs`, sections.outputs.lineIndex, name);
+        continue;
+      }
+      outputs[name.text] = readOutput(output, sections.outputs.lineIndex);
+    }
+    const silent = states.filter(state => !(state in outputs));
+    if (silent.length > 0 && errors.length === 0) {
+      error(`Every state of a Moore machine needs an output, but ${silent.join(', ')} ${silent.length === 1 ? 'has' : 'have'} none`, sections.outputs.lineIndex);
+    }
+  }
+
+  if (errors.length === 0) {
+    const missing = states.flatMap(state => alphabet
+      .filter(symbol => !transitions.some(t => t.from === state && t.symbol === symbol))
+      .map(symbol => `${state} on ${symbol}`));
+    if (missing.length > 0) {
+      warning(`No move for ${missing.slice(0, 5).join(', ')}${missing.length > 5 ? ` and ${missing.length - 5} more` : ''}; the machine stops there`);
+    }
+  }
+
+  const machine = {
+    type,
+    states,
+    alphabet,
+    outputAlphabet,
+    transitions,
+    startState: startToken ? startToken.text : '',
+    ...(type === 'moore' ? { outputs } : {})
+  };
+
+  const byLine = (a, b) => (a.line ?? Infinity) - (b.line ?? Infinity);
+  errors.sort(byLine);
+  warnings.sort(byLine);
+
+  const success = errors.length === 0;
+  return {
+    success,
+    machine,
+    errors,
+    warnings,
+    error: success ? null : `Found ${errors.length} problem${errors.length === 1 ? '' : 's'} in the ${type ? `${TRANSDUCER_TYPES[type]} machine` : 'machine'} definition:\n${formatDiagnostics(errors)}`
+  };
+}
+
+// ===============================================
+// SERIALIZATION
+// ===============================================
+
+/**
+ * Write one transition in the definition format: q0,a,q1/x (Mealy) or q0,a,q1 (Moore)
+ */
+export function formatTransducerTransition(t) {
+  return `${t.from},${t.symbol},${t.to}${t.output !== undefined ? `${OUTPUT_SEPARATOR}${t.output}` : ''}`;
+}
+
+/**
+ * Write a Mealy or Moore machine back in the text format read by parseTransducer
+ * @param {Object} machine - Mealy or Moore machine
+ * @returns {string} Definition text
+ */
+export function formatTransducerDefinition(machine) {
+  return [
+    `Type: ${TRANSDUCER_TYPES[machine.type]}`,
+    `States: ${machine.states.join(',')}`,
+    `Alphabet: ${machine.alphabet.join(',')}`,
+    `Output alphabet: ${machine.outputAlphabet.join(',')}`,
+    'Transitions:',
+    ...machine.transitions.map(formatTransducerTransition),
+    `Start: ${machine.startState}`,
+    ...(machine.type === 'moore'
+      ? [`Outputs: ${machine.states.map(state => `${state}${OUTPUT_SEPARATOR}${machine.outputs[state]}`).join(', ')}`]
+      : [])
+  ].join('\n');
+}